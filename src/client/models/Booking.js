@@ -20,6 +20,17 @@ const bookingSchema = new mongoose.Schema(
       required: [true, 'Slot ID is required'],
       index: true,
     },
+    // All consecutive slots the booking occupies (first is slotId)
+    // Services longer than one slot span several slots
+    slotIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Slot',
+      },
+    ],
+    duration: {
+      type: Number, // Minutes
+    },
     customerId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -29,8 +40,38 @@ const bookingSchema = new mongoose.Schema(
     serviceId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Service',
-      required: [true, 'Service ID is required'],
+      required: [true, 'Service ID is required'], // First service of the appointment
     },
+    // Ordered services of a multi-service appointment
+    services: [
+      {
+        serviceId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Service',
+          required: true,
+        },
+        name: String,
+        price: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        duration: {
+          type: Number, // Minutes
+        },
+        staffId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'StaffProfile',
+        },
+        // Slots this service is performed in
+        slotIds: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Slot',
+          },
+        ],
+      },
+    ],
     staffId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'StaffProfile',
@@ -55,6 +96,19 @@ const bookingSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    // Offer applied at booking time (finalPrice = originalPrice - discountAmount)
+    offerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Offer',
+    },
+    promoCode: {
+      type: String,
+    },
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     priceEdited: {
       type: Boolean,
       default: false,
@@ -108,6 +162,74 @@ const bookingSchema = new mongoose.Schema(
       enum: ['normal', 'high'],
       default: 'normal',
     },
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BookingSeries',
+      index: true, // Set when the booking is an occurrence of a recurring series
+    },
+    rescheduleHistory: [
+      {
+        fromSlotId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Slot',
+        },
+        toSlotId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Slot',
+        },
+        fromScheduledAt: {
+          type: Date,
+        },
+        toScheduledAt: {
+          type: Date,
+        },
+        rescheduledBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        rescheduledByType: {
+          type: String,
+          enum: ['admin', 'customer', 'staff'],
+        },
+        reason: {
+          type: String,
+        },
+        rescheduledAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Notification history (confirmation, cancellation, reminder messages)
+    reminderSentAt: {
+      type: Date,
+    },
+    notifications: [
+      {
+        type: {
+          type: String,
+          enum: ['confirmation', 'cancellation', 'reminder'],
+        },
+        channel: {
+          type: String,
+          enum: ['email', 'sms'],
+        },
+        status: {
+          type: String,
+          enum: ['sent', 'failed', 'skipped'],
+        },
+        recipient: {
+          type: String,
+        },
+        detail: {
+          type: String, // Failure message or reason the message was skipped
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     createdAt: {
       type: Date,
       default: Date.now,
@@ -127,7 +249,14 @@ bookingSchema.index({ shopId: 1, status: 1 });
 bookingSchema.index({ shopId: 1, scheduledAt: 1 });
 bookingSchema.index({ customerId: 1 });
 bookingSchema.index({ slotId: 1, status: 1 });
+bookingSchema.index({ slotIds: 1, status: 1 });
 bookingSchema.index({ shopId: 1, bookingType: 1 });
+bookingSchema.index({ status: 1, scheduledAt: 1, reminderSentAt: 1 });
+
+// Slots occupied by the booking (bookings made before multi-slot support only have slotId)
+bookingSchema.methods.getSlotIds = function () {
+  return this.slotIds && this.slotIds.length > 0 ? this.slotIds : [this.slotId];
+};
 
 // Update slot booked count when booking status changes
 // Note: This hook will be updated to work with dynamic models
@@ -137,8 +266,8 @@ bookingSchema.post('save', async function () {
   try {
     const Slot = this.constructor.db.model('Slot');
     if (Slot) {
-      const slot = await Slot.findById(this.slotId);
-      if (slot) {
+      const slots = await Slot.find({ _id: { $in: this.getSlotIds() } });
+      for (const slot of slots) {
         await slot.updateBookedCount();
       }
     }
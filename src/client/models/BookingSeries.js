@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const { SERIES_STATUS } = require('../../config/constants');
+
+/**
+ * Booking Series Model Schema
+ * Stored in CLIENT DATABASE
+ * Recurring booking definition for regular customers
+ * Each occurrence is a normal Booking carrying the series ID
+ * NO tenantId - database isolation provides tenant separation
+ */
+const bookingSeriesSchema = new mongoose.Schema(
+  {
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shop',
+      required: [true, 'Shop ID is required'],
+      index: true,
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Customer ID is required'],
+      index: true,
+    },
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service',
+      required: [true, 'Service ID is required'],
+    },
+    frequency: {
+      type: String,
+      enum: ['weekly', 'monthly_weekday'],
+      required: [true, 'Recurrence frequency is required'],
+      // 'weekly' - every `interval` weeks on the same weekday
+      // 'monthly_weekday' - same nth weekday every `interval` months (e.g. 2nd Tuesday)
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1,
+      max: 12,
+    },
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required'],
+    },
+    startTime: {
+      type: String,
+      required: [true, 'Start time is required'], // HH:mm
+    },
+    endDate: {
+      type: Date,
+    },
+    occurrenceCount: {
+      type: Number,
+      min: 1,
+    },
+    occurrences: [
+      {
+        date: {
+          type: Date,
+          required: true,
+        },
+        bookingId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Booking',
+        },
+        status: {
+          type: String,
+          enum: ['booked', 'conflict', 'cancelled'],
+          required: true,
+        },
+        conflictReason: {
+          type: String,
+        },
+        isException: {
+          type: Boolean,
+          default: false, // true when this occurrence was moved individually
+        },
+      },
+    ],
+    status: {
+      type: String,
+      enum: Object.values(SERIES_STATUS),
+      default: SERIES_STATUS.ACTIVE,
+      index: true,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Compound indexes
+bookingSeriesSchema.index({ customerId: 1, status: 1 });
+bookingSeriesSchema.index({ shopId: 1, status: 1 });
+
+module.exports = {
+  schema: bookingSeriesSchema,
+};
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+/**
+ * Counter Model Schema
+ * Stored in CLIENT DATABASE
+ * Last number used of a named sequence, e.g. invoice numbers of a shop per fiscal year
+ * NO tenantId - database isolation provides tenant separation
+ */
+const counterSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = {
+  schema: counterSchema,
+};
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+/**
+ * Credit Note Model Schema
+ * Stored in CLIENT DATABASE
+ * Issued for every full or partial refund of a paid invoice
+ * NO tenantId - database isolation provides tenant separation
+ */
+const creditNoteSchema = new mongoose.Schema(
+  {
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shop',
+      required: [true, 'Shop ID is required'],
+      index: true,
+    },
+    invoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      required: [true, 'Invoice ID is required'],
+      index: true,
+    },
+    invoiceNumber: {
+      type: String, // Number of the refunded invoice, printed on the credit note
+      required: true,
+    },
+    creditNoteNumber: {
+      type: String,
+      required: true, // Unique per shop, see invoiceNumberService
+    },
+    sequenceNumber: {
+      type: Number,
+    },
+    fiscalYear: {
+      type: String,
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    amount: {
+      type: Number, // Refunded amount, tax included
+      required: true,
+      min: 0.01,
+    },
+    tax: {
+      type: Number, // Tax share of the refunded amount
+      default: 0,
+      min: 0,
+    },
+    refundMethod: {
+      type: String,
+      enum: ['cash', 'card', 'online', 'other'],
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: [true, 'Refund reason is required'],
+      trim: true,
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+creditNoteSchema.index({ shopId: 1, creditNoteNumber: 1 }, { unique: true });
+creditNoteSchema.index({ shopId: 1, createdAt: -1 });
+
+module.exports = {
+  schema: creditNoteSchema,
+};
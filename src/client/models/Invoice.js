@@ -18,13 +18,16 @@ const invoiceSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Booking',
       required: [true, 'Booking ID is required'],
-      unique: true,
     },
     invoiceNumber: {
       type: String,
-      required: true,
-      unique: true,
-      index: true,
+      required: true, // Unique per shop, see invoiceNumberService
+    },
+    sequenceNumber: {
+      type: Number, // Position in the shop's invoice sequence
+    },
+    fiscalYear: {
+      type: String, // Fiscal year the sequence belongs to, e.g. 2026 or 2026-27
     },
     customerId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -36,6 +39,51 @@ const invoiceSchema = new mongoose.Schema(
       ref: 'Service',
       required: true,
     },
+    lineItems: [
+      {
+        serviceId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Service',
+        },
+        description: {
+          type: String,
+          required: true,
+        },
+        staffId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'StaffProfile',
+        },
+        quantity: {
+          type: Number,
+          default: 1,
+          min: 1,
+        },
+        unitPrice: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        taxCategory: {
+          type: String, // Tax profile code applied, or exempt
+        },
+        taxRate: {
+          type: Number, // Sum of the profile's component rates
+          default: 0,
+        },
+        taxableAmount: {
+          type: Number, // Line amount after discount, excluding tax
+        },
+        tax: {
+          type: Number,
+          default: 0,
+        },
+      },
+    ],
     amount: {
       type: Number,
       required: true,
@@ -46,6 +94,26 @@ const invoiceSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    // Tax per component, e.g. [{ name: 'CGST', rate: 9, taxableAmount, amount }]
+    taxBreakdown: [
+      {
+        name: String,
+        rate: Number,
+        taxableAmount: Number,
+        amount: Number,
+      },
+    ],
+    taxPricing: {
+      type: String, // Whether line prices included tax (inclusive) or had it added (exclusive)
+      enum: ['exclusive', 'inclusive'],
+      default: 'exclusive',
+    },
+    taxRegistrationLabel: {
+      type: String, // Shop's tax registration at the time of issue
+    },
+    taxRegistrationNumber: {
+      type: String,
+    },
     discount: {
       type: Number,
       default: 0,
@@ -58,16 +126,81 @@ const invoiceSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'paid', 'cancelled'],
+      enum: ['pending', 'partially_paid', 'paid', 'partially_refunded', 'refunded', 'void', 'cancelled'],
       default: 'pending',
       index: true,
     },
-    paidAt: {
+    refundedAmount: {
+      type: Number, // Sum of the credit notes issued against the invoice
+      default: 0,
+      min: 0,
+    },
+    voidedAt: {
       type: Date,
     },
-    paymentMethod: {
+    voidReason: {
       type: String,
-      enum: ['cash', 'card', 'online', 'other'],
+    },
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    payments: [
+      {
+        method: {
+          type: String,
+          enum: ['cash', 'card', 'online', 'other'],
+          required: true,
+        },
+        amount: {
+          type: Number, // Applied to the invoice
+          required: true,
+          min: 0,
+        },
+        tip: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        tipStaffId: {
+          type: mongoose.Schema.Types.ObjectId, // Booking staff member the tip goes to
+          ref: 'StaffProfile',
+        },
+        tendered: {
+          type: Number, // Cash handed over
+          min: 0,
+        },
+        change: {
+          type: Number, // Cash handed back: tendered - amount - tip
+          default: 0,
+          min: 0,
+        },
+        receivedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        paidAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    amountPaid: {
+      type: Number, // Sum of the payment amounts, tips excluded
+      default: 0,
+      min: 0,
+    },
+    tipAmount: {
+      type: Number, // Sum of the payment tips
+      default: 0,
+      min: 0,
+    },
+    paidAt: {
+      type: Date, // When the payments covered totalAmount
+    },
+    paymentMethod: {
+      type: String, // Method of all payments, split when several were used
+      enum: ['cash', 'card', 'online', 'other', 'split'],
     },
     notes: {
       type: String,
@@ -83,15 +216,37 @@ const invoiceSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
   }
 );
 
+// Amount still to be paid (invoices paid before payments were recorded have none)
+invoiceSchema.virtual('balance').get(function () {
+  if (!['pending', 'partially_paid'].includes(this.status)) {
+    return 0;
+  }
+  return Math.round((this.totalAmount - (this.amountPaid || 0)) * 100) / 100;
+});
+
 // Compound indexes
 invoiceSchema.index({ shopId: 1 });
+invoiceSchema.index({ shopId: 1, invoiceNumber: 1 }, { unique: true });
 invoiceSchema.index({ shopId: 1, status: 1 });
 invoiceSchema.index({ shopId: 1, createdAt: -1 });
 invoiceSchema.index({ customerId: 1 });
 
+// One invoice per booking; a voided invoice can be replaced by a new one
+invoiceSchema.index(
+  { bookingId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      status: { $in: ['pending', 'partially_paid', 'paid', 'partially_refunded', 'refunded', 'cancelled'] },
+    },
+  }
+);
+
 module.exports = {
   schema: invoiceSchema,
 };
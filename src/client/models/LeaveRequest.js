@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+/**
+ * Leave Request Model Schema
+ * Stored in CLIENT DATABASE
+ * Staff leave / days off, approved or rejected by the client admin
+ * Approved leave removes the staff member from slot capacity
+ * NO tenantId - database isolation provides tenant separation
+ */
+const leaveRequestSchema = new mongoose.Schema(
+  {
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shop',
+      required: [true, 'Shop ID is required'],
+      index: true,
+    },
+    staffId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StaffProfile',
+      required: [true, 'Staff ID is required'],
+      index: true,
+    },
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required'],
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'End date is required'],
+    },
+    // Optional partial-day leave (applies to every day in the range)
+    startTime: {
+      type: String, // HH:mm
+    },
+    endTime: {
+      type: String, // HH:mm
+    },
+    type: {
+      type: String,
+      enum: ['vacation', 'sick', 'personal', 'other'],
+      default: 'other',
+    },
+    reason: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'cancelled'],
+      default: 'pending',
+      index: true,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    reviewNote: {
+      type: String,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Compound indexes
+leaveRequestSchema.index({ shopId: 1, status: 1 });
+leaveRequestSchema.index({ staffId: 1, status: 1, startDate: 1, endDate: 1 });
+
+module.exports = {
+  schema: leaveRequestSchema,
+};
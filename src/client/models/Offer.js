@@ -21,6 +21,12 @@ const offerSchema = new mongoose.Schema(
     description: {
       type: String,
     },
+    // Promo code entered at booking; offers without a code are applied automatically
+    code: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
     discountType: {
       type: String,
       enum: ['percentage', 'fixed'],
@@ -74,6 +80,7 @@ const offerSchema = new mongoose.Schema(
 offerSchema.index({ shopId: 1 });
 offerSchema.index({ shopId: 1, isActive: 1 });
 offerSchema.index({ startDate: 1, endDate: 1 });
+offerSchema.index({ shopId: 1, code: 1 }, { unique: true, partialFilterExpression: { code: { $type: 'string' } } });
 
 module.exports = {
   schema: offerSchema,
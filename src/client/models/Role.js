@@ -4,6 +4,7 @@ const mongoose = require('mongoose');
  * Role Model Schema
  * Stored in CLIENT DATABASE
  * Defines roles and their permissions for RBAC
+ * System roles (client_admin, staff, customer) are seeded; client admins can add custom staff roles
  * NO tenantId - database isolation provides tenant separation
  */
 const roleSchema = new mongoose.Schema(
@@ -11,7 +12,8 @@ const roleSchema = new mongoose.Schema(
     name: {
       type: String,
       required: [true, 'Role name is required'],
-      enum: ['client_admin', 'staff', 'customer'],
+      trim: true,
+      maxlength: [50, 'Role name cannot exceed 50 characters'],
       unique: true,
     },
     permissions: [
@@ -40,6 +42,13 @@ const roleSchema = new mongoose.Schema(
         ],
       },
     ],
+    // Shops the role applies to (empty = all shops)
+    shopIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shop',
+      },
+    ],
     isSystemRole: {
       type: Boolean,
       default: false,
@@ -37,6 +37,11 @@ const serviceSchema = new mongoose.Schema(
       required: [true, 'Service price is required'],
       min: 0,
     },
+    taxCategory: {
+      type: String, // Code of a ShopSettings tax profile, or exempt; empty uses the shop's default profile
+      trim: true,
+      lowercase: true,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Model Schema
+ * Stored in CLIENT DATABASE (platform admin sessions use the same schema in platform_db)
+ * One login on one device; holds the hash of the current refresh token
+ * NO tenantId - database isolation provides tenant separation
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    role: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 of the current refresh token secret (rotated on every refresh)
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Device info
+    userAgent: {
+      type: String,
+    },
+    ipAddress: {
+      type: String,
+    },
+    deviceName: {
+      type: String,
+      trim: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'logout_all', 'revoked', 'token_reuse', 'user_deactivated', 'password_reset'],
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Expired sessions are removed by MongoDB
+
+/**
+ * Whether the session can still be used
+ */
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = {
+  schema: sessionSchema,
+};
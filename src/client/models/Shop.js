@@ -38,6 +38,10 @@ const shopSchema = new mongoose.Schema(
       saturday: { start: String, end: String, isOpen: { type: Boolean, default: true } },
       sunday: { start: String, end: String, isOpen: { type: Boolean, default: false } },
     },
+    // Set when the client admin enters working hours (not set while the defaults are in use)
+    workingHoursSetAt: {
+      type: Date,
+    },
     slotDuration: {
       type: Number,
       default: 30, // minutes
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { INVOICE_NUMBERING, TAX } = require('../../config/constants');
 
 /**
  * Shop Settings Model Schema
@@ -44,6 +45,11 @@ const shopSettingsSchema = new mongoose.Schema(
       min: 1,
       max: 30,
     },
+    rescheduleCutoffHours: {
+      type: Number,
+      default: 2, // Customers cannot reschedule within this many hours of the appointment
+      min: 0,
+    },
     sendSmsNotifications: {
       type: Boolean,
       default: false,
@@ -52,16 +58,123 @@ const shopSettingsSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
-    taxRate: {
+    reminderHoursBefore: {
       type: Number,
+      default: 24, // Appointment reminder lead time; 0 disables reminders
+      min: 0,
+      max: 72,
+    },
+    taxRate: {
+      type: Number, // Single rate, used when no tax profiles are set
       default: 0,
       min: 0,
       max: 100,
     },
+    // Named tax profiles, e.g. { code: 'gst_18', components: [CGST 9%, SGST 9%] }
+    // Services pick one through their taxCategory; the others use defaultTaxProfile
+    taxProfiles: {
+      type: [
+        {
+          code: {
+            type: String,
+            required: true,
+            trim: true,
+            lowercase: true,
+          },
+          name: {
+            type: String,
+            required: true,
+            trim: true,
+          },
+          components: [
+            {
+              name: {
+                type: String,
+                required: true,
+                trim: true,
+              },
+              rate: {
+                type: Number,
+                required: true,
+                min: 0,
+                max: 100,
+              },
+            },
+          ],
+        },
+      ],
+      validate: {
+        validator: (profiles) => new Set(profiles.map((profile) => profile.code)).size === profiles.length
+          && !profiles.some((profile) => profile.code === TAX.EXEMPT_CATEGORY),
+        message: `Tax profile codes must be unique and cannot be "${TAX.EXEMPT_CATEGORY}"`,
+      },
+    },
+    defaultTaxProfile: {
+      type: String, // Code of the profile for services without a taxCategory
+      trim: true,
+      lowercase: true,
+      validate: {
+        validator(code) {
+          return !code || this.taxProfiles.some((profile) => profile.code === code);
+        },
+        message: 'Default tax profile must be one of the tax profiles',
+      },
+    },
+    taxPricing: {
+      type: String,
+      enum: Object.values(TAX.PRICING),
+      default: TAX.PRICING.EXCLUSIVE,
+    },
+    taxRegistrationLabel: {
+      type: String, // Printed before the number, e.g. GSTIN or VAT No.
+      trim: true,
+      maxlength: 20,
+      default: 'Tax ID',
+    },
+    taxRegistrationNumber: {
+      type: String,
+      trim: true,
+      maxlength: 30,
+    },
     currency: {
       type: String,
       default: 'USD',
     },
+    // Invoice number format: <prefix>-<fiscal year>-<zero-padded counter>
+    invoiceNumbering: {
+      prefix: {
+        type: String,
+        trim: true,
+        maxlength: 10,
+        default: INVOICE_NUMBERING.PREFIX,
+      },
+      creditNotePrefix: {
+        type: String,
+        trim: true,
+        maxlength: 10,
+        default: INVOICE_NUMBERING.CREDIT_NOTE_PREFIX,
+      },
+      includeFiscalYear: {
+        type: Boolean,
+        default: INVOICE_NUMBERING.INCLUDE_FISCAL_YEAR,
+      },
+      fiscalYearStartMonth: {
+        type: Number,
+        default: INVOICE_NUMBERING.FISCAL_YEAR_START_MONTH,
+        min: 1,
+        max: 12,
+      },
+      padding: {
+        type: Number,
+        default: INVOICE_NUMBERING.PADDING,
+        min: 1,
+        max: 10,
+      },
+      resetEveryFiscalYear: {
+        type: Boolean,
+        default: INVOICE_NUMBERING.RESET_EVERY_FISCAL_YEAR, // Counter restarts at 1 each fiscal year
+      },
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -104,7 +104,8 @@ slotSchema.methods.updateBookedCount = async function () {
   }
 
   this.bookedCount = await Booking.countDocuments({
-    slotId: this._id,
+    // Multi-slot bookings count towards every slot they span
+    $or: [{ slotId: this._id }, { slotIds: this._id }],
     status: { $in: ['confirmed', 'arrived', 'in_progress'] },
   });
 
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Break inside a shift (e.g. lunch)
+const breakSchema = new mongoose.Schema(
+  {
+    start: { type: String, required: true }, // HH:mm
+    end: { type: String, required: true }, // HH:mm
+  },
+  { _id: false }
+);
+
+// Working window for one weekday
+const shiftSchema = new mongoose.Schema(
+  {
+    isWorking: { type: Boolean, default: true },
+    start: String, // HH:mm
+    end: String, // HH:mm
+    breaks: [breakSchema],
+  },
+  { _id: false }
+);
+
+/**
+ * Staff Schedule Model Schema
+ * Stored in CLIENT DATABASE
+ * Weekly shift template plus date-specific overrides for one staff member
+ * Staff without a schedule are assumed to work the shop's working hours
+ * NO tenantId - database isolation provides tenant separation
+ */
+const staffScheduleSchema = new mongoose.Schema(
+  {
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shop',
+      required: [true, 'Shop ID is required'],
+      index: true,
+    },
+    staffId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StaffProfile',
+      required: [true, 'Staff ID is required'],
+      index: true,
+    },
+    weeklyShifts: {
+      monday: shiftSchema,
+      tuesday: shiftSchema,
+      wednesday: shiftSchema,
+      thursday: shiftSchema,
+      friday: shiftSchema,
+      saturday: shiftSchema,
+      sunday: shiftSchema,
+    },
+    overrides: [
+      {
+        date: {
+          type: Date,
+          required: true,
+        },
+        isWorking: {
+          type: Boolean,
+          default: true,
+        },
+        start: String, // HH:mm
+        end: String, // HH:mm
+        breaks: [breakSchema],
+        reason: String,
+      },
+    ],
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Compound indexes
+staffScheduleSchema.index({ shopId: 1 });
+staffScheduleSchema.index({ staffId: 1, shopId: 1 }, { unique: true });
+
+module.exports = {
+  schema: staffScheduleSchema,
+};
@@ -19,8 +19,8 @@ const userSchema = new mongoose.Schema(
     password: {
       type: String,
       required: function () {
-        // Password required for all users except walk-in customers
-        return this.role !== 'customer' || this.bookingType !== 'walkin';
+        // Password required for all users except walk-in and passwordless (OTP) customers
+        return this.role !== 'customer' || (this.bookingType !== 'walkin' && this.authMethod !== 'otp');
       },
       select: false, // Don't return password by default
     },
@@ -55,12 +55,37 @@ const userSchema = new mongoose.Schema(
     lastLogin: {
       type: Date,
     },
+    // Set when a customer's personal data was erased (record kept for booking and invoice totals)
+    erasedAt: {
+      type: Date,
+    },
     // For customers
     bookingType: {
       type: String,
       enum: ['online', 'walkin'],
       default: 'online',
     },
+    // Customers signed up with an emailed/texted code have no password
+    authMethod: {
+      type: String,
+      enum: ['password', 'otp'],
+      default: 'password',
+    },
+    // Customer opt-out per channel and for appointment reminders
+    notificationPreferences: {
+      email: {
+        type: Boolean,
+        default: true,
+      },
+      sms: {
+        type: Boolean,
+        default: true,
+      },
+      reminders: {
+        type: Boolean,
+        default: true,
+      },
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -84,6 +109,9 @@ userSchema.pre('save', async function (next) {
 
 // Method to compare password
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password) {
+    return false;
+  }
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+/**
+ * Waitlist Model Schema
+ * Stored in CLIENT DATABASE
+ * Queue of customers waiting for a place in a full slot
+ * Entries are promoted to confirmed bookings in FIFO order when capacity frees up
+ * NO tenantId - database isolation provides tenant separation
+ */
+const waitlistSchema = new mongoose.Schema(
+  {
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shop',
+      required: [true, 'Shop ID is required'],
+      index: true,
+    },
+    slotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Slot',
+      required: [true, 'Slot ID is required'],
+      index: true,
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Customer ID is required'],
+      index: true,
+    },
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service',
+      required: [true, 'Service ID is required'],
+    },
+    status: {
+      type: String,
+      enum: ['waiting', 'promoted', 'cancelled', 'expired'],
+      default: 'waiting',
+      index: true,
+      // 'waiting' - in the queue
+      // 'promoted' - converted into a confirmed booking
+      // 'cancelled' - customer left the queue
+      // 'expired' - slot passed or was removed before a place freed up
+    },
+    promotedBookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+    },
+    promotedAt: {
+      type: Date,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Compound indexes
+waitlistSchema.index({ slotId: 1, status: 1, createdAt: 1 }); // FIFO lookup
+waitlistSchema.index({ customerId: 1, status: 1 });
+// A customer can only wait once per slot
+waitlistSchema.index(
+  { slotId: 1, customerId: 1 },
+  { unique: true, partialFilterExpression: { status: 'waiting' } }
+);
+
+module.exports = {
+  schema: waitlistSchema,
+};
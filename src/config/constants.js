@@ -33,10 +33,40 @@ module.exports = {
   // Invoice Status
   INVOICE_STATUS: {
     PENDING: 'pending',
+    PARTIALLY_PAID: 'partially_paid',
     PAID: 'paid',
+    PARTIALLY_REFUNDED: 'partially_refunded',
+    REFUNDED: 'refunded',
+    VOID: 'void',
     CANCELLED: 'cancelled',
   },
 
+  // Default shop invoice numbering, e.g. INV-2026-000001 (overridable per shop in ShopSettings)
+  INVOICE_NUMBERING: {
+    PREFIX: 'INV',
+    CREDIT_NOTE_PREFIX: 'CN',
+    INCLUDE_FISCAL_YEAR: true,
+    FISCAL_YEAR_START_MONTH: 1, // 1 = January; 4 gives fiscal years like 2026-27
+    PADDING: 6,
+    RESET_EVERY_FISCAL_YEAR: true,
+  },
+
+  // Shop Tax Rules
+  TAX: {
+    PRICING: {
+      EXCLUSIVE: 'exclusive', // Tax is added on top of prices
+      INCLUSIVE: 'inclusive', // Prices already include tax
+    },
+    EXEMPT_CATEGORY: 'exempt', // Service tax category that is never taxed
+  },
+
+  // Invoice PDF Layouts (A4 page or thermal receipt roll width)
+  INVOICE_LAYOUT: {
+    A4: 'a4',
+    THERMAL_80: '80mm',
+    THERMAL_58: '58mm',
+  },
+
   // Slot Status
   SLOT_STATUS: {
     AVAILABLE: 'available',
@@ -44,10 +74,120 @@ module.exports = {
     FULL: 'full',
   },
 
+  // Waitlist Status
+  WAITLIST_STATUS: {
+    WAITING: 'waiting',
+    PROMOTED: 'promoted',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'expired',
+  },
+
+  // Booking Notification Types
+  NOTIFICATION_TYPE: {
+    CONFIRMATION: 'confirmation',
+    CANCELLATION: 'cancellation',
+    REMINDER: 'reminder',
+  },
+
+  // Subscription Plans (limits and features per plan live in config/plans.js)
+  SUBSCRIPTION_PLAN: {
+    BASIC: 'basic',
+    PREMIUM: 'premium',
+    ENTERPRISE: 'enterprise',
+  },
+
+  // Subscription Lifecycle
+  SUBSCRIPTION_STATUS: {
+    ACTIVE: 'active',
+    GRACE: 'grace', // Expired, read-only for the client admin
+    SUSPENDED: 'suspended', // Grace period over, no back office or online booking
+    CANCELLED: 'cancelled', // Cancelled by the super admin, reactivated by a payment
+  },
+  SUBSCRIPTION_GRACE_DAYS: parseInt(process.env.SUBSCRIPTION_GRACE_DAYS) || 7,
+
+  // Free Trial (self sign-up); the plan's features are unlocked until the trial ends
+  TRIAL: {
+    DAYS: parseInt(process.env.TRIAL_DAYS) || 14,
+    PLAN: process.env.TRIAL_PLAN || 'premium',
+  },
+
+  // Days a deleted client's database is kept (and can be restored) before it is dropped
+  TENANT_DELETION_RETENTION_DAYS: parseInt(process.env.TENANT_DELETION_RETENTION_DAYS) || 30,
+
+  // Subscription Invoice Status
+  SUBSCRIPTION_INVOICE_STATUS: {
+    OPEN: 'open',
+    PARTIALLY_PAID: 'partially_paid',
+    PAID: 'paid',
+    VOID: 'void',
+  },
+
+  // Platform Billing (subscription invoices and receipts)
+  BILLING: {
+    CURRENCY: process.env.BILLING_CURRENCY || 'USD',
+    INVOICE_DUE_DAYS: parseInt(process.env.BILLING_INVOICE_DUE_DAYS) || 7,
+  },
+
+  // Plan Features
+  PLAN_FEATURES: {
+    OFFERS: 'offers',
+    MULTI_STAFF_BOOKING: 'multi_staff_booking',
+    REPORTS: 'reports',
+    CUSTOM_ROLES: 'custom_roles',
+  },
+
+  // Booking Series Frequency
+  SERIES_FREQUENCY: {
+    WEEKLY: 'weekly',
+    MONTHLY_WEEKDAY: 'monthly_weekday',
+  },
+
+  // Booking Series Status
+  SERIES_STATUS: {
+    ACTIVE: 'active',
+    CANCELLED: 'cancelled',
+  },
+
+  // Booking Series Occurrence Status
+  SERIES_OCCURRENCE_STATUS: {
+    BOOKED: 'booked',
+    CONFLICT: 'conflict',
+    CANCELLED: 'cancelled',
+  },
+
   // Default Values
   DEFAULT_SLOT_DURATION: parseInt(process.env.DEFAULT_SLOT_DURATION_MINUTES) || 30,
   BOOKING_ADVANCE_DAYS: parseInt(process.env.BOOKING_ADVANCE_DAYS) || 7,
   NO_SHOW_TIMEOUT_MINUTES: parseInt(process.env.NO_SHOW_TIMEOUT_MINUTES) || 5,
+  SERIES_MAX_OCCURRENCES: parseInt(process.env.SERIES_MAX_OCCURRENCES) || 26,
+  SERIES_MAX_HORIZON_DAYS: parseInt(process.env.SERIES_MAX_HORIZON_DAYS) || 365,
+
+  // One-time Codes
+  OTP_EXPIRE_MINUTES: 10,
+  OTP_MAX_ATTEMPTS: parseInt(process.env.OTP_MAX_ATTEMPTS) || 5,
+  OTP_MAX_REQUESTS_PER_HOUR: parseInt(process.env.OTP_MAX_REQUESTS_PER_HOUR) || 3,
+  OTP_LOCKOUT_MINUTES: parseInt(process.env.OTP_LOCKOUT_MINUTES) || 15,
+
+  // Authentication Sessions
+  ACCESS_TOKEN_EXPIRE: process.env.JWT_EXPIRE || '15m',
+  REFRESH_TOKEN_EXPIRE_DAYS: parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30,
+
+  // Role permissions are cached per process; edits apply immediately on the same process
+  ROLE_CACHE_TTL_SECONDS: parseInt(process.env.ROLE_CACHE_TTL_SECONDS) || 60,
+
+  // Email Delivery
+  EMAIL: {
+    TRANSPORT: process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console'),
+    FROM: process.env.EMAIL_FROM || 'BookACut <no-reply@bookacut.com>',
+    FILE_DIR: process.env.EMAIL_FILE_DIR || 'tmp/emails',
+    MAX_ATTEMPTS: parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 3,
+    RETRY_DELAY_MS: parseInt(process.env.EMAIL_RETRY_DELAY_MS) || 1000,
+  },
+
+  // SMS Delivery
+  SMS: {
+    TRANSPORT: process.env.SMS_TRANSPORT || 'console',
+  },
 
   // Working Hours Default
   DEFAULT_WORKING_HOURS: {
@@ -74,6 +214,7 @@ module.exports = {
     MARK_NO_SHOW: 'mark_no_show',
     COMPLETE_SERVICE: 'complete_service',
     GENERATE_INVOICE: 'generate_invoice',
+    REFUND_INVOICE: 'refund_invoice', // Not in the default staff role, grant through a custom role
 
     // Customer Permissions
     VIEW_SERVICES: 'view_services',
@@ -0,0 +1,54 @@
+const { SUBSCRIPTION_PLAN, PLAN_FEATURES } = require('./constants');
+
+/**
+ * Subscription Plans
+ * Single source of truth for what each plan includes
+ * monthlyPrice: list price per month in BILLING.CURRENCY, used for subscription invoices
+ * Limits: null = unlimited. maxShops / maxStaff set on a ClientAdmin override the plan's limits
+ */
+const PLANS = {
+  [SUBSCRIPTION_PLAN.BASIC]: {
+    name: 'Basic',
+    monthlyPrice: 29,
+    limits: {
+      maxShops: 1,
+      maxStaff: 5,
+    },
+    features: [],
+  },
+  [SUBSCRIPTION_PLAN.PREMIUM]: {
+    name: 'Premium',
+    monthlyPrice: 79,
+    limits: {
+      maxShops: 5,
+      maxStaff: 25,
+    },
+    features: [
+      PLAN_FEATURES.OFFERS,
+      PLAN_FEATURES.MULTI_STAFF_BOOKING,
+      PLAN_FEATURES.REPORTS,
+    ],
+  },
+  [SUBSCRIPTION_PLAN.ENTERPRISE]: {
+    name: 'Enterprise',
+    monthlyPrice: 199,
+    limits: {
+      maxShops: null,
+      maxStaff: null,
+    },
+    features: Object.values(PLAN_FEATURES),
+  },
+};
+
+// Human readable feature names for error messages
+const FEATURE_NAMES = {
+  [PLAN_FEATURES.OFFERS]: 'offers and promo codes',
+  [PLAN_FEATURES.MULTI_STAFF_BOOKING]: 'multi-service bookings shared between staff',
+  [PLAN_FEATURES.REPORTS]: 'dashboard and reports',
+  [PLAN_FEATURES.CUSTOM_ROLES]: 'custom staff roles',
+};
+
+module.exports = {
+  PLANS,
+  FEATURE_NAMES,
+};
@@ -1,12 +1,16 @@
 const connectionManager = require('../database/connectionManager');
-const { getPlatformAdminModel } = require('../platform/models/PlatformAdmin');
-const { getClientAdminModel } = require('../platform/models/ClientAdmin');
+const { getModel: getPlatformAdminModel } = require('../platform/models/PlatformAdmin');
+const { getModel: getClientAdminModel } = require('../platform/models/ClientAdmin');
 const { getModel } = require('../database/modelFactory');
 const userSchema = require('../client/models/User').schema;
 const roleSchema = require('../client/models/Role').schema;
-const jwt = require('jsonwebtoken');
-const { AuthenticationError, ValidationError, NotFoundError } = require('../utils/errors');
-const { ROLES, PERMISSIONS } = require('../config/constants');
+const sessionService = require('../services/sessionService');
+const passwordResetService = require('../services/passwordResetService');
+const customerAuthService = require('../services/customerAuthService');
+const twoFactorService = require('../services/twoFactorService');
+const onboardingService = require('../services/onboardingService');
+const { AuthenticationError, AuthorizationError, ValidationError, NotFoundError } = require('../utils/errors');
+const { PERMISSIONS } = require('../config/constants');
 
 /**
  * Auth Controller
@@ -14,32 +18,96 @@ const { ROLES, PERMISSIONS } = require('../config/constants');
  */
 class AuthController {
   /**
-   * Generate JWT Token
-   * Includes databaseName and role in token payload
+   * Issue a session and send the login response
+   * Shared by password login and the two-factor steps; last login is only recorded
+   * here, once any second factor has been passed
+   * @param {Object} identity - { userId, role, databaseName } (databaseName null for platform admins)
+   * @param {Object} extra - Additional response fields
    */
-  generateToken(userId, role, databaseName = null) {
-    const payload = {
-      id: userId,
-      role: role,
-    };
+  async sendLoginResponse(req, res, identity, deviceName, extra = {}) {
+    const { userId, role, databaseName } = identity;
+    let user;
+
+    if (role === 'platform_super_admin') {
+      const PlatformAdmin = getPlatformAdminModel();
+      const platformAdmin = await PlatformAdmin.findById(userId);
+      await PlatformAdmin.updateOne({ _id: userId }, { lastLogin: new Date() });
+
+      user = {
+        id: platformAdmin._id,
+        email: platformAdmin.email,
+        firstName: platformAdmin.firstName,
+        lastName: platformAdmin.lastName,
+        role: 'platform_super_admin',
+        databaseName: 'platform_db',
+        permissions: Object.values(PERMISSIONS), // Platform admin has all permissions
+      };
+    } else {
+      const User = await getModel(databaseName, 'User', userSchema);
+      const clientUser = await User.findById(userId);
+      await User.updateOne({ _id: userId }, { lastLogin: new Date() });
+
+      // Get role permissions
+      const Role = await getModel(databaseName, 'Role', roleSchema);
+      let clientRole = null;
+      if (clientUser.roleId) {
+        clientRole = await Role.findById(clientUser.roleId);
+      } else {
+        clientRole = await Role.findOne({ name: clientUser.role });
+      }
 
-    // Include databaseName for client users
-    if (databaseName) {
-      payload.databaseName = databaseName;
+      user = {
+        id: clientUser._id,
+        email: clientUser.email,
+        firstName: clientUser.firstName,
+        lastName: clientUser.lastName,
+        role: clientUser.role,
+        databaseName,
+        permissions: clientRole?.permissions || [],
+      };
     }
 
-    return jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRE || '7d',
+    const { token, refreshToken } = await sessionService.createSession(userId, role, databaseName, req, deviceName);
+
+    res.json({
+      success: true,
+      token,
+      refreshToken,
+      ...extra,
+      user,
     });
   }
 
+  /**
+   * Stop login at the two-factor step when the admin has 2FA enabled (or must enrol)
+   * @returns {Promise<boolean>} True if a challenge was sent instead of tokens
+   */
+  async sendTwoFactorChallenge(res, identity) {
+    const requirement = await twoFactorService.getLoginRequirement(identity);
+
+    if (!requirement) {
+      return false;
+    }
+
+    res.json({
+      success: true,
+      twoFactorRequired: requirement === 'verify',
+      twoFactorSetupRequired: requirement === 'setup',
+      twoFactorToken: twoFactorService.signChallenge(identity, requirement),
+    });
+
+    return true;
+  }
+
   /**
    * Login
    * Supports both platform admin and client user login
+   * Returns a short-lived access token and a refresh token for a new session,
+   * or a two-factor challenge for admins with 2FA
    */
   async login(req, res, next) {
     try {
-      const { email, password } = req.body;
+      const { email, password, deviceName } = req.body;
 
       if (!email || !password) {
         throw new ValidationError('Email and password are required');
@@ -61,26 +129,18 @@ class AuthController {
           throw new AuthenticationError('Account is inactive');
         }
 
-        // Update last login
-        platformAdmin.lastLogin = new Date();
-        await platformAdmin.save();
+        const identity = {
+          userId: platformAdmin._id,
+          role: 'platform_super_admin',
+          email: platformAdmin.email,
+          databaseName: null,
+        };
 
-        // Generate token with platform admin role
-        const token = this.generateToken(platformAdmin._id, 'platform_super_admin');
+        if (await this.sendTwoFactorChallenge(res, identity)) {
+          return;
+        }
 
-        res.json({
-          success: true,
-          token,
-          user: {
-            id: platformAdmin._id,
-            email: platformAdmin.email,
-            firstName: platformAdmin.firstName,
-            lastName: platformAdmin.lastName,
-            role: 'platform_super_admin',
-            databaseName: 'platform_db',
-            permissions: Object.values(PERMISSIONS), // Platform admin has all permissions
-          },
-        });
+        await this.sendLoginResponse(req, res, identity, deviceName);
         return;
       }
 
@@ -120,35 +180,18 @@ class AuthController {
         throw new AuthenticationError('Invalid credentials');
       }
 
-      // Update last login
-      user.lastLogin = new Date();
-      await user.save();
+      const identity = {
+        userId: user._id,
+        role: user.role,
+        email: user.email,
+        databaseName: clientAdminRecord.databaseName,
+      };
 
-      // Get role permissions
-      const Role = await getModel(clientAdminRecord.databaseName, 'Role', roleSchema);
-      let role = null;
-      if (user.roleId) {
-        role = await Role.findById(user.roleId);
-      } else {
-        role = await Role.findOne({ name: user.role });
+      if (await this.sendTwoFactorChallenge(res, identity)) {
+        return;
       }
 
-      // Generate token with databaseName
-      const token = this.generateToken(user._id, user.role, clientAdminRecord.databaseName);
-
-      res.json({
-        success: true,
-        token,
-        user: {
-          id: user._id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          role: user.role,
-          databaseName: clientAdminRecord.databaseName,
-          permissions: role?.permissions || [],
-        },
-      });
+      await this.sendLoginResponse(req, res, identity, deviceName);
     } catch (error) {
       next(error);
     }
@@ -172,64 +215,175 @@ class AuthController {
         throw new NotFoundError('Client database');
       }
 
-      // Get connection to client database
-      const clientDb = await connectionManager.getDb(databaseName);
+      // Create customer (same path as first OTP login)
+      let user;
+      try {
+        user = await customerAuthService.createCustomerAccount(databaseName, {
+          email,
+          password,
+          phone,
+          firstName,
+          lastName,
+        });
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
 
-      // Get models from client database
-      const User = await getModel(databaseName, 'User', userSchema);
-      const Role = await getModel(databaseName, 'Role', roleSchema);
+      // Start session
+      const { token, refreshToken } = await sessionService.createSession(user._id, user.role, databaseName, req);
+
+      res.status(201).json({
+        success: true,
+        token,
+        refreshToken,
+        user: {
+          id: user._id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          role: user.role,
+          databaseName: databaseName,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      // Check if user already exists
-      const existingUser = await User.findOne({ email: email.toLowerCase() });
+  /**
+   * Sign Up (client admins)
+   * Sends a code to verify the email of a new business
+   */
+  async requestSignup(req, res, next) {
+    try {
+      const { email } = req.body;
 
-      if (existingUser) {
-        throw new ValidationError('User already exists');
+      let result;
+      try {
+        result = await onboardingService.requestSignup(email);
+      } catch (error) {
+        throw new ValidationError(error.message);
       }
 
-      // Get customer role
-      let role = await Role.findOne({ name: ROLES.CUSTOMER });
+      res.json({
+        success: true,
+        message: 'Verification code sent to your email',
+        // In development, return OTP for testing
+        otp: result.otp,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      // Create customer role if doesn't exist
-      if (!role) {
-        role = await Role.create({
-          name: ROLES.CUSTOMER,
-          permissions: [
-            PERMISSIONS.VIEW_SERVICES,
-            PERMISSIONS.VIEW_SLOTS,
-            PERMISSIONS.BOOK_SLOT,
-            PERMISSIONS.VIEW_BOOKING_HISTORY,
-            PERMISSIONS.CANCEL_BOOKING,
-          ],
-          isSystemRole: true,
-        });
+  /**
+   * Complete Sign Up (client admins)
+   * Verifies the code, creates the client database on a free trial and logs the new admin in
+   */
+  async completeSignup(req, res, next) {
+    try {
+      const { email, code, password, firstName, lastName, phone, deviceName } = req.body;
+
+      let result;
+      try {
+        result = await onboardingService.completeSignup({ email, code, password, firstName, lastName, phone });
+      } catch (error) {
+        throw new ValidationError(error.message);
       }
 
-      // Create user
-      const user = await User.create({
-        email: email.toLowerCase(),
-        password,
-        phone,
-        firstName,
-        lastName,
-        role: ROLES.CUSTOMER,
-        roleId: role._id,
-        bookingType: 'online',
-        isActive: true,
+      const { databaseName, clientAdmin, adminUser } = result;
+      const identity = {
+        userId: adminUser._id,
+        role: adminUser.role,
+        email: adminUser.email,
+        databaseName,
+      };
+
+      res.status(201);
+
+      if (await this.sendTwoFactorChallenge(res, identity)) {
+        return;
+      }
+
+      await this.sendLoginResponse(req, res, identity, deviceName, {
+        trial: {
+          plan: clientAdmin.subscriptionPlan,
+          endsAt: clientAdmin.trialEndsAt,
+        },
       });
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      // Generate token
-      const token = this.generateToken(user._id, user.role, databaseName);
+  /**
+   * Request Login Code (customers)
+   * Sends a one-time code to an email or phone number for passwordless login/sign-up
+   */
+  async requestLoginCode(req, res, next) {
+    try {
+      const { databaseName, email, phone } = req.body;
 
-      res.status(201).json({
+      let result;
+      try {
+        result = await customerAuthService.requestLoginCode(databaseName, email ? { email } : { phone });
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+
+      res.json({
+        success: true,
+        message: `Code sent to your ${email ? 'email' : 'phone'}`,
+        // In development, return OTP for testing
+        otp: result.otp,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Verify Login Code (customers)
+   * Logs the customer in; the account is created on first login
+   */
+  async verifyLoginCode(req, res, next) {
+    try {
+      const { databaseName, email, phone, code, firstName, lastName, deviceName } = req.body;
+
+      let result;
+      try {
+        result = await customerAuthService.verifyLoginCode(
+          databaseName,
+          email ? { email } : { phone },
+          code,
+          { email, phone, firstName, lastName }
+        );
+      } catch (error) {
+        throw new AuthenticationError(error.message);
+      }
+
+      const { user, isNewAccount } = result;
+      const { token, refreshToken } = await sessionService.createSession(
+        user._id,
+        user.role,
+        databaseName,
+        req,
+        deviceName
+      );
+
+      res.status(isNewAccount ? 201 : 200).json({
         success: true,
         token,
+        refreshToken,
+        isNewAccount,
         user: {
           id: user._id,
           email: user.email,
+          phone: user.phone,
           firstName: user.firstName,
           lastName: user.lastName,
           role: user.role,
-          databaseName: databaseName,
+          databaseName,
         },
       });
     } catch (error) {
@@ -291,6 +445,336 @@ class AuthController {
       next(error);
     }
   }
+
+  /**
+   * Forgot Password
+   * Emails a reset code; the response is the same whether or not the account exists
+   * Customers pass the databaseName of their shop
+   */
+  async forgotPassword(req, res, next) {
+    try {
+      const { email, databaseName } = req.body;
+
+      let result;
+      try {
+        result = await passwordResetService.requestReset(email, databaseName);
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+
+      res.json({
+        success: true,
+        message: 'If an account exists for this email, a reset code has been sent',
+        // In development, return OTP for testing
+        otp: result.otp,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reset Password
+   * Sets a new password with the emailed code and revokes all sessions
+   */
+  async resetPassword(req, res, next) {
+    try {
+      const { email, code, password, databaseName } = req.body;
+
+      try {
+        await passwordResetService.resetPassword(email, code, password, databaseName);
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+
+      res.json({
+        success: true,
+        message: 'Password reset successfully. Please log in with your new password',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Identity for 2FA management: the logged-in admin, or a login waiting for enrolment
+   */
+  getTwoFactorIdentity(req) {
+    if (req.body.twoFactorToken) {
+      const identity = twoFactorService.verifyChallenge(req.body.twoFactorToken, 'setup');
+
+      if (!identity) {
+        throw new AuthenticationError('Two-factor session expired, please log in again');
+      }
+
+      return identity;
+    }
+
+    if (!req.user) {
+      throw new AuthenticationError('User not authenticated');
+    }
+
+    if (!twoFactorService.isEligible(req.user.role)) {
+      throw new AuthorizationError('Two-factor authentication is only available to admins');
+    }
+
+    return {
+      userId: req.user._id,
+      role: req.user.role,
+      email: req.user.email,
+      databaseName: req.user.role === 'platform_super_admin' ? null : req.user.databaseName,
+    };
+  }
+
+  /**
+   * Verify Two-Factor Code (second login step)
+   * Accepts an authenticator code or a one-time recovery code
+   */
+  async verifyTwoFactor(req, res, next) {
+    try {
+      const { twoFactorToken, code, recoveryCode, deviceName } = req.body;
+
+      const identity = twoFactorService.verifyChallenge(twoFactorToken, 'verify');
+
+      if (!identity) {
+        throw new AuthenticationError('Two-factor session expired, please log in again');
+      }
+
+      let result;
+      try {
+        result = await twoFactorService.verify(identity, { code, recoveryCode });
+      } catch (error) {
+        throw new AuthenticationError(error.message);
+      }
+
+      await this.sendLoginResponse(req, res, identity, deviceName, {
+        recoveryCodesLeft: result.recoveryCodesLeft,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get Two-Factor Status
+   */
+  async getTwoFactorStatus(req, res, next) {
+    try {
+      const status = await twoFactorService.getStatus(this.getTwoFactorIdentity(req));
+
+      res.json({
+        success: true,
+        twoFactor: status,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Start Two-Factor Setup
+   * Returns the secret and provisioning URI for the authenticator app
+   */
+  async setupTwoFactor(req, res, next) {
+    try {
+      const identity = this.getTwoFactorIdentity(req);
+
+      let enrolment;
+      try {
+        enrolment = await twoFactorService.beginEnrolment(identity);
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+
+      res.json({
+        success: true,
+        ...enrolment,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Enable Two-Factor
+   * Confirms setup with a first code and returns recovery codes (shown once)
+   * When enrolment was forced at login, the login is completed too
+   */
+  async enableTwoFactor(req, res, next) {
+    try {
+      const { code, twoFactorToken, deviceName } = req.body;
+      const identity = this.getTwoFactorIdentity(req);
+
+      let recoveryCodes;
+      try {
+        recoveryCodes = await twoFactorService.confirmEnrolment(identity, code);
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+
+      if (twoFactorToken) {
+        await this.sendLoginResponse(req, res, identity, deviceName, { recoveryCodes });
+        return;
+      }
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        recoveryCodes,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Disable Two-Factor
+   */
+  async disableTwoFactor(req, res, next) {
+    try {
+      const { code, recoveryCode } = req.body;
+
+      try {
+        await twoFactorService.disable(this.getTwoFactorIdentity(req), { code, recoveryCode });
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Regenerate Recovery Codes
+   */
+  async regenerateRecoveryCodes(req, res, next) {
+    try {
+      const { code } = req.body;
+
+      let recoveryCodes;
+      try {
+        recoveryCodes = await twoFactorService.regenerateRecoveryCodes(this.getTwoFactorIdentity(req), code);
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+
+      res.json({
+        success: true,
+        recoveryCodes,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Refresh Tokens
+   * Rotates the refresh token; an already used refresh token revokes the session
+   */
+  async refreshToken(req, res, next) {
+    try {
+      const { refreshToken } = req.body;
+
+      const result = await sessionService.refreshSession(refreshToken, req);
+
+      if (!result) {
+        throw new AuthenticationError('Invalid or expired refresh token');
+      }
+
+      res.json({
+        success: true,
+        token: result.token,
+        refreshToken: result.refreshToken,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get My Sessions
+   */
+  async getSessions(req, res, next) {
+    try {
+      const sessions = await sessionService.getUserSessions(req.user.databaseName, req.user._id);
+
+      res.json({
+        success: true,
+        sessions: sessions.map((session) => ({
+          id: session._id,
+          deviceName: session.deviceName,
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session._id.toString() === req.sessionId.toString(),
+        })),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke One of My Sessions (e.g. a lost device)
+   */
+  async revokeSession(req, res, next) {
+    try {
+      const { sessionId } = req.params;
+
+      try {
+        await sessionService.revokeSession(req.user.databaseName, req.user._id, sessionId);
+      } catch (error) {
+        throw new NotFoundError('Session');
+      }
+
+      res.json({
+        success: true,
+        message: 'Session revoked',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Logout (current session)
+   */
+  async logout(req, res, next) {
+    try {
+      await sessionService.revokeSession(req.user.databaseName, req.user._id, req.sessionId, 'logout');
+
+      res.json({
+        success: true,
+        message: 'Logged out',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Logout All (every session of the user, including the current one)
+   */
+  async logoutAll(req, res, next) {
+    try {
+      const revoked = await sessionService.revokeAllSessions(req.user.databaseName, req.user._id);
+
+      res.json({
+        success: true,
+        message: 'Logged out of all sessions',
+        revoked,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new AuthController();
@@ -9,7 +9,17 @@ const bookingSchema = require('../client/models/Booking').schema;
 const invoiceSchema = require('../client/models/Invoice').schema;
 const slotService = require('../services/slotService');
 const slotBlockingService = require('../services/slotBlockingService');
+const waitlistService = require('../services/waitlistService');
+const staffScheduleService = require('../services/staffScheduleService');
+const offerService = require('../services/offerService');
 const invoiceService = require('../services/invoiceService');
+const sessionService = require('../services/sessionService');
+const roleService = require('../services/roleService');
+const entitlementService = require('../services/entitlementService');
+const billingService = require('../services/billingService');
+const onboardingService = require('../services/onboardingService');
+const dataPrivacyService = require('../services/dataPrivacyService');
+const billingDocuments = require('../utils/billingDocuments');
 const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
 const { ROLES, PERMISSIONS } = require('../config/constants');
 
@@ -18,8 +28,214 @@ const { ROLES, PERMISSIONS } = require('../config/constants');
  * Handles shop management, staff management, and admin operations
  */
 class ClientAdminController {
+  /**
+   * Get Subscription Plan with Usage
+   * Limits, included features, how much of each limit is used and the subscription status
+   */
+  async getPlanUsage(req, res, next) {
+    try {
+      const plan = await entitlementService.getSummary(req.user.databaseName);
+
+      res.json({
+        success: true,
+        plan,
+        subscription: req.subscription,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get Onboarding Checklist
+   * First shop, services, staff and working hours, plus the trial countdown
+   */
+  async getOnboarding(req, res, next) {
+    try {
+      const onboarding = await onboardingService.getChecklist(req.user.databaseName);
+
+      res.json({
+        success: true,
+        onboarding,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get Subscription Billing
+   * Account balance and subscription invoices
+   */
+  async getBilling(req, res, next) {
+    try {
+      const { status, page, limit } = req.query;
+      const client = await entitlementService.getClient(req.user.databaseName);
+
+      const [summary, result] = await Promise.all([
+        billingService.getAccountSummary(client),
+        billingService.getInvoices(client, { status, page, limit }),
+      ]);
+
+      res.json({
+        success: true,
+        summary,
+        ...result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get Subscription Invoice with its payments
+   */
+  async getSubscriptionInvoice(req, res, next) {
+    try {
+      const client = await entitlementService.getClient(req.user.databaseName);
+      const result = await billingService.getInvoice(client, req.params.invoiceId);
+
+      if (!result) {
+        throw new NotFoundError('Invoice');
+      }
+
+      res.json({
+        success: true,
+        ...result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download Subscription Invoice (printable HTML)
+   */
+  async downloadSubscriptionInvoice(req, res, next) {
+    try {
+      const client = await entitlementService.getClient(req.user.databaseName);
+      const result = await billingService.getInvoice(client, req.params.invoiceId);
+
+      if (!result) {
+        throw new NotFoundError('Invoice');
+      }
+
+      res.set('Content-Disposition', `attachment; filename="${result.invoice.invoiceNumber}.html"`);
+      res.type('html').send(billingDocuments.renderInvoice(result.invoice, client, result.payments));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get Subscription Payments
+   */
+  async getSubscriptionPayments(req, res, next) {
+    try {
+      const { page, limit } = req.query;
+      const client = await entitlementService.getClient(req.user.databaseName);
+      const result = await billingService.getPayments(client, { page, limit });
+
+      res.json({
+        success: true,
+        ...result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download Payment Receipt (printable HTML)
+   */
+  async downloadSubscriptionReceipt(req, res, next) {
+    try {
+      const client = await entitlementService.getClient(req.user.databaseName);
+      const result = await billingService.getPayment(client, req.params.paymentId);
+
+      if (!result) {
+        throw new NotFoundError('Payment');
+      }
+
+      res.set('Content-Disposition', `attachment; filename="${result.payment.receiptNumber}.html"`);
+      res.type('html').send(billingDocuments.renderReceipt(result.payment, result.invoice, client));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Export Client Data
+   * Zip of the whole client database (JSON, plus CSV for shops, users, services, bookings and invoices)
+   */
+  async exportData(req, res, next) {
+    try {
+      const client = await entitlementService.getClient(req.user.databaseName);
+      const { filename, buffer } = await dataPrivacyService.exportClientDatabase(client);
+
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      res.type('application/zip').send(buffer);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Export Customer Data
+   * Everything stored about one customer (profile, bookings, invoices, credit notes, waitlist, series, sessions)
+   */
+  async exportCustomerData(req, res, next) {
+    try {
+      let data;
+      try {
+        data = await dataPrivacyService.exportCustomer(req.user.databaseName, req.params.userId);
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+
+      if (!data) {
+        throw new NotFoundError('Customer');
+      }
+
+      res.json({
+        success: true,
+        data,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Erase Customer Data
+   * Anonymises the customer; bookings, invoices and their totals are kept
+   */
+  async eraseCustomerData(req, res, next) {
+    try {
+      let result;
+      try {
+        result = await dataPrivacyService.eraseCustomer(req.user.databaseName, req.params.userId);
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+
+      if (!result) {
+        throw new NotFoundError('Customer');
+      }
+
+      res.json({
+        success: true,
+        message: 'Customer data erased',
+        result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Create Shop
+   * Shop limit is enforced by checkShopLimit
    */
   async createShop(req, res, next) {
     try {
@@ -30,15 +246,6 @@ class ClientAdminController {
         throw new ValidationError('Shop name and phone are required');
       }
 
-      // Check shop limit
-      const Tenant = require('../models/Tenant');
-      const tenant = await Tenant.findById(tenantId);
-      const shopCount = await Shop.countDocuments({ tenantId, isActive: true });
-
-      if (shopCount >= tenant.maxShops) {
-        throw new ValidationError(`Maximum shop limit (${tenant.maxShops}) reached`);
-      }
-
       // Create shop with default working hours if not provided
       const defaultWorkingHours = {
         monday: { start: '09:00', end: '18:00', isOpen: true },
@@ -57,6 +264,7 @@ class ClientAdminController {
         phone,
         email,
         workingHours: workingHours || defaultWorkingHours,
+        workingHoursSetAt: workingHours ? new Date() : undefined,
         slotDuration: slotDuration || 30,
         isActive: true,
       });
@@ -92,6 +300,9 @@ class ClientAdminController {
       }
 
       Object.assign(shop, updates);
+      if (updates.workingHours) {
+        shop.workingHoursSetAt = new Date();
+      }
       await shop.save();
 
       res.json({
@@ -166,6 +377,9 @@ class ClientAdminController {
       // Check if user already exists
       let user = await User.findOne({ email, tenantId });
 
+      // New staff members need a free seat on the plan
+      await entitlementService.assertCanAddStaff(req.user.databaseName, user?._id);
+
       if (!user) {
         // Get or create staff role
         let role = await Role.findOne({
@@ -226,7 +440,7 @@ class ClientAdminController {
           await existingStaff.save();
 
           // Update slot capacities
-          await slotService.updateSlotCapacity(tenantId, shopId, new Date());
+          await slotService.updateSlotCapacity(req.user.databaseName, shopId, new Date());
 
           return res.json({
             success: true,
@@ -247,7 +461,7 @@ class ClientAdminController {
       });
 
       // Update slot capacities
-      await slotService.updateSlotCapacity(tenantId, shopId, new Date());
+      await slotService.updateSlotCapacity(req.user.databaseName, shopId, new Date());
 
       res.status(201).json({
         success: true,
@@ -301,8 +515,11 @@ class ClientAdminController {
       staff.leftAt = new Date();
       await staff.save();
 
+      // Sign the former staff member out everywhere
+      await sessionService.revokeAllSessions(req.user.databaseName, staff.userId, 'user_deactivated');
+
       // Update slot capacities
-      await slotService.updateSlotCapacity(tenantId, shopId, new Date());
+      await slotService.updateSlotCapacity(req.user.databaseName, shopId, new Date());
 
       res.json({
         success: true,
@@ -438,7 +655,7 @@ class ClientAdminController {
   async createService(req, res, next) {
     try {
       const { shopId } = req.params;
-      const { name, description, category, duration, price } = req.body;
+      const { name, description, category, duration, price, taxCategory } = req.body;
       const tenantId = req.tenantId;
 
       if (!name || !duration || !price) {
@@ -453,6 +670,7 @@ class ClientAdminController {
         category,
         duration,
         price,
+        taxCategory,
         isActive: true,
       });
 
@@ -484,6 +702,100 @@ class ClientAdminController {
     }
   }
 
+  /**
+   * Create Offer
+   */
+  async createOffer(req, res, next) {
+    try {
+      const { shopId } = req.params;
+
+      const offer = await offerService.createOffer(req.user.databaseName, shopId, req.body);
+
+      res.status(201).json({
+        success: true,
+        offer,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get Shop Offers
+   */
+  async getShopOffers(req, res, next) {
+    try {
+      const { shopId } = req.params;
+      const { isActive } = req.query;
+
+      const offers = await offerService.getShopOffers(req.user.databaseName, shopId, {
+        isActive: isActive !== undefined ? isActive === 'true' : undefined,
+      });
+
+      res.json({
+        success: true,
+        offers,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get Offer
+   */
+  async getOffer(req, res, next) {
+    try {
+      const { shopId, offerId } = req.params;
+
+      const offer = await offerService.getOffer(req.user.databaseName, shopId, offerId);
+
+      res.json({
+        success: true,
+        offer,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update Offer
+   */
+  async updateOffer(req, res, next) {
+    try {
+      const { shopId, offerId } = req.params;
+
+      const offer = await offerService.updateOffer(req.user.databaseName, shopId, offerId, req.body);
+
+      res.json({
+        success: true,
+        offer,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Deactivate Offer
+   */
+  async deleteOffer(req, res, next) {
+    try {
+      const { shopId, offerId } = req.params;
+
+      const offer = await offerService.deactivateOffer(req.user.databaseName, shopId, offerId);
+
+      res.json({
+        success: true,
+        message: 'Offer deactivated successfully',
+        offer,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Update Shop Settings
    */
@@ -652,6 +964,26 @@ class ClientAdminController {
     }
   }
 
+  /**
+   * Get Slot Waitlist
+   */
+  async getSlotWaitlist(req, res, next) {
+    try {
+      const { shopId, slotId } = req.params;
+      const databaseName = req.user.databaseName;
+
+      const waitlist = await waitlistService.getSlotWaitlist(databaseName, shopId, slotId);
+
+      res.json({
+        success: true,
+        waitlist,
+        count: waitlist.length,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Reduce Slot Capacity
    */
@@ -659,13 +991,12 @@ class ClientAdminController {
     try {
       const { shopId, slotId } = req.params;
       const { capacity } = req.body;
-      const tenantId = req.tenantId;
 
       if (!capacity || capacity < 1) {
         throw new ValidationError('Valid capacity is required');
       }
 
-      const slot = await slotService.reduceSlotCapacity(tenantId, shopId, slotId, capacity);
+      const slot = await slotService.reduceSlotCapacity(req.user.databaseName, shopId, slotId, capacity);
 
       res.json({
         success: true,
@@ -683,14 +1014,13 @@ class ClientAdminController {
     try {
       const { shopId } = req.params;
       const { startDate, endDate } = req.body;
-      const tenantId = req.tenantId;
 
       if (!startDate || !endDate) {
         throw new ValidationError('Start date and end date are required');
       }
 
       const slots = await slotService.generateSlotsForDateRange(
-        tenantId,
+        req.user.databaseName,
         shopId,
         new Date(startDate),
         new Date(endDate)
@@ -706,6 +1036,301 @@ class ClientAdminController {
     }
   }
 
+  /**
+   * Get Roles
+   * System and custom roles with user counts, plus the permissions a custom role can grant
+   */
+  async getRoles(req, res, next) {
+    try {
+      const roles = await roleService.getRoles(req.user.databaseName);
+
+      res.json({
+        success: true,
+        roles,
+        assignablePermissions: roleService.getAssignablePermissions(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get Role
+   */
+  async getRole(req, res, next) {
+    try {
+      const role = await roleService.getRole(req.user.databaseName, req.params.roleId);
+
+      if (!role) {
+        throw new NotFoundError('Role');
+      }
+
+      res.json({
+        success: true,
+        role,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create Custom Role
+   */
+  async createRole(req, res, next) {
+    try {
+      let role;
+      try {
+        role = await roleService.createRole(req.user.databaseName, req.body);
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+
+      res.status(201).json({
+        success: true,
+        role,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update Custom Role
+   */
+  async updateRole(req, res, next) {
+    try {
+      let role;
+      try {
+        role = await roleService.updateRole(req.user.databaseName, req.params.roleId, req.body);
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+
+      if (!role) {
+        throw new NotFoundError('Role');
+      }
+
+      res.json({
+        success: true,
+        role,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete Custom Role
+   */
+  async deleteRole(req, res, next) {
+    try {
+      let role;
+      try {
+        role = await roleService.deleteRole(req.user.databaseName, req.params.roleId);
+      } catch (error) {
+        throw new ConflictError(error.message);
+      }
+
+      if (!role) {
+        throw new NotFoundError('Role');
+      }
+
+      res.json({
+        success: true,
+        message: 'Role deleted successfully',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Assign Role to Staff Member
+   */
+  async assignStaffRole(req, res, next) {
+    try {
+      const { userId } = req.params;
+      const { roleId } = req.body;
+
+      let user;
+      try {
+        user = await roleService.assignRole(req.user.databaseName, userId, roleId);
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+
+      if (!user) {
+        throw new NotFoundError('User or role');
+      }
+
+      res.json({
+        success: true,
+        message: 'Role assigned successfully',
+        user: {
+          id: user._id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          roleId: user.roleId,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get Staff Schedule
+   */
+  async getStaffSchedule(req, res, next) {
+    try {
+      const { shopId, staffId } = req.params;
+
+      const schedule = await staffScheduleService.getSchedule(req.user.databaseName, shopId, staffId);
+
+      res.json({
+        success: true,
+        schedule,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set Staff Weekly Schedule
+   */
+  async setStaffSchedule(req, res, next) {
+    try {
+      const { shopId, staffId } = req.params;
+      const { weeklyShifts } = req.body;
+
+      if (!weeklyShifts || typeof weeklyShifts !== 'object') {
+        throw new ValidationError('weeklyShifts is required');
+      }
+
+      const schedule = await staffScheduleService.setWeeklySchedule(req.user.databaseName, shopId, staffId, weeklyShifts);
+
+      res.json({
+        success: true,
+        message: 'Staff schedule updated successfully',
+        schedule,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set Staff Schedule Override for a date
+   */
+  async setStaffScheduleOverride(req, res, next) {
+    try {
+      const { shopId, staffId } = req.params;
+
+      const schedule = await staffScheduleService.setOverride(req.user.databaseName, shopId, staffId, req.body);
+
+      res.json({
+        success: true,
+        message: 'Schedule override saved successfully',
+        schedule,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove Staff Schedule Override for a date
+   */
+  async removeStaffScheduleOverride(req, res, next) {
+    try {
+      const { shopId, staffId, date } = req.params;
+
+      const schedule = await staffScheduleService.removeOverride(req.user.databaseName, shopId, staffId, date);
+
+      res.json({
+        success: true,
+        message: 'Schedule override removed successfully',
+        schedule,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get Leave Requests
+   */
+  async getLeaveRequests(req, res, next) {
+    try {
+      const { shopId } = req.params;
+      const { status, staffId } = req.query;
+
+      const leaveRequests = await staffScheduleService.getLeaveRequests(req.user.databaseName, shopId, { status, staffId });
+
+      res.json({
+        success: true,
+        leaveRequests,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Approve Leave Request
+   */
+  async approveLeave(req, res, next) {
+    try {
+      const { shopId, leaveId } = req.params;
+
+      const leaveRequest = await staffScheduleService.reviewLeave(
+        req.user.databaseName,
+        shopId,
+        leaveId,
+        req.user._id,
+        true,
+        req.body.note
+      );
+
+      res.json({
+        success: true,
+        message: 'Leave request approved',
+        leaveRequest,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reject Leave Request
+   */
+  async rejectLeave(req, res, next) {
+    try {
+      const { shopId, leaveId } = req.params;
+
+      const leaveRequest = await staffScheduleService.reviewLeave(
+        req.user.databaseName,
+        shopId,
+        leaveId,
+        req.user._id,
+        false,
+        req.body.note
+      );
+
+      res.json({
+        success: true,
+        message: 'Leave request rejected',
+        leaveRequest,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get Shop Dashboard Stats
    */
@@ -739,9 +1364,9 @@ class ClientAdminController {
         isActive: true,
       });
 
-      // Revenue stats
+      // Revenue stats (net of refunds)
       const revenueStats = await invoiceService.getRevenueStats(
-        tenantId,
+        req.user.databaseName,
         shopId,
         new Date(today.getFullYear(), today.getMonth(), 1),
         endOfDay
@@ -768,9 +1393,8 @@ class ClientAdminController {
     try {
       const { shopId } = req.params;
       const { status, startDate, endDate } = req.query;
-      const tenantId = req.tenantId;
 
-      const invoices = await invoiceService.getShopInvoices(tenantId, shopId, {
+      const invoices = await invoiceService.getShopInvoices(req.user.databaseName, shopId, {
         status,
         startDate,
         endDate,
@@ -784,6 +1408,124 @@ class ClientAdminController {
       next(error);
     }
   }
+
+  /**
+   * Refund Shop Invoice
+   * Issues a credit note referencing the invoice; amount defaults to everything not yet refunded
+   */
+  async refundInvoice(req, res, next) {
+    try {
+      const { shopId, invoiceId } = req.params;
+      const { amount, refundMethod, reason } = req.body;
+
+      let result;
+      try {
+        result = await invoiceService.refundInvoice(
+          req.user.databaseName,
+          shopId,
+          invoiceId,
+          { amount, refundMethod, reason },
+          req.user._id
+        );
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+
+      if (!result) {
+        throw new NotFoundError('Invoice');
+      }
+
+      res.status(201).json({
+        success: true,
+        message: `Credit note ${result.creditNote.creditNoteNumber} issued`,
+        ...result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Void Invoice
+   * Only unpaid invoices; the invoice keeps its number with status void
+   */
+  async voidInvoice(req, res, next) {
+    try {
+      const { shopId, invoiceId } = req.params;
+
+      let invoice;
+      try {
+        invoice = await invoiceService.voidInvoice(
+          req.user.databaseName,
+          shopId,
+          invoiceId,
+          req.body.reason,
+          req.user._id
+        );
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+
+      if (!invoice) {
+        throw new NotFoundError('Invoice');
+      }
+
+      res.json({
+        success: true,
+        message: 'Invoice voided',
+        invoice,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get Shop Credit Notes
+   */
+  async getCreditNotes(req, res, next) {
+    try {
+      const { shopId } = req.params;
+      const { invoiceId, startDate, endDate } = req.query;
+
+      const creditNotes = await invoiceService.getCreditNotes(req.user.databaseName, shopId, {
+        invoiceId,
+        startDate,
+        endDate,
+      });
+
+      res.json({
+        success: true,
+        creditNotes,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download Shop Invoice (PDF)
+   * `layout` query: a4 (default), 80mm or 58mm thermal receipt
+   */
+  async downloadInvoicePdf(req, res, next) {
+    try {
+      const result = await invoiceService.renderPdf(
+        req.user.databaseName,
+        req.params.invoiceId,
+        { shopId: req.params.shopId },
+        req.query.layout
+      );
+
+      if (!result) {
+        throw new NotFoundError('Invoice');
+      }
+
+      res.set('Content-Disposition', `attachment; filename="${result.filename}"`);
+      res.type('application/pdf').send(result.buffer);
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new ClientAdminController();
@@ -1,9 +1,19 @@
-const Service = require('../models/Service');
-const Shop = require('../models/Shop');
-const slotService = require('../services/slotService');
+const { getModel } = require('../database/modelFactory');
+const serviceSchema = require('../client/models/Service').schema;
+const shopSchema = require('../client/models/Shop').schema;
+const staffAvailabilityService = require('../services/staffAvailabilityService');
 const bookingService = require('../services/bookingService');
+const slotAvailabilityService = require('../services/slotAvailabilityService');
+const waitlistService = require('../services/waitlistService');
+const bookingSeriesService = require('../services/bookingSeriesService');
+const rescheduleService = require('../services/rescheduleService');
+const offerService = require('../services/offerService');
+const notificationService = require('../services/notificationService');
+const entitlementService = require('../services/entitlementService');
+const dataPrivacyService = require('../services/dataPrivacyService');
+const invoiceService = require('../services/invoiceService');
 const { NotFoundError, ValidationError } = require('../utils/errors');
-const { BOOKING_ADVANCE_DAYS } = require('../config/constants');
+const { BOOKING_ADVANCE_DAYS, PLAN_FEATURES } = require('../config/constants');
 const moment = require('moment');
 
 /**
@@ -17,10 +27,9 @@ class CustomerController {
   async getShopServices(req, res, next) {
     try {
       const { shopId } = req.params;
-      const tenantId = req.tenantId;
+      const Service = await getModel(req.databaseName, 'Service', serviceSchema);
 
       const services = await Service.find({
-        tenantId,
         shopId,
         isActive: true,
       }).sort({ name: 1 });
@@ -40,20 +49,40 @@ class CustomerController {
   async getAvailableSlots(req, res, next) {
     try {
       const { shopId } = req.params;
-      const { startDate, endDate } = req.query;
-      const tenantId = req.tenantId;
+      const { startDate, endDate, staffId, serviceId } = req.query;
+      const Service = await getModel(req.databaseName, 'Service', serviceSchema);
 
       // Default to today and booking advance days
       const today = moment().startOf('day');
       const defaultEndDate = moment().add(BOOKING_ADVANCE_DAYS, 'days');
 
-      const slots = await slotService.getAvailableSlots(
-        tenantId,
+      let service = null;
+
+      if (serviceId) {
+        service = await Service.findOne({ _id: serviceId, shopId, isActive: true });
+
+        if (!service) {
+          throw new NotFoundError('Service');
+        }
+      }
+
+      // With a service, only start times with enough consecutive free slots are offered
+      let slots = await slotAvailabilityService.getAvailableSlots(
+        req.databaseName,
         shopId,
         startDate ? new Date(startDate) : today.toDate(),
-        endDate ? new Date(endDate) : defaultEndDate.toDate()
+        endDate ? new Date(endDate) : defaultEndDate.toDate(),
+        service ? service.duration : null
       );
 
+      // Narrow down to slots a suitable (or the requested) stylist can take
+      if (staffId || serviceId) {
+        slots = await staffAvailabilityService.filterSlotsByStaff(req.databaseName, shopId, slots, {
+          staffId: staffId && staffId !== 'any' ? staffId : null,
+          service,
+        });
+      }
+
       res.json({
         success: true,
         slots,
@@ -63,16 +92,67 @@ class CustomerController {
     }
   }
 
+  /**
+   * Get Shop Stylists
+   */
+  async getShopStaff(req, res, next) {
+    try {
+      const { shopId } = req.params;
+      const { serviceId } = req.query;
+      const Service = await getModel(req.databaseName, 'Service', serviceSchema);
+
+      let service = null;
+      if (serviceId) {
+        service = await Service.findOne({ _id: serviceId, shopId, isActive: true });
+
+        if (!service) {
+          throw new NotFoundError('Service');
+        }
+      }
+
+      const staff = await staffAvailabilityService.getQualifiedStaff(req.databaseName, shopId, service);
+
+      res.json({
+        success: true,
+        staff: staff.map((profile) => ({
+          id: profile._id,
+          firstName: profile.userId?.firstName,
+          lastName: profile.userId?.lastName,
+          specialization: profile.specialization,
+        })),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get Shop Offers (automatic offers currently running)
+   */
+  async getShopOffers(req, res, next) {
+    try {
+      const { shopId } = req.params;
+
+      const offers = await offerService.getPublicOffers(req.databaseName, shopId);
+
+      res.json({
+        success: true,
+        offers,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Book Slot
    */
   async bookSlot(req, res, next) {
     try {
       const { shopId } = req.params;
-      const { slotId, serviceId } = req.body;
-      const tenantId = req.tenantId;
+      const { slotId, serviceId, services, staffId, promoCode, joinWaitlist } = req.body;
 
-      if (!slotId || !serviceId) {
+      if (!slotId || (!serviceId && !(Array.isArray(services) && services.length > 0))) {
         throw new ValidationError('Slot ID and service ID are required');
       }
 
@@ -80,12 +160,44 @@ class CustomerController {
         throw new ValidationError('Customer authentication required');
       }
 
+      // Several services (possibly split between staff) is a plan feature
+      if (Array.isArray(services) && services.length > 1) {
+        await entitlementService.assertFeature(req.user.databaseName, PLAN_FEATURES.MULTI_STAFF_BOOKING);
+      }
+
+      // Slot is full - queue the customer instead of failing when they opted in
+      if (joinWaitlist) {
+        const isAvailable = await slotAvailabilityService.isSlotAvailable(req.user.databaseName, slotId);
+
+        if (!isAvailable) {
+          if (services && services.length > 1) {
+            throw new ValidationError('The waitlist is only available for single-service bookings');
+          }
+
+          const { entry, position } = await waitlistService.joinWaitlist(
+            req.user.databaseName,
+            shopId,
+            slotId,
+            serviceId || services[0].serviceId,
+            req.user._id
+          );
+
+          return res.status(202).json({
+            success: true,
+            message: 'Slot is full, you have been added to the waitlist',
+            waitlistEntry: entry,
+            position,
+          });
+        }
+      }
+
       const booking = await bookingService.createOnlineBooking(
-        tenantId,
+        req.user.databaseName,
         shopId,
         slotId,
-        serviceId,
-        req.user._id
+        services || serviceId,
+        req.user._id,
+        { staffId, promoCode }
       );
 
       res.status(201).json({
@@ -102,13 +214,11 @@ class CustomerController {
    */
   async getBookingHistory(req, res, next) {
     try {
-      const tenantId = req.tenantId;
-
       if (!req.user || req.user.role !== 'customer') {
         throw new ValidationError('Customer authentication required');
       }
 
-      const bookings = await bookingService.getCustomerBookings(tenantId, req.user._id);
+      const bookings = await bookingService.getCustomerBookings(req.user.databaseName, req.user._id);
 
       res.json({
         success: true,
@@ -126,14 +236,13 @@ class CustomerController {
     try {
       const { shopId, bookingId } = req.params;
       const { reason } = req.body;
-      const tenantId = req.tenantId;
 
       if (!req.user || req.user.role !== 'customer') {
         throw new ValidationError('Customer authentication required');
       }
 
       // Verify booking belongs to customer
-      const booking = await bookingService.getShopBookings(tenantId, shopId, {
+      const booking = await bookingService.getShopBookings(req.user.databaseName, shopId, {
         status: 'confirmed',
       });
 
@@ -146,7 +255,7 @@ class CustomerController {
       }
 
       const cancelledBooking = await bookingService.cancelBooking(
-        tenantId,
+        req.user.databaseName,
         shopId,
         bookingId,
         req.user._id,
@@ -162,17 +271,279 @@ class CustomerController {
     }
   }
 
+  /**
+   * Reschedule Booking
+   */
+  async rescheduleBooking(req, res, next) {
+    try {
+      const { shopId, bookingId } = req.params;
+      const { slotId, reason } = req.body;
+
+      if (!slotId) {
+        throw new ValidationError('Slot ID is required');
+      }
+
+      const booking = await rescheduleService.rescheduleBooking(
+        req.user.databaseName,
+        shopId,
+        bookingId,
+        slotId,
+        { userId: req.user._id, type: 'customer' },
+        reason
+      );
+
+      res.json({
+        success: true,
+        booking,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Join Slot Waitlist
+   */
+  async joinWaitlist(req, res, next) {
+    try {
+      const { shopId, slotId } = req.params;
+      const { serviceId } = req.body;
+
+      if (!serviceId) {
+        throw new ValidationError('Service ID is required');
+      }
+
+      const { entry, position } = await waitlistService.joinWaitlist(
+        req.user.databaseName,
+        shopId,
+        slotId,
+        serviceId,
+        req.user._id
+      );
+
+      res.status(201).json({
+        success: true,
+        waitlistEntry: entry,
+        position,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get My Waitlist Entries
+   */
+  async getWaitlist(req, res, next) {
+    try {
+      const entries = await waitlistService.getCustomerWaitlist(req.user.databaseName, req.user._id);
+
+      res.json({
+        success: true,
+        waitlist: entries,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Leave Slot Waitlist
+   */
+  async leaveWaitlist(req, res, next) {
+    try {
+      const { shopId, entryId } = req.params;
+
+      const entry = await waitlistService.leaveWaitlist(
+        req.user.databaseName,
+        shopId,
+        entryId,
+        req.user._id
+      );
+
+      res.json({
+        success: true,
+        waitlistEntry: entry,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create Recurring Booking Series
+   */
+  async createBookingSeries(req, res, next) {
+    try {
+      const { shopId } = req.params;
+      const { serviceId, frequency, interval, startDate, startTime, endDate, occurrenceCount } = req.body;
+
+      const result = await bookingSeriesService.createSeries(req.user.databaseName, shopId, req.user._id, {
+        serviceId,
+        frequency,
+        interval,
+        startDate: new Date(startDate),
+        startTime,
+        endDate: endDate ? new Date(endDate) : undefined,
+        occurrenceCount,
+      });
+
+      res.status(201).json({
+        success: true,
+        series: result.series,
+        summary: result.summary,
+        conflicts: result.series.occurrences.filter((o) => o.status === 'conflict'),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get My Booking Series
+   */
+  async getBookingSeries(req, res, next) {
+    try {
+      const series = await bookingSeriesService.getCustomerSeries(req.user.databaseName, req.user._id);
+
+      res.json({
+        success: true,
+        series,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Edit Whole Booking Series
+   */
+  async updateBookingSeries(req, res, next) {
+    try {
+      const { shopId, seriesId } = req.params;
+      const { startTime, serviceId } = req.body;
+
+      if (!startTime && !serviceId) {
+        throw new ValidationError('startTime or serviceId is required');
+      }
+
+      const result = await bookingSeriesService.updateSeries(
+        req.user.databaseName,
+        shopId,
+        seriesId,
+        req.user._id,
+        { startTime, serviceId },
+        req.user._id
+      );
+
+      res.json({
+        success: true,
+        series: result.series,
+        summary: result.summary,
+        results: result.results,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel Whole Booking Series
+   */
+  async cancelBookingSeries(req, res, next) {
+    try {
+      const { shopId, seriesId } = req.params;
+      const { reason } = req.body;
+
+      const result = await bookingSeriesService.cancelSeries(
+        req.user.databaseName,
+        shopId,
+        seriesId,
+        req.user._id,
+        req.user._id,
+        reason
+      );
+
+      res.json({
+        success: true,
+        series: result.series,
+        summary: result.summary,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Move One Occurrence of a Series
+   */
+  async moveSeriesOccurrence(req, res, next) {
+    try {
+      const { shopId, seriesId, bookingId } = req.params;
+      const { slotId } = req.body;
+
+      if (!slotId) {
+        throw new ValidationError('Slot ID is required');
+      }
+
+      const result = await bookingSeriesService.moveOccurrence(
+        req.user.databaseName,
+        shopId,
+        seriesId,
+        bookingId,
+        slotId,
+        req.user._id,
+        req.user._id
+      );
+
+      res.json({
+        success: true,
+        series: result.series,
+        booking: result.booking,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel One Occurrence of a Series
+   */
+  async cancelSeriesOccurrence(req, res, next) {
+    try {
+      const { shopId, seriesId, bookingId } = req.params;
+      const { reason } = req.body;
+
+      const result = await bookingSeriesService.cancelOccurrence(
+        req.user.databaseName,
+        shopId,
+        seriesId,
+        bookingId,
+        req.user._id,
+        req.user._id,
+        reason
+      );
+
+      res.json({
+        success: true,
+        series: result.series,
+        summary: result.summary,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get Shop Details
    */
   async getShopDetails(req, res, next) {
     try {
       const { shopId } = req.params;
-      const tenantId = req.tenantId;
+      const Shop = await getModel(req.databaseName, 'Shop', shopSchema);
 
       const shop = await Shop.findOne({
         _id: shopId,
-        tenantId,
         isActive: true,
       });
 
@@ -188,6 +559,90 @@ class CustomerController {
       next(error);
     }
   }
+
+  /**
+   * Get Notification Preferences
+   */
+  async getNotificationPreferences(req, res, next) {
+    try {
+      const preferences = await notificationService.getPreferences(req.user.databaseName, req.user._id);
+
+      res.json({
+        success: true,
+        preferences,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update Notification Preferences (opt out of email, SMS or reminders)
+   */
+  async updateNotificationPreferences(req, res, next) {
+    try {
+      const { email, sms, reminders } = req.body;
+
+      const preferences = await notificationService.updatePreferences(
+        req.user.databaseName,
+        req.user._id,
+        { email, sms, reminders }
+      );
+
+      res.json({
+        success: true,
+        message: 'Notification preferences updated',
+        preferences,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Export My Data
+   * Copy of everything the salon stores about the customer
+   */
+  async exportMyData(req, res, next) {
+    try {
+      const data = await dataPrivacyService.exportCustomer(req.user.databaseName, req.user._id);
+
+      if (!data) {
+        throw new NotFoundError('Customer');
+      }
+
+      res.json({
+        success: true,
+        data,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download My Invoice (PDF)
+   * `layout` query: a4 (default), 80mm or 58mm thermal receipt
+   */
+  async downloadInvoicePdf(req, res, next) {
+    try {
+      const result = await invoiceService.renderPdf(
+        req.user.databaseName,
+        req.params.invoiceId,
+        { customerId: req.user._id },
+        req.query.layout
+      );
+
+      if (!result) {
+        throw new NotFoundError('Invoice');
+      }
+
+      res.set('Content-Disposition', `attachment; filename="${result.filename}"`);
+      res.type('application/pdf').send(result.buffer);
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new CustomerController();
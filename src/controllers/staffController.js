@@ -1,8 +1,31 @@
-const Booking = require('../models/Booking');
-const StaffProfile = require('../models/StaffProfile');
+const { getModel } = require('../database/modelFactory');
+const staffProfileSchema = require('../client/models/StaffProfile').schema;
 const bookingService = require('../services/bookingService');
 const invoiceService = require('../services/invoiceService');
-const { NotFoundError } = require('../utils/errors');
+const rescheduleService = require('../services/rescheduleService');
+const staffScheduleService = require('../services/staffScheduleService');
+const entitlementService = require('../services/entitlementService');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { PLAN_FEATURES } = require('../config/constants');
+
+/**
+ * Find the signed-in staff member's active profile at a shop
+ */
+async function findStaffProfile(req, shopId) {
+  const StaffProfile = await getModel(req.user.databaseName, 'StaffProfile', staffProfileSchema);
+
+  const staffProfile = await StaffProfile.findOne({
+    userId: req.user._id,
+    shopId,
+    isActive: true,
+  });
+
+  if (!staffProfile) {
+    throw new NotFoundError('Staff profile');
+  }
+
+  return staffProfile;
+}
 
 /**
  * Staff Controller
@@ -16,19 +39,9 @@ class StaffController {
     try {
       const { shopId } = req.params;
       const { status, date, staffId } = req.query;
-      const tenantId = req.tenantId;
 
       // Get staff profile to ensure access
-      const staffProfile = await StaffProfile.findOne({
-        userId: req.user._id,
-        shopId,
-        tenantId,
-        isActive: true,
-      });
-
-      if (!staffProfile) {
-        throw new NotFoundError('Staff profile');
-      }
+      const staffProfile = await findStaffProfile(req, shopId);
 
       const filters = {
         status,
@@ -36,7 +49,7 @@ class StaffController {
         staffId: staffId || staffProfile._id,
       };
 
-      const bookings = await bookingService.getShopBookings(tenantId, shopId, filters);
+      const bookings = await bookingService.getShopBookings(req.user.databaseName, shopId, filters);
 
       res.json({
         success: true,
@@ -53,30 +66,25 @@ class StaffController {
   async createWalkIn(req, res, next) {
     try {
       const { shopId } = req.params;
-      const { slotId, serviceId, customerData, price } = req.body;
-      const tenantId = req.tenantId;
+      const { slotId, serviceId, services, customerData, price } = req.body;
 
       // Get staff profile
-      const staffProfile = await StaffProfile.findOne({
-        userId: req.user._id,
-        shopId,
-        tenantId,
-        isActive: true,
-      });
+      const staffProfile = await findStaffProfile(req, shopId);
 
-      if (!staffProfile) {
-        throw new NotFoundError('Staff profile');
+      if (!slotId || !(serviceId || (services && services.length > 0)) || !customerData) {
+        throw new Error('Slot ID, service ID, and customer data are required');
       }
 
-      if (!slotId || !serviceId || !customerData) {
-        throw new Error('Slot ID, service ID, and customer data are required');
+      // Several services (possibly split between staff) is a plan feature
+      if (Array.isArray(services) && services.length > 1) {
+        await entitlementService.assertFeature(req.user.databaseName, PLAN_FEATURES.MULTI_STAFF_BOOKING);
       }
 
       const booking = await bookingService.createWalkInBooking(
-        tenantId,
+        req.user.databaseName,
         shopId,
         slotId,
-        serviceId,
+        services || serviceId,
         customerData,
         staffProfile._id,
         price
@@ -97,9 +105,8 @@ class StaffController {
   async markArrived(req, res, next) {
     try {
       const { shopId, bookingId } = req.params;
-      const tenantId = req.tenantId;
 
-      const booking = await bookingService.markArrived(tenantId, shopId, bookingId);
+      const booking = await bookingService.markArrived(req.user.databaseName, shopId, bookingId);
 
       res.json({
         success: true,
@@ -116,9 +123,8 @@ class StaffController {
   async markNoShow(req, res, next) {
     try {
       const { shopId, bookingId } = req.params;
-      const tenantId = req.tenantId;
 
-      const booking = await bookingService.markNoShow(tenantId, shopId, bookingId);
+      const booking = await bookingService.markNoShow(req.user.databaseName, shopId, bookingId);
 
       res.json({
         success: true,
@@ -135,22 +141,12 @@ class StaffController {
   async startService(req, res, next) {
     try {
       const { shopId, bookingId } = req.params;
-      const tenantId = req.tenantId;
 
       // Get staff profile
-      const staffProfile = await StaffProfile.findOne({
-        userId: req.user._id,
-        shopId,
-        tenantId,
-        isActive: true,
-      });
-
-      if (!staffProfile) {
-        throw new NotFoundError('Staff profile');
-      }
+      const staffProfile = await findStaffProfile(req, shopId);
 
       const booking = await bookingService.startService(
-        tenantId,
+        req.user.databaseName,
         shopId,
         bookingId,
         staffProfile._id
@@ -171,12 +167,11 @@ class StaffController {
   async completeService(req, res, next) {
     try {
       const { shopId, bookingId } = req.params;
-      const tenantId = req.tenantId;
 
-      const booking = await bookingService.completeService(tenantId, shopId, bookingId);
+      const booking = await bookingService.completeService(req.user.databaseName, shopId, bookingId);
 
       // Auto-generate invoice
-      const invoice = await invoiceService.generateInvoice(tenantId, shopId, bookingId);
+      const invoice = await invoiceService.generateInvoice(req.user.databaseName, shopId, bookingId);
 
       res.json({
         success: true,
@@ -188,6 +183,122 @@ class StaffController {
     }
   }
 
+  /**
+   * Reschedule Booking
+   */
+  async rescheduleBooking(req, res, next) {
+    try {
+      const { shopId, bookingId } = req.params;
+      const { slotId, reason } = req.body;
+
+      if (!slotId) {
+        throw new Error('Slot ID is required');
+      }
+
+      const booking = await rescheduleService.rescheduleBooking(
+        req.user.databaseName,
+        shopId,
+        bookingId,
+        slotId,
+        { userId: req.user._id, type: 'staff' },
+        reason
+      );
+
+      res.json({
+        success: true,
+        booking,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get Own Schedule
+   */
+  async getMySchedule(req, res, next) {
+    try {
+      const { shopId } = req.params;
+
+      const staffProfile = await findStaffProfile(req, shopId);
+
+      const schedule = await staffScheduleService.getSchedule(req.user.databaseName, shopId, staffProfile._id);
+
+      res.json({
+        success: true,
+        schedule,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Request Leave
+   */
+  async requestLeave(req, res, next) {
+    try {
+      const { shopId } = req.params;
+
+      const staffProfile = await findStaffProfile(req, shopId);
+
+      const leaveRequest = await staffScheduleService.requestLeave(req.user.databaseName, shopId, staffProfile._id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Leave request submitted for approval',
+        leaveRequest,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get Own Leave Requests
+   */
+  async getMyLeaveRequests(req, res, next) {
+    try {
+      const { shopId } = req.params;
+      const { status } = req.query;
+
+      const staffProfile = await findStaffProfile(req, shopId);
+
+      const leaveRequests = await staffScheduleService.getLeaveRequests(req.user.databaseName, shopId, {
+        status,
+        staffId: staffProfile._id,
+      });
+
+      res.json({
+        success: true,
+        leaveRequests,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel Own Leave Request
+   */
+  async cancelLeave(req, res, next) {
+    try {
+      const { shopId, leaveId } = req.params;
+
+      const staffProfile = await findStaffProfile(req, shopId);
+
+      const leaveRequest = await staffScheduleService.cancelLeave(req.user.databaseName, shopId, staffProfile._id, leaveId);
+
+      res.json({
+        success: true,
+        message: 'Leave request cancelled',
+        leaveRequest,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Edit Booking Price
    */
@@ -195,14 +306,13 @@ class StaffController {
     try {
       const { shopId, bookingId } = req.params;
       const { price, reason } = req.body;
-      const tenantId = req.tenantId;
 
       if (!price) {
         throw new Error('Price is required');
       }
 
       const booking = await bookingService.editPrice(
-        tenantId,
+        req.user.databaseName,
         shopId,
         bookingId,
         price,
@@ -225,9 +335,8 @@ class StaffController {
   async generateInvoice(req, res, next) {
     try {
       const { shopId, bookingId } = req.params;
-      const tenantId = req.tenantId;
 
-      const invoice = await invoiceService.generateInvoice(tenantId, shopId, bookingId);
+      const invoice = await invoiceService.generateInvoice(req.user.databaseName, shopId, bookingId);
 
       res.json({
         success: true,
@@ -245,13 +354,21 @@ class StaffController {
     try {
       const { shopId, invoiceId } = req.params;
       const { paymentMethod } = req.body;
-      const tenantId = req.tenantId;
 
       if (!paymentMethod) {
         throw new Error('Payment method is required');
       }
 
-      const invoice = await invoiceService.markPaid(tenantId, shopId, invoiceId, paymentMethod);
+      let invoice;
+      try {
+        invoice = await invoiceService.markPaid(req.user.databaseName, shopId, invoiceId, paymentMethod, req.user._id);
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+
+      if (!invoice) {
+        throw new NotFoundError('Invoice');
+      }
 
       res.json({
         success: true,
@@ -261,6 +378,137 @@ class StaffController {
       next(error);
     }
   }
+
+  /**
+   * Record Invoice Payments
+   * One or more lines, e.g. part cash and part card, each with an optional tip and cash tendered
+   * The change to hand back is on each stored payment line
+   */
+  async recordInvoicePayments(req, res, next) {
+    try {
+      const { shopId, invoiceId } = req.params;
+
+      let invoice;
+      try {
+        invoice = await invoiceService.recordPayments(
+          req.user.databaseName,
+          shopId,
+          invoiceId,
+          req.body.payments,
+          req.user._id
+        );
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+
+      if (!invoice) {
+        throw new NotFoundError('Invoice');
+      }
+
+      res.status(201).json({
+        success: true,
+        message: invoice.balance > 0 ? `${invoice.balance.toFixed(2)} left to pay` : 'Invoice paid',
+        invoice,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Refund Invoice
+   * Issues a credit note referencing the invoice; amount defaults to everything not yet refunded
+   */
+  async refundInvoice(req, res, next) {
+    try {
+      const { shopId, invoiceId } = req.params;
+      const { amount, refundMethod, reason } = req.body;
+
+      let result;
+      try {
+        result = await invoiceService.refundInvoice(
+          req.user.databaseName,
+          shopId,
+          invoiceId,
+          { amount, refundMethod, reason },
+          req.user._id
+        );
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+
+      if (!result) {
+        throw new NotFoundError('Invoice');
+      }
+
+      res.status(201).json({
+        success: true,
+        message: `Credit note ${result.creditNote.creditNoteNumber} issued`,
+        ...result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Void Invoice
+   * Only unpaid invoices; the invoice keeps its number with status void
+   */
+  async voidInvoice(req, res, next) {
+    try {
+      const { shopId, invoiceId } = req.params;
+
+      let invoice;
+      try {
+        invoice = await invoiceService.voidInvoice(
+          req.user.databaseName,
+          shopId,
+          invoiceId,
+          req.body.reason,
+          req.user._id
+        );
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+
+      if (!invoice) {
+        throw new NotFoundError('Invoice');
+      }
+
+      res.json({
+        success: true,
+        message: 'Invoice voided',
+        invoice,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download Invoice (PDF)
+   * `layout` query: a4 (default), 80mm or 58mm thermal receipt
+   */
+  async downloadInvoicePdf(req, res, next) {
+    try {
+      const result = await invoiceService.renderPdf(
+        req.user.databaseName,
+        req.params.invoiceId,
+        { shopId: req.params.shopId },
+        req.query.layout
+      );
+
+      if (!result) {
+        throw new NotFoundError('Invoice');
+      }
+
+      res.set('Content-Disposition', `attachment; filename="${result.filename}"`);
+      res.type('application/pdf').send(result.buffer);
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new StaffController();
@@ -1,9 +1,19 @@
-const { getClientAdminModel } = require('../platform/models/ClientAdmin');
-const { getClientDatabaseMapModel } = require('../platform/models/ClientDatabaseMap');
+const { getModel: getClientAdminModel } = require('../platform/models/ClientAdmin');
+const { getModel: getClientDatabaseMapModel } = require('../platform/models/ClientDatabaseMap');
 const connectionManager = require('../database/connectionManager');
 const { getModel } = require('../database/modelFactory');
 const shopSchema = require('../client/models/Shop').schema;
 const clientDatabaseService = require('../services/clientDatabaseService');
+const emailService = require('../services/emailService');
+const twoFactorService = require('../services/twoFactorService');
+const entitlementService = require('../services/entitlementService');
+const subscriptionService = require('../services/subscriptionService');
+const billingService = require('../services/billingService');
+const onboardingService = require('../services/onboardingService');
+const dataPrivacyService = require('../services/dataPrivacyService');
+const { getModel: getSubscriptionInvoiceModel } = require('../platform/models/SubscriptionInvoice');
+const { getModel: getSubscriptionPaymentModel } = require('../platform/models/SubscriptionPayment');
+const { SUBSCRIPTION_STATUS } = require('../config/constants');
 const { NotFoundError, ValidationError } = require('../utils/errors');
 const moment = require('moment');
 
@@ -17,7 +27,7 @@ class SuperAdminController {
    */
   async getAllTenants(req, res, next) {
     try {
-      const { page = 1, limit = 10, search, status } = req.query;
+      const { page = 1, limit = 10, search, status, subscriptionStatus, trial } = req.query;
       const skip = (page - 1) * limit;
 
       // Build query
@@ -25,6 +35,12 @@ class SuperAdminController {
       if (status) {
         query.isActive = status === 'active';
       }
+      if (subscriptionStatus) {
+        query.subscriptionStatus = subscriptionStatus;
+      }
+      if (trial) {
+        query.isTrial = trial === 'true';
+      }
       if (search) {
         query.$or = [
           { firstName: { $regex: search, $options: 'i' } },
@@ -44,9 +60,10 @@ class SuperAdminController {
       // Get shop counts and admin details for each client
       const clientsWithShopCounts = await Promise.all(
         clientAdmins.map(async (clientAdmin) => {
-          // Get shop count from client database
+          // Get shop count and plan usage from client database
           let shopCount = 0;
           let totalShops = 0;
+          let plan = null;
 
           try {
             const clientDb = await connectionManager.getDb(clientAdmin.databaseName);
@@ -54,6 +71,7 @@ class SuperAdminController {
 
             shopCount = await Shop.countDocuments({ isActive: true });
             totalShops = await Shop.countDocuments({});
+            plan = await entitlementService.getSummary(clientAdmin);
           } catch (error) {
             console.error(`Error getting shop count for ${clientAdmin.databaseName}:`, error.message);
           }
@@ -78,6 +96,9 @@ class SuperAdminController {
             ...clientAdmin.toObject(),
             shopCount,
             totalShops,
+            plan,
+            subscriptionStatus: subscriptionService.getEffectiveStatus(clientAdmin),
+            graceEndsAt: subscriptionService.getGraceEndsAt(clientAdmin),
             isSubscriptionActive,
             isExpired,
             isDemoPeriod,
@@ -129,7 +150,8 @@ class SuperAdminController {
       });
 
       // Get payment history
-      const payments = await SubscriptionPayment.find({ tenantId: tenant._id })
+      const SubscriptionPayment = getSubscriptionPaymentModel();
+      const payments = await SubscriptionPayment.find({ clientAdminId: tenant._id })
         .populate('recordedBy', 'firstName lastName email')
         .sort({ paymentDate: -1 })
         .limit(10);
@@ -178,16 +200,19 @@ class SuperAdminController {
   }
 
   /**
-   * Record Subscription Payment and Update Expiry
+   * Record Subscription Payment
+   * Applied to the given invoice, else the oldest unpaid one (an invoice is issued if none is open)
+   * A fully paid invoice extends and reactivates the subscription
    */
   async recordPayment(req, res, next) {
     try {
       const { tenantId } = req.params;
       const {
+        invoiceId,
         amount,
-        currency = 'USD',
         paymentMethod,
         subscriptionPeriod = 1,
+        subscriptionPlan,
         paymentDate,
         notes,
         receiptNumber,
@@ -197,49 +222,148 @@ class SuperAdminController {
         throw new ValidationError('Amount and payment method are required');
       }
 
-      // Get tenant
-      const tenant = await Tenant.findById(tenantId);
+      // Get client
+      const ClientAdmin = getClientAdminModel();
+      const tenant = await ClientAdmin.findById(tenantId);
 
       if (!tenant) {
         throw new NotFoundError('Tenant');
       }
 
-      // Calculate new expiry date
-      const currentExpiry = tenant.subscriptionExpiresAt
-        ? moment(tenant.subscriptionExpiresAt)
-        : moment();
-      const newExpiry = currentExpiry
-        .clone()
-        .add(subscriptionPeriod, 'months')
-        .toDate();
-
-      // Update tenant subscription
-      tenant.subscriptionExpiresAt = newExpiry;
-      tenant.subscriptionPlan = req.body.subscriptionPlan || tenant.subscriptionPlan;
-      await tenant.save();
+      let result;
+      try {
+        result = await billingService.recordPayment(
+          tenant,
+          {
+            invoiceId,
+            amount,
+            paymentMethod,
+            paymentDate,
+            notes,
+            // Receipt numbers are generated; a number given here is kept as the external reference
+            reference: receiptNumber,
+            subscriptionPeriod,
+            subscriptionPlan,
+          },
+          req.user._id
+        );
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
 
-      // Record payment
-      const payment = await SubscriptionPayment.create({
-        tenantId: tenant._id,
-        amount,
-        currency,
-        paymentMethod,
-        paymentDate: paymentDate ? new Date(paymentDate) : new Date(),
-        subscriptionPeriod,
-        subscriptionExpiresAt: newExpiry,
-        recordedBy: req.user._id,
-        notes,
-        receiptNumber,
+      res.status(201).json({
+        success: true,
+        message: result.invoice.status === 'paid'
+          ? 'Payment recorded, invoice paid and subscription updated'
+          : 'Partial payment recorded',
+        payment: result.payment,
+        invoice: result.invoice,
+        tenant,
       });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Issue Subscription Invoice for the next billing period
+   */
+  async createInvoice(req, res, next) {
+    try {
+      const { tenantId } = req.params;
+      const { months, subscriptionPlan, amount, dueDays, notes } = req.body;
+
+      const ClientAdmin = getClientAdminModel();
+      const tenant = await ClientAdmin.findById(tenantId);
+
+      if (!tenant) {
+        throw new NotFoundError('Tenant');
+      }
+
+      let invoice;
+      try {
+        invoice = await billingService.issueInvoice(tenant, {
+          months,
+          plan: subscriptionPlan,
+          amount,
+          dueDays,
+          notes,
+          issuedBy: req.user._id,
+        });
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
 
       res.status(201).json({
         success: true,
-        message: 'Payment recorded and subscription updated',
-        payment,
-        tenant: {
-          ...tenant.toObject(),
-          subscriptionExpiresAt: newExpiry,
-        },
+        message: 'Invoice issued',
+        invoice,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get Tenant Invoices with account balance
+   */
+  async getTenantInvoices(req, res, next) {
+    try {
+      const { tenantId } = req.params;
+      const { status, page, limit } = req.query;
+
+      const ClientAdmin = getClientAdminModel();
+      const tenant = await ClientAdmin.findById(tenantId);
+
+      if (!tenant) {
+        throw new NotFoundError('Tenant');
+      }
+
+      const [summary, result] = await Promise.all([
+        billingService.getAccountSummary(tenant),
+        billingService.getInvoices(tenant, { status, page, limit }),
+      ]);
+
+      res.json({
+        success: true,
+        summary,
+        ...result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Void an Unpaid Invoice
+   */
+  async voidInvoice(req, res, next) {
+    try {
+      const { tenantId, invoiceId } = req.params;
+      const { reason } = req.body;
+
+      const ClientAdmin = getClientAdminModel();
+      const tenant = await ClientAdmin.findById(tenantId);
+
+      if (!tenant) {
+        throw new NotFoundError('Tenant');
+      }
+
+      let invoice;
+      try {
+        invoice = await billingService.voidInvoice(tenant, invoiceId, reason);
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+
+      if (!invoice) {
+        throw new NotFoundError('Invoice');
+      }
+
+      res.json({
+        success: true,
+        message: 'Invoice voided',
+        invoice,
       });
     } catch (error) {
       next(error);
@@ -258,7 +382,8 @@ class SuperAdminController {
         throw new ValidationError('Subscription expiry date is required');
       }
 
-      const tenant = await Tenant.findById(tenantId);
+      const ClientAdmin = getClientAdminModel();
+      const tenant = await ClientAdmin.findById(tenantId);
 
       if (!tenant) {
         throw new NotFoundError('Tenant');
@@ -270,20 +395,8 @@ class SuperAdminController {
       }
       await tenant.save();
 
-      // Optionally record as manual update
-      if (notes) {
-        await SubscriptionPayment.create({
-          tenantId: tenant._id,
-          amount: 0,
-          currency: 'USD',
-          paymentMethod: 'other',
-          paymentDate: new Date(),
-          subscriptionPeriod: 0,
-          subscriptionExpiresAt: tenant.subscriptionExpiresAt,
-          recordedBy: req.user._id,
-          notes: `Manual update: ${notes}`,
-        });
-      }
+      // The new date may move the client in or out of grace/suspension (cancellation is kept)
+      await subscriptionService.syncStatus(tenant, 'expiry_updated', { triggeredBy: req.user._id, note: notes });
 
       res.json({
         success: true,
@@ -304,13 +417,14 @@ class SuperAdminController {
       const { page = 1, limit = 20 } = req.query;
       const skip = (page - 1) * limit;
 
-      const payments = await SubscriptionPayment.find({ tenantId })
-        .populate('recordedBy', 'firstName lastName email')
+      const SubscriptionPayment = getSubscriptionPaymentModel();
+      const payments = await SubscriptionPayment.find({ clientAdminId: tenantId })
+        .populate('invoiceId', 'invoiceNumber total status')
         .sort({ paymentDate: -1 })
         .skip(skip)
         .limit(parseInt(limit));
 
-      const total = await SubscriptionPayment.countDocuments({ tenantId });
+      const total = await SubscriptionPayment.countDocuments({ clientAdminId: tenantId });
 
       res.json({
         success: true,
@@ -327,27 +441,303 @@ class SuperAdminController {
     }
   }
 
+  /**
+   * Get Sent Email Log
+   */
+  async getEmailLog(req, res, next) {
+    try {
+      const { to, template, status, databaseName, bookingId, limit } = req.query;
+
+      const emails = await emailService.getLog({ to, template, status, databaseName, bookingId, limit });
+
+      res.json({
+        success: true,
+        emails,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel Subscription
+   * Blocks the client until a payment is recorded
+   */
+  async cancelSubscription(req, res, next) {
+    try {
+      const ClientAdmin = getClientAdminModel();
+      const tenant = await ClientAdmin.findById(req.params.tenantId);
+
+      if (!tenant) {
+        throw new NotFoundError('Tenant');
+      }
+
+      if (tenant.subscriptionStatus === SUBSCRIPTION_STATUS.CANCELLED) {
+        throw new ValidationError('Subscription is already cancelled');
+      }
+
+      await subscriptionService.cancel(tenant, req.user._id, req.body.reason);
+
+      res.json({
+        success: true,
+        message: 'Subscription cancelled',
+        tenant,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get Subscription Status History
+   */
+  async getSubscriptionHistory(req, res, next) {
+    try {
+      const { tenantId } = req.params;
+      const { page = 1, limit = 20 } = req.query;
+
+      const ClientAdmin = getClientAdminModel();
+      const tenant = await ClientAdmin.findById(tenantId);
+
+      if (!tenant) {
+        throw new NotFoundError('Tenant');
+      }
+
+      const { events, pagination } = await subscriptionService.getHistory(tenant._id, { page, limit });
+
+      res.json({
+        success: true,
+        subscription: {
+          status: subscriptionService.getEffectiveStatus(tenant),
+          subscriptionExpiresAt: tenant.subscriptionExpiresAt,
+          graceEndsAt: subscriptionService.getGraceEndsAt(tenant),
+        },
+        events,
+        pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Export Tenant Data
+   * Zip of every collection of the client database as JSON, with CSV copies of the main ones
+   */
+  async exportTenantData(req, res, next) {
+    try {
+      const ClientAdmin = getClientAdminModel();
+      const tenant = await ClientAdmin.findById(req.params.tenantId);
+
+      if (!tenant || tenant.deletedAt) {
+        throw new NotFoundError('Tenant');
+      }
+
+      const { filename, buffer } = await dataPrivacyService.exportClientDatabase(tenant);
+
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      res.type('application/zip').send(buffer);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete Tenant
+   * Blocks the client at once; the database is dropped after the retention period
+   */
+  async deleteTenant(req, res, next) {
+    try {
+      const ClientAdmin = getClientAdminModel();
+      const tenant = await ClientAdmin.findById(req.params.tenantId);
+
+      if (!tenant) {
+        throw new NotFoundError('Tenant');
+      }
+
+      try {
+        await dataPrivacyService.scheduleClientDeletion(tenant, req.user._id, req.body.reason);
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+
+      res.json({
+        success: true,
+        message: `Tenant scheduled for deletion on ${moment(tenant.deletionScheduledAt).format('YYYY-MM-DD')}`,
+        tenant,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel Tenant Deletion
+   * Only possible until the retention period is over
+   */
+  async cancelTenantDeletion(req, res, next) {
+    try {
+      const ClientAdmin = getClientAdminModel();
+      const tenant = await ClientAdmin.findById(req.params.tenantId);
+
+      if (!tenant) {
+        throw new NotFoundError('Tenant');
+      }
+
+      try {
+        await dataPrivacyService.cancelClientDeletion(tenant, req.user._id);
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+
+      res.json({
+        success: true,
+        message: 'Tenant deletion cancelled',
+        tenant,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get Client Plan Usage
+   * Plan limits, features and current usage of one client
+   */
+  async getClientPlanUsage(req, res, next) {
+    try {
+      const ClientAdmin = getClientAdminModel();
+      const clientAdmin = await ClientAdmin.findById(req.params.tenantId);
+
+      if (!clientAdmin) {
+        throw new NotFoundError('Client');
+      }
+
+      const plan = await entitlementService.getSummary(clientAdmin);
+
+      res.json({
+        success: true,
+        plan,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update Client Plan
+   * Change plan and/or limit overrides (null clears an override back to the plan default)
+   */
+  async updateClientPlan(req, res, next) {
+    try {
+      const { subscriptionPlan, maxShops, maxStaff } = req.body;
+
+      const ClientAdmin = getClientAdminModel();
+      const clientAdmin = await ClientAdmin.findById(req.params.tenantId);
+
+      if (!clientAdmin) {
+        throw new NotFoundError('Client');
+      }
+
+      if (subscriptionPlan) {
+        clientAdmin.subscriptionPlan = subscriptionPlan;
+      }
+      if (maxShops !== undefined) {
+        clientAdmin.maxShops = maxShops === null ? undefined : maxShops;
+      }
+      if (maxStaff !== undefined) {
+        clientAdmin.maxStaff = maxStaff === null ? undefined : maxStaff;
+      }
+      await clientAdmin.save();
+
+      const plan = await entitlementService.getSummary(clientAdmin);
+
+      res.json({
+        success: true,
+        message: 'Client plan updated',
+        plan,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get Platform Security Settings
+   */
+  async getSecuritySettings(req, res, next) {
+    try {
+      res.json({
+        success: true,
+        settings: {
+          requireAdminTwoFactor: await twoFactorService.isRequired(),
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update Platform Security Settings
+   * Requiring 2FA makes admins without it enrol at their next login
+   */
+  async updateSecuritySettings(req, res, next) {
+    try {
+      const { requireAdminTwoFactor } = req.body;
+
+      const settings = await twoFactorService.setRequired(requireAdminTwoFactor, req.user._id);
+
+      res.json({
+        success: true,
+        message: 'Security settings updated',
+        settings: {
+          requireAdminTwoFactor: settings.requireAdminTwoFactor,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get Dashboard Statistics
    */
   async getDashboardStats(req, res, next) {
     try {
-      const totalTenants = await Tenant.countDocuments();
-      const activeTenants = await Tenant.countDocuments({
+      const ClientAdmin = getClientAdminModel();
+      const now = new Date();
+
+      const totalTenants = await ClientAdmin.countDocuments();
+      const activeTenants = await ClientAdmin.countDocuments({
         isActive: true,
-        subscriptionExpiresAt: { $gte: new Date() },
+        subscriptionExpiresAt: { $gte: now },
       });
-      const expiredTenants = await Tenant.countDocuments({
+      const expiredTenants = await ClientAdmin.countDocuments({
         isActive: true,
         $or: [
-          { subscriptionExpiresAt: { $lt: new Date() } },
+          { subscriptionExpiresAt: { $lt: now } },
           { subscriptionExpiresAt: null },
         ],
       });
-      const totalShops = await Shop.countDocuments({ isActive: true });
+
+      // Shops live in each client database
+      const clients = await ClientAdmin.find({ isActive: true }).select('databaseName');
+      const shopCounts = await Promise.all(
+        clients.map(async (client) => {
+          try {
+            const Shop = await getModel(client.databaseName, 'Shop', shopSchema);
+            return await Shop.countDocuments({ isActive: true });
+          } catch (error) {
+            console.error(`Error getting shop count for ${client.databaseName}:`, error.message);
+            return 0;
+          }
+        })
+      );
+      const totalShops = shopCounts.reduce((sum, count) => sum + count, 0);
 
       // Get tenants expiring soon (within 7 days)
-      const expiringSoon = await Tenant.countDocuments({
+      const expiringSoon = await ClientAdmin.countDocuments({
         isActive: true,
         subscriptionExpiresAt: {
           $gte: moment().toDate(),
@@ -356,6 +746,7 @@ class SuperAdminController {
       });
 
       // Get recent payments (last 30 days)
+      const SubscriptionPayment = getSubscriptionPaymentModel();
       const recentPayments = await SubscriptionPayment.find({
         paymentDate: {
           $gte: moment().subtract(30, 'days').toDate(),
@@ -364,6 +755,16 @@ class SuperAdminController {
 
       const totalRevenue = recentPayments.reduce((sum, p) => sum + p.amount, 0);
 
+      // Outstanding balance on unpaid subscription invoices
+      const SubscriptionInvoice = getSubscriptionInvoiceModel();
+      const [outstanding] = await SubscriptionInvoice.aggregate([
+        { $match: { status: { $in: ['open', 'partially_paid'] } } },
+        { $group: { _id: null, amount: { $sum: { $subtract: ['$total', '$amountPaid'] } }, count: { $sum: 1 } } },
+      ]);
+
+      // Trial-to-paid conversion
+      const trials = await onboardingService.getTrialStats();
+
       res.json({
         success: true,
         stats: {
@@ -374,6 +775,9 @@ class SuperAdminController {
           expiringSoon,
           recentRevenue: totalRevenue,
           recentPaymentsCount: recentPayments.length,
+          outstandingBalance: Math.round((outstanding?.amount || 0) * 100) / 100,
+          unpaidInvoices: outstanding?.count || 0,
+          trials,
         },
       });
     } catch (error) {
@@ -425,10 +829,12 @@ class SuperAdminController {
         lastName: adminLastName,
         phone: adminPhone || phone,
         password: adminPassword,
-        maxShops: maxShops || 10,
-        maxStaff: maxStaff || 50,
+        maxShops,
+        maxStaff,
         subscriptionPlan: subscriptionPlan || 'basic',
         subscriptionExpiresAt: demoExpiry,
+        isTrial: true,
+        signupSource: 'super_admin',
       });
 
       const { clientId, databaseName, clientAdmin } = result;
@@ -443,9 +849,8 @@ class SuperAdminController {
           firstName: clientAdmin.firstName,
           lastName: clientAdmin.lastName,
           phone: clientAdmin.phone,
-          maxShops: clientAdmin.maxShops,
-          maxStaff: clientAdmin.maxStaff,
           subscriptionPlan: clientAdmin.subscriptionPlan,
+          ...entitlementService.getEntitlements(clientAdmin).limits,
           subscriptionExpiresAt: demoExpiry,
           daysUntilExpiry: 3,
           isActive: clientAdmin.isActive,
@@ -1,5 +1,7 @@
 const cron = require('node-cron');
 const cronService = require('../services/cronService');
+const subscriptionService = require('../services/subscriptionService');
+const dataPrivacyService = require('../services/dataPrivacyService');
 const logger = require('../utils/logger');
 
 /**
@@ -17,6 +19,16 @@ cron.schedule('* * * * *', async () => {
   }
 });
 
+// Run every 5 minutes to send appointment reminders
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    logger.info('Running booking reminder cron job');
+    await cronService.sendBookingReminders();
+  } catch (error) {
+    logger.error('Error in booking reminder cron job:', error);
+  }
+});
+
 // Run daily at 2 AM to generate upcoming slots
 cron.schedule('0 2 * * *', async () => {
   try {
@@ -31,48 +43,31 @@ cron.schedule('0 2 * * *', async () => {
 cron.schedule('0 * * * *', async () => {
   try {
     logger.info('Running slot capacity update cron job');
-    const Shop = require('../models/Shop');
-    const slotService = require('../services/slotService');
-    
-    const shops = await Shop.find({ isActive: true });
-    
-    for (const shop of shops) {
-      try {
-        await slotService.updateSlotCapacity(shop.tenantId, shop._id, new Date());
-      } catch (error) {
-        logger.error(`Error updating slots for shop ${shop._id}:`, error);
-      }
-    }
+    await cronService.updateSlotCapacities();
   } catch (error) {
     logger.error('Error in slot capacity update cron job:', error);
   }
 });
 
-// Run daily at 3 AM to check for expired subscriptions
+// Run daily at 3 AM to move expired subscriptions into grace and suspension
 cron.schedule('0 3 * * *', async () => {
   try {
-    logger.info('Running subscription expiry check cron job');
-    const Tenant = require('../models/Tenant');
-    const moment = require('moment');
-    
-    const tenants = await Tenant.find({ isActive: true });
-    const today = moment().startOf('day');
-    
-    for (const tenant of tenants) {
-      if (tenant.subscriptionExpiresAt) {
-        const expiryDate = moment(tenant.subscriptionExpiresAt).startOf('day');
-        
-        if (expiryDate.isBefore(today)) {
-          logger.warn(`Tenant ${tenant._id} (${tenant.email}) subscription expired on ${expiryDate.format('YYYY-MM-DD')}`);
-          // You can add logic here to send notifications or disable access
-        } else if (expiryDate.isSameOrBefore(today.add(7, 'days'))) {
-          logger.info(`Tenant ${tenant._id} (${tenant.email}) subscription expires soon on ${expiryDate.format('YYYY-MM-DD')}`);
-          // You can add logic here to send renewal reminders
-        }
-      }
-    }
+    logger.info('Running subscription lifecycle cron job');
+    const changed = await subscriptionService.processSubscriptions();
+    logger.info(`Subscription statuses updated: ${JSON.stringify(changed)}`);
+  } catch (error) {
+    logger.error('Error in subscription lifecycle cron job:', error);
+  }
+});
+
+// Run daily at 4 AM to drop client databases whose deletion retention period is over
+cron.schedule('0 4 * * *', async () => {
+  try {
+    logger.info('Running client deletion cron job');
+    const deleted = await dataPrivacyService.purgeScheduledDeletions();
+    logger.info(`Client databases deleted: ${deleted}`);
   } catch (error) {
-    logger.error('Error in subscription expiry check cron job:', error);
+    logger.error('Error in client deletion cron job:', error);
   }
 });
 
@@ -109,9 +109,16 @@ class ConnectionManager {
 
   /**
    * Get platform database connection
+   * Synchronous: platform_db is connected by initialize() and platform models are built on it directly
    */
   getPlatformDb() {
-    return this.getDb('platform_db');
+    const connection = this.connections.get('platform_db');
+
+    if (!connection) {
+      throw new Error('Platform database is not connected');
+    }
+
+    return connection;
   }
 
   /**
@@ -165,7 +172,7 @@ class ConnectionManager {
       const db = connection.db;
 
       // Initialize collections with dummy documents that will be removed
-      const collections = ['users', 'shops', 'services', 'slots', 'bookings', 'invoices', 'staffprofiles', 'shopsettings', 'offers', 'roles'];
+      const collections = ['users', 'shops', 'services', 'slots', 'bookings', 'invoices', 'staffprofiles', 'shopsettings', 'offers', 'roles', 'waitlists', 'bookingseries', 'staffschedules', 'leaverequests', 'sessions', 'counters', 'creditnotes'];
 
       for (const collectionName of collections) {
         try {
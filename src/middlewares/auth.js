@@ -1,13 +1,21 @@
 const jwt = require('jsonwebtoken');
 const connectionManager = require('../database/connectionManager');
-const { getPlatformAdminModel } = require('../platform/models/PlatformAdmin');
-const { getClientAdminModel } = require('../platform/models/ClientAdmin');
+const { getModel: getPlatformAdminModel } = require('../platform/models/PlatformAdmin');
+const { getModel: getClientAdminModel } = require('../platform/models/ClientAdmin');
+const sessionService = require('../services/sessionService');
 const { AuthenticationError, AuthorizationError } = require('../utils/errors');
 
+/**
+ * Access tokens carry the user and session; refresh and 2FA login tokens share the
+ * secret but have a `type` and must never authenticate API requests
+ */
+const isAccessToken = (decoded) => !decoded.type && !!decoded.id && !!decoded.sid;
+
 /**
  * Authentication Middleware
  * Validates JWT token and attaches user to request
  * Supports both platform admin (platform_db) and client users (client databases)
+ * Tokens of revoked or expired sessions are rejected
  */
 const authenticate = async (req, res, next) => {
   try {
@@ -21,6 +29,19 @@ const authenticate = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    if (!isAccessToken(decoded)) {
+      throw new AuthenticationError('Invalid token');
+    }
+
+    // Access tokens are bound to a session that can be revoked (logout, staff removal)
+    const session = await sessionService.getActiveSession(decoded.databaseName, decoded.sid);
+
+    if (!session || session.userId.toString() !== decoded.id.toString()) {
+      throw new AuthenticationError('Session expired or revoked, please log in again');
+    }
+
+    req.sessionId = session._id;
+
     // Check if it's a platform admin
     if (decoded.role === 'platform_super_admin') {
       // Get user from platform_db
@@ -56,7 +77,7 @@ const authenticate = async (req, res, next) => {
     // Note: We need to dynamically load the User model
     const { getModel } = require('../database/modelFactory');
     const userSchema = require('../client/models/User').schema;
-    const User = getModel(decoded.databaseName, 'User', userSchema);
+    const User = await getModel(decoded.databaseName, 'User', userSchema);
 
     // Get user from client database
     const user = await User.findById(decoded.id).select('+password');
@@ -96,9 +117,13 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Revoked or expired sessions continue as anonymous
+      const session = isAccessToken(decoded)
+        ? await sessionService.getActiveSession(decoded.databaseName, decoded.sid)
+        : null;
 
       // Check if it's a platform admin
-      if (decoded.role === 'platform_super_admin') {
+      if (session && decoded.role === 'platform_super_admin') {
         const PlatformAdmin = getPlatformAdminModel();
         const user = await PlatformAdmin.findById(decoded.id);
 
@@ -108,12 +133,12 @@ const optionalAuth = async (req, res, next) => {
           req.user.databaseName = 'platform_db';
           req.user._id = user._id;
         }
-      } else if (decoded.databaseName) {
+      } else if (session && decoded.databaseName) {
         // Client user
         const clientDb = await connectionManager.getDb(decoded.databaseName);
         const { getModel } = require('../database/modelFactory');
         const userSchema = require('../client/models/User').schema;
-        const User = getModel(decoded.databaseName, 'User', userSchema);
+        const User = await getModel(decoded.databaseName, 'User', userSchema);
         const user = await User.findById(decoded.id);
 
         if (user && user.isActive) {
@@ -0,0 +1,61 @@
+const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+
+/**
+ * Account a code attempt is aimed at
+ * Logged-in user, the user of a 2FA login token, or the email / phone of the request
+ * (limiters run before the validators, so the identifier is normalised here)
+ */
+const accountKey = (req) => {
+  if (req.user?._id) {
+    return `user:${req.user._id}`;
+  }
+
+  // Only used as a bucket key; the token itself is verified by the controller
+  const loginToken = req.body?.twoFactorToken ? jwt.decode(req.body.twoFactorToken) : null;
+
+  if (loginToken?.id) {
+    return `user:${loginToken.id}`;
+  }
+
+  const identifier = req.body?.email || req.body?.phone;
+
+  if (identifier) {
+    return `${req.body.databaseName || 'platform'}:${String(identifier).trim().toLowerCase()}`;
+  }
+
+  return `ip:${req.ip}`;
+};
+
+/**
+ * Limiter for one auth flow
+ * @param {string} flow - Flow name, keeps the counters of different flows apart
+ * @param {number} max - Requests per 15 minutes
+ * @param {boolean} perAccount - Count per targeted account instead of per IP
+ */
+const createLimiter = (flow, max, perAccount = false) => rateLimit({
+  windowMs: FIFTEEN_MINUTES,
+  max,
+  keyGenerator: (req) => `${flow}:${perAccount ? accountKey(req) : req.ip}`,
+  message: perAccount
+    ? 'Too many code attempts for this account, please try again later.'
+    : 'Too many code attempts from this IP, please try again later.',
+});
+
+/**
+ * Auth Rate Limiters
+ * Every flow has its own counters; code guesses are limited per IP and per account,
+ * so one address cannot spread guesses over many accounts nor many addresses over one account
+ */
+module.exports = {
+  signupRequestLimiter: createLimiter('signup-request', 10),
+  signupVerifyLimiter: [createLimiter('signup-verify', 10), createLimiter('signup-verify', 5, true)],
+  loginCodeRequestLimiter: createLimiter('otp-request', 10),
+  loginCodeVerifyLimiter: [createLimiter('otp-verify', 10), createLimiter('otp-verify', 5, true)],
+  forgotPasswordLimiter: createLimiter('forgot-password', 10),
+  resetPasswordLimiter: [createLimiter('reset-password', 10), createLimiter('reset-password', 5, true)],
+  // Authenticator (TOTP) and recovery code checks of two-factor authentication
+  twoFactorLimiter: [createLimiter('2fa', 10), createLimiter('2fa', 5, true)],
+};
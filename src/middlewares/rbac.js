@@ -1,10 +1,12 @@
-const Role = require('../models/Role');
+const roleService = require('../services/roleService');
 const { AuthorizationError } = require('../utils/errors');
 const { ROLES, PERMISSIONS } = require('../config/constants');
 
 /**
  * Role-Based Access Control Middleware
  * Checks if user has required permission(s)
+ * Permissions come from the user's role in their client database (system or custom role)
+ * Shop-scoped roles only grant permissions on their shops
  */
 const requirePermission = (...requiredPermissions) => {
   return async (req, res, next) => {
@@ -18,22 +20,19 @@ const requirePermission = (...requiredPermissions) => {
         throw new AuthorizationError('Authentication required');
       }
 
-      // Get user's role and permissions
-      let role = null;
-      if (req.user.roleId) {
-        role = await Role.findById(req.user.roleId);
-      } else {
-        // Fallback: find role by name and tenant
-        role = await Role.findOne({
-          tenantId: req.user.tenantId,
-          name: req.user.role,
-        });
-      }
+      // Get user's role and permissions (falls back to the system role by name)
+      const role = await roleService.resolveRole(req.user.databaseName, req.user.roleId, req.user.role);
 
       if (!role) {
         throw new AuthorizationError('Role not found');
       }
 
+      // Shop-scoped role
+      const shopId = req.params.shopId || req.body?.shopId || req.query.shopId;
+      if (shopId && role.shopIds?.length > 0 && !role.shopIds.some((id) => id.toString() === shopId.toString())) {
+        throw new AuthorizationError('Access denied: Role does not apply to this shop');
+      }
+
       // Check if user has at least one of the required permissions
       const hasPermission = requiredPermissions.some((permission) =>
         role.permissions.includes(permission)
@@ -1,11 +1,17 @@
-const Tenant = require('../models/Tenant');
+const entitlementService = require('../services/entitlementService');
+const subscriptionService = require('../services/subscriptionService');
 const { AuthorizationError } = require('../utils/errors');
 const moment = require('moment');
-const { ROLES } = require('../config/constants');
+const { ROLES, SUBSCRIPTION_STATUS } = require('../config/constants');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
 /**
  * Subscription Validation Middleware
- * Ensures tenant subscription is active before allowing operations
+ * Ensures the client's subscription allows the operation (client admin and staff routes)
+ * - grace: client admin is read-only
+ * - suspended: client admin is read-only (data and billing stay visible), staff are blocked
+ * - cancelled: access is blocked
  * Skip for platform super admin
  */
 const validateSubscription = async (req, res, next) => {
@@ -15,35 +21,109 @@ const validateSubscription = async (req, res, next) => {
       return next();
     }
 
-    // Get tenant ID
-    const tenantId = req.tenantId || req.user?.tenantId;
+    const databaseName = req.user?.databaseName;
+
+    if (!databaseName) {
+      return next(); // Let other middlewares handle authentication
+    }
+
+    const subscription = await subscriptionService.getStatusForDatabase(databaseName);
+
+    if (!subscription) {
+      return next(); // Let other middlewares handle client not found
+    }
+
+    req.subscription = subscription;
+
+    if (subscription.status === SUBSCRIPTION_STATUS.CANCELLED) {
+      throw new AuthorizationError('Subscription has been cancelled. Please contact support to reactivate it.');
+    }
+
+    if (
+      subscription.status === SUBSCRIPTION_STATUS.SUSPENDED &&
+      (req.user.role !== ROLES.CLIENT_ADMIN || !READ_METHODS.includes(req.method))
+    ) {
+      throw new AuthorizationError(
+        'Subscription has expired and the account is suspended. Please renew your subscription to continue using the service.'
+      );
+    }
+
+    if (
+      subscription.status === SUBSCRIPTION_STATUS.GRACE &&
+      req.user.role === ROLES.CLIENT_ADMIN &&
+      !READ_METHODS.includes(req.method)
+    ) {
+      throw new AuthorizationError(
+        `Subscription has expired. The account is read-only until ${moment(subscription.graceEndsAt).format('YYYY-MM-DD')}; please renew your subscription to make changes.`
+      );
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Customer Booking Middleware
+ * Online booking is closed while the shop owner's subscription is suspended or cancelled
+ */
+const requireBookableSubscription = async (req, res, next) => {
+  try {
+    const databaseName = req.user?.databaseName;
 
-    if (!tenantId) {
-      return next(); // Let other middlewares handle tenant validation
+    if (!databaseName) {
+      return next();
     }
 
-    // Get tenant
-    const tenant = await Tenant.findById(tenantId);
+    const subscription = await subscriptionService.getStatusForDatabase(databaseName);
 
-    if (!tenant) {
-      return next(); // Let other middlewares handle tenant not found
+    if (
+      subscription &&
+      [SUBSCRIPTION_STATUS.SUSPENDED, SUBSCRIPTION_STATUS.CANCELLED].includes(subscription.status)
+    ) {
+      throw new AuthorizationError('This shop is not accepting online bookings at the moment');
     }
 
-    // Check if subscription is active
-    if (tenant.subscriptionExpiresAt) {
-      const isExpired = moment(tenant.subscriptionExpiresAt).isBefore(moment());
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
 
-      if (isExpired) {
-        throw new AuthorizationError(
-          'Subscription has expired. Please renew your subscription to continue using the service.'
-        );
+/**
+ * Plan Feature Middleware
+ * Rejects with 403 when the client's subscription plan does not include the feature
+ * Skip for platform super admin
+ */
+const requirePlanFeature = (feature) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user || req.user.role === ROLES.PLATFORM_SUPER_ADMIN) {
+        return next();
       }
-    } else {
-      // No expiry date set - allow access but could be restricted
-      // For now, we'll allow it but you can change this behavior
-      console.warn(`Tenant ${tenantId} has no subscription expiry date set`);
+
+      await entitlementService.assertFeature(req.user.databaseName, feature);
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Shop Limit Middleware
+ * Rejects with 402 when the client already has as many shops as the plan allows
+ */
+const checkShopLimit = async (req, res, next) => {
+  try {
+    if (!req.user || req.user.role === ROLES.PLATFORM_SUPER_ADMIN) {
+      return next();
     }
 
+    await entitlementService.assertCanAddShop(req.user.databaseName);
+
     next();
   } catch (error) {
     next(error);
@@ -52,5 +132,8 @@ const validateSubscription = async (req, res, next) => {
 
 module.exports = {
   validateSubscription,
+  requireBookableSubscription,
+  requirePlanFeature,
+  checkShopLimit,
 };
 
@@ -24,6 +24,17 @@ const bookingSchema = new mongoose.Schema(
       required: [true, 'Slot ID is required'],
       index: true,
     },
+    // All consecutive slots the booking occupies (first is slotId)
+    // Services longer than one slot span several slots
+    slotIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Slot',
+      },
+    ],
+    duration: {
+      type: Number, // Minutes
+    },
     customerId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -33,8 +44,38 @@ const bookingSchema = new mongoose.Schema(
     serviceId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Service',
-      required: [true, 'Service ID is required'],
+      required: [true, 'Service ID is required'], // First service of the appointment
     },
+    // Ordered services of a multi-service appointment
+    services: [
+      {
+        serviceId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Service',
+          required: true,
+        },
+        name: String,
+        price: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        duration: {
+          type: Number, // Minutes
+        },
+        staffId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'StaffProfile',
+        },
+        // Slots this service is performed in
+        slotIds: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Slot',
+          },
+        ],
+      },
+    ],
     staffId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'StaffProfile',
@@ -59,6 +100,19 @@ const bookingSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    // Offer applied at booking time (finalPrice = originalPrice - discountAmount)
+    offerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Offer',
+    },
+    promoCode: {
+      type: String,
+    },
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     priceEdited: {
       type: Boolean,
       default: false,
@@ -104,6 +158,74 @@ const bookingSchema = new mongoose.Schema(
       enum: ['normal', 'high'],
       default: 'normal',
     },
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BookingSeries',
+      index: true, // Set when the booking is an occurrence of a recurring series
+    },
+    rescheduleHistory: [
+      {
+        fromSlotId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Slot',
+        },
+        toSlotId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Slot',
+        },
+        fromScheduledAt: {
+          type: Date,
+        },
+        toScheduledAt: {
+          type: Date,
+        },
+        rescheduledBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        rescheduledByType: {
+          type: String,
+          enum: ['admin', 'customer', 'staff'],
+        },
+        reason: {
+          type: String,
+        },
+        rescheduledAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Notification history (confirmation, cancellation, reminder messages)
+    reminderSentAt: {
+      type: Date,
+    },
+    notifications: [
+      {
+        type: {
+          type: String,
+          enum: ['confirmation', 'cancellation', 'reminder'],
+        },
+        channel: {
+          type: String,
+          enum: ['email', 'sms'],
+        },
+        status: {
+          type: String,
+          enum: ['sent', 'failed', 'skipped'],
+        },
+        recipient: {
+          type: String,
+        },
+        detail: {
+          type: String, // Failure message or reason the message was skipped
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     createdAt: {
       type: Date,
       default: Date.now,
@@ -123,13 +245,20 @@ bookingSchema.index({ tenantId: 1, shopId: 1, status: 1 });
 bookingSchema.index({ tenantId: 1, shopId: 1, scheduledAt: 1 });
 bookingSchema.index({ tenantId: 1, customerId: 1 });
 bookingSchema.index({ slotId: 1, status: 1 });
+bookingSchema.index({ slotIds: 1, status: 1 });
 bookingSchema.index({ tenantId: 1, shopId: 1, bookingType: 1 });
+bookingSchema.index({ status: 1, scheduledAt: 1, reminderSentAt: 1 });
+
+// Slots occupied by the booking (bookings made before multi-slot support only have slotId)
+bookingSchema.methods.getSlotIds = function () {
+  return this.slotIds && this.slotIds.length > 0 ? this.slotIds : [this.slotId];
+};
 
 // Update slot booked count when booking status changes
 bookingSchema.post('save', async function () {
   const Slot = mongoose.model('Slot');
-  const slot = await Slot.findById(this.slotId);
-  if (slot) {
+  const slots = await Slot.find({ _id: { $in: this.getSlotIds() } });
+  for (const slot of slots) {
     await slot.updateBookedCount();
   }
 });
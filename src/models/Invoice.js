@@ -40,6 +40,37 @@ const invoiceSchema = new mongoose.Schema(
       ref: 'Service',
       required: true,
     },
+    lineItems: [
+      {
+        serviceId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Service',
+        },
+        description: {
+          type: String,
+          required: true,
+        },
+        staffId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'StaffProfile',
+        },
+        quantity: {
+          type: Number,
+          default: 1,
+          min: 1,
+        },
+        unitPrice: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+      },
+    ],
     amount: {
       type: Number,
       required: true,
@@ -2,17 +2,27 @@ const mongoose = require('mongoose');
 
 /**
  * OTP Model
- * Stores OTP codes for email verification during registration
+ * Stores OTP codes sent by email or SMS (registration, password reset, customer login)
  */
 const otpSchema = new mongoose.Schema(
   {
     email: {
       type: String,
-      required: [true, 'Email is required'],
+      required: [
+        function () {
+          return !this.phone;
+        },
+        'Email or phone is required',
+      ],
       lowercase: true,
       trim: true,
       index: true,
     },
+    phone: {
+      type: String,
+      trim: true,
+      index: true,
+    },
     code: {
       type: String,
       required: [true, 'OTP code is required'],
@@ -20,9 +30,23 @@ const otpSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['client_admin_registration', 'password_reset'],
+      enum: ['client_admin_registration', 'password_reset', 'customer_login'],
       default: 'client_admin_registration',
     },
+    // Database of the account the code is for (null for platform_db / registration)
+    databaseName: {
+      type: String,
+      default: null,
+    },
+    // Wrong guesses; the code is invalidated after OTP_MAX_ATTEMPTS
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Set when attempts run out; no new codes for this address until then
+    lockedUntil: {
+      type: Date,
+    },
     expiresAt: {
       type: Date,
       required: true,
@@ -44,6 +68,8 @@ const otpSchema = new mongoose.Schema(
 
 // Index for finding valid OTPs
 otpSchema.index({ email: 1, code: 1, isUsed: 1 });
+otpSchema.index({ email: 1, type: 1, databaseName: 1, createdAt: -1 });
+otpSchema.index({ phone: 1, type: 1, databaseName: 1, createdAt: -1 });
 otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 module.exports = mongoose.model('OTP', otpSchema);
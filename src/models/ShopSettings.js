@@ -48,6 +48,11 @@ const shopSettingsSchema = new mongoose.Schema(
       min: 1,
       max: 30,
     },
+    rescheduleCutoffHours: {
+      type: Number,
+      default: 2, // Customers cannot reschedule within this many hours of the appointment
+      min: 0,
+    },
     sendSmsNotifications: {
       type: Boolean,
       default: false,
@@ -56,6 +61,12 @@ const shopSettingsSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    reminderHoursBefore: {
+      type: Number,
+      default: 24, // Appointment reminder lead time; 0 disables reminders
+      min: 0,
+      max: 72,
+    },
     taxRate: {
       type: Number,
       default: 0,
@@ -87,7 +87,8 @@ slotSchema.methods.isAvailable = function () {
 // Method to update booked count
 slotSchema.methods.updateBookedCount = async function () {
   this.bookedCount = await mongoose.model('Booking').countDocuments({
-    slotId: this._id,
+    // Multi-slot bookings count towards every slot they span
+    $or: [{ slotId: this._id }, { slotIds: this._id }],
     status: { $in: ['confirmed', 'arrived', 'in_progress'] },
   });
 
@@ -0,0 +1,133 @@
+const moment = require('moment');
+const { renderLayout } = require('./layout');
+
+/**
+ * Email Templates
+ * Each template receives data and returns { subject, html, text }
+ */
+
+const OTP_PURPOSES = {
+  client_admin_registration: 'complete your registration',
+  password_reset: 'reset your password',
+  customer_login: 'sign in',
+};
+
+const formatDateTime = (date) => moment(date).format('dddd, D MMM YYYY [at] HH:mm');
+const formatDate = (date) => moment(date).format('D MMM YYYY');
+
+const templates = {
+  otp: ({ code, type, expiresInMinutes }) => ({
+    subject: `Your BookACut verification code: ${code}`,
+    ...renderLayout({
+      title: 'Your verification code',
+      paragraphs: [
+        `Use the code below to ${OTP_PURPOSES[type] || 'verify your email'}.`,
+        `This code expires in ${expiresInMinutes} minutes. If you did not request it, you can ignore this email.`,
+      ],
+      details: [['Code', code]],
+    }),
+  }),
+
+  booking_confirmation: ({ customerName, shopName, services, scheduledAt, finalPrice, status }) => ({
+    subject: status === 'pending'
+      ? `Booking request received - ${shopName}`
+      : `Booking confirmed - ${shopName}`,
+    ...renderLayout({
+      title: status === 'pending' ? 'Booking request received' : 'Your booking is confirmed',
+      paragraphs: [
+        `Hi ${customerName},`,
+        status === 'pending'
+          ? `We have received your booking at ${shopName}. The shop will confirm it shortly.`
+          : `Your booking at ${shopName} is confirmed. Please arrive a few minutes early.`,
+      ],
+      details: [
+        ['When', formatDateTime(scheduledAt)],
+        ['Services', services.join(', ')],
+        ['Price', Number(finalPrice).toFixed(2)],
+      ],
+    }),
+  }),
+
+  booking_cancellation: ({ customerName, shopName, services, scheduledAt, reason }) => ({
+    subject: `Booking cancelled - ${shopName}`,
+    ...renderLayout({
+      title: 'Your booking was cancelled',
+      paragraphs: [
+        `Hi ${customerName},`,
+        `Your booking at ${shopName} has been cancelled.`,
+        ...(reason ? [`Reason: ${reason}`] : []),
+      ],
+      details: [
+        ['When', formatDateTime(scheduledAt)],
+        ['Services', services.join(', ')],
+      ],
+    }),
+  }),
+
+  booking_reminder: ({ customerName, shopName, services, scheduledAt }) => ({
+    subject: `Reminder: your booking at ${shopName}`,
+    ...renderLayout({
+      title: 'See you soon',
+      paragraphs: [
+        `Hi ${customerName},`,
+        `This is a reminder of your upcoming booking at ${shopName}.`,
+        'If you can no longer make it, please cancel so someone else can take the slot.',
+      ],
+      details: [
+        ['When', formatDateTime(scheduledAt)],
+        ['Services', services.join(', ')],
+      ],
+    }),
+  }),
+
+  subscription_invoice: ({ name, invoiceNumber, planName, periodStart, periodEnd, total, currency, dueAt }) => ({
+    subject: `BookACut invoice ${invoiceNumber}`,
+    ...renderLayout({
+      title: 'New subscription invoice',
+      paragraphs: [
+        `Hi ${name},`,
+        `Your BookACut ${planName} subscription invoice is ready. You can view and download it from Billing in your admin panel.`,
+      ],
+      details: [
+        ['Invoice', invoiceNumber],
+        ['Period', `${formatDate(periodStart)} - ${formatDate(periodEnd)}`],
+        ['Amount due', `${currency} ${total.toFixed(2)}`],
+        ['Due', formatDate(dueAt)],
+      ],
+    }),
+  }),
+
+  subscription_receipt: ({ name, receiptNumber, invoiceNumber, amount, currency, paymentDate, balance }) => ({
+    subject: `BookACut payment receipt ${receiptNumber}`,
+    ...renderLayout({
+      title: 'Payment received',
+      paragraphs: [
+        `Hi ${name},`,
+        balance > 0
+          ? `Thank you for your payment. ${currency} ${balance.toFixed(2)} is still outstanding on invoice ${invoiceNumber}.`
+          : `Thank you for your payment. Invoice ${invoiceNumber} is now paid in full.`,
+      ],
+      details: [
+        ['Receipt', receiptNumber],
+        ['Invoice', invoiceNumber],
+        ['Amount', `${currency} ${amount.toFixed(2)}`],
+        ['Date', formatDate(paymentDate)],
+      ],
+    }),
+  }),
+};
+
+/**
+ * Render a template by name
+ */
+function renderTemplate(name, data) {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return template(data);
+}
+
+module.exports = { renderTemplate };
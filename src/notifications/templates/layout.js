@@ -0,0 +1,49 @@
+/**
+ * Shared email layout
+ */
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Wrap template content in the common HTML and text frame
+ * @param {Object} content - { title, paragraphs: [string], details: [[label, value]] }
+ * @returns {Object} { html, text }
+ */
+const renderLayout = ({ title, paragraphs = [], details = [] }) => {
+  const detailRows = details
+    .map(([label, value]) =>
+      `<tr><td style="padding:4px 12px 4px 0;color:#666;">${escapeHtml(label)}</td>` +
+      `<td style="padding:4px 0;"><strong>${escapeHtml(value)}</strong></td></tr>`)
+    .join('');
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f5f5f5;font-family:Arial,Helvetica,sans-serif;color:#222;">
+    <div style="max-width:560px;margin:0 auto;background:#fff;border-radius:8px;padding:24px;">
+      <h2 style="margin-top:0;">${escapeHtml(title)}</h2>
+      ${paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join('\n      ')}
+      ${detailRows ? `<table style="border-collapse:collapse;margin:16px 0;">${detailRows}</table>` : ''}
+      <p style="color:#999;font-size:12px;margin-bottom:0;">Sent by BookACut</p>
+    </div>
+  </body>
+</html>`;
+
+  const text = [
+    title,
+    '',
+    ...paragraphs,
+    ...(details.length > 0 ? ['', ...details.map(([label, value]) => `${label}: ${value}`)] : []),
+    '',
+    'Sent by BookACut',
+  ].join('\n');
+
+  return { html, text };
+};
+
+module.exports = { escapeHtml, renderLayout };
@@ -0,0 +1,38 @@
+const moment = require('moment');
+
+/**
+ * SMS Templates
+ * Each template receives the same data as its email counterpart and returns plain text
+ */
+
+const formatDateTime = (date) => moment(date).format('ddd D MMM, HH:mm');
+
+const templates = {
+  otp: ({ code, expiresInMinutes }) =>
+    `Your BookACut code is ${code}. It expires in ${expiresInMinutes} minutes. Do not share it with anyone.`,
+
+  booking_confirmation: ({ shopName, scheduledAt, status }) => (status === 'pending'
+    ? `${shopName}: we received your booking for ${formatDateTime(scheduledAt)}. The shop will confirm it shortly.`
+    : `${shopName}: your booking for ${formatDateTime(scheduledAt)} is confirmed.`),
+
+  booking_cancellation: ({ shopName, scheduledAt, reason }) =>
+    `${shopName}: your booking for ${formatDateTime(scheduledAt)} was cancelled.${reason ? ` Reason: ${reason}` : ''}`,
+
+  booking_reminder: ({ shopName, scheduledAt }) =>
+    `${shopName}: reminder of your booking on ${formatDateTime(scheduledAt)}.`,
+};
+
+/**
+ * Render an SMS template by name
+ */
+function renderSms(name, data) {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown SMS template: ${name}`);
+  }
+
+  return template(data);
+}
+
+module.exports = { renderSms };
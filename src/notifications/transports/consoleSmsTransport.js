@@ -0,0 +1,23 @@
+/**
+ * Console SMS Transport
+ * Development transport - prints text messages instead of sending them
+ */
+class ConsoleSmsTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    const messageId = `console-sms-${Date.now()}`;
+
+    console.log('========================================');
+    console.log(`SMS to: ${message.to}`);
+    console.log('----------------------------------------');
+    console.log(message.text);
+    console.log('========================================');
+
+    return { messageId };
+  }
+}
+
+module.exports = ConsoleSmsTransport;
@@ -0,0 +1,24 @@
+/**
+ * Console Transport
+ * Development transport - prints emails instead of sending them
+ */
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    const messageId = `console-${Date.now()}`;
+
+    console.log('========================================');
+    console.log(`Email to: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('----------------------------------------');
+    console.log(message.text);
+    console.log('========================================');
+
+    return { messageId };
+  }
+}
+
+module.exports = ConsoleTransport;
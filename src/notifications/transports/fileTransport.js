@@ -0,0 +1,32 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * File Transport
+ * Development transport - writes each email as an .eml file that mail clients can open
+ */
+class FileTransport {
+  constructor(directory) {
+    this.name = 'file';
+    this.directory = directory;
+    this.mailer = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+      newline: 'unix',
+    });
+  }
+
+  async send(message) {
+    const info = await this.mailer.sendMail(message);
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.eml`;
+    await fs.promises.writeFile(path.join(this.directory, fileName), info.message);
+
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,38 @@
+const ConsoleTransport = require('./consoleTransport');
+const FileTransport = require('./fileTransport');
+const SmtpTransport = require('./smtpTransport');
+const ConsoleSmsTransport = require('./consoleSmsTransport');
+const { EMAIL, SMS } = require('../../config/constants');
+
+/**
+ * Create the email transport configured by EMAIL_TRANSPORT
+ * Transports expose `name` and `async send({ from, to, subject, html, text })`
+ */
+function createTransport(name = EMAIL.TRANSPORT) {
+  switch (name) {
+    case 'smtp':
+      return new SmtpTransport();
+    case 'file':
+      return new FileTransport(EMAIL.FILE_DIR);
+    case 'console':
+      return new ConsoleTransport();
+    default:
+      throw new Error(`Unknown email transport: ${name}`);
+  }
+}
+
+/**
+ * Create the SMS transport configured by SMS_TRANSPORT
+ * Transports expose `name` and `async send({ to, text })`
+ * Register a provider (e.g. Twilio) here to deliver real text messages
+ */
+function createSmsTransport(name = SMS.TRANSPORT) {
+  switch (name) {
+    case 'console':
+      return new ConsoleSmsTransport();
+    default:
+      throw new Error(`Unknown SMS transport: ${name}`);
+  }
+}
+
+module.exports = { createTransport, createSmsTransport };
@@ -0,0 +1,27 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP Transport
+ * Sends emails through any SMTP server (provider relay or a local SMTP sink)
+ */
+class SmtpTransport {
+  constructor() {
+    this.name = 'smtp';
+    this.mailer = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+
+  async send(message) {
+    const info = await this.mailer.sendMail(message);
+
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -43,13 +43,14 @@ const clientAdminSchema = new mongoose.Schema(
       type: String,
       required: [true, 'Phone number is required'],
     },
+    // Per-client overrides of the plan limits (unset = plan default, see config/plans.js)
     maxShops: {
       type: Number,
-      default: 10,
+      min: 0,
     },
     maxStaff: {
       type: Number,
-      default: 50,
+      min: 0,
     },
     subscriptionPlan: {
       type: String,
@@ -59,10 +60,79 @@ const clientAdminSchema = new mongoose.Schema(
     subscriptionExpiresAt: {
       type: Date,
     },
+    // Lifecycle driven by subscriptionExpiresAt (see subscriptionService)
+    subscriptionStatus: {
+      type: String,
+      enum: ['active', 'grace', 'suspended', 'cancelled'],
+      default: 'active',
+      index: true,
+    },
+    subscriptionStatusChangedAt: {
+      type: Date,
+    },
+    // Trial: self sign-up trials and super admin demo periods, until the first paid invoice
+    isTrial: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    trialEndsAt: {
+      type: Date,
+    },
+    trialConvertedAt: {
+      type: Date,
+    },
+    signupSource: {
+      type: String,
+      enum: ['super_admin', 'self_signup'],
+      default: 'super_admin',
+    },
+    // Set the first time every onboarding checklist step is done
+    onboardingCompletedAt: {
+      type: Date,
+    },
+    // Deletion: the client database is dropped after the retention period (see dataPrivacyService)
+    deletionScheduledAt: {
+      type: Date,
+      index: true,
+    },
+    deletionRequestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PlatformAdmin',
+    },
+    deletedAt: {
+      type: Date,
+    },
     isActive: {
       type: Boolean,
       default: true,
     },
+    // TOTP two-factor authentication (secrets and recovery code hashes never leave the server)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false, // Set during enrolment until the first code is confirmed
+      },
+      recoveryCodes: {
+        type: [String],
+        select: false, // SHA-256 hashes of unused recovery codes
+      },
+      lastUsedStep: {
+        type: Number,
+        select: false, // Last accepted time step, so a code cannot be replayed
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const connectionManager = require('../../database/connectionManager');
+
+/**
+ * Counter Schema
+ * Stored in platform_db
+ * Named sequences for platform document numbers (subscription invoices, receipts)
+ */
+const counterSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Atomically take the next number of a sequence (starts at 1)
+ */
+counterSchema.statics.next = async function (key) {
+  const counter = await this.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+
+  return counter.seq;
+};
+
+/**
+ * Get Counter model for platform_db
+ */
+function getCounterModel() {
+  const connection = connectionManager.getPlatformDb();
+  if (!connection.models.Counter) {
+    return connection.model('Counter', counterSchema);
+  }
+  return connection.models.Counter;
+}
+
+module.exports = {
+  schema: counterSchema,
+  getModel: getCounterModel,
+};
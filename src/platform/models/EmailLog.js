@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const connectionManager = require('../../database/connectionManager');
+
+/**
+ * Email Log Schema
+ * Stored in platform_db
+ * One entry per email handed to the notification transport (bodies are not stored)
+ */
+const emailLogSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+    from: {
+      type: String,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    template: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    transport: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['sent', 'failed'],
+      required: true,
+      index: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    messageId: {
+      type: String,
+    },
+    error: {
+      type: String,
+    },
+    // Where the email came from (client database, booking, ...)
+    databaseName: {
+      type: String,
+      index: true,
+    },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      index: true,
+    },
+    sentAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+emailLogSchema.index({ createdAt: -1 });
+
+/**
+ * Get EmailLog model for platform_db
+ */
+function getEmailLogModel() {
+  const connection = connectionManager.getPlatformDb();
+  if (!connection.models.EmailLog) {
+    return connection.model('EmailLog', emailLogSchema);
+  }
+  return connection.models.EmailLog;
+}
+
+module.exports = {
+  schema: emailLogSchema,
+  getModel: getEmailLogModel,
+};
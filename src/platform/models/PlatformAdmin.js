@@ -44,6 +44,32 @@ const platformAdminSchema = new mongoose.Schema(
     lastLogin: {
       type: Date,
     },
+    // TOTP two-factor authentication (secrets and recovery code hashes never leave the server)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false, // Set during enrolment until the first code is confirmed
+      },
+      recoveryCodes: {
+        type: [String],
+        select: false, // SHA-256 hashes of unused recovery codes
+      },
+      lastUsedStep: {
+        type: Number,
+        select: false, // Last accepted time step, so a code cannot be replayed
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
     createdAt: {
       type: Date,
       default: Date.now,
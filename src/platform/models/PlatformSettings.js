@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const connectionManager = require('../../database/connectionManager');
+
+/**
+ * Platform Settings Schema
+ * Stored in platform_db
+ * Single document with platform-wide policies managed by the super admin
+ */
+const platformSettingsSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: 'platform',
+      unique: true,
+    },
+    // Platform and client admins must enrol in TOTP two-factor authentication
+    requireAdminTwoFactor: {
+      type: Boolean,
+      default: false,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PlatformAdmin',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Get the platform settings document (created with defaults on first use)
+ */
+platformSettingsSchema.statics.getSettings = async function () {
+  return await this.findOneAndUpdate(
+    { key: 'platform' },
+    { $setOnInsert: { key: 'platform' } },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Get PlatformSettings model for platform_db
+ */
+function getPlatformSettingsModel() {
+  const connection = connectionManager.getPlatformDb();
+  if (!connection.models.PlatformSettings) {
+    return connection.model('PlatformSettings', platformSettingsSchema);
+  }
+  return connection.models.PlatformSettings;
+}
+
+module.exports = {
+  schema: platformSettingsSchema,
+  getModel: getPlatformSettingsModel,
+};
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const connectionManager = require('../../database/connectionManager');
+
+/**
+ * Subscription Event Schema
+ * Stored in platform_db
+ * Audit trail of every subscription status change of a client
+ */
+const subscriptionEventSchema = new mongoose.Schema(
+  {
+    clientAdminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ClientAdmin',
+      required: true,
+      index: true,
+    },
+    databaseName: {
+      type: String,
+      required: true,
+    },
+    fromStatus: {
+      type: String,
+      enum: ['active', 'grace', 'suspended', 'cancelled'],
+      required: true,
+    },
+    toStatus: {
+      type: String,
+      enum: ['active', 'grace', 'suspended', 'cancelled'],
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: ['expired', 'grace_ended', 'renewed', 'payment_recorded', 'expiry_updated', 'cancelled', 'deletion_scheduled', 'deletion_cancelled'],
+      required: true,
+    },
+    subscriptionExpiresAt: {
+      type: Date,
+    },
+    // Super admin who caused the change (empty for the daily cron)
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PlatformAdmin',
+    },
+    note: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+subscriptionEventSchema.index({ clientAdminId: 1, createdAt: -1 });
+
+/**
+ * Get SubscriptionEvent model for platform_db
+ */
+function getSubscriptionEventModel() {
+  const connection = connectionManager.getPlatformDb();
+  if (!connection.models.SubscriptionEvent) {
+    return connection.model('SubscriptionEvent', subscriptionEventSchema);
+  }
+  return connection.models.SubscriptionEvent;
+}
+
+module.exports = {
+  schema: subscriptionEventSchema,
+  getModel: getSubscriptionEventModel,
+};
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const connectionManager = require('../../database/connectionManager');
+
+/**
+ * Subscription Invoice Schema
+ * Stored in platform_db
+ * Invoice issued to a client for one billing period of their subscription
+ */
+const subscriptionInvoiceSchema = new mongoose.Schema(
+  {
+    invoiceNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    clientAdminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ClientAdmin',
+      required: true,
+      index: true,
+    },
+    databaseName: {
+      type: String,
+      required: true,
+    },
+    plan: {
+      type: String,
+      enum: ['basic', 'premium', 'enterprise'],
+      required: true,
+    },
+    // Billing period covered by the invoice
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    periodEnd: {
+      type: Date,
+      required: true,
+    },
+    months: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    lineItems: [
+      {
+        description: {
+          type: String,
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          default: 1,
+        },
+        unitPrice: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+      },
+    ],
+    total: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: 'USD',
+    },
+    amountPaid: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: ['open', 'partially_paid', 'paid', 'void'],
+      default: 'open',
+      index: true,
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    dueAt: {
+      type: Date,
+    },
+    paidAt: {
+      type: Date,
+    },
+    voidedAt: {
+      type: Date,
+    },
+    voidReason: {
+      type: String,
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PlatformAdmin',
+    },
+    notes: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Outstanding amount
+subscriptionInvoiceSchema.virtual('balance').get(function () {
+  if (this.status === 'void') {
+    return 0;
+  }
+  return Math.round((this.total - this.amountPaid) * 100) / 100;
+});
+
+// Indexes
+subscriptionInvoiceSchema.index({ clientAdminId: 1, issuedAt: -1 });
+subscriptionInvoiceSchema.index({ clientAdminId: 1, status: 1 });
+
+/**
+ * Get SubscriptionInvoice model for platform_db
+ */
+function getSubscriptionInvoiceModel() {
+  const connection = connectionManager.getPlatformDb();
+  if (!connection.models.SubscriptionInvoice) {
+    return connection.model('SubscriptionInvoice', subscriptionInvoiceSchema);
+  }
+  return connection.models.SubscriptionInvoice;
+}
+
+module.exports = {
+  schema: subscriptionInvoiceSchema,
+  getModel: getSubscriptionInvoiceModel,
+};
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const connectionManager = require('../../database/connectionManager');
+
+/**
+ * Subscription Payment Schema
+ * Stored in platform_db
+ * Payment received from a client against a subscription invoice
+ * Super admin records payments manually; each gets a sequential receipt number
+ */
+const subscriptionPaymentSchema = new mongoose.Schema(
+  {
+    clientAdminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ClientAdmin',
+      required: [true, 'Client ID is required'],
+      index: true,
+    },
+    invoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SubscriptionInvoice',
+      required: true,
+      index: true,
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Payment amount is required'],
+      min: 0.01,
+    },
+    currency: {
+      type: String,
+      default: 'USD',
+    },
+    paymentMethod: {
+      type: String,
+      enum: ['cash', 'bank_transfer', 'check', 'other'],
+      required: true,
+    },
+    paymentDate: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    receiptNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // External reference (bank transfer ID, cheque number, ...)
+    reference: {
+      type: String,
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PlatformAdmin',
+      required: true, // Super admin who recorded the payment
+    },
+    notes: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+subscriptionPaymentSchema.index({ clientAdminId: 1, paymentDate: -1 });
+subscriptionPaymentSchema.index({ paymentDate: -1 });
+
+/**
+ * Get SubscriptionPayment model for platform_db
+ */
+function getSubscriptionPaymentModel() {
+  const connection = connectionManager.getPlatformDb();
+  if (!connection.models.SubscriptionPayment) {
+    return connection.model('SubscriptionPayment', subscriptionPaymentSchema);
+  }
+  return connection.models.SubscriptionPayment;
+}
+
+module.exports = {
+  schema: subscriptionPaymentSchema,
+  getModel: getSubscriptionPaymentModel,
+};
@@ -1,9 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { authenticate } = require('../middlewares/auth');
+const { authenticate, optionalAuth } = require('../middlewares/auth');
 const { body } = require('express-validator');
 const { validate } = require('../middlewares/validator');
+const {
+  signupRequestLimiter,
+  signupVerifyLimiter,
+  loginCodeRequestLimiter,
+  loginCodeVerifyLimiter,
+  forgotPasswordLimiter,
+  resetPasswordLimiter,
+  twoFactorLimiter,
+} = require('../middlewares/rateLimiter');
 
 /**
  * Auth Routes
@@ -15,11 +24,73 @@ router.post(
   [
     body('email').isEmail().normalizeEmail(),
     body('password').notEmpty(),
+    body('deviceName').optional().trim().isLength({ max: 100 }),
     validate,
   ],
   authController.login.bind(authController)
 );
 
+// Two-Factor Authentication (platform super admins and client admins)
+router.post(
+  '/2fa/verify',
+  twoFactorLimiter,
+  [
+    body('twoFactorToken').notEmpty(),
+    body('code').if(body('recoveryCode').not().exists()).notEmpty(),
+    body('deviceName').optional().trim().isLength({ max: 100 }),
+    validate,
+  ],
+  authController.verifyTwoFactor.bind(authController)
+);
+
+router.get('/2fa', authenticate, authController.getTwoFactorStatus.bind(authController));
+
+// Setup works for a logged-in admin or with the twoFactorToken of a login that must enrol first
+router.post('/2fa/setup', optionalAuth, authController.setupTwoFactor.bind(authController));
+
+router.post(
+  '/2fa/enable',
+  optionalAuth,
+  twoFactorLimiter,
+  [
+    body('code').notEmpty(),
+    validate,
+  ],
+  authController.enableTwoFactor.bind(authController)
+);
+
+router.post(
+  '/2fa/disable',
+  authenticate,
+  twoFactorLimiter,
+  [
+    body('code').if(body('recoveryCode').not().exists()).notEmpty(),
+    validate,
+  ],
+  authController.disableTwoFactor.bind(authController)
+);
+
+router.post(
+  '/2fa/recovery-codes',
+  authenticate,
+  twoFactorLimiter,
+  [
+    body('code').notEmpty(),
+    validate,
+  ],
+  authController.regenerateRecoveryCodes.bind(authController)
+);
+
+// Refresh Tokens
+router.post(
+  '/refresh',
+  [
+    body('refreshToken').notEmpty(),
+    validate,
+  ],
+  authController.refreshToken.bind(authController)
+);
+
 // Register Customer
 router.post(
   '/register',
@@ -35,8 +106,98 @@ router.post(
   authController.registerCustomer.bind(authController)
 );
 
+// Self-Service Sign Up for Client Admins (email code, then a free trial)
+router.post(
+  '/signup',
+  signupRequestLimiter,
+  [
+    body('email').isEmail().normalizeEmail(),
+    validate,
+  ],
+  authController.requestSignup.bind(authController)
+);
+
+router.post(
+  '/signup/verify',
+  signupVerifyLimiter,
+  [
+    body('email').isEmail().normalizeEmail(),
+    body('code').isLength({ min: 6, max: 6 }).isNumeric(),
+    body('password').isLength({ min: 6 }),
+    body('firstName').notEmpty().trim(),
+    body('lastName').notEmpty().trim(),
+    body('phone').notEmpty().trim(),
+    body('deviceName').optional().trim().isLength({ max: 100 }),
+    validate,
+  ],
+  authController.completeSignup.bind(authController)
+);
+
+// Passwordless Login for Customers (email or phone + one-time code)
+router.post(
+  '/otp/request',
+  loginCodeRequestLimiter,
+  [
+    body('databaseName').notEmpty(),
+    body('email').optional().isEmail().normalizeEmail(),
+    body('phone').if(body('email').not().exists()).notEmpty().trim(),
+    validate,
+  ],
+  authController.requestLoginCode.bind(authController)
+);
+
+router.post(
+  '/otp/verify',
+  loginCodeVerifyLimiter,
+  [
+    body('databaseName').notEmpty(),
+    body('email').optional().isEmail().normalizeEmail(),
+    body('phone').if(body('email').not().exists()).notEmpty().trim(),
+    body('code').isLength({ min: 6, max: 6 }).isNumeric(),
+    body('firstName').optional().trim().notEmpty(),
+    body('lastName').optional().trim().notEmpty(),
+    body('deviceName').optional().trim().isLength({ max: 100 }),
+    validate,
+  ],
+  authController.verifyLoginCode.bind(authController)
+);
+
+// Forgot Password
+router.post(
+  '/forgot-password',
+  forgotPasswordLimiter,
+  [
+    body('email').isEmail().normalizeEmail(),
+    body('databaseName').optional().notEmpty(),
+    validate,
+  ],
+  authController.forgotPassword.bind(authController)
+);
+
+// Reset Password
+router.post(
+  '/reset-password',
+  resetPasswordLimiter,
+  [
+    body('email').isEmail().normalizeEmail(),
+    body('code').isLength({ min: 6, max: 6 }).isNumeric(),
+    body('password').isLength({ min: 6 }),
+    body('databaseName').optional().notEmpty(),
+    validate,
+  ],
+  authController.resetPassword.bind(authController)
+);
+
 // Get Current User
 router.get('/me', authenticate, authController.getCurrentUser.bind(authController));
 
+// Sessions
+router.get('/sessions', authenticate, authController.getSessions.bind(authController));
+router.delete('/sessions/:sessionId', authenticate, authController.revokeSession.bind(authController));
+
+// Logout
+router.post('/logout', authenticate, authController.logout.bind(authController));
+router.post('/logout-all', authenticate, authController.logoutAll.bind(authController));
+
 module.exports = router;
 
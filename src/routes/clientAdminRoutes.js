@@ -4,9 +4,9 @@ const clientAdminController = require('../controllers/clientAdminController');
 const { authenticate } = require('../middlewares/auth');
 const { validateTenant, extractTenantId } = require('../middlewares/tenant');
 const { requireRole, requirePermission, validateShopAccess } = require('../middlewares/rbac');
-const { validateSubscription } = require('../middlewares/subscription');
-const { ROLES } = require('../config/constants');
-const { body } = require('express-validator');
+const { validateSubscription, requirePlanFeature, checkShopLimit } = require('../middlewares/subscription');
+const { ROLES, PERMISSIONS, PLAN_FEATURES, INVOICE_LAYOUT, TAX } = require('../config/constants');
+const { body, query } = require('express-validator');
 const { validate } = require('../middlewares/validator');
 
 /**
@@ -20,9 +20,34 @@ router.use(validateTenant);
 router.use(validateSubscription);
 router.use(requireRole(ROLES.CLIENT_ADMIN, ROLES.PLATFORM_SUPER_ADMIN));
 
+// Subscription Plan
+router.get('/plan', clientAdminController.getPlanUsage.bind(clientAdminController));
+
+// Onboarding Checklist
+router.get('/onboarding', clientAdminController.getOnboarding.bind(clientAdminController));
+
+// Subscription Billing (invoices and receipts from the platform)
+router.get('/billing', clientAdminController.getBilling.bind(clientAdminController));
+router.get('/billing/invoices/:invoiceId', clientAdminController.getSubscriptionInvoice.bind(clientAdminController));
+router.get(
+  '/billing/invoices/:invoiceId/download',
+  clientAdminController.downloadSubscriptionInvoice.bind(clientAdminController)
+);
+router.get('/billing/payments', clientAdminController.getSubscriptionPayments.bind(clientAdminController));
+router.get(
+  '/billing/payments/:paymentId/receipt',
+  clientAdminController.downloadSubscriptionReceipt.bind(clientAdminController)
+);
+
+// Data Export & Customer Erasure
+router.get('/export', clientAdminController.exportData.bind(clientAdminController));
+router.get('/customers/:userId/export', clientAdminController.exportCustomerData.bind(clientAdminController));
+router.post('/customers/:userId/erase', clientAdminController.eraseCustomerData.bind(clientAdminController));
+
 // Shop Management
 router.post(
   '/shops',
+  checkShopLimit,
   [
     body('name').notEmpty().trim(),
     body('phone').notEmpty(),
@@ -89,6 +114,131 @@ router.put(
   clientAdminController.updateStaffCredentials.bind(clientAdminController)
 );
 
+// Roles & Permissions
+router.get(
+  '/roles',
+  requirePermission(PERMISSIONS.MANAGE_STAFF),
+  clientAdminController.getRoles.bind(clientAdminController)
+);
+
+router.post(
+  '/roles',
+  requirePermission(PERMISSIONS.MANAGE_STAFF),
+  requirePlanFeature(PLAN_FEATURES.CUSTOM_ROLES),
+  [
+    body('name').notEmpty().trim().isLength({ max: 50 }),
+    body('description').optional().trim(),
+    body('permissions').isArray({ min: 1 }),
+    body('shopIds').optional().isArray(),
+    body('shopIds.*').isMongoId(),
+    validate,
+  ],
+  clientAdminController.createRole.bind(clientAdminController)
+);
+
+router.get(
+  '/roles/:roleId',
+  requirePermission(PERMISSIONS.MANAGE_STAFF),
+  clientAdminController.getRole.bind(clientAdminController)
+);
+
+router.put(
+  '/roles/:roleId',
+  requirePermission(PERMISSIONS.MANAGE_STAFF),
+  requirePlanFeature(PLAN_FEATURES.CUSTOM_ROLES),
+  [
+    body('name').optional().notEmpty().trim().isLength({ max: 50 }),
+    body('description').optional().trim(),
+    body('permissions').optional().isArray({ min: 1 }),
+    body('shopIds').optional().isArray(),
+    body('shopIds.*').isMongoId(),
+    validate,
+  ],
+  clientAdminController.updateRole.bind(clientAdminController)
+);
+
+router.delete(
+  '/roles/:roleId',
+  requirePermission(PERMISSIONS.MANAGE_STAFF),
+  clientAdminController.deleteRole.bind(clientAdminController)
+);
+
+router.put(
+  '/staff/:userId/role',
+  requirePermission(PERMISSIONS.MANAGE_STAFF),
+  [
+    body('roleId').isMongoId(),
+    validate,
+  ],
+  clientAdminController.assignStaffRole.bind(clientAdminController)
+);
+
+// Staff Schedules & Leave
+const timeFormat = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+router.get(
+  '/shops/:shopId/staff/:staffId/schedule',
+  validateShopAccess,
+  clientAdminController.getStaffSchedule.bind(clientAdminController)
+);
+
+router.put(
+  '/shops/:shopId/staff/:staffId/schedule',
+  validateShopAccess,
+  [
+    body('weeklyShifts').isObject(),
+    body('weeklyShifts.*.isWorking').optional().isBoolean(),
+    body('weeklyShifts.*.start').optional().matches(timeFormat).withMessage('start must be in HH:mm format'),
+    body('weeklyShifts.*.end').optional().matches(timeFormat).withMessage('end must be in HH:mm format'),
+    body('weeklyShifts.*.breaks').optional().isArray(),
+    validate,
+  ],
+  clientAdminController.setStaffSchedule.bind(clientAdminController)
+);
+
+router.post(
+  '/shops/:shopId/staff/:staffId/schedule/overrides',
+  validateShopAccess,
+  [
+    body('date').isISO8601(),
+    body('isWorking').optional().isBoolean(),
+    body('start').optional().matches(timeFormat).withMessage('start must be in HH:mm format'),
+    body('end').optional().matches(timeFormat).withMessage('end must be in HH:mm format'),
+    body('breaks').optional().isArray(),
+    body('reason').optional().trim(),
+    validate,
+  ],
+  clientAdminController.setStaffScheduleOverride.bind(clientAdminController)
+);
+
+router.delete(
+  '/shops/:shopId/staff/:staffId/schedule/overrides/:date',
+  validateShopAccess,
+  clientAdminController.removeStaffScheduleOverride.bind(clientAdminController)
+);
+
+router.get(
+  '/shops/:shopId/leave-requests',
+  validateShopAccess,
+  clientAdminController.getLeaveRequests.bind(clientAdminController)
+);
+
+router.post(
+  '/shops/:shopId/leave-requests/:leaveId/approve',
+  validateShopAccess,
+  clientAdminController.approveLeave.bind(clientAdminController)
+);
+
+router.post(
+  '/shops/:shopId/leave-requests/:leaveId/reject',
+  validateShopAccess,
+  [
+    body('note').optional().trim(),
+    validate,
+  ],
+  clientAdminController.rejectLeave.bind(clientAdminController)
+);
+
 // Service Management
 router.post(
   '/shops/:shopId/services',
@@ -97,6 +247,7 @@ router.post(
     body('name').notEmpty().trim(),
     body('duration').isInt({ min: 1 }),
     body('price').isFloat({ min: 0 }),
+    body('taxCategory').optional({ values: 'null' }).trim().toLowerCase().matches(/^[a-z0-9_]{0,32}$/),
     validate,
   ],
   clientAdminController.createService.bind(clientAdminController)
@@ -108,10 +259,103 @@ router.get(
   clientAdminController.getShopServices.bind(clientAdminController)
 );
 
+// Offers
+router.post(
+  '/shops/:shopId/offers',
+  validateShopAccess,
+  requirePlanFeature(PLAN_FEATURES.OFFERS),
+  [
+    body('title').notEmpty().trim(),
+    body('code').optional({ values: 'null' }).trim().isLength({ max: 32 }),
+    body('discountType').isIn(['percentage', 'fixed']),
+    body('discountValue').isFloat({ min: 0 }),
+    body('applicableServices').optional().isArray(),
+    body('startDate').isISO8601(),
+    body('endDate').isISO8601(),
+    body('maxUses').optional({ values: 'null' }).isInt({ min: 1 }),
+    validate,
+  ],
+  clientAdminController.createOffer.bind(clientAdminController)
+);
+
+router.get(
+  '/shops/:shopId/offers',
+  validateShopAccess,
+  requirePlanFeature(PLAN_FEATURES.OFFERS),
+  clientAdminController.getShopOffers.bind(clientAdminController)
+);
+
+router.get(
+  '/shops/:shopId/offers/:offerId',
+  validateShopAccess,
+  requirePlanFeature(PLAN_FEATURES.OFFERS),
+  clientAdminController.getOffer.bind(clientAdminController)
+);
+
+router.put(
+  '/shops/:shopId/offers/:offerId',
+  validateShopAccess,
+  requirePlanFeature(PLAN_FEATURES.OFFERS),
+  [
+    body('title').optional().notEmpty().trim(),
+    body('code').optional({ values: 'null' }).trim().isLength({ max: 32 }),
+    body('discountType').optional().isIn(['percentage', 'fixed']),
+    body('discountValue').optional().isFloat({ min: 0 }),
+    body('applicableServices').optional().isArray(),
+    body('startDate').optional().isISO8601(),
+    body('endDate').optional().isISO8601(),
+    body('isActive').optional().isBoolean(),
+    body('maxUses').optional({ values: 'null' }).isInt({ min: 1 }),
+    validate,
+  ],
+  clientAdminController.updateOffer.bind(clientAdminController)
+);
+
+router.delete(
+  '/shops/:shopId/offers/:offerId',
+  validateShopAccess,
+  requirePlanFeature(PLAN_FEATURES.OFFERS),
+  clientAdminController.deleteOffer.bind(clientAdminController)
+);
+
 // Shop Settings
 router.put(
   '/shops/:shopId/settings',
   validateShopAccess,
+  [
+    body('invoiceNumbering.prefix')
+      .optional()
+      .trim()
+      .matches(/^[A-Za-z0-9/_]{0,10}$/)
+      .withMessage('Invoice prefix must be up to 10 letters, digits, / or _'),
+    body('invoiceNumbering.creditNotePrefix')
+      .optional()
+      .trim()
+      .matches(/^[A-Za-z0-9/_]{0,10}$/)
+      .withMessage('Credit note prefix must be up to 10 letters, digits, / or _'),
+    body('invoiceNumbering.includeFiscalYear').optional().isBoolean().toBoolean(),
+    body('invoiceNumbering.fiscalYearStartMonth').optional().isInt({ min: 1, max: 12 }).toInt(),
+    body('invoiceNumbering.padding').optional().isInt({ min: 1, max: 10 }).toInt(),
+    body('invoiceNumbering.resetEveryFiscalYear').optional().isBoolean().toBoolean(),
+    body('taxPricing').optional().isIn(Object.values(TAX.PRICING)),
+    body('taxProfiles').optional().isArray({ max: 20 }),
+    body('taxProfiles.*.code')
+      .trim()
+      .toLowerCase()
+      .matches(/^[a-z0-9_]{1,32}$/)
+      .withMessage('Tax profile code must be up to 32 letters, digits or _')
+      .not()
+      .equals(TAX.EXEMPT_CATEGORY)
+      .withMessage(`Tax profile code cannot be "${TAX.EXEMPT_CATEGORY}"`),
+    body('taxProfiles.*.name').trim().notEmpty().withMessage('Tax profile name is required'),
+    body('taxProfiles.*.components').isArray({ max: 5 }),
+    body('taxProfiles.*.components.*.name').trim().notEmpty().withMessage('Tax component name is required'),
+    body('taxProfiles.*.components.*.rate').isFloat({ min: 0, max: 100 }).toFloat(),
+    body('defaultTaxProfile').optional({ values: 'null' }).trim().toLowerCase(),
+    body('taxRegistrationLabel').optional().trim().isLength({ max: 20 }),
+    body('taxRegistrationNumber').optional({ values: 'null' }).trim().isLength({ max: 30 }),
+    validate,
+  ],
   clientAdminController.updateShopSettings.bind(clientAdminController)
 );
 
@@ -170,6 +414,12 @@ router.post(
   clientAdminController.unblockSlotById.bind(clientAdminController)
 );
 
+router.get(
+  '/shops/:shopId/slots/:slotId/waitlist',
+  validateShopAccess,
+  clientAdminController.getSlotWaitlist.bind(clientAdminController)
+);
+
 router.put(
   '/shops/:shopId/slots/:slotId/capacity',
   validateShopAccess,
@@ -184,6 +434,7 @@ router.put(
 router.get(
   '/shops/:shopId/dashboard',
   validateShopAccess,
+  requirePlanFeature(PLAN_FEATURES.REPORTS),
   clientAdminController.getDashboardStats.bind(clientAdminController)
 );
 
@@ -193,5 +444,43 @@ router.get(
   clientAdminController.getShopInvoices.bind(clientAdminController)
 );
 
+router.post(
+  '/shops/:shopId/invoices/:invoiceId/refund',
+  validateShopAccess,
+  [
+    body('amount').optional().isFloat({ gt: 0 }).toFloat(),
+    body('refundMethod').optional().isIn(['cash', 'card', 'online', 'other']),
+    body('reason').trim().notEmpty().withMessage('Refund reason is required'),
+    validate,
+  ],
+  clientAdminController.refundInvoice.bind(clientAdminController)
+);
+
+router.post(
+  '/shops/:shopId/invoices/:invoiceId/void',
+  validateShopAccess,
+  [
+    body('reason').trim().notEmpty().withMessage('Void reason is required'),
+    validate,
+  ],
+  clientAdminController.voidInvoice.bind(clientAdminController)
+);
+
+router.get(
+  '/shops/:shopId/credit-notes',
+  validateShopAccess,
+  clientAdminController.getCreditNotes.bind(clientAdminController)
+);
+
+router.get(
+  '/shops/:shopId/invoices/:invoiceId/pdf',
+  validateShopAccess,
+  [
+    query('layout').optional().isIn(Object.values(INVOICE_LAYOUT)),
+    validate,
+  ],
+  clientAdminController.downloadInvoicePdf.bind(clientAdminController)
+);
+
 module.exports = router;
 
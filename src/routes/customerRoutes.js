@@ -3,9 +3,11 @@ const router = express.Router();
 const customerController = require('../controllers/customerController');
 const { authenticate, optionalAuth } = require('../middlewares/auth');
 const { validateTenant, extractTenantId } = require('../middlewares/tenant');
+const { resolveDatabase } = require('../middlewares/dbResolver.middleware');
 const { requireRole } = require('../middlewares/rbac');
-const { ROLES } = require('../config/constants');
-const { body } = require('express-validator');
+const { requireBookableSubscription } = require('../middlewares/subscription');
+const { ROLES, INVOICE_LAYOUT } = require('../config/constants');
+const { body, query } = require('express-validator');
 const { validate } = require('../middlewares/validator');
 
 /**
@@ -16,6 +18,7 @@ const { validate } = require('../middlewares/validator');
 // Public routes (optional auth for tenant context)
 router.use(optionalAuth);
 router.use(extractTenantId);
+router.use(resolveDatabase);
 
 // Get Shop Details (Public)
 router.get('/shops/:shopId', customerController.getShopDetails.bind(customerController));
@@ -23,6 +26,12 @@ router.get('/shops/:shopId', customerController.getShopDetails.bind(customerCont
 // Get Shop Services (Public)
 router.get('/shops/:shopId/services', customerController.getShopServices.bind(customerController));
 
+// Get Shop Stylists (Public)
+router.get('/shops/:shopId/staff', customerController.getShopStaff.bind(customerController));
+
+// Get Running Offers (Public)
+router.get('/shops/:shopId/offers', customerController.getShopOffers.bind(customerController));
+
 // Get Available Slots (Public)
 router.get('/shops/:shopId/slots', customerController.getAvailableSlots.bind(customerController));
 
@@ -34,9 +43,16 @@ router.use(requireRole(ROLES.CUSTOMER));
 // Book Slot
 router.post(
   '/shops/:shopId/bookings',
+  requireBookableSubscription,
   [
     body('slotId').notEmpty(),
-    body('serviceId').notEmpty(),
+    body('serviceId').if(body('services').not().exists()).notEmpty(),
+    body('services').optional().isArray({ min: 1 }),
+    body('services.*.serviceId').notEmpty(),
+    body('services.*.staffId').optional().notEmpty(),
+    body('staffId').optional().notEmpty(),
+    body('promoCode').optional().trim().notEmpty(),
+    body('joinWaitlist').optional().isBoolean().toBoolean(),
     validate,
   ],
   customerController.bookSlot.bind(customerController)
@@ -51,5 +67,115 @@ router.post(
   customerController.cancelBooking.bind(customerController)
 );
 
+// Reschedule Booking
+router.post(
+  '/shops/:shopId/bookings/:bookingId/reschedule',
+  requireBookableSubscription,
+  [
+    body('slotId').notEmpty(),
+    body('reason').optional().trim(),
+    validate,
+  ],
+  customerController.rescheduleBooking.bind(customerController)
+);
+
+// Recurring Booking Series
+router.post(
+  '/shops/:shopId/booking-series',
+  requireBookableSubscription,
+  [
+    body('serviceId').notEmpty(),
+    body('frequency').isIn(['weekly', 'monthly_weekday']),
+    body('interval').optional().isInt({ min: 1, max: 12 }).toInt(),
+    body('startDate').isISO8601(),
+    body('startTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('startTime must be in HH:mm format'),
+    body('endDate').optional().isISO8601(),
+    body('occurrenceCount').optional().isInt({ min: 1 }).toInt(),
+    validate,
+  ],
+  customerController.createBookingSeries.bind(customerController)
+);
+
+router.get('/booking-series', customerController.getBookingSeries.bind(customerController));
+
+router.put(
+  '/shops/:shopId/booking-series/:seriesId',
+  requireBookableSubscription,
+  [
+    body('startTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('startTime must be in HH:mm format'),
+    body('serviceId').optional().notEmpty(),
+    validate,
+  ],
+  customerController.updateBookingSeries.bind(customerController)
+);
+
+router.post(
+  '/shops/:shopId/booking-series/:seriesId/cancel',
+  customerController.cancelBookingSeries.bind(customerController)
+);
+
+router.put(
+  '/shops/:shopId/booking-series/:seriesId/occurrences/:bookingId',
+  requireBookableSubscription,
+  [
+    body('slotId').notEmpty(),
+    validate,
+  ],
+  customerController.moveSeriesOccurrence.bind(customerController)
+);
+
+router.post(
+  '/shops/:shopId/booking-series/:seriesId/occurrences/:bookingId/cancel',
+  customerController.cancelSeriesOccurrence.bind(customerController)
+);
+
+// Waitlist
+router.post(
+  '/shops/:shopId/slots/:slotId/waitlist',
+  requireBookableSubscription,
+  [
+    body('serviceId').notEmpty(),
+    validate,
+  ],
+  customerController.joinWaitlist.bind(customerController)
+);
+
+router.get('/waitlist', customerController.getWaitlist.bind(customerController));
+
+router.delete(
+  '/shops/:shopId/waitlist/:entryId',
+  customerController.leaveWaitlist.bind(customerController)
+);
+
+// Notification Preferences
+router.get(
+  '/notification-preferences',
+  customerController.getNotificationPreferences.bind(customerController)
+);
+
+router.put(
+  '/notification-preferences',
+  [
+    body('email').optional().isBoolean().toBoolean(),
+    body('sms').optional().isBoolean().toBoolean(),
+    body('reminders').optional().isBoolean().toBoolean(),
+    validate,
+  ],
+  customerController.updateNotificationPreferences.bind(customerController)
+);
+
+// Invoices
+router.get(
+  '/invoices/:invoiceId/pdf',
+  [
+    query('layout').optional().isIn(Object.values(INVOICE_LAYOUT)),
+    validate,
+  ],
+  customerController.downloadInvoicePdf.bind(customerController)
+);
+
+// Data Export
+router.get('/data-export', customerController.exportMyData.bind(customerController));
+
 module.exports = router;
 
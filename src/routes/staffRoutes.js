@@ -3,25 +3,29 @@ const router = express.Router();
 const staffController = require('../controllers/staffController');
 const { authenticate } = require('../middlewares/auth');
 const { validateTenant } = require('../middlewares/tenant');
-const { requireRole, validateShopAccess } = require('../middlewares/rbac');
-const { ROLES } = require('../config/constants');
-const { body } = require('express-validator');
+const { requireRole, requirePermission, validateShopAccess } = require('../middlewares/rbac');
+const { validateSubscription } = require('../middlewares/subscription');
+const { ROLES, PERMISSIONS, INVOICE_LAYOUT } = require('../config/constants');
+const { body, query } = require('express-validator');
 const { validate } = require('../middlewares/validator');
 
 /**
  * Staff Routes
- * All routes require staff role
+ * All routes require staff role; booking and invoice actions also need the matching
+ * permission from the staff member's (system or custom) role
  */
 
 // Apply authentication and tenant validation to all routes
 router.use(authenticate);
 router.use(validateTenant);
+router.use(validateSubscription);
 router.use(requireRole(ROLES.STAFF));
 
 // Bookings
 router.get(
   '/shops/:shopId/bookings',
   validateShopAccess,
+  requirePermission(PERMISSIONS.VIEW_BOOKINGS),
   staffController.getShopBookings.bind(staffController)
 );
 
@@ -29,9 +33,12 @@ router.get(
 router.post(
   '/shops/:shopId/bookings/walkin',
   validateShopAccess,
+  requirePermission(PERMISSIONS.CREATE_WALKIN),
   [
     body('slotId').notEmpty(),
-    body('serviceId').notEmpty(),
+    body('serviceId').if(body('services').not().exists()).notEmpty(),
+    body('services').optional().isArray({ min: 1 }),
+    body('services.*.serviceId').notEmpty(),
     body('customerData.email').optional().isEmail(),
     body('customerData.phone').notEmpty(),
     body('customerData.firstName').notEmpty().trim(),
@@ -45,31 +52,82 @@ router.post(
 router.post(
   '/shops/:shopId/bookings/:bookingId/arrived',
   validateShopAccess,
+  requirePermission(PERMISSIONS.MARK_ARRIVED),
   staffController.markArrived.bind(staffController)
 );
 
 router.post(
   '/shops/:shopId/bookings/:bookingId/no-show',
   validateShopAccess,
+  requirePermission(PERMISSIONS.MARK_NO_SHOW),
   staffController.markNoShow.bind(staffController)
 );
 
 router.post(
   '/shops/:shopId/bookings/:bookingId/start',
   validateShopAccess,
+  requirePermission(PERMISSIONS.COMPLETE_SERVICE),
   staffController.startService.bind(staffController)
 );
 
 router.post(
   '/shops/:shopId/bookings/:bookingId/complete',
   validateShopAccess,
+  requirePermission(PERMISSIONS.COMPLETE_SERVICE),
   staffController.completeService.bind(staffController)
 );
 
+router.post(
+  '/shops/:shopId/bookings/:bookingId/reschedule',
+  validateShopAccess,
+  requirePermission(PERMISSIONS.VIEW_BOOKINGS),
+  [
+    body('slotId').notEmpty(),
+    body('reason').optional().trim(),
+    validate,
+  ],
+  staffController.rescheduleBooking.bind(staffController)
+);
+
+// Schedule & Leave
+router.get(
+  '/shops/:shopId/schedule',
+  validateShopAccess,
+  staffController.getMySchedule.bind(staffController)
+);
+
+router.post(
+  '/shops/:shopId/leave-requests',
+  validateShopAccess,
+  [
+    body('startDate').isISO8601(),
+    body('endDate').optional().isISO8601(),
+    body('startTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('startTime must be in HH:mm format'),
+    body('endTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('endTime must be in HH:mm format'),
+    body('type').optional().isIn(['vacation', 'sick', 'personal', 'other']),
+    body('reason').optional().trim(),
+    validate,
+  ],
+  staffController.requestLeave.bind(staffController)
+);
+
+router.get(
+  '/shops/:shopId/leave-requests',
+  validateShopAccess,
+  staffController.getMyLeaveRequests.bind(staffController)
+);
+
+router.post(
+  '/shops/:shopId/leave-requests/:leaveId/cancel',
+  validateShopAccess,
+  staffController.cancelLeave.bind(staffController)
+);
+
 // Price Editing
 router.put(
   '/shops/:shopId/bookings/:bookingId/price',
   validateShopAccess,
+  requirePermission(PERMISSIONS.EDIT_PRICE),
   [
     body('price').isFloat({ min: 0 }),
     validate,
@@ -81,12 +139,14 @@ router.put(
 router.post(
   '/shops/:shopId/bookings/:bookingId/invoice',
   validateShopAccess,
+  requirePermission(PERMISSIONS.GENERATE_INVOICE),
   staffController.generateInvoice.bind(staffController)
 );
 
 router.post(
   '/shops/:shopId/invoices/:invoiceId/paid',
   validateShopAccess,
+  requirePermission(PERMISSIONS.GENERATE_INVOICE),
   [
     body('paymentMethod').isIn(['cash', 'card', 'online', 'other']),
     validate,
@@ -94,5 +154,56 @@ router.post(
   staffController.markInvoicePaid.bind(staffController)
 );
 
+router.post(
+  '/shops/:shopId/invoices/:invoiceId/payments',
+  validateShopAccess,
+  requirePermission(PERMISSIONS.GENERATE_INVOICE),
+  [
+    body('payments').isArray({ min: 1, max: 10 }).withMessage('Payments must be a list of 1 to 10 lines'),
+    body('payments.*.method').isIn(['cash', 'card', 'online', 'other']),
+    body('payments.*.amount').isFloat({ min: 0 }).toFloat(),
+    body('payments.*.tip').optional().isFloat({ min: 0 }).toFloat(),
+    body('payments.*.tipStaffId').optional().isMongoId(),
+    body('payments.*.tendered').optional().isFloat({ min: 0 }).toFloat(),
+    validate,
+  ],
+  staffController.recordInvoicePayments.bind(staffController)
+);
+
+router.post(
+  '/shops/:shopId/invoices/:invoiceId/refund',
+  validateShopAccess,
+  requirePermission(PERMISSIONS.REFUND_INVOICE),
+  [
+    body('amount').optional().isFloat({ gt: 0 }).toFloat(),
+    body('refundMethod').optional().isIn(['cash', 'card', 'online', 'other']),
+    body('reason').trim().notEmpty().withMessage('Refund reason is required'),
+    validate,
+  ],
+  staffController.refundInvoice.bind(staffController)
+);
+
+router.post(
+  '/shops/:shopId/invoices/:invoiceId/void',
+  validateShopAccess,
+  requirePermission(PERMISSIONS.GENERATE_INVOICE),
+  [
+    body('reason').trim().notEmpty().withMessage('Void reason is required'),
+    validate,
+  ],
+  staffController.voidInvoice.bind(staffController)
+);
+
+router.get(
+  '/shops/:shopId/invoices/:invoiceId/pdf',
+  validateShopAccess,
+  requirePermission(PERMISSIONS.GENERATE_INVOICE),
+  [
+    query('layout').optional().isIn(Object.values(INVOICE_LAYOUT)),
+    validate,
+  ],
+  staffController.downloadInvoicePdf.bind(staffController)
+);
+
 module.exports = router;
 
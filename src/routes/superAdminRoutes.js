@@ -3,7 +3,7 @@ const router = express.Router();
 const superAdminController = require('../controllers/superAdminController');
 const { authenticate } = require('../middlewares/auth');
 const { requireRole } = require('../middlewares/rbac');
-const { ROLES } = require('../config/constants');
+const { ROLES, SUBSCRIPTION_PLAN } = require('../config/constants');
 const { body } = require('express-validator');
 const { validate } = require('../middlewares/validator');
 
@@ -67,9 +67,11 @@ router.put(
 router.post(
   '/tenants/:tenantId/payments',
   [
-    body('amount').isFloat({ min: 0 }),
+    body('invoiceId').optional().isMongoId(),
+    body('amount').isFloat({ gt: 0 }),
     body('paymentMethod').isIn(['cash', 'bank_transfer', 'check', 'other']),
-    body('subscriptionPeriod').optional().isInt({ min: 1 }),
+    body('subscriptionPeriod').optional().isInt({ min: 1 }).toInt(),
+    body('subscriptionPlan').optional().isIn(Object.values(SUBSCRIPTION_PLAN)),
     validate,
   ],
   superAdminController.recordPayment.bind(superAdminController)
@@ -84,10 +86,95 @@ router.put(
   superAdminController.updateSubscriptionExpiry.bind(superAdminController)
 );
 
+router.post(
+  '/tenants/:tenantId/subscription/cancel',
+  [
+    body('reason').optional().trim(),
+    validate,
+  ],
+  superAdminController.cancelSubscription.bind(superAdminController)
+);
+
+router.get(
+  '/tenants/:tenantId/subscription/history',
+  superAdminController.getSubscriptionHistory.bind(superAdminController)
+);
+
 router.get(
   '/tenants/:tenantId/payments',
   superAdminController.getPaymentHistory.bind(superAdminController)
 );
 
+// Subscription Invoices
+router.post(
+  '/tenants/:tenantId/invoices',
+  [
+    body('months').optional().isInt({ min: 1 }).toInt(),
+    body('subscriptionPlan').optional().isIn(Object.values(SUBSCRIPTION_PLAN)),
+    body('amount').optional().isFloat({ min: 0 }).toFloat(),
+    body('dueDays').optional().isInt({ min: 0 }).toInt(),
+    body('notes').optional().trim(),
+    validate,
+  ],
+  superAdminController.createInvoice.bind(superAdminController)
+);
+
+router.get('/tenants/:tenantId/invoices', superAdminController.getTenantInvoices.bind(superAdminController));
+
+router.post(
+  '/tenants/:tenantId/invoices/:invoiceId/void',
+  [
+    body('reason').optional().trim(),
+    validate,
+  ],
+  superAdminController.voidInvoice.bind(superAdminController)
+);
+
+// Data Export & Deletion
+router.get('/tenants/:tenantId/export', superAdminController.exportTenantData.bind(superAdminController));
+
+router.delete(
+  '/tenants/:tenantId',
+  [
+    body('reason').optional().trim(),
+    validate,
+  ],
+  superAdminController.deleteTenant.bind(superAdminController)
+);
+
+router.post(
+  '/tenants/:tenantId/deletion/cancel',
+  superAdminController.cancelTenantDeletion.bind(superAdminController)
+);
+
+// Plans & Usage
+router.get('/tenants/:tenantId/plan', superAdminController.getClientPlanUsage.bind(superAdminController));
+
+router.put(
+  '/tenants/:tenantId/plan',
+  [
+    body('subscriptionPlan').optional().isIn(Object.values(SUBSCRIPTION_PLAN)),
+    body('maxShops').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+    body('maxStaff').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+    validate,
+  ],
+  superAdminController.updateClientPlan.bind(superAdminController)
+);
+
+// Email Delivery Log
+router.get('/email-log', superAdminController.getEmailLog.bind(superAdminController));
+
+// Platform Security Settings
+router.get('/settings/security', superAdminController.getSecuritySettings.bind(superAdminController));
+
+router.put(
+  '/settings/security',
+  [
+    body('requireAdminTwoFactor').isBoolean().toBoolean(),
+    validate,
+  ],
+  superAdminController.updateSecuritySettings.bind(superAdminController)
+);
+
 module.exports = router;
 
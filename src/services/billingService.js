@@ -0,0 +1,491 @@
+const moment = require('moment');
+const { getModel: getCounterModel } = require('../platform/models/Counter');
+const { getModel: getSubscriptionInvoiceModel } = require('../platform/models/SubscriptionInvoice');
+const { getModel: getSubscriptionPaymentModel } = require('../platform/models/SubscriptionPayment');
+const subscriptionService = require('./subscriptionService');
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+const { PLANS } = require('../config/plans');
+const { BILLING, SUBSCRIPTION_STATUS, SUBSCRIPTION_INVOICE_STATUS } = require('../config/constants');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const UNPAID_STATUSES = [SUBSCRIPTION_INVOICE_STATUS.OPEN, SUBSCRIPTION_INVOICE_STATUS.PARTIALLY_PAID];
+
+/**
+ * Billing Service
+ * Platform billing of client subscriptions
+ * - One invoice per billing period, numbered SUB-YYYY-000001 (sequence restarts every year)
+ * - Payments are applied to an invoice and get a receipt numbered RCPT-YYYY-000001
+ * - An invoice can be paid in several parts; the subscription is extended once it is paid in full
+ */
+class BillingService {
+  /**
+   * Next document number of a yearly sequence
+   * @param {string} prefix - 'SUB' or 'RCPT'
+   */
+  async nextNumber(prefix) {
+    const Counter = getCounterModel();
+    const year = moment().year();
+    const seq = await Counter.next(`${prefix}-${year}`);
+
+    return `${prefix}-${year}-${String(seq).padStart(6, '0')}`;
+  }
+
+  /**
+   * Where the next billing period starts: after the current paid period and after anything already invoiced
+   */
+  async getNextPeriodStart(client) {
+    const SubscriptionInvoice = getSubscriptionInvoiceModel();
+    const candidates = [moment()];
+
+    const status = subscriptionService.getEffectiveStatus(client);
+    if (client.subscriptionExpiresAt && [SUBSCRIPTION_STATUS.ACTIVE, SUBSCRIPTION_STATUS.GRACE].includes(status)) {
+      candidates.push(moment(client.subscriptionExpiresAt));
+    }
+
+    const lastInvoice = await SubscriptionInvoice.findOne({
+      clientAdminId: client._id,
+      status: { $ne: SUBSCRIPTION_INVOICE_STATUS.VOID },
+    }).sort({ periodEnd: -1 });
+
+    if (lastInvoice) {
+      candidates.push(moment(lastInvoice.periodEnd));
+    }
+
+    return moment.max(candidates);
+  }
+
+  /**
+   * Issue a subscription invoice for the next billing period
+   * @param {Object} client - ClientAdmin document
+   * @param {Object} options - { months, plan, amount, dueDays, notes, issuedBy }
+   *   amount overrides the plan's list price for the whole period
+   * @returns {Promise<Object>} Invoice
+   */
+  async issueInvoice(client, { months = 1, plan, amount, dueDays = BILLING.INVOICE_DUE_DAYS, notes, issuedBy } = {}) {
+    try {
+      const planKey = plan || client.subscriptionPlan;
+      const planConfig = PLANS[planKey];
+
+      if (!planConfig) {
+        throw new Error(`Unknown subscription plan: ${planKey}`);
+      }
+
+      months = parseInt(months);
+      if (!months || months < 1) {
+        throw new Error('Billing period must be at least one month');
+      }
+
+      const total = amount !== undefined && amount !== null
+        ? round(Number(amount))
+        : round(planConfig.monthlyPrice * months);
+
+      if (Number.isNaN(total) || total < 0) {
+        throw new Error('Invoice amount must be a positive number');
+      }
+
+      const periodStart = await this.getNextPeriodStart(client);
+      const periodEnd = periodStart.clone().add(months, 'months');
+
+      const SubscriptionInvoice = getSubscriptionInvoiceModel();
+      const invoice = await SubscriptionInvoice.create({
+        invoiceNumber: await this.nextNumber('SUB'),
+        clientAdminId: client._id,
+        databaseName: client.databaseName,
+        plan: planKey,
+        periodStart: periodStart.toDate(),
+        periodEnd: periodEnd.toDate(),
+        months,
+        lineItems: [
+          {
+            description: `${planConfig.name} plan subscription (${periodStart.format('D MMM YYYY')} - ${periodEnd.format('D MMM YYYY')})`,
+            quantity: months,
+            unitPrice: round(total / months),
+            amount: total,
+          },
+        ],
+        total,
+        currency: BILLING.CURRENCY,
+        // Zero amount invoices (e.g. complimentary months) are settled on issue
+        status: total === 0 ? SUBSCRIPTION_INVOICE_STATUS.PAID : SUBSCRIPTION_INVOICE_STATUS.OPEN,
+        paidAt: total === 0 ? new Date() : undefined,
+        issuedAt: new Date(),
+        dueAt: moment().add(dueDays, 'days').toDate(),
+        issuedBy,
+        notes,
+      });
+
+      if (total === 0) {
+        await this.extendSubscription(client, invoice, issuedBy);
+      } else {
+        this.notify(client, 'subscription_invoice', {
+          name: client.firstName,
+          invoiceNumber: invoice.invoiceNumber,
+          planName: planConfig.name,
+          periodStart: invoice.periodStart,
+          periodEnd: invoice.periodEnd,
+          total: invoice.total,
+          currency: invoice.currency,
+          dueAt: invoice.dueAt,
+        });
+      }
+
+      return invoice;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Record a payment against an invoice
+   * Without invoiceId the oldest unpaid invoice is used; if there is none, an invoice
+   * for subscriptionPeriod months of subscriptionPlan is issued first
+   * @param {Object} client - ClientAdmin document
+   * @param {Object} data - { invoiceId, amount, paymentMethod, paymentDate, reference, notes, subscriptionPeriod, subscriptionPlan }
+   * @param {string} recordedBy - Super admin ID
+   * @returns {Promise<Object>} { payment, invoice }
+   */
+  async recordPayment(client, data, recordedBy) {
+    try {
+      const SubscriptionInvoice = getSubscriptionInvoiceModel();
+      const SubscriptionPayment = getSubscriptionPaymentModel();
+
+      const amount = round(Number(data.amount));
+      if (!amount || amount <= 0) {
+        throw new Error('Payment amount must be greater than zero');
+      }
+
+      let invoice;
+
+      if (data.invoiceId) {
+        invoice = await SubscriptionInvoice.findOne({ _id: data.invoiceId, clientAdminId: client._id });
+
+        if (!invoice) {
+          throw new Error('Invoice not found');
+        }
+      } else {
+        invoice = await SubscriptionInvoice.findOne({
+          clientAdminId: client._id,
+          status: { $in: UNPAID_STATUSES },
+        }).sort({ issuedAt: 1 });
+
+        if (!invoice) {
+          invoice = await this.issueInvoice(client, {
+            months: data.subscriptionPeriod || 1,
+            plan: data.subscriptionPlan,
+            issuedBy: recordedBy,
+          });
+        }
+      }
+
+      if (!UNPAID_STATUSES.includes(invoice.status)) {
+        throw new Error(`Invoice ${invoice.invoiceNumber} is ${invoice.status === SUBSCRIPTION_INVOICE_STATUS.VOID ? 'void' : 'already paid'}`);
+      }
+
+      if (amount > invoice.balance) {
+        throw new Error(`Payment exceeds the outstanding balance of ${invoice.currency} ${invoice.balance.toFixed(2)} on invoice ${invoice.invoiceNumber}`);
+      }
+
+      // Conditional increment so concurrent payments cannot overpay the invoice;
+      // status and paidAt come from the stored total in the same update
+      const covered = { $gte: ['$amountPaid', { $subtract: ['$total', 0.001] }] };
+      const updated = await SubscriptionInvoice.findOneAndUpdate(
+        {
+          _id: invoice._id,
+          status: { $in: UNPAID_STATUSES },
+          $expr: { $lte: [{ $add: ['$amountPaid', amount] }, { $add: ['$total', 0.001] }] },
+        },
+        [
+          { $set: { amountPaid: { $round: [{ $add: ['$amountPaid', amount] }, 2] } } },
+          {
+            $set: {
+              status: {
+                $cond: [covered, SUBSCRIPTION_INVOICE_STATUS.PAID, SUBSCRIPTION_INVOICE_STATUS.PARTIALLY_PAID],
+              },
+              paidAt: { $cond: [covered, new Date(), '$$REMOVE'] },
+            },
+          },
+        ],
+        { new: true }
+      );
+
+      if (!updated) {
+        throw new Error(`Invoice ${invoice.invoiceNumber} was updated by another payment, please try again`);
+      }
+
+      const fullyPaid = updated.status === SUBSCRIPTION_INVOICE_STATUS.PAID;
+      let payment;
+
+      try {
+        payment = await SubscriptionPayment.create({
+          clientAdminId: client._id,
+          invoiceId: updated._id,
+          amount,
+          currency: updated.currency,
+          paymentMethod: data.paymentMethod,
+          paymentDate: data.paymentDate ? new Date(data.paymentDate) : new Date(),
+          receiptNumber: await this.nextNumber('RCPT'),
+          reference: data.reference,
+          recordedBy,
+          notes: data.notes,
+        });
+      } catch (error) {
+        // No payment record - take the amount off the invoice again (other payments may have landed meanwhile)
+        await SubscriptionInvoice.updateOne({ _id: updated._id }, [
+          { $set: { amountPaid: { $round: [{ $subtract: ['$amountPaid', amount] }, 2] } } },
+          {
+            $set: {
+              status: {
+                $cond: [
+                  { $gt: ['$amountPaid', 0.001] },
+                  SUBSCRIPTION_INVOICE_STATUS.PARTIALLY_PAID,
+                  SUBSCRIPTION_INVOICE_STATUS.OPEN,
+                ],
+              },
+              paidAt: '$$REMOVE',
+            },
+          },
+        ]);
+        throw error;
+      }
+
+      if (fullyPaid) {
+        await this.extendSubscription(client, updated, recordedBy);
+      }
+
+      this.notify(client, 'subscription_receipt', {
+        name: client.firstName,
+        receiptNumber: payment.receiptNumber,
+        invoiceNumber: updated.invoiceNumber,
+        amount: payment.amount,
+        currency: payment.currency,
+        paymentDate: payment.paymentDate,
+        balance: updated.balance,
+      });
+
+      return { payment, invoice: updated };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Extend the client's subscription to the end of a paid invoice's period and reactivate it
+   * After suspension or cancellation the paid months start today
+   */
+  async extendSubscription(client, invoice, triggeredBy) {
+    const status = subscriptionService.getEffectiveStatus(client);
+
+    let expiresAt;
+    if ([SUBSCRIPTION_STATUS.SUSPENDED, SUBSCRIPTION_STATUS.CANCELLED].includes(status)) {
+      expiresAt = moment().add(invoice.months, 'months');
+    } else {
+      expiresAt = moment.max(moment(invoice.periodEnd), moment(client.subscriptionExpiresAt || undefined));
+    }
+
+    client.subscriptionExpiresAt = expiresAt.toDate();
+    client.subscriptionPlan = invoice.plan;
+
+    // The first paid invoice converts a trial (complimentary invoices do not)
+    if (client.isTrial && invoice.total > 0) {
+      client.isTrial = false;
+      client.trialConvertedAt = new Date();
+    }
+
+    await client.save();
+
+    await subscriptionService.applyPayment(client, triggeredBy, `Invoice ${invoice.invoiceNumber} paid`);
+  }
+
+  /**
+   * Void an unpaid invoice (invoices with payments cannot be voided)
+   * @returns {Promise<Object|null>} Voided invoice, null if not found
+   */
+  async voidInvoice(client, invoiceId, reason) {
+    try {
+      const SubscriptionInvoice = getSubscriptionInvoiceModel();
+      const invoice = await SubscriptionInvoice.findOne({ _id: invoiceId, clientAdminId: client._id });
+
+      if (!invoice) {
+        return null;
+      }
+
+      if (invoice.status !== SUBSCRIPTION_INVOICE_STATUS.OPEN || invoice.amountPaid > 0) {
+        throw new Error('Only unpaid invoices can be voided');
+      }
+
+      invoice.status = SUBSCRIPTION_INVOICE_STATUS.VOID;
+      invoice.voidedAt = new Date();
+      invoice.voidReason = reason;
+      await invoice.save();
+
+      return invoice;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Invoiced, paid and outstanding totals of a client
+   */
+  async getAccountSummary(client) {
+    try {
+      const SubscriptionInvoice = getSubscriptionInvoiceModel();
+
+      const [totals] = await SubscriptionInvoice.aggregate([
+        { $match: { clientAdminId: client._id, status: { $ne: SUBSCRIPTION_INVOICE_STATUS.VOID } } },
+        {
+          $group: {
+            _id: null,
+            invoiced: { $sum: '$total' },
+            paid: { $sum: '$amountPaid' },
+            unpaidInvoices: { $sum: { $cond: [{ $in: ['$status', UNPAID_STATUSES] }, 1, 0] } },
+          },
+        },
+      ]);
+
+      const nextDue = await SubscriptionInvoice.findOne({
+        clientAdminId: client._id,
+        status: { $in: UNPAID_STATUSES },
+      })
+        .sort({ dueAt: 1 })
+        .select('invoiceNumber dueAt total amountPaid status');
+
+      const invoiced = round(totals?.invoiced || 0);
+      const paid = round(totals?.paid || 0);
+
+      return {
+        currency: BILLING.CURRENCY,
+        invoiced,
+        paid,
+        outstanding: round(invoiced - paid),
+        unpaidInvoices: totals?.unpaidInvoices || 0,
+        nextDue,
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * List a client's invoices
+   * @param {Object} filters - { status, page, limit }
+   */
+  async getInvoices(client, { status, page = 1, limit = 20 } = {}) {
+    try {
+      const SubscriptionInvoice = getSubscriptionInvoiceModel();
+      const query = { clientAdminId: client._id };
+      if (status) {
+        query.status = status;
+      }
+
+      const skip = (page - 1) * limit;
+      const [invoices, total] = await Promise.all([
+        SubscriptionInvoice.find(query).sort({ issuedAt: -1 }).skip(skip).limit(parseInt(limit)),
+        SubscriptionInvoice.countDocuments(query),
+      ]);
+
+      return {
+        invoices,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get an invoice with the payments applied to it
+   * @returns {Promise<Object|null>} { invoice, payments } or null if not found
+   */
+  async getInvoice(client, invoiceId) {
+    try {
+      const SubscriptionInvoice = getSubscriptionInvoiceModel();
+      const SubscriptionPayment = getSubscriptionPaymentModel();
+
+      const invoice = await SubscriptionInvoice.findOne({ _id: invoiceId, clientAdminId: client._id });
+
+      if (!invoice) {
+        return null;
+      }
+
+      const payments = await SubscriptionPayment.find({ invoiceId: invoice._id }).sort({ paymentDate: 1 });
+
+      return { invoice, payments };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * List a client's payments
+   */
+  async getPayments(client, { page = 1, limit = 20 } = {}) {
+    try {
+      const SubscriptionPayment = getSubscriptionPaymentModel();
+      const query = { clientAdminId: client._id };
+      const skip = (page - 1) * limit;
+
+      const [payments, total] = await Promise.all([
+        SubscriptionPayment.find(query)
+          .populate('invoiceId', 'invoiceNumber total status')
+          .sort({ paymentDate: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        SubscriptionPayment.countDocuments(query),
+      ]);
+
+      return {
+        payments,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a payment with its invoice
+   * @returns {Promise<Object|null>} { payment, invoice } or null if not found
+   */
+  async getPayment(client, paymentId) {
+    try {
+      const SubscriptionInvoice = getSubscriptionInvoiceModel();
+      const SubscriptionPayment = getSubscriptionPaymentModel();
+
+      const payment = await SubscriptionPayment.findOne({ _id: paymentId, clientAdminId: client._id });
+
+      if (!payment) {
+        return null;
+      }
+
+      const invoice = await SubscriptionInvoice.findById(payment.invoiceId);
+
+      return { payment, invoice };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Email a billing document notice; failures are logged, never block billing
+   */
+  notify(client, template, data) {
+    emailService
+      .send(client.email, template, data, { databaseName: client.databaseName })
+      .catch((error) => logger.error(`Error sending ${template} email to ${client.email}:`, error.message));
+  }
+}
+
+module.exports = new BillingService();
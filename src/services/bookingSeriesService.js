@@ -0,0 +1,544 @@
+const { getModel } = require('../database/modelFactory');
+const bookingSeriesSchema = require('../client/models/BookingSeries').schema;
+const bookingSchema = require('../client/models/Booking').schema;
+const slotSchema = require('../client/models/Slot').schema;
+const serviceSchema = require('../client/models/Service').schema;
+const shopSchema = require('../client/models/Shop').schema;
+const bookingService = require('./bookingService');
+const slotService = require('./slotService');
+const moment = require('moment');
+const {
+  BOOKING_STATUS,
+  SERIES_FREQUENCY,
+  SERIES_STATUS,
+  SERIES_OCCURRENCE_STATUS,
+  SERIES_MAX_OCCURRENCES,
+  SERIES_MAX_HORIZON_DAYS,
+} = require('../config/constants');
+
+/**
+ * Booking Series Service
+ * Handles recurring bookings built on top of single online bookings
+ * Each occurrence is booked independently and conflicts are reported per occurrence
+ */
+class BookingSeriesService {
+  /**
+   * Calculate occurrence dates for a recurrence definition
+   * Stops at endDate, occurrenceCount or the platform horizon, whichever comes first
+   */
+  calculateOccurrenceDates({ frequency, interval = 1, startDate, endDate, occurrenceCount }) {
+    if (!Number.isInteger(interval) || interval < 1) {
+      throw new Error('Recurrence interval must be a positive integer');
+    }
+
+    const start = moment(startDate).startOf('day');
+    const maxCount = Math.min(occurrenceCount || SERIES_MAX_OCCURRENCES, SERIES_MAX_OCCURRENCES);
+    let horizon = moment().add(SERIES_MAX_HORIZON_DAYS, 'days').endOf('day');
+
+    if (endDate && moment(endDate).isBefore(horizon)) {
+      horizon = moment(endDate).endOf('day');
+    }
+
+    const dates = [];
+
+    if (frequency === SERIES_FREQUENCY.WEEKLY) {
+      const current = start.clone();
+
+      while (dates.length < maxCount && current.isSameOrBefore(horizon)) {
+        dates.push(current.toDate());
+        current.add(interval, 'weeks');
+      }
+
+      return dates;
+    }
+
+    if (frequency === SERIES_FREQUENCY.MONTHLY_WEEKDAY) {
+      // Same nth weekday each month, e.g. "2nd Tuesday"; a 5th weekday means "last"
+      const weekday = start.day();
+      const nth = Math.ceil(start.date() / 7);
+
+      for (let i = 0; dates.length < maxCount; i++) {
+        const month = start.clone().add(i * interval, 'months').startOf('month');
+        const date = month.clone().day(weekday);
+
+        if (date.month() !== month.month()) {
+          date.add(1, 'week');
+        }
+
+        date.add(nth - 1, 'weeks');
+
+        if (date.month() !== month.month()) {
+          date.subtract(1, 'week');
+        }
+
+        if (date.isAfter(horizon)) {
+          break;
+        }
+
+        dates.push(date.toDate());
+      }
+
+      return dates;
+    }
+
+    throw new Error(`Unsupported recurrence frequency: ${frequency}`);
+  }
+
+  /**
+   * Book a single occurrence
+   * Uses a pre-generated slot or generates the day's slots on the fly
+   * @returns {Promise<Object>} Occurrence entry (booked or conflict)
+   */
+  async bookOccurrence(databaseName, series, date, startTime = series.startTime, serviceId = series.serviceId) {
+    const Slot = await getModel(databaseName, 'Slot', slotSchema);
+    const slotDate = moment(date).startOf('day').toDate();
+    const slotQuery = {
+      shopId: series.shopId,
+      date: slotDate,
+      startTime,
+    };
+
+    let slot = await Slot.findOne(slotQuery);
+
+    if (!slot) {
+      // Slots are only pre-generated for the booking advance window
+      try {
+        await slotService.generateSlotsForDate(databaseName, series.shopId, slotDate);
+      } catch (error) {
+        return {
+          date: slotDate,
+          status: SERIES_OCCURRENCE_STATUS.CONFLICT,
+          conflictReason: error.message,
+        };
+      }
+
+      slot = await Slot.findOne(slotQuery);
+    }
+
+    if (!slot) {
+      return {
+        date: slotDate,
+        status: SERIES_OCCURRENCE_STATUS.CONFLICT,
+        conflictReason: `No ${startTime} slot on this day (shop closed or outside working hours)`,
+      };
+    }
+
+    try {
+      const booking = await bookingService.createOnlineBooking(
+        databaseName,
+        series.shopId,
+        slot._id,
+        serviceId,
+        series.customerId,
+        { seriesId: series._id, ignoreAdvanceLimit: true }
+      );
+
+      return {
+        date: slotDate,
+        bookingId: booking._id,
+        status: SERIES_OCCURRENCE_STATUS.BOOKED,
+      };
+    } catch (error) {
+      return {
+        date: slotDate,
+        status: SERIES_OCCURRENCE_STATUS.CONFLICT,
+        conflictReason: error.message,
+      };
+    }
+  }
+
+  /**
+   * Create a recurring booking series and book every occurrence
+   * @param {string} databaseName - Client database holding the series
+   * @param {string} shopId - Shop ID
+   * @param {string} customerId - Customer user ID
+   * @param {Object} data - serviceId, frequency, interval, startDate, startTime, endDate, occurrenceCount
+   * @returns {Promise<Object>} Series and per-occurrence summary
+   */
+  async createSeries(databaseName, shopId, customerId, data) {
+    try {
+      const BookingSeries = await getModel(databaseName, 'BookingSeries', bookingSeriesSchema);
+      const Service = await getModel(databaseName, 'Service', serviceSchema);
+      const { serviceId, frequency, interval = 1, startDate, startTime, endDate, occurrenceCount } = data;
+
+      if (moment(startDate).isBefore(moment().startOf('day'))) {
+        throw new Error('Series cannot start in the past');
+      }
+
+      if (!endDate && !occurrenceCount) {
+        throw new Error('Either endDate or occurrenceCount is required');
+      }
+
+      const service = await Service.findOne({ _id: serviceId, shopId, isActive: true });
+
+      if (!service) {
+        throw new Error('Service not found or inactive');
+      }
+
+      const dates = this.calculateOccurrenceDates({
+        frequency,
+        interval,
+        startDate,
+        endDate,
+        occurrenceCount,
+      });
+
+      if (dates.length === 0) {
+        throw new Error('Recurrence produces no occurrences');
+      }
+
+      const series = await BookingSeries.create({
+        shopId,
+        customerId,
+        serviceId,
+        frequency,
+        interval,
+        startDate: moment(startDate).startOf('day').toDate(),
+        startTime,
+        endDate,
+        occurrenceCount,
+        occurrences: [],
+      });
+
+      // Book sequentially so a failure on one date never blocks the rest
+      for (const date of dates) {
+        series.occurrences.push(await this.bookOccurrence(databaseName, series, date));
+      }
+
+      await series.save();
+
+      return {
+        series,
+        summary: this.summarize(series),
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Count occurrences by status
+   */
+  summarize(series) {
+    return {
+      total: series.occurrences.length,
+      booked: series.occurrences.filter((o) => o.status === SERIES_OCCURRENCE_STATUS.BOOKED).length,
+      conflicts: series.occurrences.filter((o) => o.status === SERIES_OCCURRENCE_STATUS.CONFLICT).length,
+      cancelled: series.occurrences.filter((o) => o.status === SERIES_OCCURRENCE_STATUS.CANCELLED).length,
+    };
+  }
+
+  /**
+   * Get series by ID
+   * customerId restricts to the owning customer (omit for staff / admin)
+   */
+  async getSeries(databaseName, shopId, seriesId, customerId = null) {
+    const BookingSeries = await getModel(databaseName, 'BookingSeries', bookingSeriesSchema);
+    const query = { _id: seriesId, shopId };
+
+    if (customerId) {
+      query.customerId = customerId;
+    }
+
+    const series = await BookingSeries.findOne(query);
+
+    if (!series) {
+      throw new Error('Booking series not found');
+    }
+
+    return series;
+  }
+
+  /**
+   * Get all series of a customer
+   */
+  async getCustomerSeries(databaseName, customerId) {
+    try {
+      const [BookingSeries] = await Promise.all([
+        getModel(databaseName, 'BookingSeries', bookingSeriesSchema),
+        // Registered for populate
+        getModel(databaseName, 'Shop', shopSchema),
+        getModel(databaseName, 'Service', serviceSchema),
+        getModel(databaseName, 'Booking', bookingSchema),
+      ]);
+
+      return await BookingSeries.find({ customerId })
+        .populate('shopId', 'name address phone')
+        .populate('serviceId', 'name price duration')
+        .populate('occurrences.bookingId', 'status scheduledAt slotId')
+        .sort({ createdAt: -1 });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Whether an occurrence can still be changed (not in the past)
+   */
+  isUpcoming(occurrence) {
+    return moment(occurrence.date).isSameOrAfter(moment().startOf('day'));
+  }
+
+  /**
+   * Edit the whole series (time and/or service) for all upcoming occurrences
+   * Individually moved occurrences are left untouched
+   * @returns {Promise<Object>} Series, summary and per-occurrence results
+   */
+  async updateSeries(databaseName, shopId, seriesId, customerId, updates, updatedBy) {
+    try {
+      const series = await this.getSeries(databaseName, shopId, seriesId, customerId);
+
+      if (series.status !== SERIES_STATUS.ACTIVE) {
+        throw new Error('Cancelled series cannot be edited');
+      }
+
+      const startTime = updates.startTime || series.startTime;
+      const serviceId = updates.serviceId || series.serviceId;
+      const timeChanged = startTime !== series.startTime;
+      const serviceChanged = serviceId.toString() !== series.serviceId.toString();
+
+      if (updates.serviceId) {
+        const Service = await getModel(databaseName, 'Service', serviceSchema);
+        const service = await Service.findOne({ _id: serviceId, shopId, isActive: true });
+
+        if (!service) {
+          throw new Error('Service not found or inactive');
+        }
+      }
+
+      const results = [];
+
+      for (const occurrence of series.occurrences) {
+        if (!this.isUpcoming(occurrence) || occurrence.isException) {
+          continue;
+        }
+
+        if (occurrence.status === SERIES_OCCURRENCE_STATUS.CANCELLED) {
+          continue;
+        }
+
+        // Same slot, only the service changes - re-book so duration, staff and offers are validated again
+        if (!timeChanged && occurrence.status === SERIES_OCCURRENCE_STATUS.BOOKED) {
+          results.push(
+            serviceChanged
+              ? await this.rebookOccurrence(databaseName, series, occurrence, serviceId, updatedBy)
+              : { date: occurrence.date, status: occurrence.status }
+          );
+          continue;
+        }
+
+        // Book the new time first so the customer never ends up with neither
+        const rebooked = await this.bookOccurrence(databaseName, series, occurrence.date, startTime, serviceId);
+
+        if (rebooked.status === SERIES_OCCURRENCE_STATUS.BOOKED) {
+          if (occurrence.bookingId && occurrence.status === SERIES_OCCURRENCE_STATUS.BOOKED) {
+            await this.cancelOccurrenceBooking(databaseName, shopId, occurrence.bookingId, updatedBy, 'Series rescheduled');
+          }
+
+          occurrence.bookingId = rebooked.bookingId;
+          occurrence.status = SERIES_OCCURRENCE_STATUS.BOOKED;
+          occurrence.conflictReason = undefined;
+        } else if (occurrence.status === SERIES_OCCURRENCE_STATUS.CONFLICT) {
+          occurrence.conflictReason = rebooked.conflictReason;
+        }
+
+        results.push({
+          date: occurrence.date,
+          status: rebooked.status,
+          conflictReason: rebooked.conflictReason,
+        });
+      }
+
+      series.startTime = startTime;
+      series.serviceId = serviceId;
+      await series.save();
+
+      return {
+        series,
+        summary: this.summarize(series),
+        results,
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Swap the service of a booked occurrence at the same time
+   * The old booking is released first so its own place can be taken; if the new
+   * service does not fit, the previous service is booked back
+   * @returns {Promise<Object>} Per-occurrence result
+   */
+  async rebookOccurrence(databaseName, series, occurrence, serviceId, updatedBy) {
+    const previous = await this.cancelOccurrenceBooking(
+      databaseName,
+      series.shopId,
+      occurrence.bookingId,
+      updatedBy,
+      'Series service changed',
+      { rebook: true }
+    );
+
+    if (!previous) {
+      return { date: occurrence.date, status: occurrence.status };
+    }
+
+    const startTime = series.startTime;
+    const rebooked = await this.bookOccurrence(databaseName, series, occurrence.date, startTime, serviceId);
+
+    if (rebooked.status === SERIES_OCCURRENCE_STATUS.BOOKED) {
+      occurrence.bookingId = rebooked.bookingId;
+
+      return { date: occurrence.date, status: rebooked.status };
+    }
+
+    const restored = await this.bookOccurrence(databaseName, series, occurrence.date, startTime, series.serviceId);
+
+    if (restored.status === SERIES_OCCURRENCE_STATUS.BOOKED) {
+      occurrence.bookingId = restored.bookingId;
+    } else {
+      // Both bookings are gone: the cancelled one must not stay linked
+      occurrence.bookingId = undefined;
+      occurrence.status = SERIES_OCCURRENCE_STATUS.CONFLICT;
+      occurrence.conflictReason = rebooked.conflictReason;
+    }
+
+    return {
+      date: occurrence.date,
+      status: SERIES_OCCURRENCE_STATUS.CONFLICT,
+      conflictReason: rebooked.conflictReason,
+    };
+  }
+
+  /**
+   * Cancel the whole series (all upcoming occurrences)
+   */
+  async cancelSeries(databaseName, shopId, seriesId, customerId, cancelledBy, reason) {
+    try {
+      const series = await this.getSeries(databaseName, shopId, seriesId, customerId);
+
+      if (series.status === SERIES_STATUS.CANCELLED) {
+        throw new Error('Series is already cancelled');
+      }
+
+      for (const occurrence of series.occurrences) {
+        if (!this.isUpcoming(occurrence) || occurrence.status === SERIES_OCCURRENCE_STATUS.CANCELLED) {
+          continue;
+        }
+
+        if (occurrence.status === SERIES_OCCURRENCE_STATUS.BOOKED) {
+          await this.cancelOccurrenceBooking(
+            databaseName,
+            shopId,
+            occurrence.bookingId,
+            cancelledBy,
+            reason || 'Recurring series cancelled'
+          );
+        }
+
+        occurrence.status = SERIES_OCCURRENCE_STATUS.CANCELLED;
+      }
+
+      series.status = SERIES_STATUS.CANCELLED;
+      series.cancelledAt = new Date();
+      series.cancelledBy = cancelledBy;
+      await series.save();
+
+      return {
+        series,
+        summary: this.summarize(series),
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Move a single occurrence to another slot
+   */
+  async moveOccurrence(databaseName, shopId, seriesId, bookingId, newSlotId, customerId, movedBy) {
+    try {
+      const series = await this.getSeries(databaseName, shopId, seriesId, customerId);
+      const occurrence = this.findOccurrence(series, bookingId);
+
+      const booking = await bookingService.createOnlineBooking(
+        databaseName,
+        shopId,
+        newSlotId,
+        series.serviceId,
+        series.customerId,
+        { seriesId: series._id, ignoreAdvanceLimit: true }
+      );
+
+      await this.cancelOccurrenceBooking(databaseName, shopId, occurrence.bookingId, movedBy, 'Occurrence moved');
+
+      occurrence.bookingId = booking._id;
+      occurrence.date = moment(booking.scheduledAt).startOf('day').toDate();
+      occurrence.isException = true;
+      await series.save();
+
+      return { series, booking };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a single occurrence, keeping the rest of the series
+   */
+  async cancelOccurrence(databaseName, shopId, seriesId, bookingId, customerId, cancelledBy, reason) {
+    try {
+      const series = await this.getSeries(databaseName, shopId, seriesId, customerId);
+      const occurrence = this.findOccurrence(series, bookingId);
+
+      await this.cancelOccurrenceBooking(databaseName, shopId, occurrence.bookingId, cancelledBy, reason);
+
+      occurrence.status = SERIES_OCCURRENCE_STATUS.CANCELLED;
+      await series.save();
+
+      return { series, summary: this.summarize(series) };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find an upcoming booked occurrence by booking ID
+   */
+  findOccurrence(series, bookingId) {
+    const occurrence = series.occurrences.find(
+      (o) => o.bookingId && o.bookingId.toString() === bookingId.toString()
+    );
+
+    if (!occurrence || occurrence.status !== SERIES_OCCURRENCE_STATUS.BOOKED) {
+      throw new Error('Occurrence not found or not booked');
+    }
+
+    if (!this.isUpcoming(occurrence)) {
+      throw new Error('Past occurrences cannot be changed');
+    }
+
+    return occurrence;
+  }
+
+  /**
+   * Cancel an occurrence booking, tolerating bookings already processed elsewhere
+   * options are passed on to bookingService.cancelBooking (rebook when the place is re-booked right away)
+   */
+  async cancelOccurrenceBooking(databaseName, shopId, bookingId, cancelledBy, reason, options = {}) {
+    const Booking = await getModel(databaseName, 'Booking', bookingSchema);
+    const booking = await Booking.findOne({
+      _id: bookingId,
+      shopId,
+      status: { $in: [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.ARRIVED] },
+    });
+
+    if (!booking) {
+      return null;
+    }
+
+    return await bookingService.cancelBooking(databaseName, shopId, bookingId, cancelledBy, reason, options);
+  }
+}
+
+module.exports = new BookingSeriesService();
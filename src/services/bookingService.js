@@ -1,25 +1,47 @@
-const Booking = require('../models/Booking');
-const Slot = require('../models/Slot');
-const Service = require('../models/Service');
-const User = require('../models/User');
-const ShopSettings = require('../models/ShopSettings');
+const { getModel } = require('../database/modelFactory');
+const bookingSchema = require('../client/models/Booking').schema;
+const slotSchema = require('../client/models/Slot').schema;
+const serviceSchema = require('../client/models/Service').schema;
+const userSchema = require('../client/models/User').schema;
+const shopSchema = require('../client/models/Shop').schema;
+const shopSettingsSchema = require('../client/models/ShopSettings').schema;
+const staffProfileSchema = require('../client/models/StaffProfile').schema;
+const slotService = require('./slotService');
+const waitlistService = require('./waitlistService');
+const staffAvailabilityService = require('./staffAvailabilityService');
+const offerService = require('./offerService');
+const notificationService = require('./notificationService');
+const slotChain = require('../utils/slotChain');
+const logger = require('../utils/logger');
 const moment = require('moment');
-const { BOOKING_STATUS, BOOKING_TYPE } = require('../config/constants');
+const { BOOKING_STATUS, BOOKING_TYPE, NOTIFICATION_TYPE } = require('../config/constants');
 
 /**
  * Booking Service
  * Handles all booking-related business logic
+ * Works with database-per-client architecture
  */
 class BookingService {
   /**
    * Create online booking
+   * `services` is a service ID, or an ordered list of service IDs / { serviceId, staffId }
+   * for multi-service appointments performed back to back
+   * options.seriesId - links the booking to a recurring series
+   * options.ignoreAdvanceLimit - series occurrences may lie beyond bookingAdvanceDays
+   * options.staffId - requested StaffProfile ID, or 'any' to auto-assign a free stylist
+   *   (used for every service without its own staffId)
+   * options.promoCode - promo code; otherwise the best automatic offer is applied
+   * options.notes - booking notes (e.g. waitlist promotions)
    */
-  async createOnlineBooking(tenantId, shopId, slotId, serviceId, customerId) {
+  async createOnlineBooking(databaseName, shopId, slotId, services, customerId, options = {}) {
     try {
+      const Booking = await getModel(databaseName, 'Booking', bookingSchema);
+      const Slot = await getModel(databaseName, 'Slot', slotSchema);
+      const ShopSettings = await getModel(databaseName, 'ShopSettings', shopSettingsSchema);
+
       // Validate slot exists and is available
       const slot = await Slot.findOne({
         _id: slotId,
-        tenantId,
         shopId,
       });
 
@@ -37,49 +59,84 @@ class BookingService {
         throw new Error('Slot is full');
       }
 
-      // Validate service
-      const service = await Service.findOne({
-        _id: serviceId,
-        tenantId,
-        shopId,
-        isActive: true,
-      });
+      // Validate services
+      const selected = await this.resolveServices(databaseName, shopId, services);
+      const totalDuration = selected.reduce((sum, { service }) => sum + (service.duration || 0), 0);
 
-      if (!service) {
-        throw new Error('Service not found or inactive');
+      // The combined duration needs consecutive free slots
+      const slots = await slotService.getConsecutiveSlots(databaseName, shopId, slot, totalDuration);
+
+      if (slots.some((occupied) => !occupied.isAvailable())) {
+        throw new Error('Not enough consecutive capacity for this service');
       }
 
+      // Resolve requested or auto-assigned stylist per service
+      const bookedServices = await this.buildServiceItems(
+        databaseName,
+        shopId,
+        selected,
+        slots,
+        (item) => item.staffId || options.staffId
+      );
+      const totalPrice = bookedServices.reduce((sum, item) => sum + item.price, 0);
+
       // Get shop settings
-      const settings = await ShopSettings.findOne({ tenantId, shopId });
+      const settings = await ShopSettings.findOne({ shopId });
 
       // Check booking advance days
       const bookingDate = moment(slot.date);
       const today = moment().startOf('day');
       const maxAdvanceDays = settings?.bookingAdvanceDays || 7;
 
-      if (bookingDate.diff(today, 'days') > maxAdvanceDays) {
+      if (!options.ignoreAdvanceLimit && bookingDate.diff(today, 'days') > maxAdvanceDays) {
         throw new Error(`Bookings can only be made up to ${maxAdvanceDays} days in advance`);
       }
 
+      // Apply promo code or best automatic offer (claims one use of the offer)
+      const applied = await offerService.applyOffer(databaseName, shopId, bookedServices, options.promoCode);
+      const discount = applied ? applied.discount : 0;
+
       // Create booking
-      const booking = await Booking.create({
-        tenantId,
-        shopId,
-        slotId,
-        customerId,
-        serviceId,
-        bookingType: BOOKING_TYPE.ONLINE,
-        status: settings?.autoConfirmBooking !== false ? BOOKING_STATUS.CONFIRMED : BOOKING_STATUS.PENDING,
-        originalPrice: service.price,
-        finalPrice: service.price,
-        scheduledAt: moment(slot.date).set({
-          hour: parseInt(slot.startTime.split(':')[0]),
-          minute: parseInt(slot.startTime.split(':')[1]),
-        }).toDate(),
-      });
+      let booking;
+      try {
+        booking = await Booking.create({
+          shopId,
+          slotId,
+          slotIds: slots.map((occupied) => occupied._id),
+          duration: totalDuration,
+          customerId,
+          serviceId: bookedServices[0].serviceId,
+          services: bookedServices,
+          staffId: bookedServices.find((item) => item.staffId)?.staffId,
+          bookingType: BOOKING_TYPE.ONLINE,
+          status: settings?.autoConfirmBooking !== false ? BOOKING_STATUS.CONFIRMED : BOOKING_STATUS.PENDING,
+          originalPrice: totalPrice,
+          finalPrice: totalPrice - discount,
+          offerId: applied?.offer._id,
+          promoCode: applied?.offer.code,
+          discountAmount: discount,
+          scheduledAt: moment(slot.date).set({
+            hour: parseInt(slot.startTime.split(':')[0]),
+            minute: parseInt(slot.startTime.split(':')[1]),
+          }).toDate(),
+          seriesId: options.seriesId,
+          notes: options.notes,
+        });
+      } catch (error) {
+        // Give the offer use back if the booking could not be stored
+        if (applied) {
+          await offerService.releaseUse(databaseName, applied.offer._id);
+        }
+        throw error;
+      }
 
-      // Update slot booked count
-      await slot.updateBookedCount();
+      // Update booked count of every occupied slot
+      for (const occupied of slots) {
+        await occupied.updateBookedCount();
+      }
+
+      // Delivery (with retries) runs in the background
+      notificationService.notifyBooking(databaseName, booking, NOTIFICATION_TYPE.CONFIRMATION);
 
       return booking;
     } catch (error) {
@@ -89,13 +146,17 @@ class BookingService {
 
   /**
    * Create walk-in booking
+   * `services` accepts the same forms as createOnlineBooking; `price` overrides the total
    */
-  async createWalkInBooking(tenantId, shopId, slotId, serviceId, customerData, staffId, price) {
+  async createWalkInBooking(databaseName, shopId, slotId, services, customerData, staffId, price) {
     try {
+      const Booking = await getModel(databaseName, 'Booking', bookingSchema);
+      const Slot = await getModel(databaseName, 'Slot', slotSchema);
+      const User = await getModel(databaseName, 'User', userSchema);
+
       // Validate slot
       const slot = await Slot.findOne({
         _id: slotId,
-        tenantId,
         shopId,
       });
 
@@ -110,14 +171,12 @@ class BookingService {
 
       // Create or get customer
       let customer = await User.findOne({
-        tenantId,
         email: customerData.email,
         role: 'customer',
       });
 
       if (!customer) {
         customer = await User.create({
-          tenantId,
           email: customerData.email,
           phone: customerData.phone,
           firstName: customerData.firstName,
@@ -128,43 +187,76 @@ class BookingService {
         });
       }
 
-      // Get service for default price if not provided
-      const service = await Service.findOne({
-        _id: serviceId,
-        tenantId,
-        shopId,
-      });
+      // Get services for default price if not provided
+      const selected = await this.resolveServices(databaseName, shopId, services);
+      const totalDuration = selected.reduce((sum, { service }) => sum + (service.duration || 0), 0);
 
-      const finalPrice = price || service.price;
+      // Walk-ins skip the capacity check but still occupy the whole combined duration
+      const slots = await slotService.getConsecutiveSlots(databaseName, shopId, slot, totalDuration);
 
-      // Create booking with high priority
-      const booking = await Booking.create({
-        tenantId,
+      if (slots.some((occupied) => occupied.isBlocked || occupied.status === 'blocked')) {
+        throw new Error('Slot is blocked and cannot be booked');
+      }
+
+      // Services are performed by the creating staff member unless assigned otherwise
+      const bookedServices = await this.buildServiceItems(
+        databaseName,
         shopId,
-        slotId,
-        customerId: customer._id,
-        serviceId,
-        staffId,
-        bookingType: BOOKING_TYPE.WALKIN,
-        status: BOOKING_STATUS.CONFIRMED,
-        originalPrice: service.price,
-        finalPrice: finalPrice,
-        priceEdited: price !== service.price,
-        editedBy: price !== service.price ? staffId : null,
-        editReason: price !== service.price ? 'Walk-in pricing' : null,
-        scheduledAt: moment(slot.date).set({
-          hour: parseInt(slot.startTime.split(':')[0]),
-          minute: parseInt(slot.startTime.split(':')[1]),
-        }).toDate(),
-        priority: 'high',
-      });
+        selected,
+        slots,
+        (item) => item.staffId,
+        staffId
+      );
+      const originalPrice = bookedServices.reduce((sum, item) => sum + item.price, 0);
+
+      // Automatic offers apply unless staff set the price by hand
+      const applied = price ? null : await offerService.applyOffer(databaseName, shopId, bookedServices);
+      const discount = applied ? applied.discount : 0;
+      const finalPrice = price || originalPrice - discount;
 
-      // Update slot booked count
-      await slot.updateBookedCount();
+      // Create booking with high priority
+      let booking;
+      try {
+        booking = await Booking.create({
+          shopId,
+          slotId,
+          slotIds: slots.map((occupied) => occupied._id),
+          duration: totalDuration,
+          customerId: customer._id,
+          serviceId: bookedServices[0].serviceId,
+          services: bookedServices,
+          staffId,
+          bookingType: BOOKING_TYPE.WALKIN,
+          status: BOOKING_STATUS.CONFIRMED,
+          originalPrice,
+          finalPrice: finalPrice,
+          offerId: applied?.offer._id,
+          discountAmount: discount,
+          priceEdited: !!price && price !== originalPrice,
+          editedBy: price && price !== originalPrice ? staffId : null,
+          editReason: price && price !== originalPrice ? 'Walk-in pricing' : null,
+          scheduledAt: moment(slot.date).set({
+            hour: parseInt(slot.startTime.split(':')[0]),
+            minute: parseInt(slot.startTime.split(':')[1]),
+          }).toDate(),
+          priority: 'high',
+        });
+      } catch (error) {
+        // Give the offer use back if the booking could not be stored
+        if (applied) {
+          await offerService.releaseUse(databaseName, applied.offer._id);
+        }
+        throw error;
+      }
+
+      // Update booked count of every occupied slot
+      for (const occupied of slots) {
+        await occupied.updateBookedCount();
+      }
 
       // Emit Socket.IO event
       if (global.slotSocket) {
-        await global.slotSocket.notifyBookingChange(tenantId, shopId, booking);
+        await global.slotSocket.notifyBookingChange(databaseName, shopId, booking);
       }
 
       return booking;
@@ -173,14 +265,84 @@ class BookingService {
     }
   }
 
+  /**
+   * Load the services of an appointment in the requested order
+   * @param {string|Array} services - Service ID, or list of service IDs / { serviceId, staffId }
+   * @returns {Promise<Array>} [{ service, staffId }]
+   */
+  async resolveServices(databaseName, shopId, services) {
+    const items = (Array.isArray(services) ? services : [services])
+      .filter(Boolean)
+      .map((item) => (item.serviceId ? item : { serviceId: item }));
+
+    if (items.length === 0) {
+      throw new Error('At least one service is required');
+    }
+
+    const Service = await getModel(databaseName, 'Service', serviceSchema);
+    const found = await Service.find({
+      _id: { $in: items.map((item) => item.serviceId) },
+      shopId,
+      isActive: true,
+    });
+
+    return items.map((item) => {
+      const service = found.find((candidate) => candidate._id.toString() === item.serviceId.toString());
+
+      if (!service) {
+        throw new Error('Service not found or inactive');
+      }
+
+      return { service, staffId: item.staffId };
+    });
+  }
+
+  /**
+   * Build Booking.services entries: each service gets its share of the slots and a stylist
+   * @param {Function} getRequestedStaffId - item => requested StaffProfile ID / 'any' / undefined
+   * @param {string} fallbackStaffId - Staff used as-is when nothing was requested (walk-ins)
+   */
+  async buildServiceItems(databaseName, shopId, selected, slots, getRequestedStaffId, fallbackStaffId = null) {
+    const serviceSlots = slotChain.splitByDurations(slots, selected.map(({ service }) => service.duration));
+    const items = [];
+
+    for (const [index, item] of selected.entries()) {
+      const requestedStaffId = getRequestedStaffId(item);
+      let staffId = fallbackStaffId;
+
+      if (requestedStaffId) {
+        const staff = await staffAvailabilityService.assignStaff(
+          databaseName,
+          shopId,
+          serviceSlots[index],
+          item.service,
+          requestedStaffId
+        );
+        staffId = staff._id;
+      }
+
+      items.push({
+        serviceId: item.service._id,
+        name: item.service.name,
+        price: item.service.price,
+        duration: item.service.duration,
+        staffId,
+        slotIds: serviceSlots[index].map((occupied) => occupied._id),
+      });
+    }
+
+    return items;
+  }
+
   /**
    * Mark customer as arrived
    */
-  async markArrived(tenantId, shopId, bookingId) {
+  async markArrived(databaseName, shopId, bookingId) {
     try {
+      const Booking = await getModel(databaseName, 'Booking', bookingSchema);
+
       const booking = await Booking.findOne({
         _id: bookingId,
-        tenantId,
         shopId,
         status: BOOKING_STATUS.CONFIRMED,
       });
@@ -196,7 +358,7 @@ class BookingService {
 
       // Emit Socket.IO event
       if (global.slotSocket) {
-        await global.slotSocket.notifyBookingChange(tenantId, shopId, booking);
+        await global.slotSocket.notifyBookingChange(databaseName, shopId, booking);
       }
 
       return booking;
@@ -207,12 +369,14 @@ class BookingService {
 
   /**
    * Mark booking as no-show
+   * The freed places go to the slots' waitlists
    */
-  async markNoShow(tenantId, shopId, bookingId) {
+  async markNoShow(databaseName, shopId, bookingId) {
     try {
+      const Booking = await getModel(databaseName, 'Booking', bookingSchema);
+
       const booking = await Booking.findOne({
         _id: bookingId,
-        tenantId,
         shopId,
         status: { $in: [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.ARRIVED] },
       });
@@ -225,15 +389,12 @@ class BookingService {
 
       await booking.save();
 
-      // Free up slot capacity
-      const slot = await Slot.findById(booking.slotId);
-      if (slot) {
-        await slot.updateBookedCount();
-      }
+      // Free up capacity in every slot the booking occupied
+      await this.releaseSlots(databaseName, shopId, booking);
 
       // Emit Socket.IO event
       if (global.slotSocket) {
-        await global.slotSocket.notifyBookingChange(tenantId, shopId, booking);
+        await global.slotSocket.notifyBookingChange(databaseName, shopId, booking);
       }
 
       return booking;
@@ -245,11 +406,12 @@ class BookingService {
   /**
    * Start service (mark in progress)
    */
-  async startService(tenantId, shopId, bookingId, staffId) {
+  async startService(databaseName, shopId, bookingId, staffId) {
     try {
+      const Booking = await getModel(databaseName, 'Booking', bookingSchema);
+
       const booking = await Booking.findOne({
         _id: bookingId,
-        tenantId,
         shopId,
         status: { $in: [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.ARRIVED] },
       });
@@ -270,7 +432,7 @@ class BookingService {
 
       // Emit Socket.IO event
       if (global.slotSocket) {
-        await global.slotSocket.notifyBookingChange(tenantId, shopId, booking);
+        await global.slotSocket.notifyBookingChange(databaseName, shopId, booking);
       }
 
       return booking;
@@ -282,11 +444,12 @@ class BookingService {
   /**
    * Complete service
    */
-  async completeService(tenantId, shopId, bookingId) {
+  async completeService(databaseName, shopId, bookingId) {
     try {
+      const Booking = await getModel(databaseName, 'Booking', bookingSchema);
+
       const booking = await Booking.findOne({
         _id: bookingId,
-        tenantId,
         shopId,
         status: BOOKING_STATUS.IN_PROGRESS,
       });
@@ -303,7 +466,7 @@ class BookingService {
 
       // Emit Socket.IO event
       if (global.slotSocket) {
-        await global.slotSocket.notifyBookingChange(tenantId, shopId, booking);
+        await global.slotSocket.notifyBookingChange(databaseName, shopId, booking);
       }
 
       return booking;
@@ -315,11 +478,12 @@ class BookingService {
   /**
    * Edit booking price
    */
-  async editPrice(tenantId, shopId, bookingId, newPrice, editedBy, reason) {
+  async editPrice(databaseName, shopId, bookingId, newPrice, editedBy, reason) {
     try {
+      const Booking = await getModel(databaseName, 'Booking', bookingSchema);
+
       const booking = await Booking.findOne({
         _id: bookingId,
-        tenantId,
         shopId,
         status: { $in: [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.ARRIVED, BOOKING_STATUS.IN_PROGRESS] },
       });
@@ -329,7 +493,8 @@ class BookingService {
       }
 
       // Check if price editing is allowed
-      const settings = await ShopSettings.findOne({ tenantId, shopId });
+      const ShopSettings = await getModel(databaseName, 'ShopSettings', shopSettingsSchema);
+      const settings = await ShopSettings.findOne({ shopId });
 
       if (settings && !settings.allowPriceEditing) {
         throw new Error('Price editing is disabled for this shop');
@@ -352,7 +517,7 @@ class BookingService {
 
       // Emit Socket.IO event
       if (global.slotSocket) {
-        await global.slotSocket.notifyBookingChange(tenantId, shopId, booking);
+        await global.slotSocket.notifyBookingChange(databaseName, shopId, booking);
       }
 
       return booking;
@@ -363,14 +528,18 @@ class BookingService {
 
   /**
    * Cancel booking
+   * The customer is notified and the freed places go to the slots' waitlists
+   * options.rebook - the place is booked again right away (series changes): no cancellation
+   *   message and no waitlist promotion
    */
-  async cancelBooking(tenantId, shopId, bookingId, cancelledBy, reason) {
+  async cancelBooking(databaseName, shopId, bookingId, cancelledBy, reason, options = {}) {
     try {
+      const Booking = await getModel(databaseName, 'Booking', bookingSchema);
+
       const booking = await Booking.findOne({
         _id: bookingId,
-        tenantId,
         shopId,
-        status: { $in: [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.ARRIVED] },
+        status: { $in: [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.ARRIVED] },
       });
 
       if (!booking) {
@@ -384,15 +553,21 @@ class BookingService {
 
       await booking.save();
 
-      // Free up slot capacity
-      const slot = await Slot.findById(booking.slotId);
-      if (slot) {
-        await slot.updateBookedCount();
+      // A cancelled booking no longer counts towards the offer's usage limit
+      if (booking.offerId) {
+        await offerService.releaseUse(databaseName, booking.offerId);
+      }
+
+      // Free up capacity in every slot the booking occupied
+      await this.releaseSlots(databaseName, shopId, booking, !options.rebook);
+
+      if (!options.rebook) {
+        notificationService.notifyBooking(databaseName, booking, NOTIFICATION_TYPE.CANCELLATION, { reason });
       }
 
       // Emit Socket.IO event
       if (global.slotSocket) {
-        await global.slotSocket.notifyBookingChange(tenantId, shopId, booking);
+        await global.slotSocket.notifyBookingChange(databaseName, shopId, booking);
       }
 
       return booking;
@@ -401,13 +576,54 @@ class BookingService {
     }
   }
 
+  /**
+   * Recount all slots of a booking and offer freed capacity to the waitlist
+   * @param {boolean} promote - false when the place is booked again right away
+   */
+  async releaseSlots(databaseName, shopId, booking, promote = true) {
+    const Slot = await getModel(databaseName, 'Slot', slotSchema);
+    const slots = await Slot.find({ _id: { $in: booking.getSlotIds() } }).sort({ startTime: 1 });
+
+    for (const slot of slots) {
+      await slot.updateBookedCount();
+    }
+
+    if (!promote) {
+      return;
+    }
+
+    for (const slot of slots) {
+      await this.promoteWaitlist(databaseName, shopId, slot);
+    }
+  }
+
+  /**
+   * Promote waitlisted customers into capacity freed on a slot
+   */
+  async promoteWaitlist(databaseName, shopId, slot) {
+    try {
+      await waitlistService.promoteNext(databaseName, shopId, slot._id);
+    } catch (error) {
+      // Promotion failure must not undo the cancellation / no-show
+      logger.error(`Error promoting waitlist for slot ${slot._id}:`, error.message);
+    }
+  }
+
   /**
    * Get bookings for a shop
    */
-  async getShopBookings(tenantId, shopId, filters = {}) {
+  async getShopBookings(databaseName, shopId, filters = {}) {
     try {
+      const [Booking] = await Promise.all([
+        getModel(databaseName, 'Booking', bookingSchema),
+        // Registered for populate
+        getModel(databaseName, 'User', userSchema),
+        getModel(databaseName, 'Service', serviceSchema),
+        getModel(databaseName, 'StaffProfile', staffProfileSchema),
+        getModel(databaseName, 'Slot', slotSchema),
+      ]);
+
       const query = {
-        tenantId,
         shopId,
       };
 
@@ -441,10 +657,17 @@ class BookingService {
   /**
    * Get customer booking history
    */
-  async getCustomerBookings(tenantId, customerId) {
+  async getCustomerBookings(databaseName, customerId) {
     try {
+      const [Booking] = await Promise.all([
+        getModel(databaseName, 'Booking', bookingSchema),
+        // Registered for populate
+        getModel(databaseName, 'Shop', shopSchema),
+        getModel(databaseName, 'Service', serviceSchema),
+        getModel(databaseName, 'Slot', slotSchema),
+      ]);
+
       const bookings = await Booking.find({
-        tenantId,
         customerId,
       })
         .populate('shopId', 'name address phone')
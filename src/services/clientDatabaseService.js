@@ -1,6 +1,6 @@
 const connectionManager = require('../database/connectionManager');
-const { getClientAdminModel } = require('../platform/models/ClientAdmin');
-const { getClientDatabaseMapModel } = require('../platform/models/ClientDatabaseMap');
+const { getModel: getClientAdminModel } = require('../platform/models/ClientAdmin');
+const { getModel: getClientDatabaseMapModel } = require('../platform/models/ClientDatabaseMap');
 const { getModel } = require('../database/modelFactory');
 const userSchema = require('../client/models/User').schema;
 const roleSchema = require('../client/models/Role').schema;
@@ -34,7 +34,19 @@ class ClientDatabaseService {
    */
   async createClientDatabase(clientAdminData) {
     try {
-      const { email, firstName, lastName, phone, password, maxShops, maxStaff, subscriptionPlan, subscriptionExpiresAt } = clientAdminData;
+      const {
+        email,
+        firstName,
+        lastName,
+        phone,
+        password,
+        maxShops,
+        maxStaff,
+        subscriptionPlan,
+        subscriptionExpiresAt,
+        isTrial = false,
+        signupSource,
+      } = clientAdminData;
 
       // Generate unique client ID and database name
       const clientId = this.generateClientId();
@@ -44,7 +56,7 @@ class ClientDatabaseService {
       const clientDb = await connectionManager.createDatabase(databaseName);
 
       // Initialize client database with default data
-      await this.initializeClientDatabase(databaseName, {
+      const { adminUser } = await this.initializeClientDatabase(databaseName, {
         email,
         firstName,
         lastName,
@@ -61,10 +73,13 @@ class ClientDatabaseService {
         firstName,
         lastName,
         phone,
-        maxShops: maxShops || 10,
-        maxStaff: maxStaff || 50,
+        maxShops,
+        maxStaff,
         subscriptionPlan: subscriptionPlan || 'basic',
         subscriptionExpiresAt,
+        isTrial,
+        trialEndsAt: isTrial ? subscriptionExpiresAt : undefined,
+        signupSource,
         isActive: true,
       });
 
@@ -80,6 +95,7 @@ class ClientDatabaseService {
         clientId,
         databaseName,
         clientAdmin,
+        adminUser,
         db: clientDb,
       };
     } catch (error) {
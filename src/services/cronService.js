@@ -1,9 +1,16 @@
-const Booking = require('../models/Booking');
-const Slot = require('../models/Slot');
-const ShopSettings = require('../models/ShopSettings');
+const { getModel } = require('../database/modelFactory');
+const { getModel: getClientAdminModel } = require('../platform/models/ClientAdmin');
+const bookingSchema = require('../client/models/Booking').schema;
+const shopSchema = require('../client/models/Shop').schema;
+const shopSettingsSchema = require('../client/models/ShopSettings').schema;
 const moment = require('moment');
-const { BOOKING_STATUS } = require('../config/constants');
+const { BOOKING_STATUS, BOOKING_TYPE, NOTIFICATION_TYPE, BOOKING_ADVANCE_DAYS } = require('../config/constants');
 const bookingService = require('./bookingService');
+const slotService = require('./slotService');
+const notificationService = require('./notificationService');
+
+// Longest reminder lead time a shop can configure (ShopSettings.reminderHoursBefore max)
+const MAX_REMINDER_HOURS = 72;
 
 /**
  * Cron Service
@@ -12,92 +19,231 @@ const bookingService = require('./bookingService');
 class CronService {
   /**
    * Auto handle no-show bookings
-   * Runs every minute to check for bookings that should be marked as no-show
+   * Runs every minute over every active client database to check for bookings that should be marked as no-show
    */
   async handleNoShows() {
     try {
-      const now = moment();
-      const timeoutMinutes = parseInt(process.env.NO_SHOW_TIMEOUT_MINUTES) || 5;
-
-      // Find confirmed bookings that are past their scheduled time + timeout
-      const bookings = await Booking.find({
-        status: BOOKING_STATUS.CONFIRMED,
-        scheduledAt: {
-          $lte: moment().subtract(timeoutMinutes, 'minutes').toDate(),
-        },
-      })
-        .populate('slotId')
-        .populate('shopId');
-
-      for (const booking of bookings) {
-        try {
-          // Get shop-specific timeout if available
-          const settings = await ShopSettings.findOne({
-            tenantId: booking.tenantId,
-            shopId: booking.shopId._id,
-          });
-
-          const shopTimeout = settings?.noShowTimeoutMinutes || timeoutMinutes;
-          const shouldMarkNoShow = moment(booking.scheduledAt).add(shopTimeout, 'minutes').isBefore(now);
-
-          if (shouldMarkNoShow) {
-            await bookingService.markNoShow(
-              booking.tenantId,
-              booking.shopId._id,
-              booking._id
-            );
+      const totals = { processed: 0 };
 
-            console.log(`Marked booking ${booking._id} as no-show`);
-          }
+      for (const databaseName of await this.getClientDatabases()) {
+        try {
+          const { processed } = await this.handleClientNoShows(databaseName);
+          totals.processed += processed;
         } catch (error) {
-          console.error(`Error processing no-show for booking ${booking._id}:`, error);
+          console.error(`Error handling no-shows for ${databaseName}:`, error);
         }
       }
 
-      return { processed: bookings.length };
+      return totals;
     } catch (error) {
       console.error('Error in handleNoShows cron:', error);
       throw error;
     }
   }
 
+  /**
+   * Mark overdue bookings of one client database as no-show
+   * @param {string} databaseName - Client database name
+   * @returns {Promise<Object>} { processed }
+   */
+  async handleClientNoShows(databaseName) {
+    const ClientBooking = await getModel(databaseName, 'Booking', bookingSchema);
+    const ClientShopSettings = await getModel(databaseName, 'ShopSettings', shopSettingsSchema);
+    const now = moment();
+    const timeoutMinutes = parseInt(process.env.NO_SHOW_TIMEOUT_MINUTES) || 5;
+
+    // Find confirmed bookings that are past their scheduled time + timeout
+    const bookings = await ClientBooking.find({
+      status: BOOKING_STATUS.CONFIRMED,
+      scheduledAt: {
+        $lte: moment().subtract(timeoutMinutes, 'minutes').toDate(),
+      },
+    });
+
+    for (const booking of bookings) {
+      try {
+        // Get shop-specific timeout if available
+        const settings = await ClientShopSettings.findOne({ shopId: booking.shopId });
+
+        const shopTimeout = settings?.noShowTimeoutMinutes || timeoutMinutes;
+        const shouldMarkNoShow = moment(booking.scheduledAt).add(shopTimeout, 'minutes').isBefore(now);
+
+        if (shouldMarkNoShow) {
+          await bookingService.markNoShow(databaseName, booking.shopId, booking._id);
+
+          console.log(`Marked booking ${booking._id} as no-show`);
+        }
+      } catch (error) {
+        console.error(`Error processing no-show for booking ${booking._id}:`, error);
+      }
+    }
+
+    return { processed: bookings.length };
+  }
+
+  /**
+   * Send appointment reminders
+   * Runs every few minutes over every active client database; each booking is reminded once,
+   * reminderHoursBefore its scheduled time
+   */
+  async sendBookingReminders() {
+    try {
+      const totals = { processed: 0, sent: 0 };
+
+      for (const databaseName of await this.getClientDatabases()) {
+        try {
+          const { processed, sent } = await this.sendClientReminders(databaseName);
+          totals.processed += processed;
+          totals.sent += sent;
+        } catch (error) {
+          console.error(`Error sending reminders for ${databaseName}:`, error);
+        }
+      }
+
+      return totals;
+    } catch (error) {
+      console.error('Error in sendBookingReminders cron:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send due reminders for the bookings of one client database
+   * @param {string} databaseName - Client database name
+   * @returns {Promise<Object>} { processed, sent }
+   */
+  async sendClientReminders(databaseName) {
+    const ClientBooking = await getModel(databaseName, 'Booking', bookingSchema);
+    const ClientShopSettings = await getModel(databaseName, 'ShopSettings', shopSettingsSchema);
+    const now = moment();
+
+    const bookings = await ClientBooking.find({
+      bookingType: BOOKING_TYPE.ONLINE,
+      status: { $in: [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED] },
+      reminderSentAt: null,
+      scheduledAt: {
+        $gt: now.toDate(),
+        $lte: moment().add(MAX_REMINDER_HOURS, 'hours').toDate(),
+      },
+    });
+
+    const settingsByShop = new Map();
+    let sent = 0;
+
+    for (const booking of bookings) {
+      try {
+        const shopKey = booking.shopId.toString();
+        if (!settingsByShop.has(shopKey)) {
+          settingsByShop.set(shopKey, await ClientShopSettings.findOne({ shopId: booking.shopId }));
+        }
+
+        const hoursBefore = settingsByShop.get(shopKey)?.reminderHoursBefore ?? 24;
+        const isDue = hoursBefore > 0 && moment(booking.scheduledAt).subtract(hoursBefore, 'hours').isSameOrBefore(now);
+
+        if (!isDue) {
+          continue;
+        }
+
+        // Claim the reminder so overlapping runs never send it twice
+        const claimed = await ClientBooking.findOneAndUpdate(
+          { _id: booking._id, reminderSentAt: null },
+          { reminderSentAt: new Date() },
+          { new: true }
+        );
+
+        if (claimed) {
+          await notificationService.notifyBooking(databaseName, claimed, NOTIFICATION_TYPE.REMINDER);
+          sent++;
+        }
+      } catch (error) {
+        console.error(`Error sending reminder for booking ${booking._id}:`, error);
+      }
+    }
+
+    return { processed: bookings.length, sent };
+  }
+
   /**
    * Generate slots for upcoming days
    * Runs daily to ensure slots are available for booking advance period
    */
   async generateUpcomingSlots() {
     try {
-      const Shop = require('../models/Shop');
-      const slotService = require('./slotService');
-      const { BOOKING_ADVANCE_DAYS } = require('../config/constants');
+      let processed = 0;
 
-      const shops = await Shop.find({ isActive: true });
+      for (const databaseName of await this.getClientDatabases()) {
+        const ClientShop = await getModel(databaseName, 'Shop', shopSchema);
+        const shops = await ClientShop.find({ isActive: true });
 
-      for (const shop of shops) {
-        try {
-          const today = moment().startOf('day');
-          const endDate = moment().add(BOOKING_ADVANCE_DAYS, 'days');
-
-          // Generate slots for the advance period
-          await slotService.generateSlotsForDateRange(
-            shop.tenantId,
-            shop._id,
-            today.toDate(),
-            endDate.toDate()
-          );
-
-          console.log(`Generated slots for shop ${shop._id}`);
-        } catch (error) {
-          console.error(`Error generating slots for shop ${shop._id}:`, error);
+        for (const shop of shops) {
+          try {
+            const today = moment().startOf('day');
+            const endDate = moment().add(BOOKING_ADVANCE_DAYS, 'days');
+
+            // Generate slots for the advance period
+            await slotService.generateSlotsForDateRange(
+              databaseName,
+              shop._id,
+              today.toDate(),
+              endDate.toDate()
+            );
+
+            console.log(`Generated slots for shop ${shop._id}`);
+          } catch (error) {
+            console.error(`Error generating slots for shop ${shop._id}:`, error);
+          }
         }
+
+        processed += shops.length;
       }
 
-      return { processed: shops.length };
+      return { processed };
     } catch (error) {
       console.error('Error in generateUpcomingSlots cron:', error);
       throw error;
     }
   }
+
+  /**
+   * Update today's slot capacities based on staff changes
+   * Runs hourly over every shop of every active client database
+   */
+  async updateSlotCapacities() {
+    try {
+      let processed = 0;
+
+      for (const databaseName of await this.getClientDatabases()) {
+        const ClientShop = await getModel(databaseName, 'Shop', shopSchema);
+        const shops = await ClientShop.find({ isActive: true });
+
+        for (const shop of shops) {
+          try {
+            await slotService.updateSlotCapacity(databaseName, shop._id, new Date());
+          } catch (error) {
+            console.error(`Error updating slots for shop ${shop._id}:`, error);
+          }
+        }
+
+        processed += shops.length;
+      }
+
+      return { processed };
+    } catch (error) {
+      console.error('Error in updateSlotCapacities cron:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Databases of all active clients
+   * @returns {Promise<Array<string>>} Client database names
+   */
+  async getClientDatabases() {
+    const ClientAdmin = getClientAdminModel();
+    const clients = await ClientAdmin.find({ isActive: true }).select('databaseName');
+
+    return clients.map((client) => client.databaseName);
+  }
 }
 
 module.exports = new CronService();
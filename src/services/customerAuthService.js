@@ -0,0 +1,165 @@
+const { getModel } = require('../database/modelFactory');
+const userSchema = require('../client/models/User').schema;
+const roleSchema = require('../client/models/Role').schema;
+const { getModel: getClientAdminModel } = require('../platform/models/ClientAdmin');
+const otpService = require('./otpService');
+const { ROLES, PERMISSIONS } = require('../config/constants');
+
+const OTP_TYPE = 'customer_login';
+
+/**
+ * Customer Auth Service
+ * Customer sign-up and passwordless (OTP) login within a client database
+ */
+class CustomerAuthService {
+  /**
+   * Create an online customer account
+   * Shared by password registration and first OTP login
+   * @param {string} databaseName - Client database name
+   * @param {Object} data - { email, phone, firstName, lastName, password }; no password for OTP sign-up
+   * @returns {Promise<Object>} Created user
+   */
+  async createCustomerAccount(databaseName, { email, phone, firstName, lastName, password }) {
+    try {
+      const User = await getModel(databaseName, 'User', userSchema);
+      const Role = await getModel(databaseName, 'Role', roleSchema);
+
+      // Check if user already exists
+      const existingUser = await User.findOne({ email: email.toLowerCase() });
+
+      if (existingUser) {
+        throw new Error('User already exists');
+      }
+
+      // Get customer role
+      let role = await Role.findOne({ name: ROLES.CUSTOMER });
+
+      // Create customer role if doesn't exist
+      if (!role) {
+        role = await Role.create({
+          name: ROLES.CUSTOMER,
+          permissions: [
+            PERMISSIONS.VIEW_SERVICES,
+            PERMISSIONS.VIEW_SLOTS,
+            PERMISSIONS.BOOK_SLOT,
+            PERMISSIONS.VIEW_BOOKING_HISTORY,
+            PERMISSIONS.CANCEL_BOOKING,
+          ],
+          isSystemRole: true,
+        });
+      }
+
+      // Create user
+      return await User.create({
+        email: email.toLowerCase(),
+        ...(password && { password }),
+        phone,
+        firstName,
+        lastName,
+        role: ROLES.CUSTOMER,
+        roleId: role._id,
+        bookingType: 'online',
+        authMethod: password ? 'password' : 'otp',
+        isActive: true,
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Ensure the database belongs to an active client
+   */
+  async assertClientDatabase(databaseName) {
+    const ClientAdmin = getClientAdminModel();
+    const client = await ClientAdmin.findOne({ databaseName, isActive: true });
+
+    if (!client) {
+      throw new Error('Shop not found');
+    }
+  }
+
+  /**
+   * Send a login code to an email or phone number
+   * @param {string} databaseName - Client database name
+   * @param {Object} identity - { email } or { phone }
+   * @returns {Promise<Object>} { otp } - the code only in development
+   */
+  async requestLoginCode(databaseName, identity) {
+    try {
+      await this.assertClientDatabase(databaseName);
+
+      const result = identity.email
+        ? await otpService.sendOTP(identity.email, OTP_TYPE, databaseName)
+        : await otpService.sendPhoneOTP(identity.phone, OTP_TYPE, databaseName);
+
+      return { otp: result.otp };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Verify a login code and return the customer, creating the account on first login
+   * @param {string} databaseName - Client database name
+   * @param {Object} identity - { email } or { phone }
+   * @param {string} code - Code received
+   * @param {Object} profile - { email, phone, firstName, lastName } required to sign up
+   * @returns {Promise<Object>} { user, isNewAccount }
+   */
+  async verifyLoginCode(databaseName, identity, code, profile = {}) {
+    try {
+      await this.assertClientDatabase(databaseName);
+
+      const User = await getModel(databaseName, 'User', userSchema);
+      const query = identity.email
+        ? { email: identity.email.toLowerCase().trim() }
+        : { phone: identity.phone.trim() };
+
+      const user = await User.findOne(query);
+
+      if (user && user.role !== ROLES.CUSTOMER) {
+        throw new Error('Code login is only available to customers, please log in with your password');
+      }
+
+      // Check sign-up details before the code is used up
+      const signUp = {
+        email: identity.email || profile.email,
+        phone: identity.phone || profile.phone,
+        firstName: profile.firstName,
+        lastName: profile.lastName,
+      };
+
+      if (!user && Object.values(signUp).some((value) => !value)) {
+        throw new Error('email, phone, firstName and lastName are required to create an account');
+      }
+
+      if (identity.email) {
+        await otpService.verifyOTP(identity.email, code, OTP_TYPE, databaseName);
+      } else {
+        await otpService.verifyPhoneOTP(identity.phone, code, OTP_TYPE, databaseName);
+      }
+
+      if (user) {
+        if (!user.isActive) {
+          throw new Error('Account is inactive');
+        }
+
+        user.lastLogin = new Date();
+        await user.save();
+
+        return { user, isNewAccount: false };
+      }
+
+      const created = await this.createCustomerAccount(databaseName, signUp);
+      created.lastLogin = new Date();
+      await created.save();
+
+      return { user: created, isNewAccount: true };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new CustomerAuthService();
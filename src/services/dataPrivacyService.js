@@ -0,0 +1,463 @@
+const moment = require('moment');
+const connectionManager = require('../database/connectionManager');
+const { getModel, clearModels } = require('../database/modelFactory');
+const userSchema = require('../client/models/User').schema;
+const bookingSchema = require('../client/models/Booking').schema;
+const invoiceSchema = require('../client/models/Invoice').schema;
+const creditNoteSchema = require('../client/models/CreditNote').schema;
+const waitlistSchema = require('../client/models/Waitlist').schema;
+const bookingSeriesSchema = require('../client/models/BookingSeries').schema;
+const sessionSchema = require('../client/models/Session').schema;
+const { getModel: getClientAdminModel } = require('../platform/models/ClientAdmin');
+const { getModel: getClientDatabaseMapModel } = require('../platform/models/ClientDatabaseMap');
+const { getModel: getEmailLogModel } = require('../platform/models/EmailLog');
+const subscriptionService = require('./subscriptionService');
+const logger = require('../utils/logger');
+const { createZip } = require('../utils/zipArchive');
+const { toCsv } = require('../utils/csv');
+const {
+  ROLES,
+  BOOKING_STATUS,
+  WAITLIST_STATUS,
+  SUBSCRIPTION_STATUS,
+  SERIES_STATUS,
+  TENANT_DELETION_RETENTION_DAYS,
+} = require('../config/constants');
+
+// Collections left out of exports: login sessions hold refresh token hashes, not business data
+const EXCLUDED_COLLECTIONS = ['sessions'];
+
+// Fields never exported
+const EXCLUDED_FIELDS = {
+  users: { password: 0 },
+};
+
+// Spreadsheet views of the main collections (JSON files hold everything)
+const CSV_EXPORTS = {
+  shops: [
+    { header: 'ID', value: (shop) => shop._id },
+    { header: 'Name', value: (shop) => shop.name },
+    { header: 'Phone', value: (shop) => shop.phone },
+    { header: 'Email', value: (shop) => shop.email },
+    { header: 'Street', value: (shop) => shop.address?.street },
+    { header: 'City', value: (shop) => shop.address?.city },
+    { header: 'State', value: (shop) => shop.address?.state },
+    { header: 'Zip Code', value: (shop) => shop.address?.zipCode },
+    { header: 'Country', value: (shop) => shop.address?.country },
+    { header: 'Slot Duration', value: (shop) => shop.slotDuration },
+    { header: 'Active', value: (shop) => shop.isActive },
+    { header: 'Created At', value: (shop) => shop.createdAt },
+  ],
+  users: [
+    { header: 'ID', value: (user) => user._id },
+    { header: 'Role', value: (user) => user.role },
+    { header: 'First Name', value: (user) => user.firstName },
+    { header: 'Last Name', value: (user) => user.lastName },
+    { header: 'Email', value: (user) => user.email },
+    { header: 'Phone', value: (user) => user.phone },
+    { header: 'Active', value: (user) => user.isActive },
+    { header: 'Last Login', value: (user) => user.lastLogin },
+    { header: 'Created At', value: (user) => user.createdAt },
+  ],
+  services: [
+    { header: 'ID', value: (service) => service._id },
+    { header: 'Shop ID', value: (service) => service.shopId },
+    { header: 'Name', value: (service) => service.name },
+    { header: 'Category', value: (service) => service.category },
+    { header: 'Duration', value: (service) => service.duration },
+    { header: 'Price', value: (service) => service.price },
+    { header: 'Active', value: (service) => service.isActive },
+  ],
+  bookings: [
+    { header: 'ID', value: (booking) => booking._id },
+    { header: 'Shop ID', value: (booking) => booking.shopId },
+    { header: 'Customer ID', value: (booking) => booking.customerId },
+    { header: 'Staff ID', value: (booking) => booking.staffId },
+    { header: 'Type', value: (booking) => booking.bookingType },
+    { header: 'Status', value: (booking) => booking.status },
+    { header: 'Scheduled At', value: (booking) => booking.scheduledAt },
+    { header: 'Duration', value: (booking) => booking.duration },
+    { header: 'Original Price', value: (booking) => booking.originalPrice },
+    { header: 'Discount', value: (booking) => booking.discountAmount },
+    { header: 'Final Price', value: (booking) => booking.finalPrice },
+    { header: 'Completed At', value: (booking) => booking.completedAt },
+    { header: 'Cancelled At', value: (booking) => booking.cancelledAt },
+  ],
+  invoices: [
+    { header: 'Invoice Number', value: (invoice) => invoice.invoiceNumber },
+    { header: 'Shop ID', value: (invoice) => invoice.shopId },
+    { header: 'Booking ID', value: (invoice) => invoice.bookingId },
+    { header: 'Customer ID', value: (invoice) => invoice.customerId },
+    { header: 'Amount', value: (invoice) => invoice.amount },
+    { header: 'Tax', value: (invoice) => invoice.tax },
+    { header: 'Discount', value: (invoice) => invoice.discount },
+    { header: 'Total', value: (invoice) => invoice.totalAmount },
+    { header: 'Status', value: (invoice) => invoice.status },
+    { header: 'Payment Method', value: (invoice) => invoice.paymentMethod },
+    { header: 'Amount Paid', value: (invoice) => invoice.amountPaid },
+    { header: 'Tips', value: (invoice) => invoice.tipAmount },
+    { header: 'Paid At', value: (invoice) => invoice.paidAt },
+    { header: 'Refunded', value: (invoice) => invoice.refundedAmount },
+    { header: 'Created At', value: (invoice) => invoice.createdAt },
+  ],
+  creditnotes: [
+    { header: 'Credit Note Number', value: (note) => note.creditNoteNumber },
+    { header: 'Shop ID', value: (note) => note.shopId },
+    { header: 'Invoice Number', value: (note) => note.invoiceNumber },
+    { header: 'Customer ID', value: (note) => note.customerId },
+    { header: 'Amount', value: (note) => note.amount },
+    { header: 'Tax', value: (note) => note.tax },
+    { header: 'Refund Method', value: (note) => note.refundMethod },
+    { header: 'Reason', value: (note) => note.reason },
+    { header: 'Created At', value: (note) => note.createdAt },
+  ],
+};
+
+/**
+ * Data Privacy Service
+ * Data portability and erasure:
+ * - full export of a client database as a zip of JSON and CSV files
+ * - export and erasure (anonymisation) of a single customer
+ * - client deletion: the database is dropped after TENANT_DELETION_RETENTION_DAYS
+ */
+class DataPrivacyService {
+  /**
+   * Export a whole client database
+   * @param {Object} client - ClientAdmin document
+   * @returns {Promise<Object>} { filename, buffer } zip archive
+   */
+  async exportClientDatabase(client) {
+    try {
+      const connection = await connectionManager.getDb(client.databaseName);
+      const collections = (await connection.db.listCollections({}, { nameOnly: true }).toArray())
+        .map((collection) => collection.name)
+        .filter((name) => !name.startsWith('system.') && !EXCLUDED_COLLECTIONS.includes(name))
+        .sort();
+
+      const files = [];
+      const counts = {};
+
+      for (const name of collections) {
+        const documents = await connection.db
+          .collection(name)
+          .find({}, { projection: EXCLUDED_FIELDS[name] || {} })
+          .toArray();
+
+        counts[name] = documents.length;
+        files.push({ name: `json/${name}.json`, content: JSON.stringify(documents, null, 2) });
+
+        if (CSV_EXPORTS[name]) {
+          files.push({ name: `csv/${name}.csv`, content: toCsv(documents, CSV_EXPORTS[name]) });
+        }
+      }
+
+      const exportedAt = new Date();
+      files.unshift({
+        name: 'manifest.json',
+        content: JSON.stringify(
+          {
+            clientId: client.clientId,
+            databaseName: client.databaseName,
+            owner: {
+              firstName: client.firstName,
+              lastName: client.lastName,
+              email: client.email,
+              phone: client.phone,
+            },
+            subscriptionPlan: client.subscriptionPlan,
+            exportedAt,
+            collections: counts,
+          },
+          null,
+          2
+        ),
+      });
+
+      logger.info(`Exported client database ${client.databaseName} (${collections.length} collections)`);
+
+      return {
+        filename: `bookacut-export-${client.databaseName}-${moment(exportedAt).format('YYYYMMDD')}.zip`,
+        buffer: createZip(files),
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Load a customer of a client database
+   */
+  async getCustomer(databaseName, userId) {
+    const User = await getModel(databaseName, 'User', userSchema);
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return null;
+    }
+
+    if (user.role !== ROLES.CUSTOMER) {
+      throw new Error('Only customer accounts can be exported or erased here');
+    }
+
+    return user;
+  }
+
+  /**
+   * Everything stored about one customer
+   * @returns {Promise<Object|null>} Export document, null if the customer does not exist
+   */
+  async exportCustomer(databaseName, userId) {
+    try {
+      const user = await this.getCustomer(databaseName, userId);
+
+      if (!user) {
+        return null;
+      }
+
+      const [Booking, Invoice, CreditNote, Waitlist, BookingSeries, Session] = await Promise.all([
+        getModel(databaseName, 'Booking', bookingSchema),
+        getModel(databaseName, 'Invoice', invoiceSchema),
+        getModel(databaseName, 'CreditNote', creditNoteSchema),
+        getModel(databaseName, 'Waitlist', waitlistSchema),
+        getModel(databaseName, 'BookingSeries', bookingSeriesSchema),
+        getModel(databaseName, 'Session', sessionSchema),
+      ]);
+
+      const [bookings, invoices, creditNotes, waitlist, bookingSeries, sessions] = await Promise.all([
+        Booking.find({ customerId: user._id }).sort({ scheduledAt: -1 }).lean(),
+        Invoice.find({ customerId: user._id }).sort({ createdAt: -1 }).lean(),
+        CreditNote.find({ customerId: user._id }).sort({ createdAt: -1 }).lean(),
+        Waitlist.find({ customerId: user._id }).sort({ createdAt: -1 }).lean(),
+        BookingSeries.find({ customerId: user._id }).sort({ createdAt: -1 }).lean(),
+        Session.find({ userId: user._id }).sort({ createdAt: -1 }).lean(),
+      ]);
+
+      return {
+        exportedAt: new Date(),
+        profile: user.toObject(),
+        bookings,
+        invoices,
+        creditNotes,
+        waitlist,
+        bookingSeries,
+        sessions,
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Erase a customer's personal data
+   * The user record is anonymised rather than deleted so bookings, invoices and revenue totals stay intact
+   * @returns {Promise<Object|null>} Summary of what was changed, null if the customer does not exist
+   */
+  async eraseCustomer(databaseName, userId) {
+    try {
+      const user = await this.getCustomer(databaseName, userId);
+
+      if (!user) {
+        return null;
+      }
+
+      if (user.erasedAt) {
+        throw new Error('Customer data has already been erased');
+      }
+
+      const [User, Booking, Invoice, CreditNote, Waitlist, BookingSeries, Session] = await Promise.all([
+        getModel(databaseName, 'User', userSchema),
+        getModel(databaseName, 'Booking', bookingSchema),
+        getModel(databaseName, 'Invoice', invoiceSchema),
+        getModel(databaseName, 'CreditNote', creditNoteSchema),
+        getModel(databaseName, 'Waitlist', waitlistSchema),
+        getModel(databaseName, 'BookingSeries', bookingSeriesSchema),
+        getModel(databaseName, 'Session', sessionSchema),
+      ]);
+
+      // Upcoming appointments must be cancelled first so the shop is not left with anonymous bookings
+      const [upcomingBookings, activeSeries] = await Promise.all([
+        Booking.countDocuments({
+          customerId: user._id,
+          scheduledAt: { $gte: new Date() },
+          status: { $in: [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.ARRIVED, BOOKING_STATUS.IN_PROGRESS] },
+        }),
+        BookingSeries.countDocuments({ customerId: user._id, status: SERIES_STATUS.ACTIVE }),
+      ]);
+
+      if (upcomingBookings > 0 || activeSeries > 0) {
+        throw new Error('Cancel the customer\'s upcoming bookings and recurring series before erasing their data');
+      }
+
+      const { email } = user;
+      const now = new Date();
+
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            firstName: 'Erased',
+            lastName: 'Customer',
+            email: `erased-${user._id}@erased.invalid`,
+            phone: 'erased',
+            isActive: false,
+            erasedAt: now,
+            notificationPreferences: { email: false, sms: false, reminders: false },
+          },
+          $unset: { password: 1, lastLogin: 1 },
+        }
+      );
+
+      // Free text and delivery addresses may hold personal data; prices and totals are kept
+      const bookings = await Booking.updateMany(
+        { customerId: user._id },
+        { $unset: { notes: 1, cancellationReason: 1 } }
+      );
+      // Positional updates fail on documents without the array, hence the existence filters
+      await Booking.updateMany(
+        { customerId: user._id, 'notifications.0': { $exists: true } },
+        { $unset: { 'notifications.$[].recipient': 1 } }
+      );
+      await Booking.updateMany(
+        { customerId: user._id, 'rescheduleHistory.0': { $exists: true } },
+        { $unset: { 'rescheduleHistory.$[].reason': 1 } }
+      );
+      const invoices = await Invoice.updateMany({ customerId: user._id }, { $unset: { notes: 1, voidReason: 1 } });
+      // Refund reasons are required, so they are overwritten instead of removed
+      const creditNotes = await CreditNote.updateMany({ customerId: user._id }, { $set: { reason: 'erased' } });
+
+      await Waitlist.updateMany(
+        { customerId: user._id, status: WAITLIST_STATUS.WAITING },
+        { $set: { status: WAITLIST_STATUS.CANCELLED, cancelledAt: now } }
+      );
+      await Session.deleteMany({ userId: user._id });
+
+      // Delivery log in platform storage (login codes expire on their own)
+      await getEmailLogModel().updateMany({ databaseName, to: email }, { $set: { to: 'erased' } });
+
+      logger.info(`Erased customer ${user._id} in ${databaseName}`);
+
+      return {
+        userId: user._id,
+        erasedAt: now,
+        bookingsAnonymised: bookings.matchedCount,
+        invoicesAnonymised: invoices.matchedCount,
+        creditNotesAnonymised: creditNotes.matchedCount,
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Schedule a client for deletion
+   * Access is blocked at once; the database is dropped after the retention period
+   */
+  async scheduleClientDeletion(client, requestedBy, reason) {
+    try {
+      if (client.deletedAt) {
+        throw new Error('Client has already been deleted');
+      }
+
+      if (client.deletionScheduledAt) {
+        throw new Error(`Client is already scheduled for deletion on ${moment(client.deletionScheduledAt).format('YYYY-MM-DD')}`);
+      }
+
+      client.deletionScheduledAt = moment().add(TENANT_DELETION_RETENTION_DAYS, 'days').toDate();
+      client.deletionRequestedBy = requestedBy;
+      client.isActive = false;
+      await client.save();
+
+      await subscriptionService.transition(client, SUBSCRIPTION_STATUS.CANCELLED, 'deletion_scheduled', {
+        triggeredBy: requestedBy,
+        note: reason,
+      });
+
+      logger.info(`Client ${client.databaseName} scheduled for deletion on ${moment(client.deletionScheduledAt).format('YYYY-MM-DD')}`);
+
+      return client;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a scheduled deletion (during the retention period)
+   */
+  async cancelClientDeletion(client, triggeredBy) {
+    try {
+      if (client.deletedAt) {
+        throw new Error('Client has already been deleted');
+      }
+
+      if (!client.deletionScheduledAt) {
+        throw new Error('Client is not scheduled for deletion');
+      }
+
+      client.deletionScheduledAt = undefined;
+      client.deletionRequestedBy = undefined;
+      client.isActive = true;
+      await client.save();
+
+      const toStatus = subscriptionService.getEffectiveStatus(client, { ignoreCancelled: true });
+      await subscriptionService.transition(client, toStatus, 'deletion_cancelled', { triggeredBy });
+
+      return client;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Drop a client's database and database map entry
+   * The ClientAdmin record stays (marked deleted) for subscription invoices and payments
+   */
+  async deleteClient(client) {
+    try {
+      const connection = await connectionManager.getDb(client.databaseName);
+      await connection.dropDatabase();
+      await connectionManager.closeDatabase(client.databaseName);
+      clearModels(client.databaseName);
+
+      const ClientDatabaseMap = getClientDatabaseMapModel();
+      await ClientDatabaseMap.deleteOne({ databaseName: client.databaseName });
+
+      client.deletedAt = new Date();
+      await client.save();
+
+      logger.info(`Client database ${client.databaseName} dropped`);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Daily job: delete clients whose retention period is over
+   * @returns {Promise<number>} Number of clients deleted
+   */
+  async purgeScheduledDeletions() {
+    try {
+      const ClientAdmin = getClientAdminModel();
+      const clients = await ClientAdmin.find({
+        deletionScheduledAt: { $lte: new Date() },
+        deletedAt: { $exists: false },
+      });
+
+      let deleted = 0;
+
+      for (const client of clients) {
+        try {
+          await this.deleteClient(client);
+          deleted += 1;
+        } catch (error) {
+          logger.error(`Error deleting client database ${client.databaseName}:`, error);
+        }
+      }
+
+      return deleted;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new DataPrivacyService();
@@ -0,0 +1,138 @@
+const { createTransport } = require('../notifications/transports');
+const { renderTemplate } = require('../notifications/templates');
+const { getModel: getEmailLogModel } = require('../platform/models/EmailLog');
+const { EMAIL } = require('../config/constants');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Email Service
+ * Renders templates, delivers through the configured transport with retries
+ * and records every message in the platform email log
+ */
+class EmailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * Lazily create the transport so configuration is read after dotenv loads
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport();
+    }
+    return this.transport;
+  }
+
+  /**
+   * Replace the transport (e.g. a file transport in development scripts)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Send a templated email
+   * @param {string} to - Recipient email
+   * @param {string} template - Template name (see notifications/templates)
+   * @param {Object} data - Template data
+   * @param {Object} context - Optional { databaseName, bookingId } stored in the log
+   * @returns {Promise<Object>} Email log entry
+   * @throws {Error} If every delivery attempt failed
+   */
+  async send(to, template, data, context = {}) {
+    try {
+      const transport = this.getTransport();
+      const { subject, html, text } = renderTemplate(template, data);
+      const message = { from: EMAIL.FROM, to, subject, html, text };
+
+      let attempts = 0;
+      let lastError = null;
+      let result = null;
+
+      while (attempts < EMAIL.MAX_ATTEMPTS) {
+        attempts++;
+
+        try {
+          result = await transport.send(message);
+          lastError = null;
+          break;
+        } catch (error) {
+          lastError = error;
+
+          // Permanent SMTP rejections (5xx) will not succeed on retry
+          if (error.responseCode >= 500 && error.responseCode < 600) {
+            break;
+          }
+
+          if (attempts < EMAIL.MAX_ATTEMPTS) {
+            await sleep(EMAIL.RETRY_DELAY_MS * 2 ** (attempts - 1));
+          }
+        }
+      }
+
+      const log = await this.log({
+        to,
+        from: EMAIL.FROM,
+        subject,
+        template,
+        transport: transport.name,
+        status: lastError ? 'failed' : 'sent',
+        attempts,
+        messageId: result?.messageId,
+        error: lastError?.message,
+        databaseName: context.databaseName,
+        bookingId: context.bookingId,
+        sentAt: lastError ? undefined : new Date(),
+      });
+
+      if (lastError) {
+        throw new Error(`Failed to send email to ${to}: ${lastError.message}`);
+      }
+
+      return log;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Record a message in the email log
+   * Logging problems never block delivery
+   */
+  async log(entry) {
+    try {
+      const EmailLog = getEmailLogModel();
+      return await EmailLog.create(entry);
+    } catch (error) {
+      console.error('Error writing email log:', error.message);
+      return entry;
+    }
+  }
+
+  /**
+   * Get sent-message log
+   * @param {Object} filters - { to, template, status, databaseName, bookingId, limit }
+   */
+  async getLog(filters = {}) {
+    try {
+      const EmailLog = getEmailLogModel();
+      const query = {};
+
+      for (const field of ['to', 'template', 'status', 'databaseName', 'bookingId']) {
+        if (filters[field]) {
+          query[field] = filters[field];
+        }
+      }
+
+      return await EmailLog.find(query)
+        .sort({ createdAt: -1 })
+        .limit(Math.min(parseInt(filters.limit) || 50, 200));
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new EmailService();
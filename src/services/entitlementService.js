@@ -0,0 +1,179 @@
+const { getModel } = require('../database/modelFactory');
+const shopSchema = require('../client/models/Shop').schema;
+const staffProfileSchema = require('../client/models/StaffProfile').schema;
+const { getModel: getClientAdminModel } = require('../platform/models/ClientAdmin');
+const { PLANS, FEATURE_NAMES } = require('../config/plans');
+const { SUBSCRIPTION_PLAN } = require('../config/constants');
+const { AuthorizationError, PlanLimitError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Entitlement Service
+ * What a client's subscription plan allows: shop/staff limits and feature flags
+ * Plans are defined in config/plans.js; usage is counted in the client database
+ */
+class EntitlementService {
+  /**
+   * Load the ClientAdmin record of a client database
+   */
+  async getClient(databaseName) {
+    const ClientAdmin = getClientAdminModel();
+    const client = await ClientAdmin.findOne({ databaseName });
+
+    if (!client) {
+      throw new NotFoundError('Client');
+    }
+
+    return client;
+  }
+
+  /**
+   * Plan limits and features for a client, with per-client limit overrides applied
+   * @param {Object} client - ClientAdmin document
+   * @returns {Object} { plan, planName, limits, features }
+   */
+  getEntitlements(client) {
+    const planKey = PLANS[client.subscriptionPlan] ? client.subscriptionPlan : SUBSCRIPTION_PLAN.BASIC;
+    const plan = PLANS[planKey];
+
+    const limits = { ...plan.limits };
+    if (client.maxShops !== undefined && client.maxShops !== null) {
+      limits.maxShops = client.maxShops;
+    }
+    if (client.maxStaff !== undefined && client.maxStaff !== null) {
+      limits.maxStaff = client.maxStaff;
+    }
+
+    return {
+      plan: planKey,
+      planName: plan.name,
+      limits,
+      features: plan.features,
+    };
+  }
+
+  /**
+   * Active staff member IDs (a staff member working in several shops counts once)
+   */
+  async getActiveStaffIds(databaseName) {
+    const StaffProfile = await getModel(databaseName, 'StaffProfile', staffProfileSchema);
+    const userIds = await StaffProfile.distinct('userId', { isActive: true });
+    return userIds.map((id) => id.toString());
+  }
+
+  /**
+   * Current usage counted against plan limits
+   */
+  async getUsage(databaseName) {
+    const Shop = await getModel(databaseName, 'Shop', shopSchema);
+
+    const [shops, staffIds] = await Promise.all([
+      Shop.countDocuments({ isActive: true }),
+      this.getActiveStaffIds(databaseName),
+    ]);
+
+    return {
+      shops,
+      staff: staffIds.length,
+    };
+  }
+
+  /**
+   * Plan, limits, features and usage (client admin and super admin views)
+   * @param {string|Object} clientOrDatabaseName - ClientAdmin document or its database name
+   */
+  async getSummary(clientOrDatabaseName) {
+    try {
+      const client = typeof clientOrDatabaseName === 'string'
+        ? await this.getClient(clientOrDatabaseName)
+        : clientOrDatabaseName;
+
+      const entitlements = this.getEntitlements(client);
+      const usage = await this.getUsage(client.databaseName);
+
+      return {
+        ...entitlements,
+        usage,
+        remaining: {
+          shops: entitlements.limits.maxShops === null
+            ? null
+            : Math.max(entitlements.limits.maxShops - usage.shops, 0),
+          staff: entitlements.limits.maxStaff === null
+            ? null
+            : Math.max(entitlements.limits.maxStaff - usage.staff, 0),
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the client's plan includes a feature
+   */
+  async hasFeature(databaseName, feature) {
+    const client = await this.getClient(databaseName);
+    return this.getEntitlements(client).features.includes(feature);
+  }
+
+  /**
+   * Throw 403 unless the client's plan includes a feature
+   */
+  async assertFeature(databaseName, feature) {
+    const client = await this.getClient(databaseName);
+    const { planName, features } = this.getEntitlements(client);
+
+    if (!features.includes(feature)) {
+      throw new AuthorizationError(
+        `Your ${planName} plan does not include ${FEATURE_NAMES[feature] || feature}. Please upgrade your plan.`
+      );
+    }
+  }
+
+  /**
+   * Throw 402 if another shop would exceed the plan
+   */
+  async assertCanAddShop(databaseName) {
+    const client = await this.getClient(databaseName);
+    const { planName, limits } = this.getEntitlements(client);
+
+    if (limits.maxShops === null) {
+      return;
+    }
+
+    const { shops } = await this.getUsage(databaseName);
+
+    if (shops >= limits.maxShops) {
+      throw new PlanLimitError(
+        `Your ${planName} plan allows ${limits.maxShops} shop(s). Please upgrade your plan to add more.`
+      );
+    }
+  }
+
+  /**
+   * Throw 402 if another staff member would exceed the plan
+   * Adding someone who is already active staff (e.g. to a second shop) does not use a seat
+   * @param {string} userId - Existing user being added, if any
+   */
+  async assertCanAddStaff(databaseName, userId = null) {
+    const client = await this.getClient(databaseName);
+    const { planName, limits } = this.getEntitlements(client);
+
+    if (limits.maxStaff === null) {
+      return;
+    }
+
+    const staffIds = await this.getActiveStaffIds(databaseName);
+
+    if (userId && staffIds.includes(userId.toString())) {
+      return;
+    }
+
+    if (staffIds.length >= limits.maxStaff) {
+      throw new PlanLimitError(
+        `Your ${planName} plan allows ${limits.maxStaff} staff member(s). Please upgrade your plan to add more.`
+      );
+    }
+  }
+}
+
+module.exports = new EntitlementService();
@@ -0,0 +1,176 @@
+const moment = require('moment');
+const { getModel } = require('../database/modelFactory');
+const counterSchema = require('../client/models/Counter').schema;
+const invoiceSchema = require('../client/models/Invoice').schema;
+const logger = require('../utils/logger');
+const { INVOICE_NUMBERING } = require('../config/constants');
+
+const DUPLICATE_KEY = 11000;
+const MAX_ATTEMPTS = 20;
+
+// Numbered documents: field holding the number and scheme key of its prefix
+const SERIES = {
+  invoice: { field: 'invoiceNumber', prefix: 'prefix' },
+  credit_note: { field: 'creditNoteNumber', prefix: 'creditNotePrefix' },
+};
+
+/**
+ * Invoice Number Service
+ * Sequential invoice numbers per shop, e.g. INV-2026-000001, with an optional reset every fiscal year
+ * Credit notes have their own sequence (CN-2026-000001)
+ * A number only counts as used once the document carrying it is stored, so numbers have no gaps;
+ * unique (shopId, number) indexes reject duplicates from concurrent calls, which then retry
+ * Works with database-per-client architecture
+ */
+class InvoiceNumberService {
+  constructor() {
+    // Databases whose legacy unique invoiceNumber index has been checked
+    this.checkedDatabases = new Set();
+  }
+
+  /**
+   * Numbering scheme of a shop (ShopSettings.invoiceNumbering over the platform defaults)
+   */
+  getScheme(settings) {
+    const numbering = settings?.invoiceNumbering || {};
+
+    return {
+      prefix: numbering.prefix ?? INVOICE_NUMBERING.PREFIX,
+      creditNotePrefix: numbering.creditNotePrefix ?? INVOICE_NUMBERING.CREDIT_NOTE_PREFIX,
+      includeFiscalYear: numbering.includeFiscalYear ?? INVOICE_NUMBERING.INCLUDE_FISCAL_YEAR,
+      fiscalYearStartMonth: numbering.fiscalYearStartMonth || INVOICE_NUMBERING.FISCAL_YEAR_START_MONTH,
+      padding: numbering.padding || INVOICE_NUMBERING.PADDING,
+      resetEveryFiscalYear: numbering.resetEveryFiscalYear ?? INVOICE_NUMBERING.RESET_EVERY_FISCAL_YEAR,
+    };
+  }
+
+  /**
+   * Fiscal year a date falls in
+   * @returns {Object} { startYear, label } - label is 2026, or 2026-27 when the year does not start in January
+   */
+  getFiscalYear(date, startMonth) {
+    const day = moment(date);
+    const startYear = day.month() + 1 >= startMonth ? day.year() : day.year() - 1;
+    const label = startMonth === 1 ? String(startYear) : `${startYear}-${String(startYear + 1).slice(-2)}`;
+
+    return { startYear, label };
+  }
+
+  /**
+   * Document number for a position in the sequence
+   */
+  format(scheme, fiscalYear, sequence, prefix = scheme.prefix) {
+    return [
+      prefix,
+      scheme.includeFiscalYear ? fiscalYear.label : null,
+      String(sequence).padStart(scheme.padding, '0'),
+    ]
+      .filter(Boolean)
+      .join('-');
+  }
+
+  /**
+   * Counter of a shop's sequence (one per fiscal year when numbers reset)
+   */
+  getCounterKey(shopId, scheme, fiscalYear, series = 'invoice') {
+    return scheme.resetEveryFiscalYear
+      ? `${series}:${shopId}:${fiscalYear.startYear}`
+      : `${series}:${shopId}`;
+  }
+
+  /**
+   * Replace unique invoice indexes of older versions, once per database
+   * - invoice numbers used to be unique per database; they are now unique per shop
+   * - booking IDs used to be unique across all invoices; voided invoices are now left out
+   */
+  async dropLegacyIndex(databaseName, Invoice) {
+    if (this.checkedDatabases.has(databaseName)) {
+      return;
+    }
+
+    try {
+      const indexes = await Invoice.collection.indexes();
+      const legacy = indexes.filter((index) => index.unique && (
+        index.name === 'invoiceNumber_1' || (index.name === 'bookingId_1' && !index.partialFilterExpression)
+      ));
+
+      if (legacy.length > 0) {
+        for (const index of legacy) {
+          await Invoice.collection.dropIndex(index.name);
+        }
+        await Invoice.createIndexes();
+        logger.info(`Replaced unique invoice indexes ${legacy.map((index) => index.name).join(', ')} in ${databaseName}`);
+      }
+    } catch (error) {
+      // Collection not created yet - nothing to drop
+      if (error.codeName !== 'NamespaceNotFound') {
+        throw error;
+      }
+    }
+
+    this.checkedDatabases.add(databaseName);
+  }
+
+  /**
+   * Move a counter forward to a number known to be used
+   */
+  async advance(Counter, key, sequence) {
+    try {
+      await Counter.updateOne({ key }, { $max: { seq: sequence } }, { upsert: true });
+    } catch (error) {
+      // Two first invoices of a sequence raced to create the counter
+      if (error.code !== DUPLICATE_KEY) {
+        throw error;
+      }
+      await Counter.updateOne({ key }, { $max: { seq: sequence } });
+    }
+  }
+
+  /**
+   * Store a document under the next number of a shop's sequence
+   * @param {string} databaseName - Client database name
+   * @param {string} shopId - Shop ID
+   * @param {Object} settings - ShopSettings of the shop (null for defaults)
+   * @param {Function} create - async ({ invoiceNumber or creditNoteNumber, sequenceNumber, fiscalYear }) => stored document
+   * @param {Object} options - { series: 'invoice' or 'credit_note', date: document date (picks the fiscal year) }
+   * @returns {Promise<Object>} Whatever create returned
+   */
+  async assign(databaseName, shopId, settings, create, { series = 'invoice', date = new Date() } = {}) {
+    try {
+      const Counter = await getModel(databaseName, 'Counter', counterSchema);
+      const Invoice = await getModel(databaseName, 'Invoice', invoiceSchema);
+
+      await this.dropLegacyIndex(databaseName, Invoice);
+
+      const scheme = this.getScheme(settings);
+      const fiscalYear = this.getFiscalYear(date, scheme.fiscalYearStartMonth);
+      const { field, prefix } = SERIES[series];
+      const key = this.getCounterKey(shopId, scheme, fiscalYear, series);
+
+      for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const counter = await Counter.findOne({ key });
+        const sequenceNumber = (counter?.seq || 0) + 1;
+        const number = this.format(scheme, fiscalYear, sequenceNumber, scheme[prefix]);
+
+        try {
+          const document = await create({ [field]: number, sequenceNumber, fiscalYear: fiscalYear.label });
+          await this.advance(Counter, key, sequenceNumber);
+          return document;
+        } catch (error) {
+          if (error.code !== DUPLICATE_KEY || !error.keyPattern?.[field]) {
+            throw error;
+          }
+
+          // Taken by a concurrent call (or the counter lags behind): move past it and try the next one
+          await this.advance(Counter, key, sequenceNumber);
+        }
+      }
+
+      throw new Error('Could not assign a document number, please try again');
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new InvoiceNumberService();
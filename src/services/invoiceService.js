@@ -1,21 +1,54 @@
-const Invoice = require('../models/Invoice');
-const Booking = require('../models/Booking');
-const ShopSettings = require('../models/ShopSettings');
-const { v4: uuidv4 } = require('uuid');
-const { INVOICE_STATUS } = require('../config/constants');
+const { getModel } = require('../database/modelFactory');
+const invoiceSchema = require('../client/models/Invoice').schema;
+const creditNoteSchema = require('../client/models/CreditNote').schema;
+const bookingSchema = require('../client/models/Booking').schema;
+const shopSchema = require('../client/models/Shop').schema;
+const shopSettingsSchema = require('../client/models/ShopSettings').schema;
+const serviceSchema = require('../client/models/Service').schema;
+const userSchema = require('../client/models/User').schema;
+const invoiceNumberService = require('./invoiceNumberService');
+const taxService = require('./taxService');
+const { renderInvoicePdf } = require('../utils/invoicePdf');
+const { INVOICE_STATUS, INVOICE_LAYOUT, BOOKING_STATUS } = require('../config/constants');
+
+// Invoices that can take payments
+const PAYABLE_STATUSES = [INVOICE_STATUS.PENDING, INVOICE_STATUS.PARTIALLY_PAID];
+
+// Invoices that still have an amount that can be refunded
+const REFUNDABLE_STATUSES = [INVOICE_STATUS.PAID, INVOICE_STATUS.PARTIALLY_REFUNDED];
+
+// Invoices that were paid (revenue), refunded or not
+const PAID_STATUSES = [...REFUNDABLE_STATUSES, INVOICE_STATUS.REFUNDED];
+
+const round = (amount) => Math.round(amount * 100) / 100;
 
 /**
  * Invoice Service
- * Handles invoice generation and management
+ * Handles invoice generation, payments (split, tips), refunds (credit notes) and voiding
+ * Works with database-per-client architecture
  */
 class InvoiceService {
   /**
    * Generate invoice for completed booking
+   * Multi-service bookings produce one line item per service
+   * Tax follows the shop's tax profiles and each service's tax category (see taxService)
+   * The invoice number is the next one of the shop's sequence (see invoiceNumberService)
+   * @param {string} databaseName - Client database name
+   * @param {string} shopId - Shop ID
+   * @param {string} bookingId - Booking ID
+   * @returns {Promise<Object>} Invoice (the existing one if the booking is already invoiced)
    */
-  async generateInvoice(tenantId, shopId, bookingId) {
+  async generateInvoice(databaseName, shopId, bookingId) {
     try {
-      // Check if invoice already exists
-      const existingInvoice = await Invoice.findOne({ bookingId });
+      const [Invoice, Booking, ShopSettings, Service] = await Promise.all([
+        getModel(databaseName, 'Invoice', invoiceSchema),
+        getModel(databaseName, 'Booking', bookingSchema),
+        getModel(databaseName, 'ShopSettings', shopSettingsSchema),
+        getModel(databaseName, 'Service', serviceSchema),
+      ]);
+
+      // Check if invoice already exists (voided invoices are replaced)
+      const existingInvoice = await Invoice.findOne({ bookingId, status: { $ne: INVOICE_STATUS.VOID } });
 
       if (existingInvoice) {
         return existingInvoice;
@@ -24,46 +57,228 @@ class InvoiceService {
       // Get booking details
       const booking = await Booking.findOne({
         _id: bookingId,
-        tenantId,
         shopId,
-        status: 'completed',
-      })
-        .populate('serviceId')
-        .populate('customerId');
+        status: BOOKING_STATUS.COMPLETED,
+      }).populate('serviceId');
 
       if (!booking) {
         throw new Error('Completed booking not found');
       }
 
-      // Get shop settings for tax
-      const settings = await ShopSettings.findOne({ tenantId, shopId });
-      const taxRate = settings?.taxRate || 0;
+      // Get shop settings for tax and numbering
+      const settings = await ShopSettings.findOne({ shopId });
 
-      // Calculate amounts
-      const amount = booking.finalPrice;
-      const discount = booking.originalPrice - booking.finalPrice;
-      const tax = (amount * taxRate) / 100;
-      const totalAmount = amount + tax;
+      // One line item per service (older bookings only carry serviceId)
+      const items = booking.services.length > 0
+        ? booking.services.map((item) => ({
+          serviceId: item.serviceId,
+          description: item.name || 'Service',
+          staffId: item.staffId,
+          quantity: 1,
+          unitPrice: item.price,
+          amount: item.price,
+        }))
+        : [{
+          serviceId: booking.serviceId._id,
+          description: booking.serviceId.name,
+          staffId: booking.staffId,
+          quantity: 1,
+          unitPrice: booking.originalPrice,
+          amount: booking.originalPrice,
+        }];
 
-      // Generate invoice number
-      const invoiceNumber = `INV-${tenantId.toString().slice(-6)}-${Date.now()}-${uuidv4().slice(0, 6).toUpperCase()}`;
+      // Tax category of each service
+      const services = await Service.find({ _id: { $in: items.map((item) => item.serviceId) } }).select('taxCategory');
+      const categories = new Map(services.map((service) => [String(service._id), service.taxCategory]));
 
-      // Create invoice
-      const invoice = await Invoice.create({
-        tenantId,
-        shopId,
-        bookingId,
-        invoiceNumber,
-        customerId: booking.customerId._id,
-        serviceId: booking.serviceId._id,
-        amount,
-        tax,
-        discount,
-        totalAmount,
-        status: INVOICE_STATUS.PENDING,
+      // The booking discount is spread over the lines by price, tax applies to what is charged
+      const discount = round(booking.originalPrice - booking.finalPrice);
+      const listTotal = items.reduce((sum, item) => sum + item.amount, 0);
+      let allocated = 0;
+      const charged = items.map((item, index) => {
+        let amount;
+        if (index === items.length - 1) {
+          amount = round(booking.finalPrice - allocated);
+        } else {
+          amount = listTotal > 0 ? round((item.amount * booking.finalPrice) / listTotal) : 0;
+          allocated += amount;
+        }
+        return { amount, taxCategory: categories.get(String(item.serviceId)) };
       });
 
-      return invoice;
+      const taxes = taxService.calculate(settings, charged);
+      const lineItems = items.map((item, index) => ({ ...item, ...taxes.lines[index] }));
+
+      try {
+        return await invoiceNumberService.assign(databaseName, shopId, settings, (numbering) =>
+          Invoice.create({
+            shopId,
+            bookingId,
+            ...numbering,
+            customerId: booking.customerId,
+            serviceId: booking.serviceId._id,
+            lineItems,
+            amount: taxes.taxableAmount,
+            tax: taxes.tax,
+            taxBreakdown: taxes.breakdown,
+            taxPricing: taxService.getPricing(settings),
+            taxRegistrationLabel: settings?.taxRegistrationNumber ? settings.taxRegistrationLabel : undefined,
+            taxRegistrationNumber: settings?.taxRegistrationNumber || undefined,
+            discount,
+            totalAmount: taxes.total,
+            status: INVOICE_STATUS.PENDING,
+          })
+        );
+      } catch (error) {
+        // Invoiced meanwhile by a concurrent request for the same booking
+        if (error.code === 11000 && error.keyPattern?.bookingId) {
+          return await Invoice.findOne({ bookingId, status: { $ne: INVOICE_STATUS.VOID } });
+        }
+        throw error;
+      }
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Record payments against an invoice
+   * Several lines can be recorded at once (part cash, part card); the invoice is paid once they cover totalAmount
+   * A tip goes to the line's tipStaffId, one of the staff on the invoice (default: the booking's staff member);
+   * cash lines may hand back change from the amount tendered
+   * @param {string} databaseName - Client database name
+   * @param {string} shopId - Shop ID
+   * @param {string} invoiceId - Invoice ID
+   * @param {Array} payments - [{ method, amount, tip, tipStaffId, tendered }]
+   * @param {string} receivedBy - User ID
+   * @returns {Promise<Object|null>} Invoice, null if not found
+   */
+  async recordPayments(databaseName, shopId, invoiceId, payments, receivedBy) {
+    try {
+      const [Invoice, Booking] = await Promise.all([
+        getModel(databaseName, 'Invoice', invoiceSchema),
+        getModel(databaseName, 'Booking', bookingSchema),
+      ]);
+
+      const invoice = await Invoice.findOne({ _id: invoiceId, shopId });
+
+      if (!invoice) {
+        return null;
+      }
+
+      if (!PAYABLE_STATUSES.includes(invoice.status)) {
+        throw new Error(`Invoice ${invoice.invoiceNumber} is ${invoice.status} and cannot take payments`);
+      }
+
+      if (!Array.isArray(payments) || payments.length === 0) {
+        throw new Error('At least one payment is required');
+      }
+
+      const booking = await Booking.findById(invoice.bookingId).select('staffId');
+      const paidAt = new Date();
+
+      // Staff who performed a service on this invoice can receive tips
+      const tippableStaff = new Set(
+        [booking?.staffId, ...invoice.lineItems.map((item) => item.staffId)]
+          .filter(Boolean)
+          .map((staffId) => staffId.toString())
+      );
+
+      const lines = payments.map((payment) => {
+        const amount = round(Number(payment.amount || 0));
+        const tip = round(Number(payment.tip || 0));
+
+        if (!(amount >= 0) || !(tip >= 0)) {
+          throw new Error('Payment amounts and tips cannot be negative');
+        }
+
+        const tipStaffId = tip > 0 ? payment.tipStaffId || booking?.staffId : undefined;
+
+        if (tip > 0 && !tipStaffId) {
+          throw new Error('The booking has no staff member to receive the tip');
+        }
+
+        if (tipStaffId && !tippableStaff.has(tipStaffId.toString())) {
+          throw new Error('Tips can only go to a staff member who served this invoice');
+        }
+
+        const line = {
+          method: payment.method,
+          amount,
+          tip,
+          tipStaffId,
+          receivedBy,
+          paidAt,
+        };
+
+        if (payment.tendered !== undefined && payment.tendered !== null) {
+          if (payment.method !== 'cash') {
+            throw new Error('Change can only be given on cash payments');
+          }
+
+          const tendered = round(Number(payment.tendered));
+
+          if (!(tendered >= amount + tip)) {
+            throw new Error(`Cash tendered (${tendered.toFixed(2)}) is less than the ${(amount + tip).toFixed(2)} it pays`);
+          }
+
+          line.tendered = tendered;
+          line.change = round(tendered - amount - tip);
+        }
+
+        return line;
+      });
+
+      const total = round(lines.reduce((sum, line) => sum + line.amount, 0));
+      const tips = round(lines.reduce((sum, line) => sum + line.tip, 0));
+
+      if (total + tips <= 0 && invoice.balance > 0) {
+        throw new Error('Payment amount must be greater than zero');
+      }
+
+      if (total > invoice.balance) {
+        throw new Error(`Payments exceed the outstanding balance of ${invoice.balance.toFixed(2)} on invoice ${invoice.invoiceNumber}`);
+      }
+
+      // Conditional increment so concurrent payments cannot overpay the invoice
+      const updated = await Invoice.findOneAndUpdate(
+        {
+          _id: invoice._id,
+          status: { $in: PAYABLE_STATUSES },
+          $expr: { $lte: [{ $add: ['$amountPaid', total] }, { $add: ['$totalAmount', 0.001] }] },
+        },
+        {
+          $push: { payments: { $each: lines } },
+          $inc: { amountPaid: total, tipAmount: tips },
+        },
+        { new: true }
+      );
+
+      if (!updated) {
+        throw new Error(`Invoice ${invoice.invoiceNumber} was updated by another payment, please try again`);
+      }
+
+      // Status from the stored total, which also covers payments that finished meanwhile
+      const covered = { $gte: ['$amountPaid', { $subtract: ['$totalAmount', 0.001] }] };
+      const methods = { $setUnion: ['$payments.method'] };
+
+      return await Invoice.findOneAndUpdate(
+        { _id: invoice._id, status: { $in: PAYABLE_STATUSES } },
+        [{
+          $set: {
+            status: { $cond: [covered, INVOICE_STATUS.PAID, INVOICE_STATUS.PARTIALLY_PAID] },
+            paidAt: { $cond: [covered, paidAt, '$$REMOVE'] },
+            paymentMethod: {
+              $cond: [
+                covered,
+                { $cond: [{ $eq: [{ $size: methods }, 1] }, { $arrayElemAt: [methods, 0] }, 'split'] },
+                '$$REMOVE',
+              ],
+            },
+          },
+        }],
+        { new: true }
+      ) || updated;
     } catch (error) {
       throw error;
     }
@@ -71,24 +286,164 @@ class InvoiceService {
 
   /**
    * Mark invoice as paid
+   * Records a single payment of the outstanding balance
+   * @returns {Promise<Object|null>} Invoice, null if not found
    */
-  async markPaid(tenantId, shopId, invoiceId, paymentMethod) {
+  async markPaid(databaseName, shopId, invoiceId, paymentMethod, receivedBy) {
     try {
-      const invoice = await Invoice.findOne({
-        _id: invoiceId,
-        tenantId,
+      const Invoice = await getModel(databaseName, 'Invoice', invoiceSchema);
+
+      const invoice = await Invoice.findOne({ _id: invoiceId, shopId });
+
+      if (!invoice) {
+        return null;
+      }
+
+      return await this.recordPayments(
+        databaseName,
         shopId,
-      });
+        invoiceId,
+        [{ method: paymentMethod, amount: invoice.balance }],
+        receivedBy
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Refund a paid invoice in full or in part
+   * Each refund issues a credit note with its own number that references the invoice
+   * @param {string} databaseName - Client database name
+   * @param {string} shopId - Shop ID
+   * @param {string} invoiceId - Invoice ID
+   * @param {Object} data - { amount (default: everything not yet refunded), refundMethod, reason }
+   * @param {string} issuedBy - User ID
+   * @returns {Promise<Object|null>} { invoice, creditNote }, null if the invoice is not found
+   */
+  async refundInvoice(databaseName, shopId, invoiceId, data, issuedBy) {
+    try {
+      const [Invoice, CreditNote, ShopSettings] = await Promise.all([
+        getModel(databaseName, 'Invoice', invoiceSchema),
+        getModel(databaseName, 'CreditNote', creditNoteSchema),
+        getModel(databaseName, 'ShopSettings', shopSettingsSchema),
+      ]);
+
+      const invoice = await Invoice.findOne({ _id: invoiceId, shopId });
 
       if (!invoice) {
-        throw new Error('Invoice not found');
+        return null;
+      }
+
+      if (!REFUNDABLE_STATUSES.includes(invoice.status)) {
+        throw new Error(`Invoice ${invoice.invoiceNumber} is ${invoice.status}; only paid invoices can be refunded`);
+      }
+
+      const refundable = round(invoice.totalAmount - invoice.refundedAmount);
+      const amount = data.amount !== undefined ? round(Number(data.amount)) : refundable;
+
+      if (!(amount > 0)) {
+        throw new Error('Refund amount must be greater than zero');
+      }
+
+      if (amount > refundable) {
+        throw new Error(`Refund exceeds the ${refundable.toFixed(2)} left to refund on invoice ${invoice.invoiceNumber}`);
       }
 
-      invoice.status = INVOICE_STATUS.PAID;
-      invoice.paidAt = new Date();
-      invoice.paymentMethod = paymentMethod;
+      if (!data.refundMethod && invoice.paymentMethod === 'split') {
+        throw new Error(`Invoice ${invoice.invoiceNumber} was paid with several methods, choose the refund method`);
+      }
+
+      // Reserve the amount first so concurrent refunds cannot exceed the invoice total
+      const reserved = await Invoice.findOneAndUpdate(
+        {
+          _id: invoice._id,
+          status: { $in: REFUNDABLE_STATUSES },
+          $expr: { $lte: [{ $add: ['$refundedAmount', amount] }, { $add: ['$totalAmount', 0.001] }] },
+        },
+        { $inc: { refundedAmount: amount } },
+        { new: true }
+      );
+
+      if (!reserved) {
+        throw new Error(`Invoice ${invoice.invoiceNumber} was updated by another refund, please try again`);
+      }
 
-      await invoice.save();
+      const settings = await ShopSettings.findOne({ shopId });
+      let creditNote;
+
+      try {
+        creditNote = await invoiceNumberService.assign(
+          databaseName,
+          shopId,
+          settings,
+          (numbering) => CreditNote.create({
+            shopId,
+            invoiceId: invoice._id,
+            invoiceNumber: invoice.invoiceNumber,
+            ...numbering,
+            customerId: invoice.customerId,
+            amount,
+            tax: invoice.totalAmount > 0 ? round((invoice.tax * amount) / invoice.totalAmount) : 0,
+            refundMethod: data.refundMethod || invoice.paymentMethod || 'other',
+            reason: data.reason,
+            issuedBy,
+          }),
+          { series: 'credit_note' }
+        );
+      } catch (error) {
+        // Release the reservation, no credit note means no refund
+        await Invoice.updateOne({ _id: invoice._id }, { $inc: { refundedAmount: -amount } });
+        throw error;
+      }
+
+      // Status from the stored total, which also covers refunds that finished meanwhile
+      const updated = await Invoice.findOneAndUpdate(
+        { _id: invoice._id },
+        [{
+          $set: {
+            status: {
+              $cond: [
+                { $gte: ['$refundedAmount', { $subtract: ['$totalAmount', 0.001] }] },
+                INVOICE_STATUS.REFUNDED,
+                INVOICE_STATUS.PARTIALLY_REFUNDED,
+              ],
+            },
+          },
+        }],
+        { new: true }
+      );
+
+      return { invoice: updated, creditNote };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Void an unpaid invoice (issued by mistake)
+   * The invoice and its number stay on record so the sequence has no gaps
+   * @returns {Promise<Object|null>} Invoice, null if not found
+   */
+  async voidInvoice(databaseName, shopId, invoiceId, reason, voidedBy) {
+    try {
+      const Invoice = await getModel(databaseName, 'Invoice', invoiceSchema);
+
+      const invoice = await Invoice.findOneAndUpdate(
+        { _id: invoiceId, shopId, status: INVOICE_STATUS.PENDING },
+        { $set: { status: INVOICE_STATUS.VOID, voidedAt: new Date(), voidReason: reason, voidedBy } },
+        { new: true }
+      );
+
+      if (!invoice) {
+        const existing = await Invoice.findOne({ _id: invoiceId, shopId });
+
+        if (!existing) {
+          return null;
+        }
+
+        throw new Error(`Invoice ${existing.invoiceNumber} is ${existing.status}; only unpaid invoices can be voided, refund paid ones`);
+      }
 
       return invoice;
     } catch (error) {
@@ -99,12 +454,17 @@ class InvoiceService {
   /**
    * Get invoices for a shop
    */
-  async getShopInvoices(tenantId, shopId, filters = {}) {
+  async getShopInvoices(databaseName, shopId, filters = {}) {
     try {
-      const query = {
-        tenantId,
-        shopId,
-      };
+      const [Invoice] = await Promise.all([
+        getModel(databaseName, 'Invoice', invoiceSchema),
+        // Registered for populate
+        getModel(databaseName, 'User', userSchema),
+        getModel(databaseName, 'Service', serviceSchema),
+        getModel(databaseName, 'Booking', bookingSchema),
+      ]);
+
+      const query = { shopId };
 
       if (filters.status) {
         query.status = filters.status;
@@ -129,32 +489,134 @@ class InvoiceService {
     }
   }
 
+  /**
+   * Get credit notes for a shop, optionally of one invoice
+   */
+  async getCreditNotes(databaseName, shopId, filters = {}) {
+    try {
+      const [CreditNote] = await Promise.all([
+        getModel(databaseName, 'CreditNote', creditNoteSchema),
+        // Registered for populate
+        getModel(databaseName, 'User', userSchema),
+      ]);
+
+      const query = { shopId };
+
+      if (filters.invoiceId) {
+        query.invoiceId = filters.invoiceId;
+      }
+
+      if (filters.startDate && filters.endDate) {
+        query.createdAt = {
+          $gte: new Date(filters.startDate),
+          $lte: new Date(filters.endDate),
+        };
+      }
+
+      return await CreditNote.find(query)
+        .populate('customerId', 'firstName lastName phone email')
+        .populate('issuedBy', 'firstName lastName')
+        .sort({ createdAt: -1 });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Render an invoice as PDF (A4 or thermal receipt)
+   * @param {string} databaseName - Client database name
+   * @param {string} invoiceId - Invoice ID
+   * @param {Object} filter - Extra conditions the invoice must match, e.g. { shopId } or { customerId }
+   * @param {string} layout - INVOICE_LAYOUT value
+   * @returns {Promise<Object|null>} { filename, buffer }, null if the invoice is not found
+   */
+  async renderPdf(databaseName, invoiceId, filter = {}, layout = INVOICE_LAYOUT.A4) {
+    try {
+      const [Invoice, Shop, ShopSettings] = await Promise.all([
+        getModel(databaseName, 'Invoice', invoiceSchema),
+        getModel(databaseName, 'Shop', shopSchema),
+        getModel(databaseName, 'ShopSettings', shopSettingsSchema),
+        // Registered for populate
+        getModel(databaseName, 'Service', serviceSchema),
+        getModel(databaseName, 'User', userSchema),
+      ]);
+
+      const invoice = await Invoice.findOne({ _id: invoiceId, ...filter })
+        .populate('serviceId', 'name')
+        .populate('customerId', 'firstName lastName phone email');
+
+      if (!invoice) {
+        return null;
+      }
+
+      const [shop, settings] = await Promise.all([
+        Shop.findById(invoice.shopId),
+        ShopSettings.findOne({ shopId: invoice.shopId }),
+      ]);
+
+      if (!shop) {
+        throw new Error('Shop not found');
+      }
+
+      const buffer = renderInvoicePdf({ invoice, shop, settings, customer: invoice.customerId }, layout);
+      const suffix = layout === INVOICE_LAYOUT.A4 ? '' : `-${layout}`;
+
+      return {
+        filename: `${invoice.invoiceNumber}${suffix}.pdf`,
+        buffer,
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Get revenue statistics
+   * Revenue counts invoices paid in the period; refunds count in the period their credit note was issued
+   * Tips are not revenue, they are totalled per staff member they go to
    */
-  async getRevenueStats(tenantId, shopId, startDate, endDate) {
+  async getRevenueStats(databaseName, shopId, startDate, endDate) {
     try {
-      const invoices = await Invoice.find({
-        tenantId,
-        shopId,
-        status: INVOICE_STATUS.PAID,
-        paidAt: {
-          $gte: new Date(startDate),
-          $lte: new Date(endDate),
-        },
-      });
+      const [Invoice, CreditNote] = await Promise.all([
+        getModel(databaseName, 'Invoice', invoiceSchema),
+        getModel(databaseName, 'CreditNote', creditNoteSchema),
+      ]);
+
+      const period = { $gte: new Date(startDate), $lte: new Date(endDate) };
+
+      const [invoices, creditNotes] = await Promise.all([
+        Invoice.find({ shopId, status: { $in: PAID_STATUSES }, paidAt: period }),
+        CreditNote.find({ shopId, createdAt: period }),
+      ]);
 
       const totalRevenue = invoices.reduce((sum, inv) => sum + inv.totalAmount, 0);
       const totalTax = invoices.reduce((sum, inv) => sum + inv.tax, 0);
       const totalDiscount = invoices.reduce((sum, inv) => sum + inv.discount, 0);
       const totalInvoices = invoices.length;
+      const totalRefunds = creditNotes.reduce((sum, note) => sum + note.amount, 0);
+      const refundedTax = creditNotes.reduce((sum, note) => sum + note.tax, 0);
+
+      const tipsByStaff = {};
+      for (const payment of invoices.flatMap((inv) => inv.payments)) {
+        if (payment.tip > 0) {
+          const staffId = String(payment.tipStaffId);
+          tipsByStaff[staffId] = round((tipsByStaff[staffId] || 0) + payment.tip);
+        }
+      }
+      const totalTips = Object.values(tipsByStaff).reduce((sum, tip) => sum + tip, 0);
 
       return {
-        totalRevenue,
-        totalTax,
-        totalDiscount,
+        totalRevenue: round(totalRevenue),
+        totalTax: round(totalTax),
+        totalDiscount: round(totalDiscount),
         totalInvoices,
-        averageInvoiceValue: totalInvoices > 0 ? totalRevenue / totalInvoices : 0,
+        averageInvoiceValue: totalInvoices > 0 ? round(totalRevenue / totalInvoices) : 0,
+        totalRefunds: round(totalRefunds),
+        totalCreditNotes: creditNotes.length,
+        netRevenue: round(totalRevenue - totalRefunds),
+        netTax: round(totalTax - refundedTax),
+        totalTips: round(totalTips),
+        tipsByStaff: Object.entries(tipsByStaff).map(([staffId, amount]) => ({ staffId, amount })),
       };
     } catch (error) {
       throw error;
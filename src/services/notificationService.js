@@ -0,0 +1,196 @@
+const { getModel } = require('../database/modelFactory');
+const userSchema = require('../client/models/User').schema;
+const shopSchema = require('../client/models/Shop').schema;
+const shopSettingsSchema = require('../client/models/ShopSettings').schema;
+const serviceSchema = require('../client/models/Service').schema;
+const bookingSchema = require('../client/models/Booking').schema;
+const emailService = require('./emailService');
+const smsService = require('./smsService');
+const logger = require('../utils/logger');
+const { NOTIFICATION_TYPE } = require('../config/constants');
+
+/**
+ * Notification Service
+ * Customer booking notifications (confirmation, cancellation, reminder)
+ * Customer, shop and settings are read from the client database the caller passes in
+ */
+class NotificationService {
+  /**
+   * Load customer, shop, settings and service names for a booking
+   */
+  async loadContext(databaseName, booking) {
+    const User = await getModel(databaseName, 'User', userSchema);
+    const Shop = await getModel(databaseName, 'Shop', shopSchema);
+    const ShopSettings = await getModel(databaseName, 'ShopSettings', shopSettingsSchema);
+
+    const customer = await User.findById(booking.customerId);
+    const shop = await Shop.findById(booking.shopId);
+    const settings = await ShopSettings.findOne({ shopId: booking.shopId });
+
+    let services = booking.services.map((item) => item.name);
+    if (services.length === 0) {
+      const Service = await getModel(databaseName, 'Service', serviceSchema);
+      services = [(await Service.findById(booking.serviceId))?.name].filter(Boolean);
+    }
+
+    return { customer, shop, settings, services };
+  }
+
+  /**
+   * Channels to use for a message
+   * Shop flags decide which channels are on; customers can opt out of each channel and of reminders
+   * @returns {Array} [{ channel, recipient, skipped }] - skipped holds the reason when not sent
+   */
+  getChannels(settings, customer, type) {
+    const preferences = customer.notificationPreferences || {};
+    const channels = [];
+
+    if (settings?.sendEmailNotifications ?? true) {
+      channels.push({ channel: 'email', recipient: customer.email, optedOut: preferences.email === false });
+    }
+
+    if (settings?.sendSmsNotifications ?? false) {
+      channels.push({ channel: 'sms', recipient: customer.phone, optedOut: preferences.sms === false });
+    }
+
+    return channels.map(({ channel, recipient, optedOut }) => {
+      let skipped = null;
+
+      if (!recipient) {
+        skipped = `No ${channel === 'email' ? 'email address' : 'phone number'} on file`;
+      } else if (optedOut) {
+        skipped = `Customer opted out of ${channel} notifications`;
+      } else if (type === NOTIFICATION_TYPE.REMINDER && preferences.reminders === false) {
+        skipped = 'Customer opted out of reminders';
+      }
+
+      return { channel, recipient, skipped };
+    });
+  }
+
+  /**
+   * Notify the customer of a booking and record the outcome on the booking
+   * Delivery problems are recorded and never fail the booking operation
+   * @param {string} databaseName - Client database of the customer and shop
+   * @param {Object} booking - Booking document from that client database
+   * @param {string} type - NOTIFICATION_TYPE value
+   * @param {Object} data - Extra template data (e.g. { reason })
+   * @returns {Promise<Array>} Log entries added to booking.notifications
+   */
+  async notifyBooking(databaseName, booking, type, data = {}) {
+    try {
+      const { customer, shop, settings, services } = await this.loadContext(databaseName, booking);
+
+      if (!customer) {
+        return [];
+      }
+
+      const template = `booking_${type}`;
+      const templateData = {
+        customerName: customer.firstName,
+        shopName: shop?.name,
+        services,
+        scheduledAt: booking.scheduledAt,
+        finalPrice: booking.finalPrice,
+        status: booking.status,
+        ...data,
+      };
+
+      const entries = [];
+
+      for (const { channel, recipient, skipped } of this.getChannels(settings, customer, type)) {
+        const entry = { type, channel, recipient, createdAt: new Date() };
+
+        if (skipped) {
+          entries.push({ ...entry, status: 'skipped', detail: skipped });
+          continue;
+        }
+
+        try {
+          if (channel === 'email') {
+            await emailService.send(recipient, template, templateData, { databaseName, bookingId: booking._id });
+          } else {
+            await smsService.send(recipient, template, templateData);
+          }
+
+          entries.push({ ...entry, status: 'sent' });
+        } catch (error) {
+          entries.push({ ...entry, status: 'failed', detail: error.message });
+        }
+      }
+
+      await this.record(databaseName, booking._id, entries);
+
+      return entries;
+    } catch (error) {
+      logger.error(`Error sending ${type} notification for booking ${booking._id}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Append entries to the booking's message log
+   * @param {string} databaseName - Client database holding the booking
+   * @param {string} bookingId - Booking ID
+   * @param {Array} entries - Log entries
+   */
+  async record(databaseName, bookingId, entries) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    const Booking = await getModel(databaseName, 'Booking', bookingSchema);
+
+    await Booking.updateOne(
+      { _id: bookingId },
+      { $push: { notifications: { $each: entries } } }
+    );
+  }
+
+  /**
+   * Get a customer's notification preferences
+   */
+  async getPreferences(databaseName, userId) {
+    try {
+      const User = await getModel(databaseName, 'User', userSchema);
+      const user = await User.findById(userId);
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      return user.notificationPreferences;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update a customer's notification preferences
+   * @param {Object} preferences - Any of { email, sms, reminders }
+   */
+  async updatePreferences(databaseName, userId, preferences) {
+    try {
+      const User = await getModel(databaseName, 'User', userSchema);
+      const user = await User.findById(userId);
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      for (const field of ['email', 'sms', 'reminders']) {
+        if (preferences[field] !== undefined) {
+          user.notificationPreferences[field] = preferences[field];
+        }
+      }
+
+      await user.save();
+
+      return user.notificationPreferences;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,340 @@
+const { getModel } = require('../database/modelFactory');
+const offerSchema = require('../client/models/Offer').schema;
+const serviceSchema = require('../client/models/Service').schema;
+
+// Fields the client admin may set on an offer
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'code',
+  'discountType',
+  'discountValue',
+  'applicableServices',
+  'startDate',
+  'endDate',
+  'isActive',
+  'maxUses',
+];
+
+/**
+ * Offer Service
+ * Offer management, promo codes and automatic discounts
+ * Works with database-per-client architecture
+ */
+class OfferService {
+  /**
+   * Validate offer data against the shop
+   */
+  async validateOffer(databaseName, shopId, offer, offerId = null) {
+    if (offer.discountType === 'percentage' && offer.discountValue > 100) {
+      throw new Error('Percentage discount cannot exceed 100');
+    }
+
+    if (new Date(offer.endDate) <= new Date(offer.startDate)) {
+      throw new Error('End date must be after start date');
+    }
+
+    if (offer.maxUses !== undefined && offer.maxUses !== null && offer.maxUses < 1) {
+      throw new Error('Max uses must be at least 1');
+    }
+
+    if (offer.applicableServices && offer.applicableServices.length > 0) {
+      const Service = await getModel(databaseName, 'Service', serviceSchema);
+      const count = await Service.countDocuments({
+        _id: { $in: offer.applicableServices },
+        shopId,
+      });
+
+      if (count !== new Set(offer.applicableServices.map((id) => id.toString())).size) {
+        throw new Error('Applicable services must belong to this shop');
+      }
+    }
+
+    if (offer.code) {
+      const Offer = await getModel(databaseName, 'Offer', offerSchema);
+      const duplicate = await Offer.findOne({
+        shopId,
+        code: offer.code.trim().toUpperCase(),
+        _id: { $ne: offerId },
+      });
+
+      if (duplicate) {
+        throw new Error('An offer with this code already exists');
+      }
+    }
+  }
+
+  /**
+   * Create offer
+   */
+  async createOffer(databaseName, shopId, data) {
+    try {
+      const Offer = await getModel(databaseName, 'Offer', offerSchema);
+      const offerData = {};
+      for (const field of EDITABLE_FIELDS) {
+        if (data[field] !== undefined) {
+          offerData[field] = data[field];
+        }
+      }
+
+      // Empty code means an automatic offer
+      if (!offerData.code) {
+        delete offerData.code;
+      }
+
+      await this.validateOffer(databaseName, shopId, offerData);
+
+      return await Offer.create({
+        ...offerData,
+        shopId,
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get offers of a shop
+   */
+  async getShopOffers(databaseName, shopId, filters = {}) {
+    try {
+      const [Offer] = await Promise.all([
+        getModel(databaseName, 'Offer', offerSchema),
+        // Registered for populate
+        getModel(databaseName, 'Service', serviceSchema),
+      ]);
+      const query = { shopId };
+
+      if (filters.isActive !== undefined) {
+        query.isActive = filters.isActive;
+      }
+
+      return await Offer.find(query)
+        .populate('applicableServices', 'name price')
+        .sort({ createdAt: -1 });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single offer
+   */
+  async getOffer(databaseName, shopId, offerId) {
+    try {
+      const [Offer] = await Promise.all([
+        getModel(databaseName, 'Offer', offerSchema),
+        // Registered for populate
+        getModel(databaseName, 'Service', serviceSchema),
+      ]);
+      const offer = await Offer.findOne({ _id: offerId, shopId })
+        .populate('applicableServices', 'name price');
+
+      if (!offer) {
+        throw new Error('Offer not found');
+      }
+
+      return offer;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update offer
+   */
+  async updateOffer(databaseName, shopId, offerId, data) {
+    try {
+      const Offer = await getModel(databaseName, 'Offer', offerSchema);
+      const offer = await Offer.findOne({ _id: offerId, shopId });
+
+      if (!offer) {
+        throw new Error('Offer not found');
+      }
+
+      for (const field of EDITABLE_FIELDS) {
+        if (data[field] !== undefined) {
+          offer[field] = field === 'code' && !data.code ? undefined : data[field];
+        }
+      }
+
+      await this.validateOffer(databaseName, shopId, offer, offer._id);
+
+      if (offer.maxUses && offer.maxUses < offer.usedCount) {
+        throw new Error('Max uses cannot be lower than the current usage');
+      }
+
+      await offer.save();
+
+      return offer;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Deactivate offer (kept for booking and invoice history)
+   */
+  async deactivateOffer(databaseName, shopId, offerId) {
+    try {
+      const Offer = await getModel(databaseName, 'Offer', offerSchema);
+      const offer = await Offer.findOneAndUpdate(
+        { _id: offerId, shopId },
+        { isActive: false },
+        { new: true }
+      );
+
+      if (!offer) {
+        throw new Error('Offer not found');
+      }
+
+      return offer;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Active automatic offers customers can see (promo codes stay hidden)
+   */
+  async getPublicOffers(databaseName, shopId) {
+    try {
+      const [Offer] = await Promise.all([
+        getModel(databaseName, 'Offer', offerSchema),
+        // Registered for populate
+        getModel(databaseName, 'Service', serviceSchema),
+      ]);
+      const now = new Date();
+
+      const offers = await Offer.find({
+        shopId,
+        isActive: true,
+        code: null,
+        startDate: { $lte: now },
+        endDate: { $gte: now },
+      }).populate('applicableServices', 'name price');
+
+      return offers.filter((offer) => !offer.maxUses || offer.usedCount < offer.maxUses);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Discount an offer gives on the booked services
+   * @param {Object} offer - Offer document
+   * @param {Array} items - Booking.services entries ({ serviceId, price })
+   * @returns {number} Discount amount (never more than the eligible total)
+   */
+  calculateDiscount(offer, items) {
+    const applicable = new Set((offer.applicableServices || []).map((id) => (id._id || id).toString()));
+
+    const eligibleTotal = items
+      .filter((item) => applicable.size === 0 || applicable.has(item.serviceId.toString()))
+      .reduce((sum, item) => sum + item.price, 0);
+
+    if (eligibleTotal === 0) {
+      return 0;
+    }
+
+    const discount = offer.discountType === 'percentage'
+      ? (eligibleTotal * offer.discountValue) / 100
+      : offer.discountValue;
+
+    return Math.round(Math.min(discount, eligibleTotal) * 100) / 100;
+  }
+
+  /**
+   * Take one use of an offer; fails when maxUses is reached concurrently
+   * @returns {Promise<boolean>} True if the use was claimed
+   */
+  async claimUse(databaseName, offerId) {
+    const Offer = await getModel(databaseName, 'Offer', offerSchema);
+    const claimed = await Offer.findOneAndUpdate(
+      {
+        _id: offerId,
+        isActive: true,
+        $or: [
+          { maxUses: null },
+          { $expr: { $lt: ['$usedCount', '$maxUses'] } },
+        ],
+      },
+      { $inc: { usedCount: 1 } },
+      { new: true }
+    );
+
+    return !!claimed;
+  }
+
+  /**
+   * Give back one use of an offer (booking failed or was cancelled)
+   */
+  async releaseUse(databaseName, offerId) {
+    try {
+      const Offer = await getModel(databaseName, 'Offer', offerSchema);
+      await Offer.updateOne({ _id: offerId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Pick and claim the offer for a booking
+   * A promo code must be valid; without one the best eligible automatic offer is used
+   * @param {string} databaseName - Client database name
+   * @param {string} shopId - Shop ID
+   * @param {Array} items - Booking.services entries ({ serviceId, price })
+   * @param {string} promoCode - Optional code entered by the customer
+   * @returns {Promise<Object|null>} { offer, discount } or null when nothing applies
+   */
+  async applyOffer(databaseName, shopId, items, promoCode = null) {
+    try {
+      const Offer = await getModel(databaseName, 'Offer', offerSchema);
+      const now = new Date();
+      const query = {
+        shopId,
+        isActive: true,
+        startDate: { $lte: now },
+        endDate: { $gte: now },
+      };
+
+      if (promoCode) {
+        const offer = await Offer.findOne({ ...query, code: promoCode.trim().toUpperCase() });
+
+        if (!offer) {
+          throw new Error('Invalid or expired promo code');
+        }
+
+        const discount = this.calculateDiscount(offer, items);
+
+        if (discount === 0) {
+          throw new Error('Promo code does not apply to the selected services');
+        }
+
+        if (!(await this.claimUse(databaseName, offer._id))) {
+          throw new Error('Promo code usage limit reached');
+        }
+
+        return { offer, discount };
+      }
+
+      const candidates = (await Offer.find({ ...query, code: null }))
+        .map((offer) => ({ offer, discount: this.calculateDiscount(offer, items) }))
+        .filter(({ discount }) => discount > 0)
+        .sort((a, b) => b.discount - a.discount);
+
+      // Fall back to the next best offer if one runs out meanwhile
+      for (const candidate of candidates) {
+        if (await this.claimUse(databaseName, candidate.offer._id)) {
+          return candidate;
+        }
+      }
+
+      return null;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new OfferService();
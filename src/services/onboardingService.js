@@ -0,0 +1,220 @@
+const moment = require('moment');
+const { getModel } = require('../database/modelFactory');
+const shopSchema = require('../client/models/Shop').schema;
+const serviceSchema = require('../client/models/Service').schema;
+const staffProfileSchema = require('../client/models/StaffProfile').schema;
+const staffScheduleSchema = require('../client/models/StaffSchedule').schema;
+const { getModel: getClientAdminModel } = require('../platform/models/ClientAdmin');
+const { getModel: getPlatformAdminModel } = require('../platform/models/PlatformAdmin');
+const clientDatabaseService = require('./clientDatabaseService');
+const otpService = require('./otpService');
+const logger = require('../utils/logger');
+const { TRIAL } = require('../config/constants');
+const { NotFoundError } = require('../utils/errors');
+
+const SIGNUP_OTP_TYPE = 'client_admin_registration';
+
+/**
+ * Onboarding Service
+ * Self-service sign-up of new clients on a free trial, the onboarding checklist
+ * and trial-to-paid conversion figures for the super admin
+ */
+class OnboardingService {
+  /**
+   * Throw if an email already belongs to a platform or client admin
+   */
+  async assertEmailAvailable(email) {
+    const [clientAdmin, platformAdmin] = await Promise.all([
+      getClientAdminModel().findOne({ email: email.toLowerCase() }),
+      getPlatformAdminModel().findOne({ email: email.toLowerCase() }),
+    ]);
+
+    if (clientAdmin || platformAdmin) {
+      throw new Error('An account with this email already exists, please log in');
+    }
+  }
+
+  /**
+   * Step 1: send a verification code to the new client's email
+   */
+  async requestSignup(email) {
+    try {
+      await this.assertEmailAvailable(email);
+      return await otpService.sendOTP(email, SIGNUP_OTP_TYPE);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Step 2: verify the code and provision the client database on a trial
+   * @param {Object} data - { email, code, password, firstName, lastName, phone }
+   * @returns {Promise<Object>} { clientId, databaseName, clientAdmin, adminUser }
+   */
+  async completeSignup({ email, code, password, firstName, lastName, phone }) {
+    try {
+      await this.assertEmailAvailable(email);
+      await otpService.verifyOTP(email, code, SIGNUP_OTP_TYPE);
+
+      const result = await clientDatabaseService.createClientDatabase({
+        email,
+        firstName,
+        lastName,
+        phone,
+        password,
+        subscriptionPlan: TRIAL.PLAN,
+        subscriptionExpiresAt: moment().add(TRIAL.DAYS, 'days').toDate(),
+        isTrial: true,
+        signupSource: 'self_signup',
+      });
+
+      logger.info(`Self sign-up: ${result.clientAdmin.email} (${result.databaseName}) started a ${TRIAL.DAYS}-day trial`);
+
+      return result;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Onboarding checklist of a client: first shop, services, staff and working hours
+   * Marks onboarding complete the first time every step is done
+   */
+  async getChecklist(databaseName) {
+    try {
+      const ClientAdmin = getClientAdminModel();
+      const client = await ClientAdmin.findOne({ databaseName });
+
+      if (!client) {
+        throw new NotFoundError('Client');
+      }
+
+      const [Shop, Service, StaffProfile, StaffSchedule] = await Promise.all([
+        getModel(databaseName, 'Shop', shopSchema),
+        getModel(databaseName, 'Service', serviceSchema),
+        getModel(databaseName, 'StaffProfile', staffProfileSchema),
+        getModel(databaseName, 'StaffSchedule', staffScheduleSchema),
+      ]);
+
+      // Hours are set either on the shop or as a weekly staff schedule
+      const scheduledShopIds = await StaffSchedule.distinct('shopId');
+
+      const [shops, services, staff, shopsWithHours] = await Promise.all([
+        Shop.countDocuments({ isActive: true }),
+        Service.countDocuments({ isActive: true }),
+        StaffProfile.countDocuments({ isActive: true }),
+        Shop.countDocuments({
+          isActive: true,
+          $or: [{ workingHoursSetAt: { $exists: true } }, { _id: { $in: scheduledShopIds } }],
+        }),
+      ]);
+
+      const items = [
+        { key: 'shop', title: 'Create your first shop', completed: shops > 0, count: shops },
+        { key: 'services', title: 'Add the services you offer', completed: services > 0, count: services },
+        { key: 'staff', title: 'Add your staff', completed: staff > 0, count: staff },
+        {
+          key: 'working_hours',
+          title: 'Set your working hours',
+          completed: shopsWithHours > 0,
+          count: shopsWithHours,
+        },
+      ];
+
+      const completedSteps = items.filter((item) => item.completed).length;
+      const isComplete = completedSteps === items.length;
+
+      if (isComplete && !client.onboardingCompletedAt) {
+        client.onboardingCompletedAt = new Date();
+        await client.save();
+      }
+
+      return {
+        items,
+        completedSteps,
+        totalSteps: items.length,
+        progress: Math.round((completedSteps / items.length) * 100),
+        isComplete,
+        completedAt: client.onboardingCompletedAt,
+        trial: client.isTrial
+          ? {
+            plan: client.subscriptionPlan,
+            endsAt: client.trialEndsAt,
+            daysLeft: Math.max(moment(client.trialEndsAt).diff(moment(), 'days'), 0),
+          }
+          : null,
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Trial-to-paid conversion figures (super admin dashboard)
+   * A trial converts when its first paid invoice is settled; a trial that ended unpaid has lapsed
+   */
+  async getTrialStats() {
+    try {
+      const ClientAdmin = getClientAdminModel();
+      const now = new Date();
+      const since = moment().subtract(30, 'days').toDate();
+
+      const [stats] = await ClientAdmin.aggregate([
+        { $match: { trialEndsAt: { $exists: true } } },
+        {
+          $facet: {
+            totals: [
+              {
+                $group: {
+                  _id: null,
+                  started: { $sum: 1 },
+                  active: { $sum: { $cond: [{ $and: ['$isTrial', { $gt: ['$trialEndsAt', now] }] }, 1, 0] } },
+                  lapsed: { $sum: { $cond: [{ $and: ['$isTrial', { $lte: ['$trialEndsAt', now] }] }, 1, 0] } },
+                  converted: { $sum: { $cond: [{ $ifNull: ['$trialConvertedAt', false] }, 1, 0] } },
+                  onboarded: { $sum: { $cond: [{ $ifNull: ['$onboardingCompletedAt', false] }, 1, 0] } },
+                  startedLast30Days: { $sum: { $cond: [{ $gte: ['$createdAt', since] }, 1, 0] } },
+                  convertedLast30Days: { $sum: { $cond: [{ $gte: ['$trialConvertedAt', since] }, 1, 0] } },
+                },
+              },
+            ],
+            sources: [
+              {
+                $group: {
+                  _id: '$signupSource',
+                  started: { $sum: 1 },
+                  converted: { $sum: { $cond: [{ $ifNull: ['$trialConvertedAt', false] }, 1, 0] } },
+                },
+              },
+            ],
+          },
+        },
+      ]);
+
+      const totals = stats.totals[0] || {
+        started: 0,
+        active: 0,
+        lapsed: 0,
+        converted: 0,
+        onboarded: 0,
+        startedLast30Days: 0,
+        convertedLast30Days: 0,
+      };
+      delete totals._id;
+
+      // Only finished trials count towards the rate (running trials may still convert)
+      const finished = totals.converted + totals.lapsed;
+
+      return {
+        ...totals,
+        conversionRate: finished > 0 ? Math.round((totals.converted / finished) * 1000) / 10 : null,
+        bySource: Object.fromEntries(
+          stats.sources.map((source) => [source._id || 'super_admin', { started: source.started, converted: source.converted }])
+        ),
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new OnboardingService();
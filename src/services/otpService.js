@@ -1,10 +1,27 @@
 const OTP = require('../models/OTP');
 const crypto = require('crypto');
 const moment = require('moment');
+const emailService = require('./emailService');
+const smsService = require('./smsService');
+const {
+  OTP_EXPIRE_MINUTES,
+  OTP_MAX_ATTEMPTS,
+  OTP_MAX_REQUESTS_PER_HOUR,
+  OTP_LOCKOUT_MINUTES,
+} = require('../config/constants');
+
+/**
+ * Normalize the address a code is sent to
+ * @param {Object} identity - { email } or { phone }
+ */
+const normalizeIdentity = (identity) => (identity.email
+  ? { email: identity.email.toLowerCase().trim() }
+  : { phone: identity.phone.trim() });
 
 /**
  * OTP Service
  * Handles OTP generation, validation, and management
+ * Codes are addressed to an email or a phone number and scoped by type and database
  */
 class OTPService {
   /**
@@ -15,45 +32,76 @@ class OTPService {
   }
 
   /**
-   * Send OTP to email (for client admin registration)
-   * In production, integrate with email service (SendGrid, AWS SES, etc.)
-   * For now, we'll just log it and return it
+   * Throw if the address is locked out after too many wrong guesses
+   */
+  async checkLockout(identity, type, databaseName) {
+    const locked = await OTP.findOne({
+      ...identity,
+      type,
+      databaseName,
+      lockedUntil: { $gt: new Date() },
+    }).sort({ lockedUntil: -1 });
+
+    if (locked) {
+      const minutes = Math.ceil(moment(locked.lockedUntil).diff(moment(), 'minutes', true));
+      throw new Error(`Too many incorrect attempts, please try again in ${minutes} minutes`);
+    }
+  }
+
+  /**
+   * Create a new code for an address
+   * Enforces lockout and the hourly request limit, and invalidates older codes
+   * @returns {Promise<string>} The code
    */
-  async sendOTP(email, type = 'client_admin_registration') {
+  async createOTP(identity, type, databaseName = null) {
+    identity = normalizeIdentity(identity);
+
+    await this.checkLockout(identity, type, databaseName);
+
+    // Limit how many codes an address can request
+    const recentCount = await OTP.countDocuments({
+      ...identity,
+      type,
+      databaseName,
+      createdAt: { $gte: moment().subtract(1, 'hour').toDate() },
+    });
+
+    if (recentCount >= OTP_MAX_REQUESTS_PER_HOUR) {
+      throw new Error('Too many codes requested, please try again later');
+    }
+
+    // Generate 6-digit OTP
+    const code = this.generateOTP();
+
+    // Invalidate any existing OTPs for this address and type
+    await OTP.updateMany(
+      { ...identity, type, databaseName, isUsed: false },
+      { isUsed: true }
+    );
+
+    await OTP.create({
+      ...identity,
+      code,
+      type,
+      databaseName,
+      expiresAt: moment().add(OTP_EXPIRE_MINUTES, 'minutes').toDate(),
+    });
+
+    return code;
+  }
+
+  /**
+   * Send OTP to email (client admin registration, password reset, customer login)
+   * Delivered through the configured email transport (console in development)
+   * @param {string} email - Recipient email
+   * @param {string} type - OTP type
+   * @param {string} databaseName - Database of the account (null for platform_db / registration)
+   */
+  async sendOTP(email, type = 'client_admin_registration', databaseName = null) {
     try {
-      // Generate 6-digit OTP
-      const code = this.generateOTP();
-      
-      // Set expiration (10 minutes)
-      const expiresAt = moment().add(10, 'minutes').toDate();
-
-      // Invalidate any existing OTPs for this email and type
-      await OTP.updateMany(
-        { email, type, isUsed: false },
-        { isUsed: true }
-      );
-
-      // Create new OTP
-      const otp = await OTP.create({
-        email,
-        code,
-        type,
-        expiresAt,
-      });
-
-      // TODO: In production, send email via email service
-      // For now, log it (remove in production!)
-      console.log('========================================');
-      console.log(`OTP for ${email}: ${code}`);
-      console.log(`Expires at: ${expiresAt}`);
-      console.log('========================================');
-
-      // In production, uncomment and configure:
-      // await sendEmail({
-      //   to: email,
-      //   subject: 'BookACut Registration OTP',
-      //   html: `Your OTP code is: <strong>${code}</strong><br>Valid for 10 minutes.`
-      // });
+      const code = await this.createOTP({ email }, type, databaseName);
+
+      await emailService.send(email, 'otp', { code, type, expiresInMinutes: OTP_EXPIRE_MINUTES });
 
       return {
         success: true,
@@ -67,42 +115,103 @@ class OTPService {
   }
 
   /**
-   * Verify OTP code
+   * Send OTP by SMS (customer login)
    */
-  async verifyOTP(email, code, type = 'client_admin_registration') {
+  async sendPhoneOTP(phone, type, databaseName = null) {
     try {
-      const otp = await OTP.findOne({
-        email: email.toLowerCase().trim(),
-        code,
-        type,
-        isUsed: false,
-        expiresAt: { $gt: new Date() },
-      });
-
-      if (!otp) {
-        throw new Error('Invalid or expired OTP');
-      }
+      const code = await this.createOTP({ phone }, type, databaseName);
 
-      // Mark OTP as used
-      otp.isUsed = true;
-      await otp.save();
+      await smsService.send(phone, 'otp', { code, type, expiresInMinutes: OTP_EXPIRE_MINUTES });
 
       return {
         success: true,
-        message: 'OTP verified successfully',
+        message: 'OTP sent successfully',
+        // In development, return OTP for testing (remove in production!)
+        otp: process.env.NODE_ENV === 'development' ? code : undefined,
       };
     } catch (error) {
       throw error;
     }
   }
 
+  /**
+   * Verify a code sent to an address
+   * Wrong guesses count against the latest code; after OTP_MAX_ATTEMPTS it is invalidated
+   * and the address is locked out for OTP_LOCKOUT_MINUTES
+   * @param {Object} identity - { email } or { phone }
+   */
+  async verifyIdentityOTP(identity, code, type, databaseName = null) {
+    identity = normalizeIdentity(identity);
+
+    await this.checkLockout(identity, type, databaseName);
+
+    const otp = await OTP.findOne({
+      ...identity,
+      type,
+      databaseName,
+      isUsed: false,
+      expiresAt: { $gt: new Date() },
+    }).sort({ createdAt: -1 });
+
+    if (!otp) {
+      throw new Error('Invalid or expired OTP');
+    }
+
+    if (otp.code !== String(code)) {
+      otp.attempts += 1;
+
+      if (otp.attempts >= OTP_MAX_ATTEMPTS) {
+        otp.isUsed = true;
+        otp.lockedUntil = moment().add(OTP_LOCKOUT_MINUTES, 'minutes').toDate();
+        // Keep the record (TTL on expiresAt) for as long as the lockout lasts
+        otp.expiresAt = otp.lockedUntil;
+      }
+
+      await otp.save();
+
+      throw new Error(otp.lockedUntil
+        ? `Too many incorrect attempts, please try again in ${OTP_LOCKOUT_MINUTES} minutes`
+        : 'Invalid or expired OTP');
+    }
+
+    // Mark OTP as used
+    otp.isUsed = true;
+    await otp.save();
+
+    return {
+      success: true,
+      message: 'OTP verified successfully',
+    };
+  }
+
+  /**
+   * Verify OTP code sent by email
+   */
+  async verifyOTP(email, code, type = 'client_admin_registration', databaseName = null) {
+    try {
+      return await this.verifyIdentityOTP({ email }, code, type, databaseName);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Verify OTP code sent by SMS
+   */
+  async verifyPhoneOTP(phone, code, type, databaseName = null) {
+    try {
+      return await this.verifyIdentityOTP({ phone }, code, type, databaseName);
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Resend OTP
    */
-  async resendOTP(email, type = 'client_admin_registration') {
-    return await this.sendOTP(email, type);
+  async resendOTP(email, type = 'client_admin_registration', databaseName = null) {
+    return await this.sendOTP(email, type, databaseName);
   }
 }
 
 module.exports = new OTPService();
-
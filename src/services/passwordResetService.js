@@ -0,0 +1,104 @@
+const { getModel } = require('../database/modelFactory');
+const userSchema = require('../client/models/User').schema;
+const { getModel: getPlatformAdminModel } = require('../platform/models/PlatformAdmin');
+const { getModel: getClientAdminModel } = require('../platform/models/ClientAdmin');
+const otpService = require('./otpService');
+const sessionService = require('./sessionService');
+
+const OTP_TYPE = 'password_reset';
+
+/**
+ * Password Reset Service
+ * Forgot/reset password with emailed one-time codes
+ * Works for platform admins (platform_db) and all client database users
+ */
+class PasswordResetService {
+  /**
+   * Find the account an email belongs to
+   * Without databaseName the lookup follows login: platform admins first, then client admins
+   * @returns {Promise<Object|null>} { user, databaseName } - databaseName is null for platform admins
+   */
+  async findAccount(email, databaseName = null) {
+    email = email.toLowerCase().trim();
+    const ClientAdmin = getClientAdminModel();
+
+    if (databaseName) {
+      const client = await ClientAdmin.findOne({ databaseName, isActive: true });
+
+      if (!client) {
+        return null;
+      }
+
+      const User = await getModel(databaseName, 'User', userSchema);
+      const user = await User.findOne({ email });
+
+      return user ? { user, databaseName } : null;
+    }
+
+    const PlatformAdmin = getPlatformAdminModel();
+    const platformAdmin = await PlatformAdmin.findOne({ email });
+
+    if (platformAdmin) {
+      return { user: platformAdmin, databaseName: null };
+    }
+
+    const client = await ClientAdmin.findOne({ email, isActive: true });
+
+    if (!client) {
+      return null;
+    }
+
+    const User = await getModel(client.databaseName, 'User', userSchema);
+    const user = await User.findOne({ email });
+
+    return user ? { user, databaseName: client.databaseName } : null;
+  }
+
+  /**
+   * Email a reset code
+   * Unknown or inactive accounts get no email but the same response, so addresses cannot be probed
+   * @returns {Promise<Object>} { otp } - the code only in development
+   */
+  async requestReset(email, databaseName = null) {
+    try {
+      const account = await this.findAccount(email, databaseName);
+
+      if (!account || !account.user.isActive) {
+        return {};
+      }
+
+      const result = await otpService.sendOTP(email, OTP_TYPE, account.databaseName);
+
+      return { otp: result.otp };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Set a new password with a reset code and sign the user out everywhere
+   */
+  async resetPassword(email, code, password, databaseName = null) {
+    try {
+      const account = await this.findAccount(email, databaseName);
+
+      if (!account || !account.user.isActive) {
+        throw new Error('Invalid or expired OTP');
+      }
+
+      await otpService.verifyOTP(email, code, OTP_TYPE, account.databaseName);
+
+      // Hashed by the pre-save hook
+      account.user.password = password;
+      await account.user.save();
+
+      await sessionService.revokeAllSessions(account.databaseName, account.user._id, 'password_reset');
+
+      return account.user;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new PasswordResetService();
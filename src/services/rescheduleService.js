@@ -0,0 +1,245 @@
+const { getModel } = require('../database/modelFactory');
+const bookingSchema = require('../client/models/Booking').schema;
+const slotSchema = require('../client/models/Slot').schema;
+const shopSettingsSchema = require('../client/models/ShopSettings').schema;
+const slotService = require('./slotService');
+const staffAvailabilityService = require('./staffAvailabilityService');
+const waitlistService = require('./waitlistService');
+const slotChain = require('../utils/slotChain');
+const logger = require('../utils/logger');
+const moment = require('moment');
+const { BOOKING_STATUS } = require('../config/constants');
+
+// Statuses counted in Slot.bookedCount (see Slot.updateBookedCount)
+const COUNTED_STATUSES = [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.ARRIVED, BOOKING_STATUS.IN_PROGRESS];
+
+/**
+ * Reschedule Service
+ * Moves a booking (and all consecutive slots it spans) between slots atomically
+ * Works with database-per-client architecture
+ */
+class RescheduleService {
+  /**
+   * Reschedule a booking to another slot
+   * Both slot counters and the booking are updated in one transaction
+   * @param {string} databaseName - Client database name
+   * @param {string} shopId - Shop ID
+   * @param {string} bookingId - Booking ID
+   * @param {string} targetSlotId - Slot to move the booking to
+   * @param {Object} actor - { userId, type: 'customer' | 'staff' | 'admin' }
+   * @param {string} reason - Optional reason
+   * @returns {Promise<Object>} Updated booking
+   */
+  async rescheduleBooking(databaseName, shopId, bookingId, targetSlotId, actor, reason = null) {
+    try {
+      const Booking = await getModel(databaseName, 'Booking', bookingSchema);
+      const Slot = await getModel(databaseName, 'Slot', slotSchema);
+      const ShopSettings = await getModel(databaseName, 'ShopSettings', shopSettingsSchema);
+
+      const query = {
+        _id: bookingId,
+        shopId,
+        status: { $in: [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED] },
+      };
+
+      // Customers may only move their own bookings
+      if (actor.type === 'customer') {
+        query.customerId = actor.userId;
+      }
+
+      const booking = await Booking.findOne(query);
+
+      if (!booking) {
+        throw new Error('Booking not found or cannot be rescheduled');
+      }
+
+      if (booking.slotId.toString() === targetSlotId.toString()) {
+        throw new Error('Booking is already in this slot');
+      }
+
+      const settings = await ShopSettings.findOne({ shopId });
+
+      // Check reschedule cutoff (staff and admins can always move bookings)
+      if (actor.type === 'customer') {
+        const cutoffHours = settings?.rescheduleCutoffHours ?? 2;
+        const hoursUntilBooking = moment(booking.scheduledAt).diff(moment(), 'hours', true);
+
+        if (hoursUntilBooking < cutoffHours) {
+          throw new Error(`Bookings cannot be rescheduled less than ${cutoffHours} hours before the appointment`);
+        }
+      }
+
+      const fromSlotIds = booking.getSlotIds();
+      const ownSlotIds = new Set(fromSlotIds.map((id) => id.toString()));
+      const countsTowardCapacity = COUNTED_STATUSES.includes(booking.status);
+
+      // Slots the booking already occupies have room for it again once it moves
+      const hasRoom = (slot) => {
+        const ownPlace = countsTowardCapacity && ownSlotIds.has(slot._id.toString()) ? 1 : 0;
+        return !slot.isBlocked && slot.status !== 'blocked' && slot.bookedCount - ownPlace < slot.capacity;
+      };
+
+      // Target must exist, be unblocked and have free capacity for the whole duration
+      const targetSlot = await Slot.findOne({ _id: targetSlotId, shopId });
+
+      if (!targetSlot) {
+        throw new Error('Slot not found');
+      }
+
+      if (targetSlot.isBlocked || targetSlot.status === 'blocked') {
+        throw new Error('Slot is blocked and cannot be booked');
+      }
+
+      const targetSlots = await slotService.getConsecutiveSlots(databaseName, shopId, targetSlot, booking.duration);
+
+      if (!targetSlots.every(hasRoom)) {
+        throw new Error(targetSlots.length > 1 ? 'Not enough consecutive capacity for this service' : 'Slot is full');
+      }
+
+      const targetScheduledAt = moment(targetSlot.date).set({
+        hour: parseInt(targetSlot.startTime.split(':')[0]),
+        minute: parseInt(targetSlot.startTime.split(':')[1]),
+      }).toDate();
+
+      if (moment(targetScheduledAt).isBefore(moment())) {
+        throw new Error('Cannot reschedule to a slot in the past');
+      }
+
+      if (actor.type === 'customer') {
+        const maxAdvanceDays = settings?.bookingAdvanceDays || 7;
+
+        if (moment(targetSlot.date).diff(moment().startOf('day'), 'days') > maxAdvanceDays) {
+          throw new Error(`Bookings can only be made up to ${maxAdvanceDays} days in advance`);
+        }
+      }
+
+      const fromSlotId = booking.slotId;
+
+      const update = {
+        slotId: targetSlot._id,
+        slotIds: targetSlots.map((slot) => slot._id),
+        scheduledAt: targetScheduledAt,
+        reminderSentAt: null, // Remind again for the new time
+      };
+
+      // Multi-service bookings: move each service along with its share of the slots
+      const serviceSlots = booking.services.length > 0
+        ? slotChain.splitByDurations(targetSlots, booking.services.map((item) => item.duration))
+        : null;
+
+      if (serviceSlots) {
+        update.services = booking.services.map((item, index) => ({
+          ...item.toObject(),
+          slotIds: serviceSlots[index].map((slot) => slot._id),
+        }));
+      }
+
+      const session = await Booking.startSession();
+
+      try {
+        await session.withTransaction(async () => {
+          // Stylists keep their services, so they must be free at the new time (re-run on transaction retries)
+          await staffAvailabilityService.assertStaffAvailable(databaseName, shopId, booking, targetSlots, serviceSlots);
+
+          if (countsTowardCapacity) {
+            // Release the places in the original slots
+            await Slot.updateMany(
+              { _id: { $in: fromSlotIds } },
+              [
+                { $set: { bookedCount: { $max: [{ $subtract: ['$bookedCount', 1] }, 0] } } },
+                {
+                  $set: {
+                    status: {
+                      $cond: [
+                        { $and: [{ $eq: ['$status', 'full'] }, { $lt: ['$bookedCount', '$capacity'] }] },
+                        'available',
+                        '$status',
+                      ],
+                    },
+                  },
+                },
+              ],
+              { session }
+            );
+
+            // Take a place in every target slot only if capacity is still free at commit time
+            for (const slot of targetSlots) {
+              const claimed = await Slot.findOneAndUpdate(
+                {
+                  _id: slot._id,
+                  isBlocked: false,
+                  status: 'available',
+                  $expr: { $lt: ['$bookedCount', '$capacity'] },
+                },
+                [
+                  { $set: { bookedCount: { $add: ['$bookedCount', 1] } } },
+                  {
+                    $set: {
+                      status: { $cond: [{ $gte: ['$bookedCount', '$capacity'] }, 'full', '$status'] },
+                    },
+                  },
+                ],
+                { session, new: true }
+              );
+
+              if (!claimed) {
+                throw new Error('Slot is full');
+              }
+            }
+          }
+
+          // updateOne (not save) so the post-save slot recount does not run outside the transaction
+          const result = await Booking.updateOne(
+            { _id: booking._id, slotId: fromSlotId, status: booking.status },
+            {
+              $set: update,
+              $push: {
+                rescheduleHistory: {
+                  fromSlotId,
+                  toSlotId: targetSlot._id,
+                  fromScheduledAt: booking.scheduledAt,
+                  toScheduledAt: targetScheduledAt,
+                  rescheduledBy: actor.userId,
+                  rescheduledByType: actor.type,
+                  reason,
+                  rescheduledAt: new Date(),
+                },
+              },
+            },
+            { session }
+          );
+
+          if (result.modifiedCount === 0) {
+            throw new Error('Booking was modified by another request, please retry');
+          }
+        });
+      } finally {
+        await session.endSession();
+      }
+
+      const updatedBooking = await Booking.findById(booking._id);
+
+      // Original slots the booking no longer uses now have a free place
+      const targetSlotIds = new Set(targetSlots.map((slot) => slot._id.toString()));
+
+      for (const slotId of fromSlotIds.filter((id) => !targetSlotIds.has(id.toString()))) {
+        try {
+          await waitlistService.promoteNext(databaseName, shopId, slotId);
+        } catch (error) {
+          logger.error(`Error promoting waitlist for slot ${slotId}:`, error.message);
+        }
+      }
+
+      // Emit Socket.IO event
+      if (global.slotSocket) {
+        await global.slotSocket.notifyBookingChange(databaseName, shopId, updatedBooking);
+      }
+
+      return updatedBooking;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new RescheduleService();
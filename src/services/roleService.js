@@ -0,0 +1,291 @@
+const { getModel } = require('../database/modelFactory');
+const roleSchema = require('../client/models/Role').schema;
+const userSchema = require('../client/models/User').schema;
+const shopSchema = require('../client/models/Shop').schema;
+const { ROLES, PERMISSIONS, ROLE_CACHE_TTL_SECONDS } = require('../config/constants');
+
+// Custom roles are assigned to staff, so they can only grant staff permissions
+const ASSIGNABLE_PERMISSIONS = [
+  PERMISSIONS.VIEW_BOOKINGS,
+  PERMISSIONS.CREATE_WALKIN,
+  PERMISSIONS.EDIT_PRICE,
+  PERMISSIONS.MARK_ARRIVED,
+  PERMISSIONS.MARK_NO_SHOW,
+  PERMISSIONS.COMPLETE_SERVICE,
+  PERMISSIONS.GENERATE_INVOICE,
+  PERMISSIONS.REFUND_INVOICE,
+];
+
+// Fields the client admin may set on a custom role
+const EDITABLE_FIELDS = ['name', 'description', 'permissions', 'shopIds'];
+
+/**
+ * Role Service
+ * Tenant-defined staff roles with granular permissions, optionally scoped to shops
+ * Roles live in the client database; lookups for permission checks are cached in memory
+ */
+class RoleService {
+  constructor() {
+    // `${databaseName}:${roleId or name}` -> { role, expiresAt }
+    this.cache = new Map();
+  }
+
+  /**
+   * Get Role model of a client database
+   */
+  async getRoleModel(databaseName) {
+    return await getModel(databaseName, 'Role', roleSchema);
+  }
+
+  /**
+   * Permissions a custom role can grant
+   */
+  getAssignablePermissions() {
+    return ASSIGNABLE_PERMISSIONS;
+  }
+
+  /**
+   * Resolve a user's role for permission checks (cached)
+   * @param {string} databaseName - Client database name
+   * @param {string} roleId - User's roleId (falls back to the system role named roleName)
+   * @param {string} roleName - User's role (client_admin, staff, customer)
+   * @returns {Promise<Object|null>} Lean role document
+   */
+  async resolveRole(databaseName, roleId, roleName) {
+    const key = `${databaseName}:${roleId || roleName}`;
+    const cached = this.cache.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.role;
+    }
+
+    const Role = await this.getRoleModel(databaseName);
+    const role = roleId
+      ? await Role.findById(roleId).lean()
+      : await Role.findOne({ name: roleName, isSystemRole: true }).lean();
+
+    if (role) {
+      this.cache.set(key, { role, expiresAt: Date.now() + ROLE_CACHE_TTL_SECONDS * 1000 });
+    }
+
+    return role;
+  }
+
+  /**
+   * Drop cached lookups for a role after it changes
+   */
+  invalidate(databaseName, role) {
+    this.cache.delete(`${databaseName}:${role._id}`);
+  }
+
+  /**
+   * Validate custom role data
+   */
+  async validateRole(databaseName, data, roleId = null) {
+    const Role = await this.getRoleModel(databaseName);
+
+    if (data.name !== undefined) {
+      const name = data.name.trim();
+
+      if (Object.values(ROLES).includes(name.toLowerCase())) {
+        throw new Error(`"${name}" is a reserved role name`);
+      }
+
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const duplicate = await Role.findOne({
+        name: { $regex: `^${escaped}$`, $options: 'i' },
+        _id: { $ne: roleId },
+      });
+
+      if (duplicate) {
+        throw new Error('A role with this name already exists');
+      }
+    }
+
+    if (data.permissions !== undefined) {
+      const invalid = data.permissions.filter((permission) => !ASSIGNABLE_PERMISSIONS.includes(permission));
+
+      if (invalid.length > 0) {
+        throw new Error(`Permissions not allowed for staff roles: ${invalid.join(', ')}`);
+      }
+    }
+
+    if (data.shopIds && data.shopIds.length > 0) {
+      const Shop = await getModel(databaseName, 'Shop', shopSchema);
+      const shopIds = [...new Set(data.shopIds.map((id) => id.toString()))];
+      const count = await Shop.countDocuments({ _id: { $in: shopIds } });
+
+      if (count !== shopIds.length) {
+        throw new Error('Role shops must belong to this client');
+      }
+    }
+  }
+
+  /**
+   * List roles with the number of users holding each
+   */
+  async getRoles(databaseName) {
+    try {
+      const Role = await this.getRoleModel(databaseName);
+      const User = await getModel(databaseName, 'User', userSchema);
+
+      const [roles, counts] = await Promise.all([
+        Role.find().sort({ isSystemRole: -1, name: 1 }).lean(),
+        User.aggregate([
+          { $match: { roleId: { $ne: null }, isActive: true } },
+          { $group: { _id: '$roleId', count: { $sum: 1 } } },
+        ]),
+      ]);
+
+      const countByRole = new Map(counts.map((entry) => [entry._id.toString(), entry.count]));
+
+      return roles.map((role) => ({
+        ...role,
+        userCount: countByRole.get(role._id.toString()) || 0,
+      }));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get role by ID
+   * @returns {Promise<Object|null>}
+   */
+  async getRole(databaseName, roleId) {
+    try {
+      const Role = await this.getRoleModel(databaseName);
+      return await Role.findById(roleId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Create custom role
+   */
+  async createRole(databaseName, data) {
+    try {
+      await this.validateRole(databaseName, data);
+
+      const roleData = {};
+      for (const field of EDITABLE_FIELDS) {
+        if (data[field] !== undefined) {
+          roleData[field] = data[field];
+        }
+      }
+
+      const Role = await this.getRoleModel(databaseName);
+
+      return await Role.create({
+        ...roleData,
+        permissions: [...new Set(roleData.permissions || [])],
+        isSystemRole: false,
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update custom role (system roles are fixed)
+   * @returns {Promise<Object|null>} Updated role, null if not found
+   */
+  async updateRole(databaseName, roleId, data) {
+    try {
+      const role = await this.getRole(databaseName, roleId);
+
+      if (!role) {
+        return null;
+      }
+
+      if (role.isSystemRole) {
+        throw new Error('System roles cannot be changed');
+      }
+
+      await this.validateRole(databaseName, data, role._id);
+
+      for (const field of EDITABLE_FIELDS) {
+        if (data[field] !== undefined) {
+          role[field] = field === 'permissions' ? [...new Set(data[field])] : data[field];
+        }
+      }
+
+      await role.save();
+      this.invalidate(databaseName, role);
+
+      return role;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete custom role
+   * Refused while users still hold it, so nobody silently loses access
+   * @returns {Promise<Object|null>} Deleted role, null if not found
+   */
+  async deleteRole(databaseName, roleId) {
+    try {
+      const role = await this.getRole(databaseName, roleId);
+
+      if (!role) {
+        return null;
+      }
+
+      if (role.isSystemRole) {
+        throw new Error('System roles cannot be deleted');
+      }
+
+      const User = await getModel(databaseName, 'User', userSchema);
+      const assigned = await User.countDocuments({ roleId: role._id });
+
+      if (assigned > 0) {
+        throw new Error(`Role is assigned to ${assigned} user(s), reassign them first`);
+      }
+
+      await role.deleteOne();
+      this.invalidate(databaseName, role);
+
+      return role;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Assign a role to a staff member
+   * Staff can hold the system staff role or any custom role
+   * @returns {Promise<Object|null>} Updated user, null if user or role not found
+   */
+  async assignRole(databaseName, userId, roleId) {
+    try {
+      const User = await getModel(databaseName, 'User', userSchema);
+      const [user, role] = await Promise.all([
+        User.findById(userId),
+        this.getRole(databaseName, roleId),
+      ]);
+
+      if (!user || !role) {
+        return null;
+      }
+
+      if (user.role !== ROLES.STAFF) {
+        throw new Error('Roles can only be assigned to staff members');
+      }
+
+      if (role.isSystemRole && role.name !== ROLES.STAFF) {
+        throw new Error(`The ${role.name} role cannot be assigned to staff`);
+      }
+
+      user.roleId = role._id;
+      await user.save();
+
+      return user;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new RoleService();
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getModel } = require('../database/modelFactory');
+const sessionSchema = require('../client/models/Session').schema;
+const userSchema = require('../client/models/User').schema;
+const { getModel: getPlatformAdminModel } = require('../platform/models/PlatformAdmin');
+const { ACCESS_TOKEN_EXPIRE, REFRESH_TOKEN_EXPIRE_DAYS } = require('../config/constants');
+
+const PLATFORM_DB = 'platform_db';
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Session Service
+ * Short-lived access tokens backed by revocable sessions with rotating refresh tokens
+ * Sessions live next to the user: platform_db for platform admins, the client database otherwise
+ */
+class SessionService {
+  /**
+   * Get Session model of the database the user belongs to
+   */
+  async getSessionModel(databaseName) {
+    return await getModel(databaseName || PLATFORM_DB, 'Session', sessionSchema);
+  }
+
+  /**
+   * Sign a short-lived access token bound to a session
+   */
+  signAccessToken(session, databaseName) {
+    const payload = {
+      id: session.userId,
+      role: session.role,
+      sid: session._id,
+    };
+
+    // Include databaseName for client users
+    if (databaseName && databaseName !== PLATFORM_DB) {
+      payload.databaseName = databaseName;
+    }
+
+    return jwt.sign(payload, process.env.JWT_SECRET, {
+      expiresIn: ACCESS_TOKEN_EXPIRE,
+    });
+  }
+
+  /**
+   * Sign a refresh token carrying a new secret and store the secret's hash on the session
+   * @returns {string} Refresh token
+   */
+  rotateRefreshToken(session, databaseName) {
+    const secret = crypto.randomBytes(32).toString('hex');
+
+    session.refreshTokenHash = hashSecret(secret);
+    session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+    return jwt.sign(
+      { sid: session._id, databaseName: databaseName || PLATFORM_DB, secret, type: 'refresh' },
+      process.env.JWT_SECRET,
+      { expiresIn: `${REFRESH_TOKEN_EXPIRE_DAYS}d` }
+    );
+  }
+
+  /**
+   * Device info recorded on the session
+   */
+  getDeviceInfo(req, deviceName = null) {
+    return {
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip,
+      ...(deviceName && { deviceName }),
+    };
+  }
+
+  /**
+   * Start a session on login
+   * @param {string} userId - User ID
+   * @param {string} role - User role
+   * @param {string} databaseName - Client database name (null for platform admins)
+   * @param {Object} req - Express request (device info)
+   * @param {string} deviceName - Optional device label chosen by the user
+   * @returns {Promise<Object>} { token, refreshToken, session }
+   */
+  async createSession(userId, role, databaseName, req, deviceName = null) {
+    try {
+      const Session = await this.getSessionModel(databaseName);
+
+      const session = new Session({
+        userId,
+        role,
+        ...this.getDeviceInfo(req, deviceName),
+      });
+
+      const refreshToken = this.rotateRefreshToken(session, databaseName);
+      await session.save();
+
+      return {
+        token: this.signAccessToken(session, databaseName),
+        refreshToken,
+        session,
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * Presenting an already rotated refresh token revokes the session (token theft)
+   * @returns {Promise<Object|null>} { token, refreshToken, session } or null if the token is not valid
+   */
+  async refreshSession(refreshToken, req) {
+    try {
+      let decoded;
+      try {
+        decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
+      } catch (error) {
+        return null;
+      }
+
+      if (decoded.type !== 'refresh') {
+        return null;
+      }
+
+      const Session = await this.getSessionModel(decoded.databaseName);
+      const session = await Session.findById(decoded.sid).select('+refreshTokenHash');
+
+      if (!session || !session.isActive()) {
+        return null;
+      }
+
+      if (session.refreshTokenHash !== hashSecret(decoded.secret)) {
+        session.revokedAt = new Date();
+        session.revokedReason = 'token_reuse';
+        await session.save();
+        return null;
+      }
+
+      if (!(await this.isUserActive(decoded.databaseName, session.userId))) {
+        session.revokedAt = new Date();
+        session.revokedReason = 'user_deactivated';
+        await session.save();
+        return null;
+      }
+
+      const databaseName = decoded.databaseName === PLATFORM_DB ? null : decoded.databaseName;
+      const newRefreshToken = this.rotateRefreshToken(session, databaseName);
+      Object.assign(session, this.getDeviceInfo(req), { lastUsedAt: new Date() });
+      await session.save();
+
+      return {
+        token: this.signAccessToken(session, databaseName),
+        refreshToken: newRefreshToken,
+        session,
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the session owner can still sign in
+   */
+  async isUserActive(databaseName, userId) {
+    const User = databaseName && databaseName !== PLATFORM_DB
+      ? await getModel(databaseName, 'User', userSchema)
+      : getPlatformAdminModel();
+
+    const user = await User.findById(userId);
+
+    return !!user && user.isActive;
+  }
+
+  /**
+   * Get an active session (used by the authenticate middleware)
+   * @returns {Promise<Object|null>} Session or null if missing, revoked or expired
+   */
+  async getActiveSession(databaseName, sessionId) {
+    try {
+      const Session = await this.getSessionModel(databaseName);
+      const session = await Session.findById(sessionId);
+
+      return session && session.isActive() ? session : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's active sessions
+   */
+  async getUserSessions(databaseName, userId) {
+    try {
+      const Session = await this.getSessionModel(databaseName);
+
+      return await Session.find({
+        userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      }).sort({ lastUsedAt: -1 });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   */
+  async revokeSession(databaseName, userId, sessionId, reason = 'revoked') {
+    try {
+      const Session = await this.getSessionModel(databaseName);
+
+      const session = await Session.findOneAndUpdate(
+        { _id: sessionId, userId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason },
+        { new: true }
+      );
+
+      if (!session) {
+        throw new Error('Session not found');
+      }
+
+      return session;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every session of a user (logout everywhere, deactivated accounts)
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllSessions(databaseName, userId, reason = 'logout_all') {
+    try {
+      const Session = await this.getSessionModel(databaseName);
+
+      const result = await Session.updateMany(
+        { userId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+      );
+
+      return result.modifiedCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new SessionService();
@@ -1,5 +1,6 @@
 const { getModel } = require('../database/modelFactory');
 const slotSchema = require('../client/models/Slot').schema;
+const slotChain = require('../utils/slotChain');
 const moment = require('moment');
 
 /**
@@ -15,9 +16,11 @@ class SlotAvailabilityService {
    * @param {string} shopId - Shop ID
    * @param {Date} startDate - Start date
    * @param {Date} endDate - End date
+   * @param {number} duration - Optional service duration (minutes); only start slots
+   *   followed by enough consecutive free slots are returned
    * @returns {Promise<Array>} Available slots
    */
-  async getAvailableSlots(databaseName, shopId, startDate, endDate) {
+  async getAvailableSlots(databaseName, shopId, startDate, endDate, duration = null) {
     try {
       const Slot = await getModel(databaseName, 'Slot', slotSchema);
 
@@ -34,9 +37,19 @@ class SlotAvailabilityService {
         .sort({ date: 1, startTime: 1 });
 
       // Filter slots that have capacity and are not blocked
-      return slots.filter((slot) => {
+      const available = slots.filter((slot) => {
         return !slot.isBlocked && slot.status === 'available' && slot.bookedCount < slot.capacity;
       });
+
+      if (!duration) {
+        return available;
+      }
+
+      const availableByKey = slotChain.indexSlots(available);
+
+      return available.filter((slot) =>
+        slotChain.findConsecutiveSlots(slot, availableByKey, slotChain.getSlotsNeeded(slot, duration))
+      );
     } catch (error) {
       throw error;
     }
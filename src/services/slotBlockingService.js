@@ -1,7 +1,10 @@
 const { getModel } = require('../database/modelFactory');
 const slotSchema = require('../client/models/Slot').schema;
 const bookingSchema = require('../client/models/Booking').schema;
+const waitlistService = require('./waitlistService');
+const notificationService = require('./notificationService');
 const moment = require('moment');
+const { NOTIFICATION_TYPE } = require('../config/constants');
 
 /**
  * Slot Blocking Service
@@ -61,6 +64,10 @@ class SlotBlockingService {
 
         await booking.save();
         cancelledBookings.push(booking);
+
+        notificationService.notifyBooking(databaseName, booking, NOTIFICATION_TYPE.CANCELLATION, {
+          reason: booking.cancellationReason,
+        });
       }
 
       // Mark slot as blocked
@@ -153,6 +160,9 @@ class SlotBlockingService {
 
       await slot.save();
 
+      // Hand reopened capacity to waitlisted customers
+      await waitlistService.promoteNext(databaseName, shopId, slot._id);
+
       // Emit Socket.IO event for slot updates
       if (global.slotSocket) {
         try {
@@ -215,6 +225,10 @@ class SlotBlockingService {
 
         await booking.save();
         cancelledBookings.push(booking);
+
+        notificationService.notifyBooking(databaseName, booking, NOTIFICATION_TYPE.CANCELLATION, {
+          reason: booking.cancellationReason,
+        });
       }
 
       // Mark slot as blocked
@@ -289,6 +303,9 @@ class SlotBlockingService {
 
       await slot.save();
 
+      // Hand reopened capacity to waitlisted customers
+      await waitlistService.promoteNext(databaseName, shopId, slot._id);
+
       // Emit Socket.IO event for slot updates
       if (global.slotSocket) {
         try {
@@ -1,22 +1,32 @@
-const Slot = require('../models/Slot');
-const Shop = require('../models/Shop');
-const StaffProfile = require('../models/StaffProfile');
+const { getModel } = require('../database/modelFactory');
+const slotSchema = require('../client/models/Slot').schema;
+const shopSchema = require('../client/models/Shop').schema;
+const staffProfileSchema = require('../client/models/StaffProfile').schema;
+const staffScheduleService = require('./staffScheduleService');
+const slotChain = require('../utils/slotChain');
 const moment = require('moment');
 const { DEFAULT_SLOT_DURATION } = require('../config/constants');
 
 /**
  * Slot Service
  * Handles dynamic slot generation and management
+ * Works with database-per-client architecture
  */
 class SlotService {
   /**
    * Generate slots for a shop for a specific date
-   * Slot capacity = number of active staff
+   * Slot capacity = number of staff on duty for the slot window
+   * (shifts, breaks, overrides and approved leave); a shop without active staff
+   * gets full slots with capacity 0, the same as updateSlotCapacity leaves them
    */
-  async generateSlotsForDate(tenantId, shopId, date) {
+  async generateSlotsForDate(databaseName, shopId, date) {
     try {
+      const Slot = await getModel(databaseName, 'Slot', slotSchema);
+      const Shop = await getModel(databaseName, 'Shop', shopSchema);
+      const StaffProfile = await getModel(databaseName, 'StaffProfile', staffProfileSchema);
+
       // Get shop details
-      const shop = await Shop.findOne({ _id: shopId, tenantId });
+      const shop = await Shop.findOne({ _id: shopId });
 
       if (!shop) {
         throw new Error('Shop not found');
@@ -24,15 +34,10 @@ class SlotService {
 
       // Get active staff count for this shop
       const activeStaffCount = await StaffProfile.countDocuments({
-        tenantId,
         shopId,
         isActive: true,
       });
 
-      if (activeStaffCount === 0) {
-        throw new Error('No active staff found for this shop');
-      }
-
       // Get day of week
       const dayOfWeek = moment(date).format('dddd').toLowerCase();
       const workingHours = shop.workingHours[dayOfWeek];
@@ -41,6 +46,8 @@ class SlotService {
         return []; // Shop is closed on this day
       }
 
+      const getStaffOnDuty = await staffScheduleService.getDutyCalculator(databaseName, shopId, date);
+
       const slots = [];
       const slotDuration = shop.slotDuration || DEFAULT_SLOT_DURATION;
       const startTime = moment(workingHours.start, 'HH:mm');
@@ -62,22 +69,23 @@ class SlotService {
 
         // Check if slot already exists
         const existingSlot = await Slot.findOne({
-          tenantId,
           shopId,
           date: moment(date).startOf('day').toDate(),
           startTime: currentTime.format('HH:mm'),
         });
 
         if (!existingSlot) {
+          const onDutyCount = getStaffOnDuty(currentTime.format('HH:mm'), slotEndTime.format('HH:mm')).length;
+
+          // Slots nobody is on duty for are kept (full) so later schedule changes can open them
           const slot = await Slot.create({
-            tenantId,
             shopId,
             date: moment(date).startOf('day').toDate(),
             startTime: currentTime.format('HH:mm'),
             endTime: slotEndTime.format('HH:mm'),
-            capacity: activeStaffCount,
-            maxCapacity: activeStaffCount,
-            status: 'available',
+            capacity: onDutyCount,
+            maxCapacity: Math.max(activeStaffCount, 1),
+            status: onDutyCount > 0 ? 'available' : 'full',
           });
 
           slots.push(slot);
@@ -95,14 +103,14 @@ class SlotService {
   /**
    * Generate slots for multiple days (up to booking advance days)
    */
-  async generateSlotsForDateRange(tenantId, shopId, startDate, endDate) {
+  async generateSlotsForDateRange(databaseName, shopId, startDate, endDate) {
     const slots = [];
     const currentDate = moment(startDate);
     const end = moment(endDate);
 
     while (currentDate.isSameOrBefore(end, 'day')) {
       const daySlots = await this.generateSlotsForDate(
-        tenantId,
+        databaseName,
         shopId,
         currentDate.toDate()
       );
@@ -114,28 +122,33 @@ class SlotService {
   }
 
   /**
-   * Update slot capacity based on current staff count
+   * Update slot capacity based on staff on duty for each slot window
    */
-  async updateSlotCapacity(tenantId, shopId, date) {
+  async updateSlotCapacity(databaseName, shopId, date) {
     try {
+      const Slot = await getModel(databaseName, 'Slot', slotSchema);
+      const StaffProfile = await getModel(databaseName, 'StaffProfile', staffProfileSchema);
+
       const activeStaffCount = await StaffProfile.countDocuments({
-        tenantId,
         shopId,
         isActive: true,
       });
 
       const slots = await Slot.find({
-        tenantId,
         shopId,
         date: moment(date).startOf('day').toDate(),
         status: { $ne: 'blocked' },
       });
 
+      const getStaffOnDuty = await staffScheduleService.getDutyCalculator(databaseName, shopId, date);
+
       for (const slot of slots) {
+        const onDutyCount = getStaffOnDuty(slot.startTime, slot.endTime).length;
+
         // Update capacity but don't reduce below current bookings
-        const newCapacity = Math.max(activeStaffCount, slot.bookedCount);
+        const newCapacity = Math.max(onDutyCount, slot.bookedCount);
         slot.capacity = newCapacity;
-        slot.maxCapacity = activeStaffCount;
+        slot.maxCapacity = Math.max(activeStaffCount, 1);
 
         if (slot.bookedCount >= slot.capacity) {
           slot.status = 'full';
@@ -152,78 +165,15 @@ class SlotService {
     }
   }
 
-  /**
-   * Block a slot
-   */
-  async blockSlot(tenantId, shopId, slotId, blockedBy, reason) {
-    try {
-      const slot = await Slot.findOne({
-        _id: slotId,
-        tenantId,
-        shopId,
-      });
-
-      if (!slot) {
-        throw new Error('Slot not found');
-      }
-
-      slot.status = 'blocked';
-      slot.blockedBy = blockedBy;
-      slot.blockedReason = reason;
-
-      await slot.save();
-
-      // Emit Socket.IO event
-      if (global.slotSocket) {
-        await global.slotSocket.notifySlotCapacityChange(tenantId, shopId);
-      }
-
-      return slot;
-    } catch (error) {
-      throw error;
-    }
-  }
-
-  /**
-   * Unblock a slot
-   */
-  async unblockSlot(tenantId, shopId, slotId) {
-    try {
-      const slot = await Slot.findOne({
-        _id: slotId,
-        tenantId,
-        shopId,
-      });
-
-      if (!slot) {
-        throw new Error('Slot not found');
-      }
-
-      slot.status = slot.bookedCount >= slot.capacity ? 'full' : 'available';
-      slot.blockedBy = null;
-      slot.blockedReason = null;
-
-      await slot.save();
-
-      // Emit Socket.IO event
-      if (global.slotSocket) {
-        await global.slotSocket.notifySlotCapacityChange(tenantId, shopId);
-      }
-
-      return slot;
-    } catch (error) {
-      throw error;
-    }
-  }
-
   /**
    * Reduce slot capacity manually
    */
-  async reduceSlotCapacity(tenantId, shopId, slotId, newCapacity) {
+  async reduceSlotCapacity(databaseName, shopId, slotId, newCapacity) {
     try {
+      const Slot = await getModel(databaseName, 'Slot', slotSchema);
+
       const slot = await Slot.findOne({
         _id: slotId,
-        tenantId,
         shopId,
       });
 
@@ -247,7 +197,7 @@ class SlotService {
 
       // Emit Socket.IO event
       if (global.slotSocket) {
-        await global.slotSocket.notifySlotCapacityChange(tenantId, shopId);
+        await global.slotSocket.notifySlotCapacityChange(databaseName, shopId);
       }
 
       return slot;
@@ -257,25 +207,37 @@ class SlotService {
   }
 
   /**
-   * Get available slots for a shop and date range
+   * Get the consecutive slots a service of `duration` minutes occupies from a start slot
+   * Availability of the returned slots is left to the caller
+   * @param {string} databaseName - Client database name
+   * @param {string} shopId - Shop ID
+   * @param {Object} slot - Start slot
+   * @param {number} duration - Service duration in minutes
+   * @returns {Promise<Array>} Slots in time order, starting with `slot`
+   * @throws {Error} If the day ends before the service would
    */
-  async getAvailableSlots(tenantId, shopId, startDate, endDate) {
+  async getConsecutiveSlots(databaseName, shopId, slot, duration) {
     try {
-      const slots = await Slot.find({
-        tenantId,
+      const needed = slotChain.getSlotsNeeded(slot, duration);
+
+      if (needed === 1) {
+        return [slot];
+      }
+
+      const Slot = await getModel(databaseName, 'Slot', slotSchema);
+      const daySlots = await Slot.find({
         shopId,
-        date: {
-          $gte: moment(startDate).startOf('day').toDate(),
-          $lte: moment(endDate).endOf('day').toDate(),
-        },
-        isBlocked: false, // Exclude blocked slots
-        status: 'available',
-      })
-        .populate('shopId', 'name')
-        .sort({ date: 1, startTime: 1 });
-
-      // Filter slots that have capacity and are not blocked
-      return slots.filter((slot) => !slot.isBlocked && slot.bookedCount < slot.capacity);
+        date: slot.date,
+        startTime: { $gte: slot.startTime },
+      });
+
+      const chain = slotChain.findConsecutiveSlots(slot, slotChain.indexSlots(daySlots), needed);
+
+      if (!chain) {
+        throw new Error('Not enough consecutive time available for this service');
+      }
+
+      return chain;
     } catch (error) {
       throw error;
     }
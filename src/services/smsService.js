@@ -0,0 +1,47 @@
+const { createSmsTransport } = require('../notifications/transports');
+const { renderSms } = require('../notifications/templates/sms');
+
+/**
+ * SMS Service
+ * Renders SMS templates and delivers through the configured transport
+ */
+class SmsService {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * Lazily create the transport so configuration is read after dotenv loads
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createSmsTransport();
+    }
+    return this.transport;
+  }
+
+  /**
+   * Replace the transport (e.g. a provider client)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Send a templated text message
+   * @param {string} to - Recipient phone number
+   * @param {string} template - Template name (see notifications/templates/sms)
+   * @param {Object} data - Template data
+   * @returns {Promise<Object>} Transport result ({ messageId })
+   */
+  async send(to, template, data) {
+    try {
+      const text = renderSms(template, data);
+      return await this.getTransport().send({ to, text });
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new SmsService();
@@ -0,0 +1,309 @@
+const { getModel } = require('../database/modelFactory');
+const staffProfileSchema = require('../client/models/StaffProfile').schema;
+const bookingSchema = require('../client/models/Booking').schema;
+const slotSchema = require('../client/models/Slot').schema;
+const userSchema = require('../client/models/User').schema;
+const slotChain = require('../utils/slotChain');
+const staffScheduleService = require('./staffScheduleService');
+const moment = require('moment');
+const { BOOKING_STATUS } = require('../config/constants');
+
+// Bookings that keep a stylist busy for their slot
+const ACTIVE_STATUSES = [
+  BOOKING_STATUS.PENDING,
+  BOOKING_STATUS.CONFIRMED,
+  BOOKING_STATUS.ARRIVED,
+  BOOKING_STATUS.IN_PROGRESS,
+];
+
+/**
+ * Staff Availability Service
+ * Per-stylist availability on top of slot headcount capacity
+ * Only staff on duty for the slot window (see staffScheduleService) are offered
+ * Works with database-per-client architecture
+ */
+class StaffAvailabilityService {
+  /**
+   * Whether a staff member can perform a service
+   * Staff without any specialization are treated as generalists
+   */
+  isQualified(staffProfile, service) {
+    if (!service || !service.category || service.category === 'other') {
+      return true;
+    }
+
+    if (!staffProfile.specialization || staffProfile.specialization.length === 0) {
+      return true;
+    }
+
+    return staffProfile.specialization.includes(service.category);
+  }
+
+  /**
+   * Get active staff of a shop qualified for a service
+   */
+  async getQualifiedStaff(databaseName, shopId, service = null) {
+    try {
+      const [StaffProfile] = await Promise.all([
+        getModel(databaseName, 'StaffProfile', staffProfileSchema),
+        // Registered for populate
+        getModel(databaseName, 'User', userSchema),
+      ]);
+
+      const staff = await StaffProfile.find({ shopId, isActive: true })
+        .populate('userId', 'firstName lastName');
+
+      return staff.filter((profile) => this.isQualified(profile, service));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Map of slotId -> Set of busy staff IDs for the given slots
+   * excludeBookingId leaves out a booking that is being moved
+   */
+  async getBusyStaffBySlot(databaseName, shopId, slotIds, excludeBookingId = null) {
+    try {
+      const Booking = await getModel(databaseName, 'Booking', bookingSchema);
+
+      const query = {
+        shopId,
+        $or: [{ slotId: { $in: slotIds } }, { slotIds: { $in: slotIds } }],
+        status: { $in: ACTIVE_STATUSES },
+      };
+
+      if (excludeBookingId) {
+        query._id = { $ne: excludeBookingId };
+      }
+
+      const bookings = await Booking.find(query).select('slotId slotIds staffId services');
+
+      const busy = new Map();
+
+      for (const booking of bookings) {
+        // Multi-service bookings keep each stylist busy only during their own service
+        const assignments = booking.services.some((item) => item.staffId)
+          ? booking.services
+            .filter((item) => item.staffId)
+            .map((item) => [item.staffId, item.slotIds.length > 0 ? item.slotIds : booking.getSlotIds()])
+          : booking.staffId
+            ? [[booking.staffId, booking.getSlotIds()]]
+            : [];
+
+        for (const [staffId, occupiedSlotIds] of assignments) {
+          for (const slotId of occupiedSlotIds) {
+            const key = slotId.toString();
+            if (!busy.has(key)) {
+              busy.set(key, new Set());
+            }
+            busy.get(key).add(staffId.toString());
+          }
+        }
+      }
+
+      return busy;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Attach available stylists to each slot and optionally filter
+   * @param {string} databaseName - Client database name
+   * @param {string} shopId - Shop ID
+   * @param {Array} slots - Start slots that already have headcount capacity
+   * @param {Object} options - { staffId, service }
+   * @returns {Promise<Array>} Slots with `availableStaff`, without slots nobody suitable can take
+   */
+  async filterSlotsByStaff(databaseName, shopId, slots, { staffId = null, service = null } = {}) {
+    try {
+      if (slots.length === 0) {
+        return [];
+      }
+
+      const Slot = await getModel(databaseName, 'Slot', slotSchema);
+      const qualifiedStaff = await this.getQualifiedStaff(databaseName, shopId, service);
+
+      // Slots each start would occupy for the service duration
+      const dates = [...new Set(slots.map((slot) => slot.date.getTime()))].map((time) => new Date(time));
+      const daySlots = await Slot.find({ shopId, date: { $in: dates } });
+      const slotsByKey = slotChain.indexSlots(daySlots);
+      const chains = new Map(slots.map((slot) => [
+        slot._id.toString(),
+        slotChain.findConsecutiveSlots(slot, slotsByKey, slotChain.getSlotsNeeded(slot, service?.duration)),
+      ]));
+
+      const busyBySlot = await this.getBusyStaffBySlot(
+        databaseName,
+        shopId,
+        [...chains.values()].filter(Boolean).flat().map((slot) => slot._id)
+      );
+
+      // One duty calculator per day covered by the slots
+      const dutyByDate = new Map();
+      const result = [];
+
+      for (const slot of slots) {
+        const chain = chains.get(slot._id.toString());
+
+        if (!chain) {
+          continue;
+        }
+
+        const dateKey = moment(slot.date).format('YYYY-MM-DD');
+        if (!dutyByDate.has(dateKey)) {
+          dutyByDate.set(dateKey, await staffScheduleService.getDutyCalculator(databaseName, shopId, slot.date));
+        }
+
+        const availableStaff = this.getFreeStaff(qualifiedStaff, chain, dutyByDate.get(dateKey), busyBySlot);
+
+        if (staffId && !availableStaff.some((profile) => profile._id.toString() === staffId.toString())) {
+          continue;
+        }
+
+        if (availableStaff.length === 0) {
+          continue;
+        }
+
+        result.push({
+          ...slot.toObject(),
+          availableStaff: availableStaff.map((profile) => ({
+            id: profile._id,
+            firstName: profile.userId?.firstName,
+            lastName: profile.userId?.lastName,
+            specialization: profile.specialization,
+          })),
+        });
+      }
+
+      return result;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Qualified staff on duty for the whole chain and not booked in any of its slots
+   */
+  getFreeStaff(qualifiedStaff, chain, getStaffOnDuty, busyBySlot) {
+    const onDuty = new Set(
+      getStaffOnDuty(chain[0].startTime, chain[chain.length - 1].endTime).map((profile) => profile._id.toString())
+    );
+
+    return qualifiedStaff.filter((profile) =>
+      onDuty.has(profile._id.toString()) &&
+      !chain.some((slot) => (busyBySlot.get(slot._id.toString()) || new Set()).has(profile._id.toString()))
+    );
+  }
+
+  /**
+   * Check that the stylists of an existing booking can take it in other slots
+   * Each stylist must still be active, on duty (shift, breaks, leave) and not booked elsewhere
+   * @param {string} databaseName - Client database name
+   * @param {string} shopId - Shop ID
+   * @param {Object} booking - Booking being moved
+   * @param {Array} slots - Target slots in time order
+   * @param {Array} serviceSlots - Target slots of each booked service (multi-service bookings)
+   * @throws {Error} If a stylist is not available at the target time
+   */
+  async assertStaffAvailable(databaseName, shopId, booking, slots, serviceSlots = null) {
+    try {
+      const assignments = booking.services.some((item) => item.staffId)
+        ? booking.services
+          .map((item, index) => [item.staffId, serviceSlots ? serviceSlots[index] : slots])
+          .filter(([staffId]) => staffId)
+        : booking.staffId
+          ? [[booking.staffId, slots]]
+          : [];
+
+      if (assignments.length === 0) {
+        return;
+      }
+
+      const StaffProfile = await getModel(databaseName, 'StaffProfile', staffProfileSchema);
+      const profiles = await StaffProfile.find({
+        shopId,
+        isActive: true,
+        _id: { $in: assignments.map(([staffId]) => staffId) },
+      });
+      const busyBySlot = await this.getBusyStaffBySlot(
+        databaseName,
+        shopId,
+        slots.map((slot) => slot._id),
+        booking._id
+      );
+      const getStaffOnDuty = await staffScheduleService.getDutyCalculator(databaseName, shopId, slots[0].date);
+
+      for (const [staffId, chain] of assignments) {
+        const profile = profiles.find((candidate) => candidate._id.toString() === staffId.toString());
+
+        if (!profile || this.getFreeStaff([profile], chain, getStaffOnDuty, busyBySlot).length === 0) {
+          throw new Error('Assigned stylist is not available at the new time');
+        }
+      }
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the stylist for a new booking
+   * @param {string} databaseName - Client database name
+   * @param {string} shopId - Shop ID
+   * @param {Array} slots - Consecutive slots the booking occupies
+   * @param {Object} service - Booked service
+   * @param {string} requestedStaffId - StaffProfile ID or 'any' for auto-assignment
+   * @returns {Promise<Object>} Assigned StaffProfile
+   */
+  async assignStaff(databaseName, shopId, slots, service, requestedStaffId) {
+    try {
+      const slot = slots[0];
+      const qualifiedStaff = await this.getQualifiedStaff(databaseName, shopId, service);
+      const busyBySlot = await this.getBusyStaffBySlot(databaseName, shopId, slots.map((occupied) => occupied._id));
+      const getStaffOnDuty = await staffScheduleService.getDutyCalculator(databaseName, shopId, slot.date);
+      const availableStaff = this.getFreeStaff(qualifiedStaff, slots, getStaffOnDuty, busyBySlot);
+
+      if (requestedStaffId && requestedStaffId !== 'any') {
+        const requested = availableStaff.find((profile) => profile._id.toString() === requestedStaffId.toString());
+
+        if (!requested) {
+          throw new Error('Selected stylist is not available for this service in this slot');
+        }
+
+        return requested;
+      }
+
+      if (availableStaff.length === 0) {
+        throw new Error('No stylist available for this service in this slot');
+      }
+
+      // "Any available stylist" - pick whoever has the fewest bookings that day
+      const Booking = await getModel(databaseName, 'Booking', bookingSchema);
+      const dayBookings = await Booking.aggregate([
+        {
+          $match: {
+            shopId: slot.shopId,
+            staffId: { $in: availableStaff.map((profile) => profile._id) },
+            status: { $in: ACTIVE_STATUSES },
+            scheduledAt: {
+              $gte: moment(slot.date).startOf('day').toDate(),
+              $lte: moment(slot.date).endOf('day').toDate(),
+            },
+          },
+        },
+        { $group: { _id: '$staffId', count: { $sum: 1 } } },
+      ]);
+
+      const load = new Map(dayBookings.map((entry) => [entry._id.toString(), entry.count]));
+
+      return availableStaff.reduce((best, profile) =>
+        (load.get(profile._id.toString()) || 0) < (load.get(best._id.toString()) || 0) ? profile : best
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new StaffAvailabilityService();
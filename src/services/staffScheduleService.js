@@ -0,0 +1,476 @@
+const { getModel } = require('../database/modelFactory');
+const staffScheduleSchema = require('../client/models/StaffSchedule').schema;
+const leaveRequestSchema = require('../client/models/LeaveRequest').schema;
+const staffProfileSchema = require('../client/models/StaffProfile').schema;
+const shopSchema = require('../client/models/Shop').schema;
+const slotSchema = require('../client/models/Slot').schema;
+const userSchema = require('../client/models/User').schema;
+const moment = require('moment');
+const { BOOKING_ADVANCE_DAYS } = require('../config/constants');
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/**
+ * Convert HH:mm to minutes since midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Whether two [start, end) windows (in minutes) overlap
+ */
+function overlaps(startA, endA, startB, endB) {
+  return startA < endB && startB < endA;
+}
+
+/**
+ * Validate a shift definition ({ isWorking, start, end, breaks })
+ */
+function validateShift(shift, label) {
+  if (!shift || shift.isWorking === false) {
+    return;
+  }
+
+  if (!shift.start || !shift.end) {
+    throw new Error(`${label}: start and end times are required`);
+  }
+
+  if (toMinutes(shift.start) >= toMinutes(shift.end)) {
+    throw new Error(`${label}: start time must be before end time`);
+  }
+
+  for (const pause of shift.breaks || []) {
+    if (toMinutes(pause.start) >= toMinutes(pause.end)) {
+      throw new Error(`${label}: break start must be before break end`);
+    }
+
+    if (toMinutes(pause.start) < toMinutes(shift.start) || toMinutes(pause.end) > toMinutes(shift.end)) {
+      throw new Error(`${label}: breaks must be within the shift`);
+    }
+  }
+}
+
+/**
+ * Staff Schedule Service
+ * Weekly shifts, date overrides, breaks and leave
+ * Decides which staff are on duty for a given time window
+ * Works with database-per-client architecture
+ */
+class StaffScheduleService {
+  /**
+   * Build a duty calculator for one shop and date
+   * Loads staff, schedules and approved leave once so slot generation
+   * can query every time window without extra database round trips
+   * @param {string} databaseName - Client database name
+   * @param {string} shopId - Shop ID
+   * @param {Date} date - Day to calculate for
+   * @returns {Promise<Function>} (startTime, endTime) => StaffProfile[] on duty for the whole window
+   */
+  async getDutyCalculator(databaseName, shopId, date) {
+    try {
+      const [Shop, StaffProfile, StaffSchedule, LeaveRequest] = await Promise.all([
+        getModel(databaseName, 'Shop', shopSchema),
+        getModel(databaseName, 'StaffProfile', staffProfileSchema),
+        getModel(databaseName, 'StaffSchedule', staffScheduleSchema),
+        getModel(databaseName, 'LeaveRequest', leaveRequestSchema),
+        // Registered for populate
+        getModel(databaseName, 'User', userSchema),
+      ]);
+      const dayStart = moment(date).startOf('day');
+      const dayEnd = moment(date).endOf('day');
+      const dayOfWeek = dayStart.format('dddd').toLowerCase();
+
+      const shop = await Shop.findOne({ _id: shopId });
+      const shopHours = shop?.workingHours?.[dayOfWeek];
+
+      const staff = await StaffProfile.find({ shopId, isActive: true })
+        .populate('userId', 'firstName lastName');
+
+      const schedules = await StaffSchedule.find({ shopId });
+      const scheduleByStaff = new Map(schedules.map((schedule) => [schedule.staffId.toString(), schedule]));
+
+      const leaves = await LeaveRequest.find({
+        shopId,
+        status: 'approved',
+        startDate: { $lte: dayEnd.toDate() },
+        endDate: { $gte: dayStart.toDate() },
+      });
+
+      // Resolve each staff member's working window for the day
+      const duty = staff.map((profile) => {
+        const key = profile._id.toString();
+        const schedule = scheduleByStaff.get(key);
+        let shift = null;
+
+        if (schedule) {
+          const override = schedule.overrides.find((entry) => dayStart.isSame(entry.date, 'day'));
+          shift = override || schedule.weeklyShifts?.[dayOfWeek];
+        } else if (shopHours && shopHours.isOpen) {
+          // No schedule configured - staff work whenever the shop is open
+          shift = { isWorking: true, start: shopHours.start, end: shopHours.end, breaks: [] };
+        }
+
+        const unavailable = [];
+
+        if (shift && shift.isWorking !== false && shift.start && shift.end) {
+          for (const pause of shift.breaks || []) {
+            unavailable.push([toMinutes(pause.start), toMinutes(pause.end)]);
+          }
+        } else {
+          shift = null;
+        }
+
+        for (const leave of leaves.filter((entry) => entry.staffId.toString() === key)) {
+          if (leave.startTime && leave.endTime) {
+            unavailable.push([toMinutes(leave.startTime), toMinutes(leave.endTime)]);
+          } else {
+            shift = null;
+          }
+        }
+
+        return { profile, shift, unavailable };
+      });
+
+      return (startTime, endTime) => {
+        const start = toMinutes(startTime);
+        const end = toMinutes(endTime);
+
+        return duty
+          .filter(({ shift, unavailable }) =>
+            shift &&
+            toMinutes(shift.start) <= start &&
+            end <= toMinutes(shift.end) &&
+            !unavailable.some(([from, to]) => overlaps(start, end, from, to))
+          )
+          .map(({ profile }) => profile);
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a staff member's schedule (empty template if none configured)
+   */
+  async getSchedule(databaseName, shopId, staffId) {
+    try {
+      const StaffProfile = await getModel(databaseName, 'StaffProfile', staffProfileSchema);
+      const StaffSchedule = await getModel(databaseName, 'StaffSchedule', staffScheduleSchema);
+
+      const staff = await StaffProfile.findOne({ _id: staffId, shopId });
+
+      if (!staff) {
+        throw new Error('Staff not found');
+      }
+
+      const schedule = await StaffSchedule.findOne({ shopId, staffId });
+
+      return schedule || { shopId, staffId, weeklyShifts: null, overrides: [] };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Set the weekly shift template for a staff member
+   * @param {Object} weeklyShifts - { monday: { isWorking, start, end, breaks }, ... }
+   */
+  async setWeeklySchedule(databaseName, shopId, staffId, weeklyShifts) {
+    try {
+      const StaffProfile = await getModel(databaseName, 'StaffProfile', staffProfileSchema);
+      const StaffSchedule = await getModel(databaseName, 'StaffSchedule', staffScheduleSchema);
+
+      const staff = await StaffProfile.findOne({ _id: staffId, shopId });
+
+      if (!staff) {
+        throw new Error('Staff not found');
+      }
+
+      const shifts = {};
+
+      for (const day of WEEKDAYS) {
+        const shift = weeklyShifts[day] || { isWorking: false };
+        validateShift(shift, day);
+        shifts[day] = shift;
+      }
+
+      const schedule = await StaffSchedule.findOneAndUpdate(
+        { shopId, staffId },
+        { $set: { weeklyShifts: shifts } },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+
+      await this.refreshCapacity(databaseName, shopId, moment().toDate(), moment().add(BOOKING_ADVANCE_DAYS, 'days').toDate());
+
+      return schedule;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Add or replace a date-specific override (extra shift, shorter day, day off)
+   * @param {Object} override - { date, isWorking, start, end, breaks, reason }
+   */
+  async setOverride(databaseName, shopId, staffId, override) {
+    try {
+      const StaffProfile = await getModel(databaseName, 'StaffProfile', staffProfileSchema);
+      const StaffSchedule = await getModel(databaseName, 'StaffSchedule', staffScheduleSchema);
+
+      const staff = await StaffProfile.findOne({ _id: staffId, shopId });
+
+      if (!staff) {
+        throw new Error('Staff not found');
+      }
+
+      validateShift(override, 'Override');
+
+      const date = moment(override.date).startOf('day');
+
+      let schedule = await StaffSchedule.findOne({ shopId, staffId });
+
+      if (!schedule) {
+        // Start from the shop's hours so the override does not change other days
+        const Shop = await getModel(databaseName, 'Shop', shopSchema);
+        const shop = await Shop.findOne({ _id: shopId });
+        const weeklyShifts = {};
+
+        for (const day of WEEKDAYS) {
+          const hours = shop?.workingHours?.[day];
+          weeklyShifts[day] = hours && hours.isOpen
+            ? { isWorking: true, start: hours.start, end: hours.end, breaks: [] }
+            : { isWorking: false };
+        }
+
+        schedule = new StaffSchedule({ shopId, staffId, weeklyShifts, overrides: [] });
+      }
+
+      schedule.overrides = schedule.overrides.filter((entry) => !date.isSame(entry.date, 'day'));
+      schedule.overrides.push({
+        date: date.toDate(),
+        isWorking: override.isWorking !== false,
+        start: override.start,
+        end: override.end,
+        breaks: override.breaks || [],
+        reason: override.reason,
+      });
+
+      await schedule.save();
+
+      await this.refreshCapacity(databaseName, shopId, date.toDate(), date.toDate());
+
+      return schedule;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a date-specific override
+   */
+  async removeOverride(databaseName, shopId, staffId, date) {
+    try {
+      const StaffSchedule = await getModel(databaseName, 'StaffSchedule', staffScheduleSchema);
+
+      const schedule = await StaffSchedule.findOne({ shopId, staffId });
+      const day = moment(date).startOf('day');
+
+      if (!schedule || !schedule.overrides.some((entry) => day.isSame(entry.date, 'day'))) {
+        throw new Error('Override not found');
+      }
+
+      schedule.overrides = schedule.overrides.filter((entry) => !day.isSame(entry.date, 'day'));
+      await schedule.save();
+
+      await this.refreshCapacity(databaseName, shopId, day.toDate(), day.toDate());
+
+      return schedule;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Request leave (staff)
+   * @param {Object} leaveData - { startDate, endDate, startTime, endTime, type, reason }
+   */
+  async requestLeave(databaseName, shopId, staffId, leaveData) {
+    try {
+      const LeaveRequest = await getModel(databaseName, 'LeaveRequest', leaveRequestSchema);
+      const startDate = moment(leaveData.startDate).startOf('day');
+      const endDate = moment(leaveData.endDate || leaveData.startDate).endOf('day');
+
+      if (endDate.isBefore(startDate)) {
+        throw new Error('End date must be on or after start date');
+      }
+
+      if (startDate.isBefore(moment().startOf('day'))) {
+        throw new Error('Cannot request leave in the past');
+      }
+
+      if ((leaveData.startTime && !leaveData.endTime) || (!leaveData.startTime && leaveData.endTime)) {
+        throw new Error('Both start and end time are required for partial-day leave');
+      }
+
+      if (leaveData.startTime && toMinutes(leaveData.startTime) >= toMinutes(leaveData.endTime)) {
+        throw new Error('Leave start time must be before end time');
+      }
+
+      const overlapping = await LeaveRequest.findOne({
+        shopId,
+        staffId,
+        status: { $in: ['pending', 'approved'] },
+        startDate: { $lte: endDate.toDate() },
+        endDate: { $gte: startDate.toDate() },
+      });
+
+      if (overlapping) {
+        throw new Error('A leave request already exists for these dates');
+      }
+
+      return await LeaveRequest.create({
+        shopId,
+        staffId,
+        startDate: startDate.toDate(),
+        endDate: endDate.toDate(),
+        startTime: leaveData.startTime,
+        endTime: leaveData.endTime,
+        type: leaveData.type,
+        reason: leaveData.reason,
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * List leave requests of a shop
+   * @param {Object} filters - { status, staffId }
+   */
+  async getLeaveRequests(databaseName, shopId, filters = {}) {
+    try {
+      const [LeaveRequest] = await Promise.all([
+        getModel(databaseName, 'LeaveRequest', leaveRequestSchema),
+        // Registered for populate
+        getModel(databaseName, 'StaffProfile', staffProfileSchema),
+        getModel(databaseName, 'User', userSchema),
+      ]);
+      const query = { shopId };
+
+      if (filters.status) {
+        query.status = filters.status;
+      }
+
+      if (filters.staffId) {
+        query.staffId = filters.staffId;
+      }
+
+      return await LeaveRequest.find(query)
+        .populate({ path: 'staffId', populate: { path: 'userId', select: 'firstName lastName' } })
+        .sort({ startDate: 1 });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Approve or reject a pending leave request (client admin)
+   * Approved leave immediately reduces slot capacity for the affected days
+   * @param {boolean} approve - true to approve, false to reject
+   */
+  async reviewLeave(databaseName, shopId, leaveId, reviewerId, approve, note = null) {
+    try {
+      const LeaveRequest = await getModel(databaseName, 'LeaveRequest', leaveRequestSchema);
+
+      const leave = await LeaveRequest.findOneAndUpdate(
+        { _id: leaveId, shopId, status: 'pending' },
+        {
+          $set: {
+            status: approve ? 'approved' : 'rejected',
+            reviewedBy: reviewerId,
+            reviewedAt: new Date(),
+            reviewNote: note,
+          },
+        },
+        { new: true }
+      );
+
+      if (!leave) {
+        throw new Error('Pending leave request not found');
+      }
+
+      if (approve) {
+        await this.refreshCapacity(databaseName, shopId, leave.startDate, leave.endDate);
+      }
+
+      return leave;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel own leave request (staff)
+   * Cancelling approved leave gives the capacity back
+   */
+  async cancelLeave(databaseName, shopId, staffId, leaveId) {
+    try {
+      const LeaveRequest = await getModel(databaseName, 'LeaveRequest', leaveRequestSchema);
+
+      const leave = await LeaveRequest.findOne({
+        _id: leaveId,
+        shopId,
+        staffId,
+        status: { $in: ['pending', 'approved'] },
+      });
+
+      if (!leave) {
+        throw new Error('Leave request not found or cannot be cancelled');
+      }
+
+      const wasApproved = leave.status === 'approved';
+
+      leave.status = 'cancelled';
+      await leave.save();
+
+      if (wasApproved) {
+        await this.refreshCapacity(databaseName, shopId, leave.startDate, leave.endDate);
+      }
+
+      return leave;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Recalculate capacity of already generated slots in a date range
+   */
+  async refreshCapacity(databaseName, shopId, startDate, endDate) {
+    try {
+      // Required here to avoid a circular dependency with slotService
+      const slotService = require('./slotService');
+      const Slot = await getModel(databaseName, 'Slot', slotSchema);
+
+      const from = moment.max(moment(startDate).startOf('day'), moment().startOf('day'));
+      const dates = await Slot.distinct('date', {
+        shopId,
+        date: { $gte: from.toDate(), $lte: moment(endDate).endOf('day').toDate() },
+      });
+
+      for (const date of dates) {
+        await slotService.updateSlotCapacity(databaseName, shopId, date);
+      }
+
+      if (dates.length > 0 && global.slotSocket) {
+        await global.slotSocket.notifySlotCapacityChange(databaseName, shopId);
+      }
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new StaffScheduleService();
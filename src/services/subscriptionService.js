@@ -0,0 +1,225 @@
+const moment = require('moment');
+const { getModel: getClientAdminModel } = require('../platform/models/ClientAdmin');
+const { getModel: getSubscriptionEventModel } = require('../platform/models/SubscriptionEvent');
+const logger = require('../utils/logger');
+const { SUBSCRIPTION_STATUS, SUBSCRIPTION_GRACE_DAYS } = require('../config/constants');
+
+/**
+ * Subscription Service
+ * Subscription lifecycle of a client: active -> grace -> suspended, driven by subscriptionExpiresAt
+ * - grace: the first SUBSCRIPTION_GRACE_DAYS after expiry, client admin is read-only
+ * - suspended: back office and online booking are blocked
+ * - cancelled: set by the super admin, only a recorded payment reactivates
+ * Every status change is written to SubscriptionEvent
+ */
+class SubscriptionService {
+  /**
+   * End of the grace period for a client
+   * @returns {Date|null}
+   */
+  getGraceEndsAt(client) {
+    if (!client.subscriptionExpiresAt) {
+      return null;
+    }
+
+    return moment(client.subscriptionExpiresAt).add(SUBSCRIPTION_GRACE_DAYS, 'days').toDate();
+  }
+
+  /**
+   * Status a client should have right now according to its expiry date
+   * Cancelled subscriptions stay cancelled unless ignoreCancelled is set
+   */
+  getEffectiveStatus(client, { ignoreCancelled = false } = {}) {
+    if (client.subscriptionStatus === SUBSCRIPTION_STATUS.CANCELLED && !ignoreCancelled) {
+      return SUBSCRIPTION_STATUS.CANCELLED;
+    }
+
+    // No expiry date set - treated as active
+    if (!client.subscriptionExpiresAt) {
+      return SUBSCRIPTION_STATUS.ACTIVE;
+    }
+
+    const now = moment();
+
+    if (now.isBefore(client.subscriptionExpiresAt)) {
+      return SUBSCRIPTION_STATUS.ACTIVE;
+    }
+
+    if (now.isBefore(this.getGraceEndsAt(client))) {
+      return SUBSCRIPTION_STATUS.GRACE;
+    }
+
+    return SUBSCRIPTION_STATUS.SUSPENDED;
+  }
+
+  /**
+   * Change a client's status and record the change
+   * @param {Object} client - ClientAdmin document
+   * @param {string} toStatus - New status
+   * @param {string} reason - Why (see SubscriptionEvent.reason)
+   * @param {Object} options - { triggeredBy, note }
+   * @returns {Promise<Object|null>} The recorded event, null if the status did not change
+   */
+  async transition(client, toStatus, reason, { triggeredBy, note } = {}) {
+    const fromStatus = client.subscriptionStatus || SUBSCRIPTION_STATUS.ACTIVE;
+
+    if (fromStatus === toStatus) {
+      return null;
+    }
+
+    client.subscriptionStatus = toStatus;
+    client.subscriptionStatusChangedAt = new Date();
+    await client.save();
+
+    const SubscriptionEvent = getSubscriptionEventModel();
+    const event = await SubscriptionEvent.create({
+      clientAdminId: client._id,
+      databaseName: client.databaseName,
+      fromStatus,
+      toStatus,
+      reason,
+      subscriptionExpiresAt: client.subscriptionExpiresAt,
+      triggeredBy,
+      note,
+    });
+
+    logger.info(`Subscription of ${client.email} (${client.databaseName}): ${fromStatus} -> ${toStatus} (${reason})`);
+
+    return event;
+  }
+
+  /**
+   * Bring a client's stored status in line with its expiry date
+   * @param {string} reason - Reason to record; derived from the new status if omitted
+   */
+  async syncStatus(client, reason = null, options = {}) {
+    try {
+      const toStatus = this.getEffectiveStatus(client);
+
+      const derivedReason = {
+        [SUBSCRIPTION_STATUS.ACTIVE]: 'renewed',
+        [SUBSCRIPTION_STATUS.GRACE]: 'expired',
+        [SUBSCRIPTION_STATUS.SUSPENDED]: 'grace_ended',
+      }[toStatus];
+
+      return await this.transition(client, toStatus, reason || derivedReason, options);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Reactivate after a recorded payment (also lifts a cancellation)
+   */
+  async applyPayment(client, triggeredBy, note) {
+    try {
+      const toStatus = this.getEffectiveStatus(client, { ignoreCancelled: true });
+      return await this.transition(client, toStatus, 'payment_recorded', { triggeredBy, note });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a subscription (super admin)
+   */
+  async cancel(client, triggeredBy, note) {
+    try {
+      return await this.transition(client, SUBSCRIPTION_STATUS.CANCELLED, 'cancelled', { triggeredBy, note });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Daily job: move clients between active, grace and suspended
+   * @returns {Promise<Object>} Number of clients per new status
+   */
+  async processSubscriptions() {
+    try {
+      const ClientAdmin = getClientAdminModel();
+      const clients = await ClientAdmin.find({
+        isActive: true,
+        subscriptionStatus: { $ne: SUBSCRIPTION_STATUS.CANCELLED },
+        subscriptionExpiresAt: { $exists: true },
+      });
+
+      const changed = { active: 0, grace: 0, suspended: 0 };
+
+      for (const client of clients) {
+        try {
+          const event = await this.syncStatus(client);
+
+          if (event) {
+            changed[event.toStatus] += 1;
+          } else if (client.subscriptionStatus === SUBSCRIPTION_STATUS.ACTIVE
+            && moment(client.subscriptionExpiresAt).isBefore(moment().add(7, 'days'))) {
+            logger.info(`Client ${client.email} subscription expires soon on ${moment(client.subscriptionExpiresAt).format('YYYY-MM-DD')}`);
+          }
+        } catch (error) {
+          logger.error(`Error updating subscription status for ${client.databaseName}:`, error);
+        }
+      }
+
+      return changed;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Current status of the client owning a database
+   * Uses the expiry date directly, so access is correct between cron runs
+   * @returns {Promise<Object|null>} { status, subscriptionExpiresAt, graceEndsAt } or null if unknown database
+   */
+  async getStatusForDatabase(databaseName) {
+    try {
+      const ClientAdmin = getClientAdminModel();
+      const client = await ClientAdmin.findOne({ databaseName });
+
+      if (!client) {
+        return null;
+      }
+
+      return {
+        status: this.getEffectiveStatus(client),
+        subscriptionExpiresAt: client.subscriptionExpiresAt,
+        graceEndsAt: this.getGraceEndsAt(client),
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Status change history of a client
+   */
+  async getHistory(clientAdminId, { page = 1, limit = 20 } = {}) {
+    try {
+      const SubscriptionEvent = getSubscriptionEventModel();
+      const skip = (page - 1) * limit;
+
+      const [events, total] = await Promise.all([
+        SubscriptionEvent.find({ clientAdminId })
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        SubscriptionEvent.countDocuments({ clientAdminId }),
+      ]);
+
+      return {
+        events,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new SubscriptionService();
@@ -0,0 +1,119 @@
+const { TAX } = require('../config/constants');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Profile of shops that only set the single taxRate
+const LEGACY_PROFILE_CODE = 'standard';
+
+/**
+ * Tax Service
+ * Applies a shop's tax profiles to invoice lines
+ * A profile has named components (e.g. CGST 9% + SGST 9%); each service picks a profile through its
+ * taxCategory, exempt services are not taxed. Prices either exclude tax (added on top) or include it
+ */
+class TaxService {
+  /**
+   * Tax profiles of a shop, a single profile from taxRate when none are set
+   */
+  getProfiles(settings) {
+    if (settings?.taxProfiles?.length > 0) {
+      return settings.taxProfiles;
+    }
+
+    const rate = settings?.taxRate || 0;
+
+    return [{
+      code: LEGACY_PROFILE_CODE,
+      name: 'Standard',
+      components: rate > 0 ? [{ name: 'Tax', rate }] : [],
+    }];
+  }
+
+  /**
+   * Pricing mode of a shop (TAX.PRICING value)
+   */
+  getPricing(settings) {
+    return settings?.taxPricing || TAX.PRICING.EXCLUSIVE;
+  }
+
+  /**
+   * Profile for a service tax category
+   * Services without a category, or with one no longer configured, use the shop's default profile
+   * @returns {Object|null} Profile, null for exempt services
+   */
+  resolveProfile(settings, taxCategory) {
+    if (taxCategory === TAX.EXEMPT_CATEGORY) {
+      return null;
+    }
+
+    const profiles = this.getProfiles(settings);
+
+    return profiles.find((profile) => profile.code === taxCategory)
+      || profiles.find((profile) => profile.code === settings?.defaultTaxProfile)
+      || profiles[0];
+  }
+
+  /**
+   * Tax of invoice lines
+   * @param {Object} settings - ShopSettings of the shop (null for no tax)
+   * @param {Array} lines - [{ amount, taxCategory }], amount is the price charged after discounts
+   * @returns {Object} { lines: [{ taxCategory, taxRate, taxableAmount, tax }], breakdown: [{ name, rate, taxableAmount, amount }], taxableAmount, tax, total }
+   */
+  calculate(settings, lines) {
+    const inclusive = this.getPricing(settings) === TAX.PRICING.INCLUSIVE;
+    const breakdown = new Map();
+
+    const taxed = lines.map((line) => {
+      const profile = this.resolveProfile(settings, line.taxCategory);
+      const components = profile ? profile.components : [];
+      const taxRate = components.reduce((sum, component) => sum + component.rate, 0);
+      const amount = round(line.amount);
+
+      const taxableAmount = inclusive ? round(amount / (1 + taxRate / 100)) : amount;
+      const lineTax = inclusive ? round(amount - taxableAmount) : null;
+
+      // Inclusive tax is split across components by rate, the last one takes the rounding difference
+      let remaining = lineTax;
+      const shares = components.map((component, index) => {
+        let share;
+        if (!inclusive) {
+          share = round((taxableAmount * component.rate) / 100);
+        } else if (index === components.length - 1) {
+          share = round(remaining);
+        } else {
+          share = taxRate > 0 ? round((lineTax * component.rate) / taxRate) : 0;
+          remaining -= share;
+        }
+        return { name: component.name, rate: component.rate, amount: share };
+      });
+
+      for (const share of shares) {
+        const key = `${share.name}|${share.rate}`;
+        const entry = breakdown.get(key) || { name: share.name, rate: share.rate, taxableAmount: 0, amount: 0 };
+        entry.taxableAmount = round(entry.taxableAmount + taxableAmount);
+        entry.amount = round(entry.amount + share.amount);
+        breakdown.set(key, entry);
+      }
+
+      return {
+        taxCategory: profile ? profile.code : TAX.EXEMPT_CATEGORY,
+        taxRate,
+        taxableAmount,
+        tax: round(shares.reduce((sum, share) => sum + share.amount, 0)),
+      };
+    });
+
+    const taxableAmount = round(taxed.reduce((sum, line) => sum + line.taxableAmount, 0));
+    const tax = round(taxed.reduce((sum, line) => sum + line.tax, 0));
+
+    return {
+      lines: taxed,
+      breakdown: [...breakdown.values()],
+      taxableAmount,
+      tax,
+      total: round(taxableAmount + tax),
+    };
+  }
+}
+
+module.exports = new TaxService();
@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const totp = require('../utils/totp');
+const { getModel: getPlatformAdminModel } = require('../platform/models/PlatformAdmin');
+const { getModel: getClientAdminModel } = require('../platform/models/ClientAdmin');
+const { getModel: getPlatformSettingsModel } = require('../platform/models/PlatformSettings');
+const { ROLES } = require('../config/constants');
+
+const ISSUER = 'BookACut';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRE = '5m';
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const hashCode = (code) => crypto.createHash('sha256').update(code.trim().toLowerCase()).digest('hex');
+
+/**
+ * Two-Factor Service
+ * Optional TOTP (RFC 6238) second factor for platform super admins and client admins
+ * 2FA state lives on PlatformAdmin / ClientAdmin in platform_db
+ */
+class TwoFactorService {
+  /**
+   * Whether a role can use 2FA
+   */
+  isEligible(role) {
+    return role === ROLES.PLATFORM_SUPER_ADMIN || role === ROLES.CLIENT_ADMIN;
+  }
+
+  /**
+   * Load the admin account holding 2FA state
+   * @param {Object} identity - { role, userId, email, databaseName }
+   * @returns {Promise<Object>} PlatformAdmin or ClientAdmin document with 2FA secrets selected
+   */
+  async getAccount({ role, userId, email, databaseName }) {
+    let account = null;
+
+    if (role === ROLES.PLATFORM_SUPER_ADMIN) {
+      account = await getPlatformAdminModel().findById(userId).select(SECRET_FIELDS);
+    } else if (role === ROLES.CLIENT_ADMIN) {
+      account = await getClientAdminModel()
+        .findOne({ email: email.toLowerCase(), databaseName })
+        .select(SECRET_FIELDS);
+    }
+
+    if (!account) {
+      throw new Error('Two-factor authentication is only available to admins');
+    }
+
+    return account;
+  }
+
+  /**
+   * Whether the super admin requires 2FA for all admins
+   */
+  async isRequired() {
+    const PlatformSettings = getPlatformSettingsModel();
+    const settings = await PlatformSettings.getSettings();
+    return settings.requireAdminTwoFactor;
+  }
+
+  /**
+   * What login needs before a session can be issued
+   * @returns {Promise<string|null>} 'verify' (enter code), 'setup' (must enrol first) or null
+   */
+  async getLoginRequirement(identity) {
+    try {
+      if (!this.isEligible(identity.role)) {
+        return null;
+      }
+
+      const account = await this.getAccount(identity);
+
+      if (account.twoFactor?.enabled) {
+        return 'verify';
+      }
+
+      return (await this.isRequired()) ? 'setup' : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Short-lived token carrying a half-finished login to the 2FA step
+   * @param {string} purpose - 'verify' or 'setup'
+   */
+  signChallenge(identity, purpose) {
+    return jwt.sign(
+      {
+        type: '2fa',
+        purpose,
+        id: identity.userId,
+        role: identity.role,
+        email: identity.email,
+        databaseName: identity.databaseName,
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: CHALLENGE_EXPIRE }
+    );
+  }
+
+  /**
+   * Read a challenge token
+   * @returns {Object|null} { purpose, userId, role, email, databaseName } or null if invalid/expired
+   */
+  verifyChallenge(token, purpose) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      if (decoded.type !== '2fa' || decoded.purpose !== purpose) {
+        return null;
+      }
+
+      return {
+        userId: decoded.id,
+        role: decoded.role,
+        email: decoded.email,
+        databaseName: decoded.databaseName,
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Start enrolment: a new secret waiting for its first code
+   * @returns {Promise<Object>} { secret, otpauthUrl }
+   */
+  async beginEnrolment(identity) {
+    try {
+      const account = await this.getAccount(identity);
+
+      if (account.twoFactor?.enabled) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      const secret = totp.generateSecret();
+      account.twoFactor.pendingSecret = secret;
+      await account.save();
+
+      return {
+        secret,
+        otpauthUrl: totp.getProvisioningUri(secret, account.email, ISSUER),
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Finish enrolment with a code from the authenticator app
+   * @returns {Promise<Array>} Recovery codes (shown once)
+   */
+  async confirmEnrolment(identity, code) {
+    try {
+      const account = await this.getAccount(identity);
+
+      if (account.twoFactor?.enabled) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      if (!account.twoFactor?.pendingSecret) {
+        throw new Error('Start two-factor setup first');
+      }
+
+      const step = totp.verify(account.twoFactor.pendingSecret, code);
+
+      if (step === null) {
+        throw new Error('Invalid authentication code');
+      }
+
+      const recoveryCodes = this.generateRecoveryCodes();
+
+      account.twoFactor.secret = account.twoFactor.pendingSecret;
+      account.twoFactor.pendingSecret = undefined;
+      account.twoFactor.enabled = true;
+      account.twoFactor.enabledAt = new Date();
+      account.twoFactor.lastUsedStep = step;
+      account.twoFactor.recoveryCodes = recoveryCodes.map(hashCode);
+      await account.save();
+
+      return recoveryCodes;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Check a TOTP code or a recovery code (recovery codes work once)
+   * @param {Object} credentials - { code } or { recoveryCode }
+   */
+  async verify(identity, { code, recoveryCode }) {
+    try {
+      const account = await this.getAccount(identity);
+
+      if (!account.twoFactor?.enabled) {
+        throw new Error('Two-factor authentication is not enabled');
+      }
+
+      if (recoveryCode) {
+        const hash = hashCode(recoveryCode);
+        const index = account.twoFactor.recoveryCodes.indexOf(hash);
+
+        if (index === -1) {
+          throw new Error('Invalid recovery code');
+        }
+
+        account.twoFactor.recoveryCodes.splice(index, 1);
+        await account.save();
+
+        return { method: 'recovery_code', recoveryCodesLeft: account.twoFactor.recoveryCodes.length };
+      }
+
+      const step = totp.verify(account.twoFactor.secret, code);
+
+      if (step === null || step <= (account.twoFactor.lastUsedStep ?? -1)) {
+        throw new Error('Invalid authentication code');
+      }
+
+      account.twoFactor.lastUsedStep = step;
+      await account.save();
+
+      return { method: 'totp', recoveryCodesLeft: account.twoFactor.recoveryCodes.length };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Replace recovery codes (requires a current TOTP code)
+   * @returns {Promise<Array>} New recovery codes (shown once)
+   */
+  async regenerateRecoveryCodes(identity, code) {
+    try {
+      await this.verify(identity, { code });
+
+      const account = await this.getAccount(identity);
+      const recoveryCodes = this.generateRecoveryCodes();
+
+      account.twoFactor.recoveryCodes = recoveryCodes.map(hashCode);
+      await account.save();
+
+      return recoveryCodes;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Turn 2FA off (requires a current code; not allowed while the platform requires 2FA)
+   */
+  async disable(identity, credentials) {
+    try {
+      if (await this.isRequired()) {
+        throw new Error('Two-factor authentication is required on this platform');
+      }
+
+      await this.verify(identity, credentials);
+
+      const account = await this.getAccount(identity);
+      account.twoFactor = { enabled: false };
+      await account.save();
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Status for the account settings page
+   */
+  async getStatus(identity) {
+    try {
+      const account = await this.getAccount(identity);
+
+      return {
+        enabled: !!account.twoFactor?.enabled,
+        enabledAt: account.twoFactor?.enabledAt,
+        recoveryCodesLeft: account.twoFactor?.recoveryCodes?.length || 0,
+        required: await this.isRequired(),
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Platform-wide 2FA policy (super admin)
+   */
+  async setRequired(required, updatedBy) {
+    try {
+      const PlatformSettings = getPlatformSettingsModel();
+      const settings = await PlatformSettings.getSettings();
+
+      settings.requireAdminTwoFactor = required;
+      settings.updatedBy = updatedBy;
+      await settings.save();
+
+      return settings;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Random one-time recovery codes (xxxxx-xxxxx)
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,304 @@
+const { getModel } = require('../database/modelFactory');
+const waitlistSchema = require('../client/models/Waitlist').schema;
+const slotSchema = require('../client/models/Slot').schema;
+const bookingSchema = require('../client/models/Booking').schema;
+const serviceSchema = require('../client/models/Service').schema;
+const logger = require('../utils/logger');
+const moment = require('moment');
+const { BOOKING_STATUS, WAITLIST_STATUS } = require('../config/constants');
+
+/**
+ * Waitlist Service
+ * Handles per-slot waitlists and automatic promotion when capacity frees up
+ * Works with database-per-client architecture
+ */
+class WaitlistService {
+  /**
+   * Join the waitlist of a full slot
+   * @param {string} databaseName - Client database name
+   * @param {string} shopId - Shop ID
+   * @param {string} slotId - Slot ID
+   * @param {string} serviceId - Requested service ID
+   * @param {string} customerId - Customer user ID
+   * @returns {Promise<Object>} Waitlist entry and queue position
+   */
+  async joinWaitlist(databaseName, shopId, slotId, serviceId, customerId) {
+    try {
+      const Slot = await getModel(databaseName, 'Slot', slotSchema);
+      const Service = await getModel(databaseName, 'Service', serviceSchema);
+      const Booking = await getModel(databaseName, 'Booking', bookingSchema);
+      const Waitlist = await getModel(databaseName, 'Waitlist', waitlistSchema);
+
+      const slot = await Slot.findOne({ _id: slotId, shopId });
+
+      if (!slot) {
+        throw new Error('Slot not found');
+      }
+
+      if (slot.isBlocked || slot.status === 'blocked') {
+        throw new Error('Slot is blocked and cannot be booked');
+      }
+
+      if (slot.isAvailable()) {
+        throw new Error('Slot has free capacity, book it directly');
+      }
+
+      const service = await Service.findOne({ _id: serviceId, shopId, isActive: true });
+
+      if (!service) {
+        throw new Error('Service not found or inactive');
+      }
+
+      const existingBooking = await Booking.findOne({
+        slotId: slot._id,
+        customerId,
+        status: { $in: [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.ARRIVED] },
+      });
+
+      if (existingBooking) {
+        throw new Error('You already have a booking in this slot');
+      }
+
+      const existingEntry = await Waitlist.findOne({
+        slotId: slot._id,
+        customerId,
+        status: WAITLIST_STATUS.WAITING,
+      });
+
+      if (existingEntry) {
+        throw new Error('You are already on the waitlist for this slot');
+      }
+
+      const entry = await Waitlist.create({
+        shopId,
+        slotId: slot._id,
+        customerId,
+        serviceId,
+        status: WAITLIST_STATUS.WAITING,
+      });
+
+      const position = await this.getPosition(databaseName, entry);
+
+      return { entry, position };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Leave a waitlist
+   * @param {string} databaseName - Client database name
+   * @param {string} shopId - Shop ID
+   * @param {string} entryId - Waitlist entry ID
+   * @param {string} customerId - Customer user ID (ownership check)
+   * @returns {Promise<Object>} Cancelled waitlist entry
+   */
+  async leaveWaitlist(databaseName, shopId, entryId, customerId) {
+    try {
+      const Waitlist = await getModel(databaseName, 'Waitlist', waitlistSchema);
+
+      const entry = await Waitlist.findOne({
+        _id: entryId,
+        shopId,
+        customerId,
+        status: WAITLIST_STATUS.WAITING,
+      });
+
+      if (!entry) {
+        throw new Error('Waitlist entry not found');
+      }
+
+      entry.status = WAITLIST_STATUS.CANCELLED;
+      entry.cancelledAt = new Date();
+      await entry.save();
+
+      return entry;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get 1-based queue position of a waiting entry
+   * @param {string} databaseName - Client database name
+   * @param {Object} entry - Waitlist entry
+   * @returns {Promise<number|null>} Position, or null if no longer waiting
+   */
+  async getPosition(databaseName, entry) {
+    if (entry.status !== WAITLIST_STATUS.WAITING) {
+      return null;
+    }
+
+    const Waitlist = await getModel(databaseName, 'Waitlist', waitlistSchema);
+
+    const ahead = await Waitlist.countDocuments({
+      slotId: entry.slotId,
+      status: WAITLIST_STATUS.WAITING,
+      createdAt: { $lt: entry.createdAt },
+    });
+
+    return ahead + 1;
+  }
+
+  /**
+   * Get a customer's active waitlist entries
+   * @param {string} databaseName - Client database name
+   * @param {string} customerId - Customer user ID
+   * @returns {Promise<Array>} Entries with queue positions
+   */
+  async getCustomerWaitlist(databaseName, customerId) {
+    try {
+      const Waitlist = await getModel(databaseName, 'Waitlist', waitlistSchema);
+
+      const entries = await Waitlist.find({ customerId, status: WAITLIST_STATUS.WAITING })
+        .populate('shopId', 'name address phone')
+        .populate('serviceId', 'name price duration')
+        .populate('slotId', 'date startTime endTime')
+        .sort({ createdAt: 1 });
+
+      return Promise.all(
+        entries.map(async (entry) => ({
+          ...entry.toObject(),
+          position: await this.getPosition(databaseName, entry),
+        }))
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the waiting queue for a slot (staff / admin view)
+   * @param {string} databaseName - Client database name
+   * @param {string} shopId - Shop ID
+   * @param {string} slotId - Slot ID
+   * @returns {Promise<Array>} Waiting entries in promotion order
+   */
+  async getSlotWaitlist(databaseName, shopId, slotId) {
+    try {
+      const Waitlist = await getModel(databaseName, 'Waitlist', waitlistSchema);
+
+      return await Waitlist.find({ shopId, slotId, status: WAITLIST_STATUS.WAITING })
+        .populate('customerId', 'firstName lastName phone email')
+        .populate('serviceId', 'name price duration')
+        .sort({ createdAt: 1 });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Promote waiting customers into bookings while the slot has capacity
+   * Called whenever a booking is cancelled, marked no-show or a slot is unblocked
+   * Bookings are made through bookingService.createOnlineBooking, so a promotion passes the same
+   * checks as a normal booking (consecutive capacity, stylist assignment, offers)
+   * @param {string} databaseName - Client database name
+   * @param {string} shopId - Shop ID
+   * @param {string} slotId - Slot ID
+   * @returns {Promise<Array>} Promoted entries with their new bookings
+   */
+  async promoteNext(databaseName, shopId, slotId) {
+    try {
+      // Required here: bookingService hands freed places to this service
+      const bookingService = require('./bookingService');
+
+      const Slot = await getModel(databaseName, 'Slot', slotSchema);
+      const Service = await getModel(databaseName, 'Service', serviceSchema);
+      const Booking = await getModel(databaseName, 'Booking', bookingSchema);
+      const Waitlist = await getModel(databaseName, 'Waitlist', waitlistSchema);
+
+      const slot = await Slot.findOne({ _id: slotId, shopId });
+
+      if (!slot) {
+        return [];
+      }
+
+      const scheduledAt = moment(slot.date).set({
+        hour: parseInt(slot.startTime.split(':')[0]),
+        minute: parseInt(slot.startTime.split(':')[1]),
+      }).toDate();
+
+      // Nobody can be promoted into a slot that has already started
+      if (moment(scheduledAt).isBefore(moment())) {
+        await Waitlist.updateMany(
+          { slotId: slot._id, status: WAITLIST_STATUS.WAITING },
+          { status: WAITLIST_STATUS.EXPIRED }
+        );
+        return [];
+      }
+
+      const promoted = [];
+
+      for (;;) {
+        // Claim the oldest entry atomically so concurrent frees never promote the same customer twice
+        const entry = await Waitlist.findOneAndUpdate(
+          { slotId: slot._id, status: WAITLIST_STATUS.WAITING },
+          { status: WAITLIST_STATUS.PROMOTED, promotedAt: new Date() },
+          { sort: { createdAt: 1 }, new: true }
+        );
+
+        if (!entry) {
+          break;
+        }
+
+        const service = await Service.findOne({ _id: entry.serviceId, shopId, isActive: true });
+
+        const alreadyBooked = await Booking.exists({
+          slotId: slot._id,
+          customerId: entry.customerId,
+          status: { $in: [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.ARRIVED] },
+        });
+
+        if (!service || alreadyBooked) {
+          entry.status = WAITLIST_STATUS.EXPIRED;
+          await entry.save();
+          continue;
+        }
+
+        let booking;
+        try {
+          booking = await bookingService.createOnlineBooking(
+            databaseName,
+            shopId,
+            slot._id,
+            service._id,
+            entry.customerId,
+            { notes: 'Promoted from waitlist' }
+          );
+        } catch (error) {
+          // Not bookable yet (slot still full, following slots taken, no stylist free):
+          // keep the customer at the head of the queue until more capacity frees up
+          entry.status = WAITLIST_STATUS.WAITING;
+          entry.promotedAt = undefined;
+          await entry.save();
+          logger.info(`Waitlist entry ${entry._id} not promoted yet: ${error.message}`);
+          break;
+        }
+
+        entry.promotedBookingId = booking._id;
+        await entry.save();
+
+        promoted.push({ entry, booking });
+
+        // Emit Socket.IO event
+        if (global.slotSocket) {
+          try {
+            await global.slotSocket.notifyWaitlistPromotion(databaseName, shopId, entry, booking);
+          } catch (error) {
+            logger.error('Error emitting waitlist promotion event:', error.message);
+          }
+        }
+      }
+
+      if (promoted.length > 0) {
+        logger.info(`Promoted ${promoted.length} waitlist entries: ${databaseName} - Slot ${slot._id}`);
+      }
+
+      return promoted;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new WaitlistService();
@@ -1,8 +1,9 @@
-const Slot = require('../models/Slot');
-const Booking = require('../models/Booking');
+const { getModel } = require('../database/modelFactory');
+const slotSchema = require('../client/models/Slot').schema;
 
 /**
  * Socket.IO Handler for Real-time Slot Updates
+ * Rooms are per client database and shop
  */
 class SlotSocket {
   constructor(io) {
@@ -15,18 +16,18 @@ class SlotSocket {
       console.log(`Client connected: ${socket.id}`);
 
       // Join shop room for real-time updates
-      socket.on('join-shop', async ({ tenantId, shopId }) => {
-        const room = `shop-${tenantId}-${shopId}`;
+      socket.on('join-shop', async ({ databaseName, shopId }) => {
+        const room = `shop-${databaseName}-${shopId}`;
         socket.join(room);
         console.log(`Socket ${socket.id} joined room: ${room}`);
 
         // Send current slot status
-        this.emitSlotUpdates(tenantId, shopId);
+        this.emitSlotUpdates(databaseName, shopId);
       });
 
       // Leave shop room
-      socket.on('leave-shop', ({ tenantId, shopId }) => {
-        const room = `shop-${tenantId}-${shopId}`;
+      socket.on('leave-shop', ({ databaseName, shopId }) => {
+        const room = `shop-${databaseName}-${shopId}`;
         socket.leave(room);
         console.log(`Socket ${socket.id} left room: ${room}`);
       });
@@ -40,17 +41,18 @@ class SlotSocket {
   /**
    * Emit slot updates to all clients in a shop room
    */
-  async emitSlotUpdates(tenantId, shopId) {
+  async emitSlotUpdates(databaseName, shopId) {
     try {
+      const Slot = await getModel(databaseName, 'Slot', slotSchema);
+
       const slots = await Slot.find({
-        tenantId,
         shopId,
         date: {
           $gte: new Date(new Date().setHours(0, 0, 0, 0)),
         },
       }).sort({ date: 1, startTime: 1 });
 
-      const room = `shop-${tenantId}-${shopId}`;
+      const room = `shop-${databaseName}-${shopId}`;
       this.io.to(room).emit('slot-updates', {
         success: true,
         slots,
@@ -64,9 +66,9 @@ class SlotSocket {
   /**
    * Notify about booking changes
    */
-  async notifyBookingChange(tenantId, shopId, booking) {
+  async notifyBookingChange(databaseName, shopId, booking) {
     try {
-      const room = `shop-${tenantId}-${shopId}`;
+      const room = `shop-${databaseName}-${shopId}`;
       
       // Emit booking update
       this.io.to(room).emit('booking-updated', {
@@ -76,17 +78,38 @@ class SlotSocket {
       });
 
       // Also update slots
-      await this.emitSlotUpdates(tenantId, shopId);
+      await this.emitSlotUpdates(databaseName, shopId);
     } catch (error) {
       console.error('Error notifying booking change:', error);
     }
   }
 
+  /**
+   * Notify that a waitlisted customer was promoted to a booking
+   */
+  async notifyWaitlistPromotion(databaseName, shopId, entry, booking) {
+    try {
+      const room = `shop-${databaseName}-${shopId}`;
+
+      this.io.to(room).emit('waitlist-promoted', {
+        success: true,
+        waitlistEntry: entry,
+        booking,
+        timestamp: new Date().toISOString(),
+      });
+
+      // Also update slots
+      await this.emitSlotUpdates(databaseName, shopId);
+    } catch (error) {
+      console.error('Error notifying waitlist promotion:', error);
+    }
+  }
+
   /**
    * Notify about slot capacity changes
    */
-  async notifySlotCapacityChange(tenantId, shopId) {
-    await this.emitSlotUpdates(tenantId, shopId);
+  async notifySlotCapacityChange(databaseName, shopId) {
+    await this.emitSlotUpdates(databaseName, shopId);
   }
 }
 
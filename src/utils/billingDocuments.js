@@ -0,0 +1,156 @@
+const moment = require('moment');
+const { escapeHtml } = require('../notifications/templates/layout');
+const { PLANS } = require('../config/plans');
+
+/**
+ * Billing Documents
+ * Printable HTML subscription invoices and payment receipts (open in a browser, print or save as PDF)
+ */
+
+const ISSUER = 'BookACut';
+
+const formatDate = (date) => (date ? moment(date).format('D MMM YYYY') : '-');
+const formatMoney = (amount, currency) => `${escapeHtml(currency)} ${Number(amount || 0).toFixed(2)}`;
+
+const STATUS_LABELS = {
+  open: 'Unpaid',
+  partially_paid: 'Partially paid',
+  paid: 'Paid',
+  void: 'Void',
+};
+
+/**
+ * Common page frame
+ */
+const renderPage = (title, body) => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+      body { font-family: Arial, Helvetica, sans-serif; color: #222; margin: 0; padding: 32px; }
+      .document { max-width: 720px; margin: 0 auto; }
+      .header { display: flex; justify-content: space-between; margin-bottom: 32px; }
+      h1 { margin: 0 0 4px; font-size: 24px; }
+      .muted { color: #666; }
+      table { width: 100%; border-collapse: collapse; margin: 16px 0; }
+      th, td { text-align: left; padding: 8px; border-bottom: 1px solid #ddd; }
+      .amount { text-align: right; }
+      .totals td { border-bottom: none; }
+      .status { display: inline-block; padding: 2px 8px; border: 1px solid #222; border-radius: 4px; font-size: 12px; }
+      @media print { body { padding: 0; } }
+    </style>
+  </head>
+  <body>
+    <div class="document">
+${body}
+    </div>
+  </body>
+</html>`;
+
+const renderBillTo = (client) => `      <div>
+        <strong>Bill to</strong><br>
+        ${escapeHtml(`${client.firstName} ${client.lastName}`)}<br>
+        <span class="muted">${escapeHtml(client.email)}</span>
+        ${client.phone ? `<br><span class="muted">${escapeHtml(client.phone)}</span>` : ''}
+      </div>`;
+
+/**
+ * Subscription invoice
+ * @param {Object} invoice - SubscriptionInvoice document
+ * @param {Object} client - ClientAdmin document
+ * @param {Array} payments - Payments applied to the invoice
+ * @returns {string} HTML
+ */
+const renderInvoice = (invoice, client, payments = []) => {
+  const planName = PLANS[invoice.plan]?.name || invoice.plan;
+
+  const lineRows = invoice.lineItems
+    .map((item) => `          <tr>
+            <td>${escapeHtml(item.description)}</td>
+            <td class="amount">${item.quantity}</td>
+            <td class="amount">${formatMoney(item.unitPrice, invoice.currency)}</td>
+            <td class="amount">${formatMoney(item.amount, invoice.currency)}</td>
+          </tr>`)
+    .join('\n');
+
+  const paymentRows = payments
+    .map((payment) => `          <tr>
+            <td>${formatDate(payment.paymentDate)}</td>
+            <td>${escapeHtml(payment.receiptNumber)}</td>
+            <td>${escapeHtml(payment.paymentMethod.replace('_', ' '))}</td>
+            <td class="amount">${formatMoney(payment.amount, payment.currency)}</td>
+          </tr>`)
+    .join('\n');
+
+  return renderPage(`Invoice ${invoice.invoiceNumber}`, `      <div class="header">
+        <div>
+          <h1>Invoice</h1>
+          <div class="muted">${ISSUER}</div>
+        </div>
+        <div class="amount">
+          <strong>${escapeHtml(invoice.invoiceNumber)}</strong><br>
+          Issued ${formatDate(invoice.issuedAt)}<br>
+          Due ${formatDate(invoice.dueAt)}<br>
+          <span class="status">${STATUS_LABELS[invoice.status] || escapeHtml(invoice.status)}</span>
+        </div>
+      </div>
+${renderBillTo(client)}
+      <p>${escapeHtml(planName)} plan, ${formatDate(invoice.periodStart)} - ${formatDate(invoice.periodEnd)}</p>
+      <table>
+        <thead>
+          <tr><th>Description</th><th class="amount">Months</th><th class="amount">Unit price</th><th class="amount">Amount</th></tr>
+        </thead>
+        <tbody>
+${lineRows}
+        </tbody>
+      </table>
+      <table class="totals">
+        <tr><td class="amount">Total</td><td class="amount"><strong>${formatMoney(invoice.total, invoice.currency)}</strong></td></tr>
+        <tr><td class="amount">Paid</td><td class="amount">${formatMoney(invoice.amountPaid, invoice.currency)}</td></tr>
+        <tr><td class="amount">Balance due</td><td class="amount"><strong>${formatMoney(invoice.balance, invoice.currency)}</strong></td></tr>
+      </table>
+      ${paymentRows ? `<h3>Payments</h3>
+      <table>
+        <thead>
+          <tr><th>Date</th><th>Receipt</th><th>Method</th><th class="amount">Amount</th></tr>
+        </thead>
+        <tbody>
+${paymentRows}
+        </tbody>
+      </table>` : ''}
+      ${invoice.status === 'void' ? `<p><strong>This invoice is void.</strong> ${escapeHtml(invoice.voidReason || '')}</p>` : ''}
+      ${invoice.notes ? `<p class="muted">${escapeHtml(invoice.notes)}</p>` : ''}`);
+};
+
+/**
+ * Payment receipt
+ * @param {Object} payment - SubscriptionPayment document
+ * @param {Object} invoice - Invoice the payment was applied to
+ * @param {Object} client - ClientAdmin document
+ * @returns {string} HTML
+ */
+const renderReceipt = (payment, invoice, client) => renderPage(`Receipt ${payment.receiptNumber}`, `      <div class="header">
+        <div>
+          <h1>Payment Receipt</h1>
+          <div class="muted">${ISSUER}</div>
+        </div>
+        <div class="amount">
+          <strong>${escapeHtml(payment.receiptNumber)}</strong><br>
+          ${formatDate(payment.paymentDate)}
+        </div>
+      </div>
+${renderBillTo(client)}
+      <table>
+        <tr><td>Invoice</td><td class="amount">${escapeHtml(invoice.invoiceNumber)}</td></tr>
+        <tr><td>Payment method</td><td class="amount">${escapeHtml(payment.paymentMethod.replace('_', ' '))}</td></tr>
+        ${payment.reference ? `<tr><td>Reference</td><td class="amount">${escapeHtml(payment.reference)}</td></tr>` : ''}
+        <tr><td><strong>Amount received</strong></td><td class="amount"><strong>${formatMoney(payment.amount, payment.currency)}</strong></td></tr>
+        <tr><td>Invoice balance due</td><td class="amount">${formatMoney(invoice.balance, invoice.currency)}</td></tr>
+      </table>
+      <p class="muted">Thank you for your payment.</p>`);
+
+module.exports = {
+  renderInvoice,
+  renderReceipt,
+};
@@ -0,0 +1,42 @@
+/**
+ * CSV Utility
+ * Spreadsheet-friendly CSV (RFC 4180 quoting, dates as ISO strings)
+ */
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    return value.toString === Object.prototype.toString ? JSON.stringify(value) : value.toString();
+  }
+  return String(value);
+};
+
+const escapeCell = (value) => {
+  const text = formatValue(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convert rows to CSV
+ * @param {Array} rows - Objects to export
+ * @param {Array} columns - [{ header, value: (row) => any }]
+ * @returns {string} CSV text
+ */
+const toCsv = (rows, columns) => {
+  const lines = [columns.map((column) => escapeCell(column.header)).join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCell(column.value(row))).join(','));
+  }
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  toCsv,
+};
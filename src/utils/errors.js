@@ -47,6 +47,13 @@ class ConflictError extends AppError {
   }
 }
 
+class PlanLimitError extends AppError {
+  constructor(message = 'Plan limit reached') {
+    super(message, 402);
+    this.name = 'PlanLimitError';
+  }
+}
+
 module.exports = {
   AppError,
   ValidationError,
@@ -54,5 +61,6 @@ module.exports = {
   AuthorizationError,
   NotFoundError,
   ConflictError,
+  PlanLimitError,
 };
 
@@ -0,0 +1,347 @@
+const moment = require('moment');
+const { PdfDocument, PAGE_SIZES } = require('./pdfDocument');
+const { INVOICE_LAYOUT } = require('../config/constants');
+
+/**
+ * Invoice PDF
+ * Renders a shop invoice as an A4 page or as a 58/80mm thermal receipt
+ * Shop name, address and phone come from the Shop; currency from ShopSettings
+ * Tax components and the shop's tax registration are printed as stored on the invoice
+ */
+
+const MM = 72 / 25.4;
+
+const THERMAL_LAYOUTS = {
+  [INVOICE_LAYOUT.THERMAL_80]: { width: 80 * MM, margin: 4 * MM, size: 8 },
+  [INVOICE_LAYOUT.THERMAL_58]: { width: 58 * MM, margin: 3 * MM, size: 7 },
+};
+
+const STATUS_LABELS = {
+  pending: 'Unpaid',
+  partially_paid: 'Partly paid',
+  paid: 'Paid',
+  partially_refunded: 'Partially refunded',
+  refunded: 'Refunded',
+  void: 'Void',
+  cancelled: 'Cancelled',
+};
+
+const PAID_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+const formatAmount = (amount) => Number(amount || 0).toFixed(2);
+const formatDate = (date) => moment(date).format('D MMM YYYY, HH:mm');
+
+/**
+ * Address of a shop as lines
+ */
+const addressLines = (shop) => {
+  const address = shop.address || {};
+  const cityLine = [address.zipCode, address.city].filter(Boolean).join(' ');
+
+  return [address.street, [cityLine, address.state].filter(Boolean).join(', '), address.country].filter(Boolean);
+};
+
+/**
+ * Line items and totals of an invoice
+ * Invoices from before line items were stored get a single line for the booked service
+ */
+const buildSummary = (invoice, settings) => {
+  const items = invoice.lineItems && invoice.lineItems.length > 0
+    ? invoice.lineItems
+    : [{
+      description: invoice.serviceId?.name || 'Service',
+      quantity: 1,
+      unitPrice: invoice.amount + invoice.discount,
+      amount: invoice.amount + invoice.discount,
+    }];
+
+  const totals = [{ label: 'Subtotal', value: formatAmount(items.reduce((sum, item) => sum + item.amount, 0)) }];
+
+  if (invoice.discount > 0) {
+    totals.push({ label: 'Discount', value: `-${formatAmount(invoice.discount)}` });
+  }
+
+  if (invoice.taxBreakdown && invoice.taxBreakdown.length > 0) {
+    // Included tax is part of the prices above, so it is listed without adding up
+    const included = invoice.taxPricing === 'inclusive';
+
+    totals.push({ label: included ? 'Taxable amount' : 'Net amount', value: formatAmount(invoice.amount) });
+    for (const component of invoice.taxBreakdown) {
+      totals.push({
+        label: `${included ? 'Incl. ' : ''}${component.name} (${component.rate}%)`,
+        value: formatAmount(component.amount),
+      });
+    }
+  } else {
+    // Invoices from before tax profiles
+    const taxRate = settings?.taxRate || 0;
+
+    if (invoice.tax > 0 || taxRate > 0) {
+      totals.push({ label: `Tax (${taxRate}%)`, value: formatAmount(invoice.tax) });
+    }
+  }
+
+  return { items, totals };
+};
+
+/**
+ * Payment lines under the total: each payment with its tip and change, then the balance due
+ */
+const buildPayments = (invoice) => {
+  const rows = [];
+
+  for (const payment of invoice.payments || []) {
+    rows.push({ label: `Paid (${payment.method})`, value: formatAmount(payment.amount) });
+    if (payment.tip > 0) {
+      rows.push({ label: 'Tip', value: formatAmount(payment.tip) });
+    }
+    if (payment.tendered !== undefined && payment.tendered !== null) {
+      rows.push({ label: 'Tendered', value: formatAmount(payment.tendered) });
+      rows.push({ label: 'Change', value: formatAmount(payment.change) });
+    }
+  }
+
+  if (rows.length > 0 && invoice.balance > 0) {
+    rows.push({ label: 'Balance due', value: formatAmount(invoice.balance) });
+  }
+
+  return rows;
+};
+
+/**
+ * Shop tax registration as stored on the invoice when it was issued, e.g. "GSTIN 29ABCDE1234F1Z5"
+ */
+const taxRegistration = (invoice) => (invoice.taxRegistrationNumber
+  ? `${invoice.taxRegistrationLabel || 'Tax ID'} ${invoice.taxRegistrationNumber}`
+  : null);
+
+const customerName = (customer) => (customer ? `${customer.firstName} ${customer.lastName}`.trim() : null);
+
+const paymentLine = (invoice) => {
+  if (invoice.status === 'void') {
+    return `Void${invoice.voidReason ? `: ${invoice.voidReason}` : ''}`;
+  }
+
+  if (invoice.status === 'partially_paid') {
+    return `Partly paid, ${formatAmount(invoice.balance)} due`;
+  }
+
+  if (!PAID_STATUSES.includes(invoice.status)) {
+    return STATUS_LABELS[invoice.status] || invoice.status;
+  }
+
+  const method = invoice.paymentMethod === 'split' ? 'split payment' : invoice.paymentMethod;
+  const paid = `Paid${method ? ` by ${method}` : ''}${invoice.paidAt ? ` on ${formatDate(invoice.paidAt)}` : ''}`;
+
+  return invoice.refundedAmount > 0 ? `${paid}, ${formatAmount(invoice.refundedAmount)} refunded` : paid;
+};
+
+/**
+ * A4 invoice
+ */
+const renderPage = (doc, { invoice, shop, settings, customer }) => {
+  const { width, height } = PAGE_SIZES.A4;
+  const margin = 50;
+  const right = width - margin;
+  const currency = settings?.currency || 'USD';
+  const { items, totals } = buildSummary(invoice, settings);
+
+  doc.addPage(PAGE_SIZES.A4);
+
+  // Shop (left) and invoice details (right)
+  let left = margin;
+  doc.text(shop.name, margin, left, { size: 18, bold: true });
+  left += 24;
+  for (const line of [...addressLines(shop), shop.phone, shop.email, taxRegistration(invoice)].filter(Boolean)) {
+    doc.text(line, margin, left);
+    left += 14;
+  }
+
+  let top = margin;
+  doc.text('INVOICE', right, top, { size: 18, bold: true, align: 'right' });
+  top += 24;
+  for (const line of [invoice.invoiceNumber, formatDate(invoice.createdAt), paymentLine(invoice)]) {
+    doc.text(line, right, top, { align: 'right' });
+    top += 14;
+  }
+
+  let y = Math.max(left, top) + 20;
+
+  const name = customerName(customer);
+  if (name) {
+    doc.text('Bill to', margin, y, { bold: true });
+    y += 14;
+    for (const line of [name, customer.phone, customer.email].filter(Boolean)) {
+      doc.text(line, margin, y);
+      y += 14;
+    }
+    y += 10;
+  }
+
+  // Line items
+  const columns = { description: margin, quantity: 370, unitPrice: 460, amount: right };
+  const descriptionWidth = columns.quantity - 40 - margin;
+
+  const tableHeader = () => {
+    doc.text('Description', columns.description, y, { bold: true });
+    doc.text('Qty', columns.quantity, y, { bold: true, align: 'right' });
+    doc.text('Unit price', columns.unitPrice, y, { bold: true, align: 'right' });
+    doc.text(`Amount (${currency})`, columns.amount, y, { bold: true, align: 'right' });
+    y += 16;
+    doc.line(margin, y, right, y);
+    y += 6;
+  };
+
+  tableHeader();
+
+  for (const item of items) {
+    const lines = doc.wrap(item.description, descriptionWidth);
+
+    if (y + lines.length * 14 > height - margin - 120) {
+      doc.addPage(PAGE_SIZES.A4);
+      y = margin;
+      tableHeader();
+    }
+
+    lines.forEach((line, index) => doc.text(line, columns.description, y + index * 14));
+    doc.text(String(item.quantity || 1), columns.quantity, y, { align: 'right' });
+    doc.text(formatAmount(item.unitPrice), columns.unitPrice, y, { align: 'right' });
+    doc.text(formatAmount(item.amount), columns.amount, y, { align: 'right' });
+    y += lines.length * 14 + 6;
+  }
+
+  doc.line(margin, y, right, y);
+  y += 10;
+
+  // Totals
+  for (const total of totals) {
+    doc.text(total.label, columns.unitPrice, y, { align: 'right' });
+    doc.text(total.value, columns.amount, y, { align: 'right' });
+    y += 16;
+  }
+  doc.text('Total', columns.unitPrice, y, { size: 12, bold: true, align: 'right' });
+  doc.text(`${currency} ${formatAmount(invoice.totalAmount)}`, columns.amount, y, { size: 12, bold: true, align: 'right' });
+  y += 22;
+
+  for (const payment of buildPayments(invoice)) {
+    doc.text(payment.label, columns.unitPrice, y, { align: 'right' });
+    doc.text(payment.value, columns.amount, y, { align: 'right' });
+    y += 16;
+  }
+  y += 8;
+
+  if (invoice.notes) {
+    for (const line of doc.wrap(invoice.notes, right - margin)) {
+      doc.text(line, margin, y);
+      y += 14;
+    }
+    y += 10;
+  }
+
+  doc.text('Thank you for your visit.', margin, y);
+};
+
+/**
+ * Thermal receipt, one page as long as its content
+ */
+const renderReceipt = (doc, { invoice, shop, settings, customer }, layout) => {
+  const { width, margin, size } = THERMAL_LAYOUTS[layout];
+  const right = width - margin;
+  const center = width / 2;
+  const lineHeight = size * 1.35;
+  const contentWidth = right - margin;
+  const currency = settings?.currency || 'USD';
+  const { items, totals } = buildSummary(invoice, settings);
+
+  // Height is set once the content is laid out
+  doc.addPage({ width, height: 0 });
+
+  let y = margin;
+
+  const centered = (text, options = {}) => {
+    const lineSize = options.size || size;
+    for (const line of doc.wrap(text, contentWidth, { ...options, size: lineSize })) {
+      doc.text(line, center, y, { ...options, size: lineSize, align: 'center' });
+      y += lineSize * 1.35;
+    }
+  };
+
+  const row = (label, value, options = {}) => {
+    const valueWidth = doc.widthOf(value, { size, ...options });
+    const lines = doc.wrap(label, contentWidth - valueWidth - 4, { size, ...options });
+    lines.forEach((line, index) => doc.text(line, margin, y + index * lineHeight, { size, ...options }));
+    doc.text(value, right, y, { size, ...options, align: 'right' });
+    y += lines.length * lineHeight;
+  };
+
+  const separator = () => {
+    y += 2;
+    doc.line(margin, y, right, y, { dash: true });
+    y += 4;
+  };
+
+  centered(shop.name, { size: size + 3, bold: true });
+  for (const line of [...addressLines(shop), shop.phone, taxRegistration(invoice)].filter(Boolean)) {
+    centered(line);
+  }
+  separator();
+
+  row('Invoice', invoice.invoiceNumber);
+  row('Date', formatDate(invoice.createdAt));
+  const name = customerName(customer);
+  if (name) {
+    row('Customer', name);
+  }
+  separator();
+
+  for (const item of items) {
+    row(item.description, formatAmount(item.amount));
+    if ((item.quantity || 1) > 1) {
+      doc.text(`  ${item.quantity} x ${formatAmount(item.unitPrice)}`, margin, y, { size });
+      y += lineHeight;
+    }
+  }
+  separator();
+
+  for (const total of totals) {
+    row(total.label, total.value);
+  }
+  row(`Total (${currency})`, formatAmount(invoice.totalAmount), { bold: true });
+  separator();
+
+  const payments = buildPayments(invoice);
+  if (payments.length > 0) {
+    for (const payment of payments) {
+      row(payment.label, payment.value);
+    }
+    separator();
+  }
+
+  centered(paymentLine(invoice));
+  y += 2;
+  centered('Thank you for your visit.');
+
+  doc.setPageHeight(y + margin);
+};
+
+/**
+ * Render an invoice as PDF
+ * @param {Object} data - { invoice, shop, settings, customer }
+ * @param {string} layout - INVOICE_LAYOUT value (default A4)
+ * @returns {Buffer} PDF file
+ */
+const renderInvoicePdf = (data, layout = INVOICE_LAYOUT.A4) => {
+  const doc = new PdfDocument();
+
+  if (THERMAL_LAYOUTS[layout]) {
+    renderReceipt(doc, data, layout);
+  } else {
+    renderPage(doc, data);
+  }
+
+  return doc.toBuffer();
+};
+
+module.exports = {
+  renderInvoicePdf,
+};
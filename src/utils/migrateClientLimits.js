@@ -0,0 +1,39 @@
+require('dotenv').config();
+const connectDB = require('../config/database');
+const { getModel: getClientAdminModel } = require('../platform/models/ClientAdmin');
+
+/**
+ * Client Limits Migration
+ * ClientAdmin.maxShops / maxStaff used to default to 10 / 50, so every existing client
+ * carries them and they override the subscription plan limits (see config/plans.js).
+ * Clears fields still holding those former defaults; other values are kept as overrides.
+ * Run with: npm run migrate:client-limits
+ */
+
+// Values every client admin received from the former schema defaults
+const LEGACY_DEFAULTS = {
+  maxShops: 10,
+  maxStaff: 50,
+};
+
+async function migrate() {
+  try {
+    await connectDB();
+
+    const ClientAdmin = getClientAdminModel();
+
+    for (const [field, value] of Object.entries(LEGACY_DEFAULTS)) {
+      const result = await ClientAdmin.updateMany({ [field]: value }, { $unset: { [field]: 1 } });
+      console.log(`✓ Cleared ${field} = ${value} on ${result.modifiedCount} client(s)`);
+    }
+
+    console.log('\n✓ Client limits migration completed');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error during client limits migration:', error);
+    process.exit(1);
+  }
+}
+
+// Run migration
+migrate();
@@ -0,0 +1,272 @@
+const zlib = require('zlib');
+
+/**
+ * PDF Document Utility
+ * Minimal PDF writer (text and lines, no external dependencies)
+ * Uses the standard Helvetica fonts every PDF viewer ships, so no font files are embedded
+ * Coordinates are in points (1/72 inch) measured from the top-left corner of the page
+ */
+
+// Glyph widths (1/1000 em) of the printable ASCII range 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+const DEFAULT_WIDTH = 556;
+
+// Characters outside Latin-1 that WinAnsiEncoding still has
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, // euro
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '•': 0x95, // bullet
+  '–': 0x96, // en dash
+  '—': 0x97, // em dash
+};
+
+const PAGE_SIZES = {
+  A4: { width: 595.28, height: 841.89 },
+};
+
+/**
+ * Character code of a character in WinAnsiEncoding ('?' when it has none)
+ */
+const toWinAnsi = (char) => {
+  const code = char.charCodeAt(0);
+
+  if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+    return code;
+  }
+
+  return WIN_ANSI_EXTRAS[char] || 63;
+};
+
+/**
+ * Text as a PDF string literal
+ */
+const encodeText = (text) => {
+  let encoded = '';
+
+  for (const char of String(text)) {
+    const code = toWinAnsi(char);
+
+    if (code === 40 || code === 41 || code === 92) {
+      encoded += `\\${String.fromCharCode(code)}`; // ( ) and backslash
+    } else if (code > 126) {
+      encoded += `\\${code.toString(8).padStart(3, '0')}`;
+    } else {
+      encoded += String.fromCharCode(code);
+    }
+  }
+
+  return `(${encoded})`;
+};
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+class PdfDocument {
+  constructor() {
+    this.pages = [];
+  }
+
+  /**
+   * Start a new page
+   * @param {Object} size - { width, height } in points (default A4)
+   */
+  addPage({ width, height } = PAGE_SIZES.A4) {
+    this.page = { width, height, operations: [] };
+    this.pages.push(this.page);
+    return this;
+  }
+
+  /**
+   * Change the height of the current page (roll-paper receipts are sized to their content)
+   */
+  setPageHeight(height) {
+    this.page.height = height;
+    return this;
+  }
+
+  /**
+   * Width of a text in points
+   * @param {string} text - Text
+   * @param {Object} options - { size, bold }
+   */
+  widthOf(text, { size = 10, bold = false } = {}) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let total = 0;
+
+    for (const char of String(text)) {
+      const code = char.charCodeAt(0);
+      total += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH;
+    }
+
+    return (total * size) / 1000;
+  }
+
+  /**
+   * Split a text into lines no wider than maxWidth (long words are cut)
+   */
+  wrap(text, maxWidth, options = {}) {
+    const lines = [];
+    let line = '';
+
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+
+      if (this.widthOf(candidate, options) <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+
+      if (line) {
+        lines.push(line);
+      }
+
+      // A single word wider than the line is split by characters
+      let rest = word;
+      while (this.widthOf(rest, options) > maxWidth && rest.length > 1) {
+        let cut = rest.length - 1;
+        while (cut > 1 && this.widthOf(rest.slice(0, cut), options) > maxWidth) {
+          cut -= 1;
+        }
+        lines.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+      }
+      line = rest;
+    }
+
+    if (line) {
+      lines.push(line);
+    }
+
+    return lines.length > 0 ? lines : [''];
+  }
+
+  /**
+   * Draw a single line of text
+   * @param {string} text - Text
+   * @param {number} x - Left edge, right edge when align is 'right', centre when 'center'
+   * @param {number} y - Top of the line
+   * @param {Object} options - { size, bold, align }
+   */
+  text(text, x, y, { size = 10, bold = false, align = 'left' } = {}) {
+    const width = this.widthOf(text, { size, bold });
+    let left = x;
+
+    if (align === 'right') {
+      left = x - width;
+    } else if (align === 'center') {
+      left = x - width / 2;
+    }
+
+    this.page.operations.push({ type: 'text', text: String(text), x: left, y, size, bold });
+    return this;
+  }
+
+  /**
+   * Draw a straight line
+   * @param {Object} options - { width, dash }
+   */
+  line(x1, y1, x2, y2, { width = 0.5, dash = false } = {}) {
+    this.page.operations.push({ type: 'line', x1, y1, x2, y2, width, dash });
+    return this;
+  }
+
+  /**
+   * Content stream of a page (PDF coordinates start at the bottom-left corner)
+   */
+  renderPage(page) {
+    return page.operations
+      .map((operation) => {
+        if (operation.type === 'text') {
+          const baseline = page.height - operation.y - operation.size * 0.8;
+          return `BT /${operation.bold ? 'F2' : 'F1'} ${formatNumber(operation.size)} Tf `
+            + `${formatNumber(operation.x)} ${formatNumber(baseline)} Td ${encodeText(operation.text)} Tj ET`;
+        }
+
+        return `${formatNumber(operation.width)} w ${operation.dash ? '[2 2] 0 d' : '[] 0 d'} `
+          + `${formatNumber(operation.x1)} ${formatNumber(page.height - operation.y1)} m `
+          + `${formatNumber(operation.x2)} ${formatNumber(page.height - operation.y2)} l S`;
+      })
+      .join('\n');
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Buffer} PDF file
+   */
+  toBuffer() {
+    // 1: catalog, 2: page tree, 3-4: fonts, then a page and a content stream per page
+    const objects = [];
+    const pageIds = this.pages.map((_, index) => 5 + index * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+    this.pages.forEach((page, index) => {
+      const pageId = pageIds[index];
+      const content = zlib.deflateSync(Buffer.from(this.renderPage(page), 'latin1'));
+
+      objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(page.width)} ${formatNumber(page.height)}] `
+        + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+      objects[pageId + 1] = Buffer.concat([
+        Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        content,
+        Buffer.from('\nendstream', 'latin1'),
+      ]);
+    });
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+
+    for (let id = 1; id < objects.length; id++) {
+      const body = Buffer.isBuffer(objects[id]) ? objects[id] : Buffer.from(objects[id], 'latin1');
+      const chunk = Buffer.concat([Buffer.from(`${id} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+
+      offsets[id] = length;
+      chunks.push(chunk);
+      length += chunk.length;
+    }
+
+    const xref = [
+      'xref',
+      `0 ${objects.length}`,
+      '0000000000 65535 f ',
+      ...offsets.slice(1).map((offset) => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length} /Root 1 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF',
+    ].join('\n');
+
+    chunks.push(Buffer.from(`${xref}\n`, 'latin1'));
+
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = {
+  PdfDocument,
+  PAGE_SIZES,
+};
@@ -0,0 +1,77 @@
+const moment = require('moment');
+
+/**
+ * Slot Chain Utility
+ * Helpers for services that span several consecutive slots
+ */
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const slotKey = (date, startTime) => `${moment(date).format('YYYY-MM-DD')}|${startTime}`;
+
+const slotChain = {
+  /**
+   * Number of consecutive slots a service of `duration` minutes needs
+   */
+  getSlotsNeeded: (slot, duration) => {
+    const slotLength = toMinutes(slot.endTime) - toMinutes(slot.startTime);
+
+    if (!duration || slotLength <= 0) {
+      return 1;
+    }
+
+    return Math.max(1, Math.ceil(duration / slotLength));
+  },
+
+  /**
+   * Index slots by day and start time
+   */
+  indexSlots: (slots) => new Map(slots.map((slot) => [slotKey(slot.date, slot.startTime), slot])),
+
+  /**
+   * Follow slots back to back (next.startTime === previous.endTime) from a start slot
+   * @returns {Array|null} `needed` slots starting with startSlot, or null if the day runs out
+   */
+  findConsecutiveSlots: (startSlot, slotsByKey, needed) => {
+    const chain = [startSlot];
+
+    while (chain.length < needed) {
+      const next = slotsByKey.get(slotKey(startSlot.date, chain[chain.length - 1].endTime));
+
+      if (!next) {
+        return null;
+      }
+
+      chain.push(next);
+    }
+
+    return chain;
+  },
+
+  /**
+   * Split a chain between back-to-back services
+   * @returns {Array<Array>} Slots used by each service, in order
+   */
+  splitByDurations: (slots, durations) => {
+    const slotLength = toMinutes(slots[0].endTime) - toMinutes(slots[0].startTime);
+
+    if (slotLength <= 0) {
+      return durations.map(() => slots);
+    }
+
+    let offset = 0;
+
+    return durations.map((duration) => {
+      const first = Math.min(Math.floor(offset / slotLength), slots.length - 1);
+      offset += duration || 0;
+      const last = Math.max(first, Math.min(Math.ceil(offset / slotLength), slots.length) - 1);
+
+      return slots.slice(first, last + 1);
+    });
+  },
+};
+
+module.exports = slotChain;
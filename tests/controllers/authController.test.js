@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const { getModel } = require('../../src/database/modelFactory');
+const { getModel: getClientAdminModel } = require('../../src/platform/models/ClientAdmin');
+const userSchema = require('../../src/client/models/User').schema;
+const authController = require('../../src/controllers/authController');
+const { connect, createDatabaseName, disconnect } = require('../helpers/db');
+const { createUser } = require('../helpers/fixtures');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const RECOVERY_CODE = 'recover-0001';
+
+/**
+ * Run a controller action with a minimal Express request and response
+ */
+async function call(action, body) {
+  const req = { body, ip: '127.0.0.1', get: () => 'jest' };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+  let failure = null;
+
+  await authController[action](req, res, (error) => {
+    failure = error;
+  });
+
+  if (failure) {
+    throw failure;
+  }
+
+  return res.body;
+}
+
+describe('admin login with two-factor authentication', () => {
+  let databaseName;
+  let email;
+
+  beforeAll(async () => {
+    await connect();
+    databaseName = createDatabaseName();
+    email = `owner-${databaseName}@example.com`;
+
+    await getClientAdminModel().create({
+      clientId: databaseName,
+      databaseName,
+      email,
+      firstName: 'Owner',
+      lastName: 'Test',
+      phone: '5550100',
+      twoFactor: {
+        enabled: true,
+        recoveryCodes: [crypto.createHash('sha256').update(RECOVERY_CODE).digest('hex')],
+      },
+    });
+    await createUser(databaseName, 'client_admin', email);
+  });
+
+  afterAll(async () => {
+    await getClientAdminModel().deleteOne({ databaseName });
+    await disconnect();
+  });
+
+  async function lastLogin() {
+    const User = await getModel(databaseName, 'User', userSchema);
+    return (await User.findOne({ email })).lastLogin;
+  }
+
+  it('records the last login only once the second factor is verified', async () => {
+    const challenge = await call('login', { email, password: 'Password123!' });
+
+    expect(challenge.twoFactorRequired).toBe(true);
+    expect(challenge.token).toBeUndefined();
+    expect(await lastLogin()).toBeUndefined();
+
+    const session = await call('verifyTwoFactor', {
+      twoFactorToken: challenge.twoFactorToken,
+      recoveryCode: RECOVERY_CODE,
+    });
+
+    expect(session.token).toBeDefined();
+    expect(await lastLogin()).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,99 @@
+const { getModel } = require('../../src/database/modelFactory');
+const invoiceSchema = require('../../src/client/models/Invoice').schema;
+const bookingService = require('../../src/services/bookingService');
+const staffController = require('../../src/controllers/staffController');
+const { BOOKING_STATUS, INVOICE_STATUS } = require('../../src/config/constants');
+const { connect, createDatabaseName, disconnect } = require('../helpers/db');
+const { seedShop, findSlot, createCustomer } = require('../helpers/fixtures');
+
+/**
+ * Run a controller action with a minimal Express request and response
+ */
+async function call(action, req) {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+  let failure = null;
+
+  await staffController[action](req, res, (error) => {
+    failure = error;
+  });
+
+  if (failure) {
+    throw failure;
+  }
+
+  return res.body;
+}
+
+describe('completing a service', () => {
+  let databaseName;
+  let shop;
+  let service;
+  let staff;
+  let date;
+  let customer;
+
+  const serve = async (startTime) => {
+    const slot = await findSlot(databaseName, shop._id, date, startTime);
+    const booking = await bookingService.createOnlineBooking(
+      databaseName,
+      shop._id,
+      slot._id,
+      [{ serviceId: service._id, staffId: staff[0]._id }],
+      customer._id
+    );
+    const req = {
+      params: { shopId: shop._id.toString(), bookingId: booking._id.toString() },
+      body: {},
+      user: { _id: staff[0].userId, databaseName },
+    };
+
+    await call('startService', req);
+    return await call('completeService', req);
+  };
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    databaseName = createDatabaseName();
+    ({ shop, service, staff, date } = await seedShop(databaseName));
+    customer = await createCustomer(databaseName, 'customer@example.com');
+  });
+
+  it('invoices the completed booking in the same client database', async () => {
+    const { booking, invoice } = await serve('10:00');
+
+    expect(booking.status).toBe(BOOKING_STATUS.COMPLETED);
+    expect(invoice).toMatchObject({ status: INVOICE_STATUS.PENDING, totalAmount: 100 });
+    expect(invoice.bookingId.toString()).toBe(booking._id.toString());
+    expect(invoice.lineItems[0].staffId.toString()).toBe(staff[0]._id.toString());
+
+    const Invoice = await getModel(databaseName, 'Invoice', invoiceSchema);
+    const stored = await Invoice.findOne({ bookingId: booking._id });
+    expect(stored.invoiceNumber).toBe(invoice.invoiceNumber);
+  });
+
+  it('numbers the invoices of the shop in sequence', async () => {
+    const first = await serve('10:00');
+    const second = await serve('11:00');
+
+    expect(first.invoice.invoiceNumber).toMatch(/^INV-\d{4}-000001$/);
+    expect(second.invoice.sequenceNumber).toBe(2);
+    expect(second.invoice.fiscalYear).toBe(first.invoice.fiscalYear);
+  });
+});
@@ -0,0 +1,42 @@
+const connectionManager = require('../../src/database/connectionManager');
+
+/**
+ * Test Database Helpers
+ * Every test file works in its own client databases on the server started by tests/setup/globalSetup.js
+ */
+
+let sequence = 0;
+
+/**
+ * Connect the connection manager (platform_db) to the test server
+ */
+async function connect() {
+  await connectionManager.initialize();
+}
+
+/**
+ * Name for a fresh client database
+ */
+function createDatabaseName() {
+  sequence += 1;
+  return `client_test_${process.pid}_${sequence}_db`;
+}
+
+/**
+ * Drop the client databases the file created and close all connections
+ */
+async function disconnect() {
+  for (const [databaseName, connection] of connectionManager.connections) {
+    if (databaseName !== 'platform_db') {
+      await connection.dropDatabase();
+    }
+  }
+
+  await connectionManager.closeAll();
+}
+
+module.exports = {
+  connect,
+  createDatabaseName,
+  disconnect,
+};
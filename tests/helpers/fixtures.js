@@ -0,0 +1,110 @@
+const moment = require('moment');
+const { getModel } = require('../../src/database/modelFactory');
+const shopSchema = require('../../src/client/models/Shop').schema;
+const shopSettingsSchema = require('../../src/client/models/ShopSettings').schema;
+const serviceSchema = require('../../src/client/models/Service').schema;
+const userSchema = require('../../src/client/models/User').schema;
+const staffProfileSchema = require('../../src/client/models/StaffProfile').schema;
+const slotSchema = require('../../src/client/models/Slot').schema;
+const slotService = require('../../src/services/slotService');
+
+/**
+ * Test Fixtures
+ * Seed client databases through the real models and services
+ */
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/**
+ * Create a user of any client role
+ */
+async function createUser(databaseName, role, email) {
+  const User = await getModel(databaseName, 'User', userSchema);
+
+  return await User.create({
+    email,
+    password: 'Password123!',
+    phone: '5550100',
+    firstName: email.split('@')[0],
+    lastName: 'Test',
+    role,
+  });
+}
+
+/**
+ * Create a customer
+ */
+async function createCustomer(databaseName, email) {
+  return await createUser(databaseName, 'customer', email);
+}
+
+/**
+ * Add an active stylist to a shop
+ */
+async function addStaff(databaseName, shopId, email) {
+  const StaffProfile = await getModel(databaseName, 'StaffProfile', staffProfileSchema);
+  const user = await createUser(databaseName, 'staff', email);
+
+  return await StaffProfile.create({ shopId, userId: user._id });
+}
+
+/**
+ * Seed a shop open every day, with settings, one 30 minute service, stylists
+ * and the generated slots of tomorrow
+ * @param {Object} options - { staffCount, start, end, settings }
+ * @returns {Promise<Object>} { shop, service, staff, date }
+ */
+async function seedShop(databaseName, options = {}) {
+  const { staffCount = 1, start = '09:00', end = '12:00', settings = {} } = options;
+  const Shop = await getModel(databaseName, 'Shop', shopSchema);
+  const ShopSettings = await getModel(databaseName, 'ShopSettings', shopSettingsSchema);
+  const Service = await getModel(databaseName, 'Service', serviceSchema);
+
+  const shop = await Shop.create({
+    name: 'Test Salon',
+    phone: '5550199',
+    workingHours: Object.fromEntries(DAYS.map((day) => [day, { start, end, isOpen: true }])),
+    slotDuration: 30,
+  });
+
+  await ShopSettings.create({
+    shopId: shop._id,
+    sendEmailNotifications: false,
+    ...settings,
+  });
+
+  const service = await Service.create({
+    shopId: shop._id,
+    name: 'Haircut',
+    category: 'haircut',
+    duration: 30,
+    price: 100,
+  });
+
+  const staff = [];
+  for (let index = 0; index < staffCount; index++) {
+    staff.push(await addStaff(databaseName, shop._id, `stylist${index + 1}@example.com`));
+  }
+
+  const date = moment().add(1, 'day').startOf('day').toDate();
+  await slotService.generateSlotsForDate(databaseName, shop._id, date);
+
+  return { shop, service, staff, date };
+}
+
+/**
+ * Find a generated slot by start time
+ */
+async function findSlot(databaseName, shopId, date, startTime) {
+  const Slot = await getModel(databaseName, 'Slot', slotSchema);
+
+  return await Slot.findOne({ shopId, date, startTime });
+}
+
+module.exports = {
+  createUser,
+  createCustomer,
+  addStaff,
+  seedShop,
+  findSlot,
+};
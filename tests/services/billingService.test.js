@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { getModel: getClientAdminModel } = require('../../src/platform/models/ClientAdmin');
+const { getModel: getSubscriptionInvoiceModel } = require('../../src/platform/models/SubscriptionInvoice');
+const billingService = require('../../src/services/billingService');
+const { SUBSCRIPTION_INVOICE_STATUS } = require('../../src/config/constants');
+const { connect, createDatabaseName, disconnect } = require('../helpers/db');
+
+describe('billingService.recordPayment', () => {
+  const recordedBy = new mongoose.Types.ObjectId();
+  const clientIds = [];
+  let client;
+  let invoice;
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await getClientAdminModel().deleteMany({ _id: { $in: clientIds } });
+    await getSubscriptionInvoiceModel().deleteMany({ clientAdminId: { $in: clientIds } });
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    const databaseName = createDatabaseName();
+
+    client = await getClientAdminModel().create({
+      clientId: databaseName,
+      databaseName,
+      email: `billing-${databaseName}@example.com`,
+      firstName: 'Billing',
+      lastName: 'Test',
+      phone: '5550100',
+    });
+    clientIds.push(client._id);
+    invoice = await billingService.issueInvoice(client, { months: 1, amount: 100, issuedBy: recordedBy });
+  });
+
+  const pay = (amount, paymentMethod = 'cash') =>
+    billingService.recordPayment(client, { invoiceId: invoice._id, amount, paymentMethod }, recordedBy);
+
+  it('marks a part payment as partially paid without a paid date', async () => {
+    const { invoice: updated } = await pay(40);
+
+    expect(updated.amountPaid).toBe(40);
+    expect(updated.status).toBe(SUBSCRIPTION_INVOICE_STATUS.PARTIALLY_PAID);
+    expect(updated.paidAt).toBeUndefined();
+  });
+
+  it('marks the invoice paid and extends the subscription with the last part', async () => {
+    await pay(40);
+    const { invoice: updated } = await pay(60);
+
+    expect(updated.amountPaid).toBe(100);
+    expect(updated.status).toBe(SUBSCRIPTION_INVOICE_STATUS.PAID);
+    expect(updated.paidAt).toBeInstanceOf(Date);
+
+    const stored = await getSubscriptionInvoiceModel().findById(invoice._id);
+    expect(stored.status).toBe(SUBSCRIPTION_INVOICE_STATUS.PAID);
+    expect(client.subscriptionExpiresAt.getTime()).toBe(stored.periodEnd.getTime());
+  });
+
+  it('rejects a payment above the balance', async () => {
+    await expect(pay(100.5)).rejects.toThrow('Payment exceeds the outstanding balance');
+  });
+
+  it('takes the amount back off the invoice when the payment cannot be recorded', async () => {
+    await pay(40);
+
+    await expect(pay(60, 'crypto')).rejects.toThrow();
+
+    const stored = await getSubscriptionInvoiceModel().findById(invoice._id);
+    expect(stored.amountPaid).toBe(40);
+    expect(stored.status).toBe(SUBSCRIPTION_INVOICE_STATUS.PARTIALLY_PAID);
+    expect(stored.paidAt).toBeUndefined();
+  });
+});
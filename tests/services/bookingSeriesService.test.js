@@ -0,0 +1,75 @@
+const { getModel } = require('../../src/database/modelFactory');
+const serviceSchema = require('../../src/client/models/Service').schema;
+const bookingSchema = require('../../src/client/models/Booking').schema;
+const bookingService = require('../../src/services/bookingService');
+const bookingSeriesService = require('../../src/services/bookingSeriesService');
+const {
+  BOOKING_STATUS,
+  SERIES_FREQUENCY,
+  SERIES_STATUS,
+  SERIES_OCCURRENCE_STATUS,
+} = require('../../src/config/constants');
+const { connect, createDatabaseName, disconnect } = require('../helpers/db');
+const { seedShop, findSlot, createCustomer } = require('../helpers/fixtures');
+
+describe('booking series service change', () => {
+  let databaseName;
+  let shop;
+  let service;
+  let date;
+  let customer;
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    databaseName = createDatabaseName();
+    ({ shop, service, date } = await seedShop(databaseName, { staffCount: 1 }));
+    customer = await createCustomer(databaseName, 'series@example.com');
+  });
+
+  test('an occurrence that fits neither service is unlinked from the cancelled booking', async () => {
+    const Service = await getModel(databaseName, 'Service', serviceSchema);
+    const Booking = await getModel(databaseName, 'Booking', bookingSchema);
+
+    const { series } = await bookingSeriesService.createSeries(databaseName, shop._id, customer._id, {
+      serviceId: service._id,
+      frequency: SERIES_FREQUENCY.WEEKLY,
+      startDate: date,
+      startTime: '10:00',
+      occurrenceCount: 1,
+    });
+    const originalBookingId = series.occurrences[0].bookingId;
+
+    // The hour-long service needs 10:30 too, which someone else holds
+    const longService = await Service.create({ shopId: shop._id, name: 'Colour', duration: 60, price: 200 });
+    const other = await createCustomer(databaseName, 'other@example.com');
+    const nextSlot = await findSlot(databaseName, shop._id, date, '10:30');
+    await bookingService.createOnlineBooking(databaseName, shop._id, nextSlot._id, service._id, other._id);
+
+    // ...and the original service can no longer be booked back
+    await Service.updateOne({ _id: service._id }, { isActive: false });
+
+    const { series: updated, results } = await bookingSeriesService.updateSeries(
+      databaseName,
+      shop._id,
+      series._id,
+      customer._id,
+      { serviceId: longService._id },
+      customer._id
+    );
+
+    expect(results[0].status).toBe(SERIES_OCCURRENCE_STATUS.CONFLICT);
+    expect(updated.status).toBe(SERIES_STATUS.ACTIVE);
+    expect(updated.occurrences[0].status).toBe(SERIES_OCCURRENCE_STATUS.CONFLICT);
+    expect(updated.occurrences[0].bookingId).toBeUndefined();
+
+    const original = await Booking.findById(originalBookingId);
+    expect(original.status).toBe(BOOKING_STATUS.CANCELLED);
+  });
+});
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const { getModel } = require('../../src/database/modelFactory');
+const invoiceSchema = require('../../src/client/models/Invoice').schema;
+const creditNoteSchema = require('../../src/client/models/CreditNote').schema;
+const invoiceNumberService = require('../../src/services/invoiceNumberService');
+const { connect, createDatabaseName, disconnect } = require('../helpers/db');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+describe('invoiceNumberService.assign', () => {
+  const shopId = objectId();
+  let databaseName;
+  let Invoice;
+
+  const invoiceData = (numbering) => ({
+    shopId,
+    bookingId: objectId(),
+    customerId: objectId(),
+    serviceId: objectId(),
+    lineItems: [{ description: 'Haircut', unitPrice: 20, amount: 20 }],
+    amount: 20,
+    totalAmount: 20,
+    ...numbering,
+  });
+
+  const createInvoice = (numbering) => Invoice.create(invoiceData(numbering));
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    databaseName = createDatabaseName();
+    Invoice = await getModel(databaseName, 'Invoice', invoiceSchema);
+    // The unique number indexes must exist before duplicates can be rejected
+    await Invoice.init();
+  });
+
+  it('numbers invoices in sequence per shop', async () => {
+    const date = new Date('2026-05-10');
+    const first = await invoiceNumberService.assign(databaseName, shopId, null, createInvoice, { date });
+    const second = await invoiceNumberService.assign(databaseName, shopId, null, createInvoice, { date });
+    const otherShopId = objectId();
+    const otherShop = await invoiceNumberService.assign(
+      databaseName,
+      otherShopId,
+      null,
+      (numbering) => Invoice.create({ ...invoiceData(numbering), shopId: otherShopId }),
+      { date }
+    );
+
+    expect(first.invoiceNumber).toBe('INV-2026-000001');
+    expect(first.sequenceNumber).toBe(1);
+    expect(first.fiscalYear).toBe('2026');
+    expect(second.invoiceNumber).toBe('INV-2026-000002');
+    expect(otherShop.invoiceNumber).toBe('INV-2026-000001');
+  });
+
+  it('gives concurrent calls distinct numbers without gaps', async () => {
+    const date = new Date('2026-05-10');
+
+    const invoices = await Promise.all(
+      Array.from({ length: 5 }, () => invoiceNumberService.assign(databaseName, shopId, null, createInvoice, { date }))
+    );
+
+    expect(invoices.map((invoice) => invoice.sequenceNumber).sort((a, b) => a - b)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('does not use up a number when the document is not stored', async () => {
+    const failing = jest.fn().mockRejectedValue(new Error('Validation failed'));
+
+    await expect(invoiceNumberService.assign(databaseName, shopId, null, failing)).rejects.toThrow('Validation failed');
+    expect(failing).toHaveBeenCalledTimes(1);
+
+    const invoice = await invoiceNumberService.assign(databaseName, shopId, null, createInvoice);
+    expect(invoice.sequenceNumber).toBe(1);
+  });
+
+  it('moves past numbers that are already taken', async () => {
+    const date = new Date('2026-05-10');
+    // Stored by a concurrent call that has not advanced the counter yet
+    await createInvoice({ invoiceNumber: 'INV-2026-000001', sequenceNumber: 1 });
+    await createInvoice({ invoiceNumber: 'INV-2026-000002', sequenceNumber: 2 });
+
+    const create = jest.fn(createInvoice);
+    const invoice = await invoiceNumberService.assign(databaseName, shopId, null, create, { date });
+
+    expect(invoice.invoiceNumber).toBe('INV-2026-000003');
+    expect(create).toHaveBeenCalledTimes(3);
+    expect(await Invoice.countDocuments({ shopId })).toBe(3);
+  });
+
+  it('rethrows duplicate keys on other fields instead of retrying', async () => {
+    const bookingId = objectId();
+    const create = jest.fn((numbering) => Invoice.create({ ...invoiceData(numbering), bookingId }));
+
+    await invoiceNumberService.assign(databaseName, shopId, null, create);
+
+    await expect(invoiceNumberService.assign(databaseName, shopId, null, create)).rejects.toMatchObject({ code: 11000 });
+    expect(create).toHaveBeenCalledTimes(2);
+  });
+
+  it('restarts the sequence every fiscal year when configured', async () => {
+    const settings = {
+      invoiceNumbering: { prefix: 'BILL', fiscalYearStartMonth: 4, padding: 4, resetEveryFiscalYear: true },
+    };
+    const assignOn = (day) =>
+      invoiceNumberService.assign(databaseName, shopId, settings, createInvoice, { date: new Date(day) });
+
+    const march = await assignOn('2026-03-20');
+    const april = await assignOn('2026-04-02');
+    const may = await assignOn('2026-05-02');
+
+    expect(march.invoiceNumber).toBe('BILL-2025-26-0001');
+    expect(april.invoiceNumber).toBe('BILL-2026-27-0001');
+    expect(may.invoiceNumber).toBe('BILL-2026-27-0002');
+  });
+
+  it('keeps one sequence across fiscal years unless reset', async () => {
+    const settings = { invoiceNumbering: { includeFiscalYear: false, resetEveryFiscalYear: false } };
+    const assignOn = (day) =>
+      invoiceNumberService.assign(databaseName, shopId, settings, createInvoice, { date: new Date(day) });
+
+    const first = await assignOn('2025-12-31');
+    const second = await assignOn('2026-01-01');
+
+    expect(first.invoiceNumber).toBe('INV-000001');
+    expect(second.invoiceNumber).toBe('INV-000002');
+  });
+
+  it('numbers credit notes in their own sequence', async () => {
+    const date = new Date('2026-05-10');
+    const CreditNote = await getModel(databaseName, 'CreditNote', creditNoteSchema);
+    await CreditNote.init();
+    await invoiceNumberService.assign(databaseName, shopId, null, createInvoice, { date });
+
+    const creditNote = await invoiceNumberService.assign(
+      databaseName,
+      shopId,
+      null,
+      (numbering) => CreditNote.create({
+        shopId,
+        invoiceId: objectId(),
+        invoiceNumber: 'INV-2026-000001',
+        customerId: objectId(),
+        amount: 5,
+        refundMethod: 'cash',
+        reason: 'Unhappy with the service',
+        ...numbering,
+      }),
+      { series: 'credit_note', date }
+    );
+
+    expect(creditNote.creditNoteNumber).toBe('CN-2026-000001');
+    expect(creditNote.sequenceNumber).toBe(1);
+  });
+});
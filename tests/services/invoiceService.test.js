@@ -0,0 +1,353 @@
+const mongoose = require('mongoose');
+const { getModel } = require('../../src/database/modelFactory');
+const serviceSchema = require('../../src/client/models/Service').schema;
+const invoiceSchema = require('../../src/client/models/Invoice').schema;
+const creditNoteSchema = require('../../src/client/models/CreditNote').schema;
+const shopSettingsSchema = require('../../src/client/models/ShopSettings').schema;
+const bookingService = require('../../src/services/bookingService');
+const invoiceService = require('../../src/services/invoiceService');
+const invoiceNumberService = require('../../src/services/invoiceNumberService');
+const { INVOICE_STATUS } = require('../../src/config/constants');
+const { connect, createDatabaseName, disconnect } = require('../helpers/db');
+const { seedShop, findSlot, createCustomer } = require('../helpers/fixtures');
+
+describe('invoiceService', () => {
+  const cashierId = new mongoose.Types.ObjectId();
+  let databaseName;
+  let shop;
+  let service;
+  let staff;
+  let date;
+  let customer;
+
+  /**
+   * Serve a booking at startTime and invoice it, by default a haircut of the first stylist: 100 plus 25% tax
+   */
+  async function completedInvoice(startTime = '10:00', services = [{ serviceId: service._id, staffId: staff[0]._id }]) {
+    const slot = await findSlot(databaseName, shop._id, date, startTime);
+    const booking = await bookingService.createOnlineBooking(databaseName, shop._id, slot._id, services, customer._id);
+
+    await bookingService.startService(databaseName, shop._id, booking._id, staff[0]._id);
+    await bookingService.completeService(databaseName, shop._id, booking._id);
+
+    return await invoiceService.generateInvoice(databaseName, shop._id, booking._id);
+  }
+
+  async function paidInvoice(startTime) {
+    const invoice = await completedInvoice(startTime);
+    return await invoiceService.markPaid(databaseName, shop._id, invoice._id, 'card', cashierId);
+  }
+
+  const pay = (invoice, payments) => invoiceService.recordPayments(databaseName, shop._id, invoice._id, payments, cashierId);
+
+  const refund = (invoice, data) => invoiceService.refundInvoice(databaseName, shop._id, invoice._id, data, cashierId);
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    databaseName = createDatabaseName();
+    ({ shop, service, staff, date } = await seedShop(databaseName, { staffCount: 2, settings: { taxRate: 25 } }));
+    customer = await createCustomer(databaseName, 'customer@example.com');
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('generateInvoice', () => {
+    it('applies the tax profile of each service and prints the shop tax ID and breakdown', async () => {
+      const [ShopSettings, Service] = await Promise.all([
+        getModel(databaseName, 'ShopSettings', shopSettingsSchema),
+        getModel(databaseName, 'Service', serviceSchema),
+      ]);
+      const settings = await ShopSettings.findOne({ shopId: shop._id });
+      settings.set({
+        taxPricing: 'inclusive',
+        taxProfiles: [{ code: 'gst18', name: 'GST 18%', components: [{ name: 'CGST', rate: 9 }, { name: 'SGST', rate: 9 }] }],
+        defaultTaxProfile: 'gst18',
+        taxRegistrationLabel: 'GSTIN',
+        taxRegistrationNumber: '29ABCDE1234F1Z5',
+      });
+      await settings.save();
+      const colour = await Service.create({ shopId: shop._id, name: 'Colour', duration: 30, price: 60, taxCategory: 'exempt' });
+
+      const invoice = await completedInvoice('10:00', [
+        { serviceId: service._id, staffId: staff[0]._id },
+        { serviceId: colour._id, staffId: staff[1]._id },
+      ]);
+
+      expect(invoice.lineItems.map((item) => [item.taxCategory, item.taxableAmount, item.tax]))
+        .toEqual([['gst18', 84.75, 15.25], ['exempt', 60, 0]]);
+      expect(invoice.taxBreakdown.map((entry) => [entry.name, entry.amount])).toEqual([['CGST', 7.63], ['SGST', 7.62]]);
+      expect(invoice).toMatchObject({
+        amount: 144.75,
+        tax: 15.25,
+        totalAmount: 160,
+        taxPricing: 'inclusive',
+        taxRegistrationLabel: 'GSTIN',
+        taxRegistrationNumber: '29ABCDE1234F1Z5',
+      });
+    });
+  });
+
+  describe('recordPayments', () => {
+    it('marks the invoice paid once split payments cover the total', async () => {
+      const invoice = await completedInvoice();
+
+      const updated = await pay(invoice, [{ method: 'cash', amount: 50 }, { method: 'card', amount: 75 }]);
+
+      expect(updated.status).toBe(INVOICE_STATUS.PAID);
+      expect(updated.paymentMethod).toBe('split');
+      expect(updated.amountPaid).toBe(125);
+      expect(updated.balance).toBe(0);
+      expect(updated.paidAt).toBeInstanceOf(Date);
+      expect(updated.payments.map((payment) => [payment.method, payment.amount])).toEqual([['cash', 50], ['card', 75]]);
+      expect(String(updated.payments[0].receivedBy)).toBe(String(cashierId));
+    });
+
+    it('keeps a partly paid invoice open for the rest', async () => {
+      const invoice = await completedInvoice();
+
+      const partial = await pay(invoice, [{ method: 'card', amount: 25 }]);
+
+      expect(partial.status).toBe(INVOICE_STATUS.PARTIALLY_PAID);
+      expect(partial.balance).toBe(100);
+      expect(partial.paidAt).toBeUndefined();
+      expect(partial.paymentMethod).toBeUndefined();
+
+      const paid = await pay(invoice, [{ method: 'card', amount: 100 }]);
+
+      expect(paid.status).toBe(INVOICE_STATUS.PAID);
+      expect(paid.paymentMethod).toBe('card');
+    });
+
+    it('gives change on cash tendered and keeps tips out of the amount paid', async () => {
+      const invoice = await completedInvoice();
+
+      const updated = await pay(invoice, [{ method: 'cash', amount: 125, tip: 10, tendered: 150 }]);
+
+      expect(updated.status).toBe(INVOICE_STATUS.PAID);
+      expect(updated.amountPaid).toBe(125);
+      expect(updated.tipAmount).toBe(10);
+      expect(updated.payments[0]).toMatchObject({ tendered: 150, change: 15, tip: 10 });
+    });
+
+    it('gives each tip to the booking staff member unless another one who served the invoice is chosen', async () => {
+      const Service = await getModel(databaseName, 'Service', serviceSchema);
+      const colour = await Service.create({ shopId: shop._id, name: 'Colour', duration: 30, price: 60 });
+      const invoice = await completedInvoice('10:00', [
+        { serviceId: service._id, staffId: staff[0]._id },
+        { serviceId: colour._id, staffId: staff[1]._id },
+      ]);
+
+      const updated = await pay(invoice, [
+        { method: 'card', amount: 100, tip: 5 },
+        { method: 'card', amount: 100, tip: 3, tipStaffId: staff[1]._id.toString() },
+      ]);
+
+      expect(updated.payments.map((payment) => String(payment.tipStaffId))).toEqual([String(staff[0]._id), String(staff[1]._id)]);
+      expect(updated.tipAmount).toBe(8);
+    });
+
+    it('rejects tips for staff who did not serve the invoice', async () => {
+      const invoice = await completedInvoice();
+
+      await expect(pay(invoice, [{ method: 'card', amount: 125, tip: 5, tipStaffId: staff[1]._id.toString() }]))
+        .rejects.toThrow('Tips can only go to a staff member who served this invoice');
+
+      const Invoice = await getModel(databaseName, 'Invoice', invoiceSchema);
+      expect((await Invoice.findById(invoice._id)).amountPaid).toBe(0);
+    });
+
+    it('rejects payments above the balance', async () => {
+      const invoice = await completedInvoice();
+
+      await expect(pay(invoice, [{ method: 'cash', amount: 60 }, { method: 'card', amount: 70 }]))
+        .rejects.toThrow('Payments exceed the outstanding balance of 125.00');
+    });
+
+    it('rejects change on non-cash payments and cash tendered short of the amount', async () => {
+      const invoice = await completedInvoice();
+
+      await expect(pay(invoice, [{ method: 'card', amount: 125, tendered: 150 }]))
+        .rejects.toThrow('Change can only be given on cash payments');
+
+      await expect(pay(invoice, [{ method: 'cash', amount: 125, tendered: 100 }]))
+        .rejects.toThrow('Cash tendered (100.00) is less than the 125.00 it pays');
+    });
+
+    it('rejects payments on invoices that are not open', async () => {
+      const invoice = await paidInvoice();
+
+      await expect(pay(invoice, [{ method: 'cash', amount: 1 }]))
+        .rejects.toThrow(`Invoice ${invoice.invoiceNumber} is paid and cannot take payments`);
+    });
+
+    it('returns null for invoices of other shops', async () => {
+      const invoice = await completedInvoice();
+
+      await expect(invoiceService.recordPayments(
+        databaseName,
+        new mongoose.Types.ObjectId(),
+        invoice._id,
+        [{ method: 'cash', amount: 10 }],
+        cashierId
+      )).resolves.toBeNull();
+    });
+  });
+
+  describe('refundInvoice', () => {
+    it('refunds in parts, each refund issuing a numbered credit note', async () => {
+      const invoice = await paidInvoice();
+      expect(invoice.totalAmount).toBe(125);
+
+      const first = await refund(invoice, { amount: 50, reason: 'Late start' });
+
+      expect(first.invoice.status).toBe(INVOICE_STATUS.PARTIALLY_REFUNDED);
+      expect(first.invoice.refundedAmount).toBe(50);
+      expect(first.creditNote).toMatchObject({ amount: 50, tax: 10, refundMethod: 'card', reason: 'Late start' });
+      expect(first.creditNote.creditNoteNumber).toMatch(/^CN-\d{4}-000001$/);
+      expect(first.creditNote.invoiceNumber).toBe(invoice.invoiceNumber);
+      expect(String(first.creditNote.invoiceId)).toBe(String(invoice._id));
+
+      // Without an amount everything left is refunded
+      const second = await refund(invoice, { reason: 'Complaint' });
+
+      expect(second.invoice.status).toBe(INVOICE_STATUS.REFUNDED);
+      expect(second.invoice.refundedAmount).toBe(125);
+      expect(second.creditNote.amount).toBe(75);
+      expect(second.creditNote.creditNoteNumber).toMatch(/^CN-\d{4}-000002$/);
+    });
+
+    it('rejects refunds above what is left to refund', async () => {
+      const invoice = await paidInvoice();
+      await refund(invoice, { amount: 100, reason: 'Complaint' });
+
+      await expect(refund(invoice, { amount: 30, reason: 'Again' }))
+        .rejects.toThrow(`Refund exceeds the 25.00 left to refund on invoice ${invoice.invoiceNumber}`);
+
+      const CreditNote = await getModel(databaseName, 'CreditNote', creditNoteSchema);
+      expect(await CreditNote.countDocuments({ invoiceId: invoice._id })).toBe(1);
+    });
+
+    it('only refunds paid invoices', async () => {
+      const invoice = await completedInvoice();
+
+      await expect(refund(invoice, { amount: 10, reason: 'Complaint' }))
+        .rejects.toThrow(`Invoice ${invoice.invoiceNumber} is pending; only paid invoices can be refunded`);
+    });
+
+    it('asks for the refund method of invoices paid with several methods', async () => {
+      const invoice = await completedInvoice();
+      await pay(invoice, [{ method: 'cash', amount: 25 }, { method: 'card', amount: 100 }]);
+
+      await expect(refund(invoice, { amount: 10, reason: 'Complaint' }))
+        .rejects.toThrow('was paid with several methods, choose the refund method');
+
+      const { creditNote } = await refund(invoice, { amount: 10, refundMethod: 'cash', reason: 'Complaint' });
+
+      expect(creditNote.refundMethod).toBe('cash');
+    });
+
+    it('releases the reserved amount when the credit note cannot be issued', async () => {
+      const invoice = await paidInvoice();
+      jest.spyOn(invoiceNumberService, 'assign').mockRejectedValueOnce(new Error('Could not assign a document number'));
+
+      await expect(refund(invoice, { amount: 40, reason: 'Complaint' })).rejects.toThrow('Could not assign a document number');
+
+      const Invoice = await getModel(databaseName, 'Invoice', invoiceSchema);
+      const CreditNote = await getModel(databaseName, 'CreditNote', creditNoteSchema);
+      const stored = await Invoice.findById(invoice._id);
+      expect(stored.refundedAmount).toBe(0);
+      expect(stored.status).toBe(INVOICE_STATUS.PAID);
+      expect(await CreditNote.countDocuments({})).toBe(0);
+    });
+
+    it('returns null for invoices of other shops', async () => {
+      const invoice = await paidInvoice();
+
+      await expect(invoiceService.refundInvoice(
+        databaseName,
+        new mongoose.Types.ObjectId(),
+        invoice._id,
+        { reason: 'Complaint' },
+        cashierId
+      )).resolves.toBeNull();
+    });
+  });
+
+  describe('voidInvoice', () => {
+    it('keeps the voided invoice and its number, and invoices the booking again under the next one', async () => {
+      const invoice = await completedInvoice();
+
+      const voided = await invoiceService.voidInvoice(databaseName, shop._id, invoice._id, 'Wrong service', cashierId);
+
+      expect(voided.status).toBe(INVOICE_STATUS.VOID);
+      expect(voided.voidReason).toBe('Wrong service');
+      expect(voided.voidedAt).toBeInstanceOf(Date);
+
+      const replacement = await invoiceService.generateInvoice(databaseName, shop._id, invoice.bookingId);
+
+      expect(String(replacement._id)).not.toBe(String(invoice._id));
+      expect(replacement.status).toBe(INVOICE_STATUS.PENDING);
+      expect(replacement.sequenceNumber).toBe(invoice.sequenceNumber + 1);
+
+      const Invoice = await getModel(databaseName, 'Invoice', invoiceSchema);
+      const stored = await Invoice.findById(invoice._id);
+      expect(stored.status).toBe(INVOICE_STATUS.VOID);
+      expect(stored.invoiceNumber).toBe(invoice.invoiceNumber);
+    });
+
+    it('refuses to void paid invoices', async () => {
+      const invoice = await paidInvoice();
+
+      await expect(invoiceService.voidInvoice(databaseName, shop._id, invoice._id, 'Mistake', cashierId))
+        .rejects.toThrow(`Invoice ${invoice.invoiceNumber} is paid; only unpaid invoices can be voided, refund paid ones`);
+    });
+  });
+
+  describe('getRevenueStats', () => {
+    it('reports revenue net of refunds', async () => {
+      const refunded = await paidInvoice('10:00');
+      await paidInvoice('11:00');
+      await refund(refunded, { amount: 50, reason: 'Complaint' });
+
+      const stats = await invoiceService.getRevenueStats(
+        databaseName,
+        shop._id,
+        new Date(Date.now() - 60 * 60 * 1000),
+        new Date(Date.now() + 60 * 60 * 1000)
+      );
+
+      expect(stats).toMatchObject({
+        totalRevenue: 250,
+        totalTax: 50,
+        totalInvoices: 2,
+        totalRefunds: 50,
+        totalCreditNotes: 1,
+        netRevenue: 200,
+        netTax: 40,
+      });
+    });
+
+    it('totals tips per staff member they go to, outside revenue', async () => {
+      const invoice = await completedInvoice();
+      await pay(invoice, [{ method: 'card', amount: 125, tip: 10 }]);
+
+      const stats = await invoiceService.getRevenueStats(
+        databaseName,
+        shop._id,
+        new Date(Date.now() - 60 * 60 * 1000),
+        new Date(Date.now() + 60 * 60 * 1000)
+      );
+
+      expect(stats.totalRevenue).toBe(125);
+      expect(stats.totalTips).toBe(10);
+      expect(stats.tipsByStaff).toEqual([{ staffId: String(staff[0]._id), amount: 10 }]);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const { getModel } = require('../../src/database/modelFactory');
+const bookingSchema = require('../../src/client/models/Booking').schema;
+const notificationService = require('../../src/services/notificationService');
+const { NOTIFICATION_TYPE } = require('../../src/config/constants');
+const { connect, createDatabaseName, disconnect } = require('../helpers/db');
+const { seedShop, findSlot, createCustomer } = require('../helpers/fixtures');
+
+describe('notificationService.notifyBooking', () => {
+  let databaseName;
+  let booking;
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    databaseName = createDatabaseName();
+    const { shop, service, date } = await seedShop(databaseName, { settings: { sendEmailNotifications: true } });
+    const slot = await findSlot(databaseName, shop._id, date, '10:00');
+    const customer = await createCustomer(databaseName, 'quiet@example.com');
+    customer.notificationPreferences.email = false;
+    await customer.save();
+
+    const Booking = await getModel(databaseName, 'Booking', bookingSchema);
+    booking = await Booking.create({
+      shopId: shop._id,
+      slotId: slot._id,
+      customerId: customer._id,
+      serviceId: service._id,
+      originalPrice: service.price,
+      finalPrice: service.price,
+      scheduledAt: date,
+    });
+  });
+
+  it('records skipped channels on the booking in the client database', async () => {
+    const entries = await notificationService.notifyBooking(
+      databaseName,
+      booking.toObject(),
+      NOTIFICATION_TYPE.CONFIRMATION
+    );
+
+    expect(entries).toEqual([
+      expect.objectContaining({
+        channel: 'email',
+        status: 'skipped',
+        detail: 'Customer opted out of email notifications',
+      }),
+    ]);
+
+    const Booking = await getModel(databaseName, 'Booking', bookingSchema);
+    const stored = await Booking.findById(booking._id);
+    expect(stored.notifications).toHaveLength(1);
+    expect(stored.notifications[0]).toMatchObject({ type: NOTIFICATION_TYPE.CONFIRMATION, status: 'skipped' });
+  });
+});
@@ -0,0 +1,63 @@
+const { getModel: getClientAdminModel } = require('../../src/platform/models/ClientAdmin');
+const onboardingService = require('../../src/services/onboardingService');
+const staffScheduleService = require('../../src/services/staffScheduleService');
+const { connect, createDatabaseName, disconnect } = require('../helpers/db');
+const { seedShop } = require('../helpers/fixtures');
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+describe('onboardingService.getChecklist', () => {
+  const clientIds = [];
+  let databaseName;
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await getClientAdminModel().deleteMany({ _id: { $in: clientIds } });
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    databaseName = createDatabaseName();
+
+    const client = await getClientAdminModel().create({
+      clientId: databaseName,
+      databaseName,
+      email: `onboarding-${databaseName}@example.com`,
+      firstName: 'Onboarding',
+      lastName: 'Test',
+      phone: '5550100',
+    });
+    clientIds.push(client._id);
+  });
+
+  const workingHoursStep = async () => {
+    const checklist = await onboardingService.getChecklist(databaseName);
+    return { checklist, step: checklist.items.find((item) => item.key === 'working_hours') };
+  };
+
+  it('completes the working hours step once a staff schedule is saved', async () => {
+    const { shop, staff } = await seedShop(databaseName);
+
+    const before = await workingHoursStep();
+    expect(before.step).toMatchObject({ completed: false, count: 0 });
+    expect(before.checklist.isComplete).toBe(false);
+
+    const shift = { isWorking: true, start: '09:00', end: '12:00', breaks: [] };
+    await staffScheduleService.setWeeklySchedule(
+      databaseName,
+      shop._id,
+      staff[0]._id,
+      Object.fromEntries(DAYS.map((day) => [day, shift]))
+    );
+
+    const after = await workingHoursStep();
+    expect(after.step).toMatchObject({ completed: true, count: 1 });
+    expect(after.checklist.isComplete).toBe(true);
+
+    const client = await getClientAdminModel().findOne({ databaseName });
+    expect(client.onboardingCompletedAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,160 @@
+const { getModel } = require('../../src/database/modelFactory');
+const serviceSchema = require('../../src/client/models/Service').schema;
+const bookingSchema = require('../../src/client/models/Booking').schema;
+const shopSettingsSchema = require('../../src/client/models/ShopSettings').schema;
+const waitlistSchema = require('../../src/client/models/Waitlist').schema;
+const bookingService = require('../../src/services/bookingService');
+const waitlistService = require('../../src/services/waitlistService');
+const rescheduleService = require('../../src/services/rescheduleService');
+const { WAITLIST_STATUS } = require('../../src/config/constants');
+const { connect, createDatabaseName, disconnect } = require('../helpers/db');
+const { seedShop, findSlot, createCustomer } = require('../helpers/fixtures');
+
+describe('rescheduleService.rescheduleBooking', () => {
+  let databaseName;
+  let shop;
+  let service;
+  let colour;
+  let staff;
+  let date;
+  let customer;
+
+  const ids = (values) => values.map((value) => value.toString());
+  const slotAt = (startTime) => findSlot(databaseName, shop._id, date, startTime);
+
+  async function bookedCounts(...startTimes) {
+    const slots = await Promise.all(startTimes.map(slotAt));
+    return slots.map((slot) => slot.bookedCount);
+  }
+
+  async function book(startTime, services, options = {}, bookedBy = customer) {
+    const slot = await slotAt(startTime);
+    return await bookingService.createOnlineBooking(databaseName, shop._id, slot._id, services, bookedBy._id, options);
+  }
+
+  async function move(booking, startTime, actor = { userId: customer._id, type: 'customer' }) {
+    const slot = await slotAt(startTime);
+    return await rescheduleService.rescheduleBooking(databaseName, shop._id, booking._id, slot._id, actor, 'Test');
+  }
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    databaseName = createDatabaseName();
+    ({ shop, service, staff, date } = await seedShop(databaseName, { staffCount: 2, start: '09:00', end: '12:00' }));
+    const Service = await getModel(databaseName, 'Service', serviceSchema);
+    colour = await Service.create({ shopId: shop._id, name: 'Colour', duration: 60, price: 200 });
+    customer = await createCustomer(databaseName, 'customer@example.com');
+  });
+
+  it('moves the booking and its place to the target slot', async () => {
+    const booking = await book('10:00', service._id);
+
+    const moved = await move(booking, '11:00');
+    const target = await slotAt('11:00');
+
+    expect(moved.slotId.toString()).toBe(target._id.toString());
+    expect(ids(moved.slotIds)).toEqual([target._id.toString()]);
+    expect(moved.scheduledAt.getHours()).toBe(11);
+    expect(moved.rescheduleHistory).toHaveLength(1);
+    expect(await bookedCounts('10:00', '11:00')).toEqual([0, 1]);
+  });
+
+  it('moves every slot of a multi-slot booking and splits them between its services', async () => {
+    const booking = await book('09:00', [{ serviceId: service._id, staffId: staff[0]._id }, { serviceId: colour._id }]);
+
+    const moved = await move(booking, '10:30');
+    const [first, second, third] = await Promise.all(['10:30', '11:00', '11:30'].map(slotAt));
+
+    expect(ids(moved.slotIds)).toEqual(ids([first._id, second._id, third._id]));
+    expect(ids(moved.services[0].slotIds)).toEqual(ids([first._id]));
+    expect(ids(moved.services[1].slotIds)).toEqual(ids([second._id, third._id]));
+    expect(moved.services[0].staffId.toString()).toBe(staff[0]._id.toString());
+    expect(await bookedCounts('09:00', '09:30', '10:00', '10:30', '11:00', '11:30')).toEqual([0, 0, 0, 1, 1, 1]);
+  });
+
+  it('can move a booking within its own slots', async () => {
+    const booking = await book('10:00', colour._id);
+
+    const moved = await move(booking, '10:30');
+
+    expect(moved.slotIds).toHaveLength(2);
+    expect(await bookedCounts('10:00', '10:30', '11:00')).toEqual([0, 1, 1]);
+  });
+
+  it('rejects a full target slot and leaves everything as it was', async () => {
+    const booking = await book('10:00', service._id);
+    const others = [await createCustomer(databaseName, 'a@example.com'), await createCustomer(databaseName, 'b@example.com')];
+    for (const other of others) {
+      await book('11:00', service._id, {}, other);
+    }
+
+    await expect(move(booking, '11:00')).rejects.toThrow('Slot is full');
+
+    const Booking = await getModel(databaseName, 'Booking', bookingSchema);
+    const unchanged = await Booking.findById(booking._id);
+    expect(unchanged.slotId.toString()).toBe(booking.slotId.toString());
+    expect(unchanged.rescheduleHistory).toHaveLength(0);
+    expect(await bookedCounts('10:00', '11:00')).toEqual([1, 2]);
+  });
+
+  it('rejects a target without enough consecutive slots for the booking', async () => {
+    const booking = await book('10:00', colour._id);
+
+    await expect(move(booking, '11:30')).rejects.toThrow('Not enough consecutive time available for this service');
+    expect(await bookedCounts('10:00', '10:30', '11:30')).toEqual([1, 1, 0]);
+  });
+
+  it('leaves everything as it was when the stylist is not free at the new time', async () => {
+    const booking = await book('10:00', service._id, { staffId: staff[0]._id });
+    const other = await createCustomer(databaseName, 'other@example.com');
+    await book('11:00', service._id, { staffId: staff[0]._id }, other);
+
+    await expect(move(booking, '11:00')).rejects.toThrow('Assigned stylist is not available at the new time');
+
+    const Booking = await getModel(databaseName, 'Booking', bookingSchema);
+    const unchanged = await Booking.findById(booking._id);
+    expect(unchanged.slotId.toString()).toBe(booking.slotId.toString());
+    expect(await bookedCounts('10:00', '11:00')).toEqual([1, 1]);
+  });
+
+  it('holds customers to the shop reschedule cutoff but not staff', async () => {
+    const ShopSettings = await getModel(databaseName, 'ShopSettings', shopSettingsSchema);
+    await ShopSettings.updateOne({ shopId: shop._id }, { rescheduleCutoffHours: 72 });
+    const booking = await book('10:00', service._id);
+
+    await expect(move(booking, '11:00')).rejects.toThrow('less than 72 hours before the appointment');
+
+    const moved = await move(booking, '11:00', { userId: staff[0].userId, type: 'staff' });
+    expect(moved.rescheduleHistory[0].rescheduledByType).toBe('staff');
+  });
+
+  it('only lets customers move their own bookings', async () => {
+    const booking = await book('10:00', service._id);
+    const other = await createCustomer(databaseName, 'other@example.com');
+
+    await expect(move(booking, '11:00', { userId: other._id, type: 'customer' }))
+      .rejects.toThrow('Booking not found or cannot be rescheduled');
+  });
+
+  it('offers the freed place to the waitlist of the original slot', async () => {
+    const others = [await createCustomer(databaseName, 'a@example.com'), await createCustomer(databaseName, 'b@example.com')];
+    const booking = await book('10:00', service._id);
+    await book('10:00', service._id, {}, others[0]);
+    const full = await slotAt('10:00');
+    await waitlistService.joinWaitlist(databaseName, shop._id, full._id, service._id, others[1]._id);
+
+    await move(booking, '11:00');
+
+    const Waitlist = await getModel(databaseName, 'Waitlist', waitlistSchema);
+    const entry = await Waitlist.findOne({ slotId: full._id });
+    expect(entry.status).toBe(WAITLIST_STATUS.PROMOTED);
+    expect(await bookedCounts('10:00', '11:00')).toEqual([2, 1]);
+  });
+});
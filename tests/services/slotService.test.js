@@ -0,0 +1,63 @@
+const { getModel } = require('../../src/database/modelFactory');
+const staffProfileSchema = require('../../src/client/models/StaffProfile').schema;
+const slotService = require('../../src/services/slotService');
+const staffScheduleService = require('../../src/services/staffScheduleService');
+const { connect, createDatabaseName, disconnect } = require('../helpers/db');
+const { seedShop, findSlot, addStaff } = require('../helpers/fixtures');
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+describe('slot capacity', () => {
+  let databaseName;
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await disconnect();
+  });
+
+  beforeEach(() => {
+    databaseName = createDatabaseName();
+  });
+
+  it('gives a shop without active staff full slots until someone joins', async () => {
+    const { shop, date } = await seedShop(databaseName, { staffCount: 0 });
+
+    const empty = await findSlot(databaseName, shop._id, date, '10:00');
+    expect(empty).toMatchObject({ capacity: 0, maxCapacity: 1, status: 'full' });
+
+    await addStaff(databaseName, shop._id, 'new@example.com');
+    await slotService.updateSlotCapacity(databaseName, shop._id, date);
+
+    const opened = await findSlot(databaseName, shop._id, date, '10:00');
+    expect(opened).toMatchObject({ capacity: 1, maxCapacity: 1, status: 'available' });
+  });
+
+  it('closes the slots the same way when the last stylist leaves', async () => {
+    const { shop, staff, date } = await seedShop(databaseName, { staffCount: 1 });
+    const StaffProfile = await getModel(databaseName, 'StaffProfile', staffProfileSchema);
+
+    await StaffProfile.updateOne({ _id: staff[0]._id }, { isActive: false });
+    await slotService.updateSlotCapacity(databaseName, shop._id, date);
+
+    const closed = await findSlot(databaseName, shop._id, date, '10:00');
+    expect(closed).toMatchObject({ capacity: 0, maxCapacity: 1, status: 'full' });
+  });
+
+  it('takes a stylist out of the slots their break covers', async () => {
+    const { shop, staff, date } = await seedShop(databaseName, { staffCount: 2 });
+    const shift = { isWorking: true, start: '09:00', end: '12:00', breaks: [{ start: '10:00', end: '10:30' }] };
+
+    await staffScheduleService.setWeeklySchedule(
+      databaseName,
+      shop._id,
+      staff[0]._id,
+      Object.fromEntries(DAYS.map((day) => [day, shift]))
+    );
+
+    expect((await findSlot(databaseName, shop._id, date, '10:00')).capacity).toBe(1);
+    expect((await findSlot(databaseName, shop._id, date, '10:30')).capacity).toBe(2);
+  });
+});
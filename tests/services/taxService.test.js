@@ -0,0 +1,71 @@
+const taxService = require('../../src/services/taxService');
+
+const gstSettings = (taxPricing = 'exclusive') => ({
+  taxPricing,
+  defaultTaxProfile: 'gst18',
+  taxProfiles: [
+    { code: 'gst18', name: 'GST 18%', components: [{ name: 'CGST', rate: 9 }, { name: 'SGST', rate: 9 }] },
+    { code: 'gst5', name: 'GST 5%', components: [{ name: 'CGST', rate: 2.5 }, { name: 'SGST', rate: 2.5 }] },
+  ],
+});
+
+describe('taxService.calculate', () => {
+  it('adds exclusive tax on top of the line amounts, per component', () => {
+    const result = taxService.calculate(gstSettings(), [{ amount: 100, taxCategory: 'gst18' }]);
+
+    expect(result.lines).toEqual([{ taxCategory: 'gst18', taxRate: 18, taxableAmount: 100, tax: 18 }]);
+    expect(result.breakdown).toEqual([
+      { name: 'CGST', rate: 9, taxableAmount: 100, amount: 9 },
+      { name: 'SGST', rate: 9, taxableAmount: 100, amount: 9 },
+    ]);
+    expect(result).toMatchObject({ taxableAmount: 100, tax: 18, total: 118 });
+  });
+
+  it('takes inclusive tax out of the line amounts, the last component taking the rounding difference', () => {
+    const result = taxService.calculate(gstSettings('inclusive'), [{ amount: 100, taxCategory: 'gst18' }]);
+
+    expect(result.lines[0]).toEqual({ taxCategory: 'gst18', taxRate: 18, taxableAmount: 84.75, tax: 15.25 });
+    expect(result.breakdown.map((entry) => entry.amount)).toEqual([7.63, 7.62]);
+    expect(result).toMatchObject({ taxableAmount: 84.75, tax: 15.25, total: 100 });
+  });
+
+  it('groups components of several lines and falls back to the default profile', () => {
+    const result = taxService.calculate(gstSettings(), [
+      { amount: 100, taxCategory: 'gst5' },
+      { amount: 50, taxCategory: 'removed-profile' },
+      { amount: 50 },
+    ]);
+
+    expect(result.lines.map((line) => line.taxCategory)).toEqual(['gst5', 'gst18', 'gst18']);
+    expect(result.breakdown).toEqual([
+      { name: 'CGST', rate: 2.5, taxableAmount: 100, amount: 2.5 },
+      { name: 'SGST', rate: 2.5, taxableAmount: 100, amount: 2.5 },
+      { name: 'CGST', rate: 9, taxableAmount: 100, amount: 9 },
+      { name: 'SGST', rate: 9, taxableAmount: 100, amount: 9 },
+    ]);
+    expect(result).toMatchObject({ taxableAmount: 200, tax: 23, total: 223 });
+  });
+
+  it('does not tax exempt lines', () => {
+    const result = taxService.calculate(gstSettings(), [{ amount: 80, taxCategory: 'exempt' }]);
+
+    expect(result.lines).toEqual([{ taxCategory: 'exempt', taxRate: 0, taxableAmount: 80, tax: 0 }]);
+    expect(result.breakdown).toEqual([]);
+    expect(result).toMatchObject({ taxableAmount: 80, tax: 0, total: 80 });
+  });
+
+  it('uses the single taxRate of shops without tax profiles', () => {
+    const result = taxService.calculate({ taxRate: 10 }, [{ amount: 45.5 }]);
+
+    expect(result.lines).toEqual([{ taxCategory: 'standard', taxRate: 10, taxableAmount: 45.5, tax: 4.55 }]);
+    expect(result.breakdown).toEqual([{ name: 'Tax', rate: 10, taxableAmount: 45.5, amount: 4.55 }]);
+    expect(result.total).toBe(50.05);
+  });
+
+  it('charges no tax without settings', () => {
+    const result = taxService.calculate(null, [{ amount: 30 }, { amount: 20 }]);
+
+    expect(result.breakdown).toEqual([]);
+    expect(result).toMatchObject({ taxableAmount: 50, tax: 0, total: 50 });
+  });
+});
@@ -0,0 +1,88 @@
+const { getModel } = require('../../src/database/modelFactory');
+const waitlistSchema = require('../../src/client/models/Waitlist').schema;
+const bookingSchema = require('../../src/client/models/Booking').schema;
+const bookingService = require('../../src/services/bookingService');
+const waitlistService = require('../../src/services/waitlistService');
+const { BOOKING_STATUS, WAITLIST_STATUS } = require('../../src/config/constants');
+const { connect, createDatabaseName, disconnect } = require('../helpers/db');
+const { seedShop, findSlot, createCustomer } = require('../helpers/fixtures');
+
+describe('waitlist promotion', () => {
+  let databaseName;
+  let shop;
+  let service;
+  let slot;
+  let customers;
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    databaseName = createDatabaseName();
+    let date;
+    ({ shop, service, date } = await seedShop(databaseName, { staffCount: 1 }));
+    slot = await findSlot(databaseName, shop._id, date, '10:00');
+    customers = [
+      await createCustomer(databaseName, 'booked@example.com'),
+      await createCustomer(databaseName, 'first@example.com'),
+      await createCustomer(databaseName, 'second@example.com'),
+    ];
+  });
+
+  async function fillSlotAndQueue() {
+    const booking = await bookingService.createOnlineBooking(
+      databaseName,
+      shop._id,
+      slot._id,
+      service._id,
+      customers[0]._id
+    );
+
+    for (const customer of customers.slice(1)) {
+      await waitlistService.joinWaitlist(databaseName, shop._id, slot._id, service._id, customer._id);
+    }
+
+    return booking;
+  }
+
+  test('a cancellation books the first waiting customer into the freed place', async () => {
+    const booking = await fillSlotAndQueue();
+
+    await bookingService.cancelBooking(databaseName, shop._id, booking._id, customers[0]._id, 'Cannot make it');
+
+    const Waitlist = await getModel(databaseName, 'Waitlist', waitlistSchema);
+    const Booking = await getModel(databaseName, 'Booking', bookingSchema);
+    const [first, second] = await Waitlist.find({ slotId: slot._id }).sort({ createdAt: 1 });
+
+    expect(first.status).toBe(WAITLIST_STATUS.PROMOTED);
+    expect(second.status).toBe(WAITLIST_STATUS.WAITING);
+
+    const promoted = await Booking.findById(first.promotedBookingId);
+    expect(promoted.customerId.toString()).toBe(customers[1]._id.toString());
+    expect(promoted.slotId.toString()).toBe(slot._id.toString());
+    expect(promoted.status).toBe(BOOKING_STATUS.CONFIRMED);
+    expect(promoted.notes).toBe('Promoted from waitlist');
+
+    const refreshed = await findSlot(databaseName, shop._id, slot.date, '10:00');
+    expect(refreshed.bookedCount).toBe(1);
+    expect(refreshed.status).toBe('full');
+  });
+
+  test('a place that is booked again right away is not offered to the waitlist', async () => {
+    const booking = await fillSlotAndQueue();
+
+    await bookingService.cancelBooking(databaseName, shop._id, booking._id, customers[0]._id, 'Moved', {
+      rebook: true,
+    });
+
+    const Waitlist = await getModel(databaseName, 'Waitlist', waitlistSchema);
+    const entries = await Waitlist.find({ slotId: slot._id });
+
+    expect(entries.map((entry) => entry.status)).toEqual([WAITLIST_STATUS.WAITING, WAITLIST_STATUS.WAITING]);
+  });
+});
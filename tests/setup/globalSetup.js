@@ -0,0 +1,18 @@
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+/**
+ * Jest Global Setup
+ * Starts a single-node replica set (reschedules run in transactions) for the whole run
+ * MONGODB_TEST_URI points the tests at an already running replica set instead
+ */
+module.exports = async () => {
+  if (process.env.MONGODB_TEST_URI) {
+    process.env.MONGODB_URI = process.env.MONGODB_TEST_URI;
+    return;
+  }
+
+  const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+
+  globalThis.__MONGO_REPL_SET__ = replSet;
+  process.env.MONGODB_URI = replSet.getUri('platform_db');
+};
@@ -0,0 +1,9 @@
+/**
+ * Jest Global Teardown
+ * Stops the replica set started by globalSetup
+ */
+module.exports = async () => {
+  if (globalThis.__MONGO_REPL_SET__) {
+    await globalThis.__MONGO_REPL_SET__.stop();
+  }
+};